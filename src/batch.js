@@ -0,0 +1,210 @@
+/**
+ * @module batch
+ */
+
+
+// Core/NPM Modules
+const Bluebird        = require('bluebird');
+const fs              = require('fs');
+const path            = require('path');
+const _               = require('lodash');
+
+
+// Local Modules
+const Cache           = require('./cache');
+const corpus          = require('./corpus');
+const StrategyFactory = require('./strategy-factory');
+const config          = require('./config');
+const errors          = require('./errors');
+const logger          = require('./logger');
+
+
+// Constants
+const JOURNAL             = '.dockerizeme-batch.ndjson';
+const DOCKERFILE          = 'Dockerfile';
+const METADATA            = 'metadata.json';
+const REPORT              = 'report.json';
+const DEFAULT_CONCURRENCY = 4;
+const REPORT_COLUMNS      = [
+    'id', 'package', 'status', 'directDependencies', 'transitiveDependencies', 'dependencies', 'error', 'duration'
+];
+
+
+// Factory
+const factory = new StrategyFactory();
+
+
+/**
+ * Dockerize every snippet directory in a corpus, such as `hard-gists/`.
+ *
+ * Each subdirectory of `dir` is one snippet, see corpus.findSnippets. Snippets are dockerized
+ * with limited concurrency using one graph store, and a `Dockerfile` (and optionally a
+ * `metadata.json`) is written next to each snippet or into the same directory under `outputDir`.
+ * Dockerfiles are built with the snippet directory as the context.
+ *
+ * The result of each snippet is appended to a journal in the output directory as soon as it
+ * is known. When resuming, snippets that already succeeded are skipped, so an interrupted
+ * batch can be restarted with the same arguments.
+ *
+ * @param   {Object}           options               Batch options. Other options are passed to each dockerization.
+ * @param   {String}           options.dir           Corpus directory.
+ * @param   {String}           options.outputDir     Directory to write outputs to. Defaults to the snippet directories.
+ * @param   {Number}           options.concurrency   Number of snippets dockerized at once. Defaults to 4.
+ * @param   {Boolean}          options.writeMetadata Write `metadata.json` next to each `Dockerfile`.
+ * @param   {Boolean}          options.resume        Skip snippets that succeeded in a previous run. Defaults to true.
+ * @param   {String}           options.report        Report path. Written as CSV if it ends with `.csv`, otherwise JSON.
+ *                                                   Defaults to `report.json` in the output directory.
+ * @returns {Promise.<Object>}                       Report with a `summary` and one item per snippet.
+ */
+module.exports = async function(options = {}) {
+
+    // Validate options
+    let concurrency = _.isNil(options.concurrency) ? DEFAULT_CONCURRENCY : options.concurrency;
+    if (!(_.isInteger(concurrency) && concurrency > 0)) {
+        throw new errors.InvalidOptionError(
+            `Invalid value for concurrency: '${options.concurrency}'. Must be a positive integer.`,
+            { option: 'concurrency', value: options.concurrency }
+        );
+    }
+
+    // Find snippets and output locations
+    let dir = path.resolve(options.dir);
+    let outputDir = options.outputDir ? path.resolve(options.outputDir) : dir;
+    let journal = path.join(outputDir, JOURNAL);
+    let snippets = corpus.findSnippets(dir);
+    logger.info(`Found ${snippets.length} snippets in ${dir}.`);
+
+    // Read previous results, or start over
+    await Bluebird.fromCallback(cb => fs.mkdir(outputDir, { recursive: true }, cb));
+    if (options.resume === false && fs.existsSync(journal)) {
+        await Bluebird.fromCallback(cb => fs.unlink(journal, cb));
+    }
+    let results = await readJournal(journal);
+    let pending = _.reject(snippets, s => _.get(results.get(s.id), 'status') === 'success');
+    logger.info(`Dockerizing ${pending.length} snippets, ${snippets.length - pending.length} already succeeded.`);
+
+    // Clear cache once, rather than per snippet
+    if (options.clearCache) {
+        await Cache.fromOptions(options).clear();
+    }
+
+    // Dockerize with a shared graph store
+    let started = Date.now();
+    let strategy = await factory.getLanguageStrategy(options.language || config.DEFAULTS.language);
+    let store = await strategy.getSharedGraphStore(options);
+    let dockerizeOptions = _.omit(options, ['dir', 'outputDir', 'concurrency', 'writeMetadata', 'resume', 'report', 'clearCache']);
+
+    try {
+
+        await Bluebird.map(pending, async (snippet) => {
+
+            let start = Date.now();
+            let result = { id: snippet.id, package: path.relative(dir, snippet.pkg) || '.' };
+
+            try {
+
+                let data = await strategy.getDockerfileData(_.assign({}, dockerizeOptions, {
+                    pkg: snippet.pkg,
+                    context: snippet.dir,
+                    graphStore: store
+                }));
+
+                let output = path.join(outputDir, snippet.id);
+                await Bluebird.fromCallback(cb => fs.mkdir(output, { recursive: true }, cb));
+                await Bluebird.fromCallback(cb => fs.writeFile(path.join(output, DOCKERFILE), data.dockerfile, cb));
+                if (options.writeMetadata) {
+                    await Bluebird.fromCallback(cb => fs.writeFile(path.join(output, METADATA), JSON.stringify(data, null, 4), cb));
+                }
+
+                _.assign(result, {
+                    status: 'success',
+                    directDependencies: data.directDependencies.count,
+                    transitiveDependencies: data.transitiveDependencies.count,
+                    dependencies: data.dependencies.length
+                });
+
+            }
+            catch (err) {
+                logger.warn(`Unable to dockerize ${snippet.id}:`, err.message);
+                _.assign(result, { status: 'error', error: err.message });
+            }
+
+            // Record the result immediately, so that it survives an interruption
+            result.duration = Date.now() - start;
+            results.set(snippet.id, result);
+            await Bluebird.fromCallback(cb => fs.appendFile(journal, JSON.stringify(result) + '\n', cb));
+
+        }, { concurrency });
+
+    }
+    finally {
+        if (store) await store.close();
+    }
+
+    // Summarize
+    let items = _.compact(_.map(snippets, s => results.get(s.id)));
+    let report = {
+        summary: {
+            dir,
+            outputDir,
+            total: snippets.length,
+            processed: pending.length,
+            success: _.filter(items, ['status', 'success']).length,
+            error: _.filter(items, ['status', 'error']).length,
+            duration: Date.now() - started
+        },
+        items
+    };
+
+    // Write report
+    let reportPath = path.resolve(options.report || path.join(outputDir, REPORT));
+    let contents = path.extname(reportPath) === '.csv' ? toCSV(items) : JSON.stringify(report, null, 4);
+    await Bluebird.fromCallback(cb => fs.mkdir(path.dirname(reportPath), { recursive: true }, cb));
+    await Bluebird.fromCallback(cb => fs.writeFile(reportPath, contents, cb));
+    logger.info(`Wrote batch report to ${reportPath}.`);
+
+    return report;
+
+};
+
+
+/**
+ * Read the latest result of each snippet from a journal. Lines cut off by an
+ * interruption are ignored.
+ *
+ * @param   {String}        journal Journal path.
+ * @returns {Promise.<Map>}         Results keyed by snippet id.
+ */
+async function readJournal(journal) {
+
+    let results = new Map();
+    if (!fs.existsSync(journal)) return results;
+
+    let contents = await Bluebird.fromCallback(cb => fs.readFile(journal, 'utf8', cb));
+    for (let line of contents.split('\n')) {
+        try {
+            let result = JSON.parse(line);
+            results.set(result.id, result);
+        }
+        catch (err) {
+            continue;
+        }
+    }
+    return results;
+
+}
+
+
+/**
+ * Format report items as CSV.
+ *
+ * @param   {Array.<Object>} items Report items.
+ * @returns {String}               CSV text with a header row.
+ */
+function toCSV(items) {
+
+    let quote = v => _.isNil(v) ? '' : (/[",\n]/.test(String(v)) ? `"${String(v).replace(/"/g, '""')}"` : String(v));
+    let rows = _.map(items, item => _.map(REPORT_COLUMNS, c => quote(item[c])).join(','));
+    return [REPORT_COLUMNS.join(',')].concat(rows).join('\n') + '\n';
+
+}
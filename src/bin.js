@@ -8,27 +8,375 @@
 
 
 // Modules
-const yargs     = require('yargs');
-const _         = require('lodash');
-const dockerize = require('./index');
-const logger    = require('./logger');
+const fs           = require('fs');
+const path         = require('path');
+const yargs        = require('yargs');
+const yargsParser  = require('yargs-parser');
+const _            = require('lodash');
+const batch        = require('./batch');
+const buildContext = require('./build-context');
+const config       = require('./config');
+const evaluate     = require('./evaluate');
+const serve        = require('./server');
+const dockerize    = require('./index');
+const errors       = require('./errors');
+const logger       = require('./logger');
+
+
+/**
+ * Add options shared by the commands that dockerize packages.
+ *
+ * @param {Object} yargs Yargs instance.
+ */
+function addDockerizeOptions(yargs) {
+
+    yargs.option('language', {
+        type: 'string',
+        describe: 'Specify language. Defaults to python.',
+        choices: ['python', 'javascript', 'shell']
+    });
+
+    yargs.option('config', {
+        type: 'string',
+        describe: 'Config file with connection settings and defaults. Defaults to $DOCKERIZEME_CONFIG or ~/.config/dockerizeme/config.yml.'
+    });
+
+    yargs.option('verbose', {
+        type: 'boolean',
+        describe: 'Enable logging to stderr.',
+        default: false
+    });
+
+    yargs.option('log-level', {
+        type: 'string',
+        describe: 'Log level. Defaults to error, or silly with --verbose.',
+        choices: ['error', 'warn', 'info', 'verbose', 'debug', 'silly']
+    });
+
+    yargs.option('only', {
+        type: 'string',
+        describe: 'Rules to use for transitive dependency resolution.',
+        choices: ['deps', 'assoc']
+    });
+
+    yargs.option('include', {
+        type: 'string',
+        describe: 'Install a package even if it is not inferred, as name or system:name, e.g. apt:libxml2-dev. May be repeated.'
+    });
+
+    yargs.option('exclude', {
+        type: 'string',
+        describe: 'Never install a package or follow its dependencies, as name or system:name. May be repeated.'
+    });
+
+    yargs.option('all-candidates', {
+        type: 'boolean',
+        describe: 'Install every package the graph matches to an import, rather than only the best ranked candidate.',
+        default: false
+    });
+
+    yargs.option('max-depth', {
+        type: 'number',
+        describe: 'Only follow transitive dependencies up to this depth. Direct dependencies are at depth 0.'
+    });
+
+    yargs.option('max-packages', {
+        type: 'number',
+        describe: 'Install at most this many packages. Direct and included packages are always installed.'
+    });
+
+    yargs.option('min-confidence', {
+        type: 'number',
+        describe: 'Only follow association rules with at least this confidence.'
+    });
+
+    yargs.option('min-lift', {
+        type: 'number',
+        describe: 'Only follow association rules with at least this lift.'
+    });
+
+    yargs.option('lift-sigma', {
+        type: 'number',
+        describe: 'Only follow association rules with a lift this many standard deviations above the mean lift of the package\'s rules.'
+    });
+
+    yargs.option('max-assoc-per-package', {
+        type: 'number',
+        describe: 'Follow at most this many association rules per package, by descending lift.'
+    });
+
+    yargs.option('python-version', {
+        type: 'string',
+        describe: 'Python version to run the package with, e.g. 2, 3 or 3.6. Detected from the package if not given.'
+    });
+
+    yargs.option('declared', {
+        type: 'boolean',
+        describe: 'Merge dependencies declared by requirements.txt, setup.py, Pipfile or environment.yml in the package directory. Use --no-declared to ignore them.',
+        default: true
+    });
+
+    yargs.option('pin-versions', {
+        type: 'boolean',
+        describe: 'Pin each package to its newest version compatible with the selected runtime. Use --no-pin-versions to install the latest versions.',
+        default: true
+    });
+
+    yargs.option('combine-layers', {
+        type: 'boolean',
+        describe: 'Install consecutive packages of each system in a single RUN layer. Use --no-combine-layers to keep one RUN per package.',
+        default: true
+    });
+
+    yargs.option('as-of', {
+        type: 'string',
+        describe: 'Only pin versions released on or before this date, e.g. 2017-06-01.'
+    });
+
+    yargs.option('graph', {
+        type: 'string',
+        describe: 'Knowledge graph used for dependency lookups. Either a Neo4j URI or a JSON/NDJSON graph file. Defaults to bolt://localhost:7687.'
+    });
+
+    yargs.option('graph-type', {
+        type: 'string',
+        describe: 'Knowledge graph type. Inferred from --graph if not given.',
+        choices: ['neo4j', 'memory']
+    });
+
+    yargs.option('graph-user', {
+        type: 'string',
+        describe: 'Neo4j user. No authentication unless given.'
+    });
+
+    yargs.option('graph-password', {
+        type: 'string',
+        describe: 'Neo4j password. Prefer the DOCKERIZEME_GRAPH_PASSWORD environment variable or the config file, which are not visible to other users.'
+    });
+
+    yargs.option('graph-database', {
+        type: 'string',
+        describe: 'Neo4j database. Requires Neo4j 4 or later. Defaults to the default database.'
+    });
+
+    yargs.option('graph-encrypted', {
+        type: 'boolean',
+        describe: 'Encrypt the Neo4j connection. Use --no-graph-encrypted to disable encryption.'
+    });
+
+    yargs.option('graph-connection-timeout', {
+        type: 'number',
+        describe: 'Neo4j connection timeout in milliseconds.'
+    });
+
+    yargs.option('graph-query-timeout', {
+        type: 'number',
+        describe: 'Neo4j query timeout in milliseconds.'
+    });
+
+    yargs.option('require-graph', {
+        type: 'boolean',
+        describe: 'Fail if the graph is unavailable, instead of resolving imports by name only in degraded mode.',
+        default: false
+    });
+
+    yargs.option('package-index', {
+        type: 'string',
+        describe: 'Package index used to look up packages. Either a JSON API URL, a PEP 503 simple repository URL, or a directory of JSON metadata.'
+    });
+
+    yargs.option('package-index-type', {
+        type: 'string',
+        describe: 'Package index type. Inferred from --package-index if not given.',
+        choices: ['json', 'simple', 'directory']
+    });
+
+    yargs.option('pip-index-url', {
+        type: 'string',
+        describe: 'Index URL written into generated pip install commands. Derived from --package-index if not given.'
+    });
+
+    yargs.option('npm-registry', {
+        type: 'string',
+        describe: 'NPM registry used to look up and install packages. Defaults to https://registry.npmjs.org.'
+    });
+
+    yargs.option('request-concurrency', {
+        type: 'number',
+        describe: 'Maximum number of graph and package index calls running at once. Defaults to 8.'
+    });
+
+    yargs.option('request-timeout', {
+        type: 'number',
+        describe: 'Package index and registry request timeout in milliseconds. Defaults to 30000.'
+    });
+
+    yargs.option('retries', {
+        type: 'number',
+        describe: 'Maximum number of retries of a graph or package index call failing with a transient error. Defaults to 2.'
+    });
+
+    yargs.option('retry-delay', {
+        type: 'number',
+        describe: 'Delay before the first retry in milliseconds, doubled for each retry. Defaults to 500.'
+    });
+
+    yargs.option('cache', {
+        type: 'boolean',
+        describe: 'Cache graph and package index lookups on disk. Use --no-cache to bypass the cache.',
+        default: true
+    });
+
+    yargs.option('refresh-cache', {
+        type: 'boolean',
+        describe: 'Ignore cached lookups, and overwrite them with fresh results.',
+        default: false
+    });
+
+    yargs.option('clear-cache', {
+        type: 'boolean',
+        describe: 'Remove all cached lookups before dockerizing.',
+        default: false
+    });
+
+    yargs.option('cache-dir', {
+        type: 'string',
+        describe: 'Cache directory. Defaults to ~/.cache/dockerizeme.'
+    });
+
+    yargs.option('cache-ttl', {
+        type: 'number',
+        describe: 'Time to live for cached lookups, in seconds. Defaults to 7 days for graph lookups and 1 day for package index lookups.'
+    });
+
+}
+
+
+/**
+ * Read all of stdin.
+ *
+ * @returns {Promise.<Buffer>} Contents of stdin.
+ */
+function readStdin() {
+
+    return new Promise((resolve, reject) => {
+        let chunks = [];
+        process.stdin.on('data', chunk => chunks.push(chunk));
+        process.stdin.on('end', () => resolve(Buffer.concat(chunks)));
+        process.stdin.on('error', reject);
+    });
+
+}
+
+
+/**
+ * Get the options shared by the commands that dockerize packages. Options
+ * not given are filled in from the config file and environment.
+ *
+ * @param   {Object} argv Parsed arguments.
+ * @returns {Object}      Dockerize options.
+ */
+function getDockerizeOptions(argv) {
+
+    // Get language and inference options
+    let language = argv.language;
+    let only = argv.only;
+    let minConfidence = argv.minConfidence;
+    let minLift = argv.minLift;
+    let liftSigma = argv.liftSigma;
+    let maxAssocPerPackage = argv.maxAssocPerPackage;
+    let include = argv.include;
+    let exclude = argv.exclude;
+    let allCandidates = argv.allCandidates;
+    let maxDepth = argv.maxDepth;
+    let maxPackages = argv.maxPackages;
+    let pythonVersion = argv.pythonVersion;
+    let declared = argv.declared;
+    let pinVersions = argv.pinVersions;
+    let combineLayers = argv.combineLayers;
+    let asOf = argv.asOf;
+    let graph = argv.graph;
+    let graphType = argv.graphType;
+    let graphUser = argv.graphUser;
+    let graphPassword = argv.graphPassword;
+    let graphDatabase = argv.graphDatabase;
+    let graphEncrypted = argv.graphEncrypted;
+    let graphConnectionTimeout = argv.graphConnectionTimeout;
+    let graphQueryTimeout = argv.graphQueryTimeout;
+    let requireGraph = argv.requireGraph;
+    let packageIndex = argv.packageIndex;
+    let packageIndexType = argv.packageIndexType;
+    let pipIndexUrl = argv.pipIndexUrl;
+    let npmRegistry = argv.npmRegistry;
+    let requestConcurrency = argv.requestConcurrency;
+    let requestTimeout = argv.requestTimeout;
+    let retries = argv.retries;
+    let retryDelay = argv.retryDelay;
+
+    // Get cache options
+    let cacheMode = argv.cache ? (argv.refreshCache ? 'refresh' : 'use') : 'bypass';
+    let cacheDir = argv.cacheDir;
+    let cacheTtl = argv.cacheTtl;
+    let clearCache = argv.clearCache || undefined;
+
+    return config.resolve(_.omitBy({
+        config: argv.config,
+        language,
+        only,
+        minConfidence,
+        minLift,
+        liftSigma,
+        maxAssocPerPackage,
+        include,
+        exclude,
+        allCandidates,
+        maxDepth,
+        maxPackages,
+        pythonVersion,
+        declared,
+        pinVersions,
+        combineLayers,
+        asOf,
+        graph,
+        graphType,
+        graphUser,
+        graphPassword,
+        graphDatabase,
+        graphEncrypted,
+        graphConnectionTimeout,
+        graphQueryTimeout,
+        requireGraph,
+        packageIndex,
+        packageIndexType,
+        pipIndexUrl,
+        npmRegistry,
+        requestConcurrency,
+        requestTimeout,
+        retries,
+        retryDelay,
+        cacheMode,
+        cacheDir,
+        cacheTtl,
+        clearCache
+    }, _.isUndefined));
+
+}
 
 
 // Dockerize
 (async () => {
 
+    // Whether errors are written as JSON, following the output format
+    let json = false;
+
     try {
 
         yargs.command(
-            '* [package]',
-            'Dockerize a package',
+            '* [package..]',
+            'Dockerize a package, several files, or a snippet read from stdin (-)',
             (yargs) => {
 
-                yargs.option('language', {
-                    type: 'string',
-                    describe: 'Specify language',
-                    default: 'python'
-                });
+                addDockerizeOptions(yargs);
 
                 yargs.option('cmd', {
                     type: 'string',
@@ -40,43 +388,212 @@ const logger    = require('./logger');
                     describe: 'CMD arguments for the final Dockerfile.'
                 });
 
+                yargs.option('main', {
+                    type: 'string',
+                    describe: 'Entry point when dockerizing several files. Defaults to the first file.'
+                });
+
+                yargs.option('overrides', {
+                    type: 'string',
+                    describe: 'Overrides file with import mappings, versions, extra packages, ignored imports, image and CMD. Defaults to the .dockerizeme.yml of the package. Use --no-overrides to ignore it.'
+                });
+
                 yargs.option('format', {
                     type: 'string',
-                    describe: 'Output format: either a valid dockerfile, a semicolon delimited list of install commands, or JSON metadata about inference.',
+                    describe: 'Output format: either a valid dockerfile, a semicolon delimited list of install commands, JSON metadata about inference, JSON mismatches between declared and inferred dependencies, or an explanation of why each package is included.',
                     default: 'dockerfile',
-                    choices: ['dockerfile', 'install-commands', 'metadata']
+                    choices: ['dockerfile', 'install-commands', 'metadata', 'mismatches', 'explain']
+                });
+
+                yargs.option('explain', {
+                    type: 'boolean',
+                    describe: 'Explain why each package is included, tracing it back to the imports of the package. Same as --format explain.'
+                });
+
+                yargs.positional('package', {
+                    type: 'string',
+                    describe: 'Path to the code package to be dockerized, or paths of several files, relative to cwd. Use - to read a snippet from stdin.',
+                    default: '.'
+                });
+
+            }
+        );
+        yargs.command(
+            'batch <dir>',
+            'Dockerize every snippet directory in a corpus, such as hard-gists/',
+            (yargs) => {
+
+                addDockerizeOptions(yargs);
+
+                yargs.option('output-dir', {
+                    type: 'string',
+                    describe: 'Write each Dockerfile into the snippet\'s directory under this directory. Defaults to writing next to each snippet.'
                 });
 
-                yargs.option('verbose', {
+                yargs.option('concurrency', {
+                    type: 'number',
+                    describe: 'Number of snippets dockerized at once.',
+                    default: 4
+                });
+
+                yargs.option('write-metadata', {
                     type: 'boolean',
-                    describe: 'Enable logging to stderr.',
+                    describe: 'Write inference metadata to metadata.json next to each Dockerfile.',
                     default: false
                 });
 
-                yargs.option('only', {
+                yargs.option('resume', {
+                    type: 'boolean',
+                    describe: 'Skip snippets that succeeded in a previous run. Use --no-resume to start over.',
+                    default: true
+                });
+
+                yargs.option('report', {
                     type: 'string',
-                    describe: 'Rules to use for transitive dependency resolution.',
-                    choices: ['deps', 'assoc']
+                    describe: 'Report path, written as CSV if it ends with .csv and JSON otherwise. Defaults to report.json in the output directory.'
                 });
 
-                yargs.positional('package', {
+                yargs.positional('dir', {
                     type: 'string',
-                    describe: 'Path to the code package to be dockerized. Can be relative to cwd.',
-                    default: '.'
+                    describe: 'Corpus directory, with one subdirectory per snippet.'
+                });
+
+            }
+        );
+        yargs.command(
+            'evaluate <dir>',
+            'Evaluate inferred dependencies against the expected dependencies of each snippet in a corpus',
+            (yargs) => {
+
+                addDockerizeOptions(yargs);
+
+                yargs.option('expected', {
+                    type: 'string',
+                    describe: 'Expected dependency file in each snippet directory, with direct and transitive package lists.',
+                    default: 'expected.json'
+                });
+
+                yargs.option('concurrency', {
+                    type: 'number',
+                    describe: 'Number of snippets evaluated at once.',
+                    default: 4
+                });
+
+                yargs.option('output', {
+                    type: 'string',
+                    describe: 'Write the evaluation to this path as JSON, e.g. to compare with later.'
+                });
+
+                yargs.option('compare', {
+                    type: 'string',
+                    describe: 'Compare with a previous evaluation written with --output, side by side.'
+                });
+
+                yargs.option('format', {
+                    type: 'string',
+                    describe: 'Output format.',
+                    choices: [ 'table', 'json' ],
+                    default: 'table'
+                });
+
+                yargs.positional('dir', {
+                    type: 'string',
+                    describe: 'Corpus directory, with one subdirectory per snippet.'
+                });
+
+            }
+        );
+        yargs.command(
+            'serve',
+            'Start an HTTP server that dockerizes snippets posted to /dockerize',
+            (yargs) => {
+
+                addDockerizeOptions(yargs);
+
+                yargs.option('port', {
+                    type: 'number',
+                    describe: 'Port to listen on.',
+                    default: 8080
+                });
+
+                yargs.option('host', {
+                    type: 'string',
+                    describe: 'Host to listen on.',
+                    default: '127.0.0.1'
+                });
+
+                yargs.option('max-body-size', {
+                    type: 'number',
+                    describe: 'Maximum request body size in bytes.',
+                    default: 1024 * 1024
+                });
+
+                yargs.option('timeout', {
+                    type: 'number',
+                    describe: 'Maximum time to dockerize a request in milliseconds.',
+                    default: 60 * 1000
                 });
 
             }
         );
         yargs.wrap(yargs.terminalWidth());
         yargs.help();
+        yargs.fail((message, err) => {
+            throw err || new errors.InvalidOptionError(message);
+        });
         let argv = yargs.argv;
+        json = argv.format === 'metadata' || argv.format === 'json';
 
-        // If verbose, enable logging
+        // Set log level from the configuration. Verbose mode logs everything.
+        logger.level = config.load({
+            config: argv.config,
+            logLevel: argv.logLevel || (argv.verbose ? 'silly' : undefined)
+        }).logLevel;
         if (argv.verbose) {
-            logger.level = 'silly';
             logger.info('Verbose mode enabled. Logging to stderr.');
         }
 
+        // Batch
+        if (argv._[0] === 'batch') {
+            let report = await batch(_.assign(getDockerizeOptions(argv), _.omitBy({
+                dir: argv.dir,
+                outputDir: argv.outputDir,
+                concurrency: argv.concurrency,
+                writeMetadata: argv.writeMetadata,
+                resume: argv.resume,
+                report: argv.report
+            }, _.isUndefined)));
+            console.log(JSON.stringify(report.summary, null, 4));
+            return;
+        }
+
+        // Evaluate
+        if (argv._[0] === 'evaluate') {
+            let result = await evaluate(_.assign(getDockerizeOptions(argv), _.omitBy({
+                dir: argv.dir,
+                expected: argv.expected,
+                concurrency: argv.concurrency,
+                output: argv.output,
+                compare: argv.compare
+            }, _.isUndefined)));
+            console.log(argv.format === 'json' ? JSON.stringify(result, null, 4) : evaluate.formatTable(result));
+            return;
+        }
+
+        // Serve until stopped
+        if (argv._[0] === 'serve') {
+            let server = await serve(_.assign(getDockerizeOptions(argv), _.omitBy({
+                port: argv.port,
+                host: argv.host,
+                maxBodySize: argv.maxBodySize,
+                timeout: argv.timeout
+            }, _.isUndefined)));
+            let address = server.address();
+            console.log(`Listening on http://${address.address}:${address.port}`);
+            _.each(['SIGINT', 'SIGTERM'], signal => process.once(signal, () => server.close()));
+            return;
+        }
+
         // Get command
         let cmd;
         if (argv.cmd) {
@@ -86,20 +603,46 @@ const logger    = require('./logger');
             }, _.isUndefined);
         }
 
-        // Get language, package name, and version
-        let language = argv.language;
-        let only = argv.only;
-        let pkg = argv.package;
-        let format = argv.format;
+        // Get package, several files or a snippet from stdin, and format
+        // yargs drops a lone - from variadic positionals, so look for it among the positionals
+        // parsed with the command's options, where it can't be taken for an option value.
+        let packages = _.castArray(argv.package);
+        if (_.includes(yargsParser(process.argv.slice(2), yargs.getOptions())._, '-')) {
+            packages.push('-');
+        }
+        let pkg = packages.length === 1 ? packages[0] : packages;
+        let format = argv.explain ? 'explain' : argv.format;
+
+        // Write a snippet from stdin to a build context, kept to build the image from
+        let options = getDockerizeOptions(argv);
+        let context;
+        if (_.includes(packages, '-')) {
+            if (packages.length > 1) {
+                throw new errors.InvalidOptionError(
+                    'Cannot read a snippet from stdin (-) together with other files.',
+                    { option: 'package', value: packages }
+                );
+            }
+            ({ dir: context, pkg } = await buildContext.writeSnippet(await readStdin(), options.language));
+        }
 
         // Dockerize
-        let contents = await dockerize(_.omitBy({
+        let contents = await dockerize(_.assign(options, _.omitBy({
             pkg,
-            language,
+            main: argv.main,
+            overrides: argv.overrides,
+            context,
             cmd,
-            format,
-            only
-        }, _.isUndefined));
+            format
+        }, _.isUndefined)));
+
+        // Keep the Dockerfile with the snippet, ready to build
+        if (context) {
+            if (format === 'dockerfile') {
+                fs.writeFileSync(path.join(context, 'Dockerfile'), contents);
+            }
+            console.error(`Snippet written to build context ${context}`);
+        }
 
         // Print
         if (_.isObject(contents)) {
@@ -111,8 +654,20 @@ const logger    = require('./logger');
 
     }
     catch(e) {
-        logger.error(e);
-        process.exit(1);
+
+        // Report typed errors with their details and exit code, and anything else as a generic failure
+        let error = e instanceof errors.DockerizeError ? e : new errors.DockerizeError(e.message);
+        if (json) {
+            console.log(JSON.stringify({ error }, null, 4));
+        }
+        else if (error === e) {
+            logger.error(e.message, e.details);
+        }
+        else {
+            logger.error(e);
+        }
+        process.exit(error.exitCode);
+
     }
 
 })();
@@ -0,0 +1,75 @@
+/**
+ * Temporary docker build contexts, for packages that are not files on disk, such as
+ * snippets read from stdin or posted to the HTTP service.
+ *
+ * @module build-context
+ */
+
+
+// Core/NPM Modules
+const Bluebird        = require('bluebird');
+const fs              = require('fs');
+const os              = require('os');
+const path            = require('path');
+
+
+// Local Modules
+const StrategyFactory = require('./strategy-factory');
+
+
+// Constants
+const PREFIX  = 'dockerizeme-';
+const SNIPPET = 'snippet';
+
+
+// Factory
+const factory = new StrategyFactory();
+
+
+/**
+ * Create an empty build context directory.
+ *
+ * @returns {Promise.<String>} Build context directory.
+ */
+async function create() {
+    return Bluebird.fromCallback(cb => fs.mkdtemp(path.join(os.tmpdir(), PREFIX), cb));
+}
+
+
+/**
+ * Write a snippet into a new build context, named `snippet` with the language's file extension.
+ *
+ * @param   {String|Buffer}    source   Snippet source.
+ * @param   {String}           language Snippet language.
+ * @returns {Promise.<Object>}          Build context `dir` and snippet path `pkg`.
+ */
+async function writeSnippet(source, language) {
+
+    let strategy = await factory.getLanguageStrategy(language);
+    let dir = await create();
+    let pkg = path.join(dir, SNIPPET + strategy.extension);
+    await Bluebird.fromCallback(cb => fs.writeFile(pkg, source, cb));
+    return { dir, pkg };
+
+}
+
+
+/**
+ * Recursively remove a build context, or any file or directory.
+ *
+ * @param   {String}  filename Path to remove.
+ * @returns {Promise}
+ */
+async function remove(filename) {
+
+    await Bluebird.fromCallback(cb => fs.rm(filename, { recursive: true }, cb));
+
+}
+
+
+// Export
+module.exports = {
+    create,
+    writeSnippet,
+    remove
+};
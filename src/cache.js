@@ -0,0 +1,232 @@
+/**
+ * Persistent lookup cache.
+ *
+ * @module cache
+ */
+
+
+// Core/NPM Modules
+const _        = require('lodash');
+const Bluebird = require('bluebird');
+const crypto   = require('crypto');
+const fs       = require('fs');
+const os       = require('os');
+const path     = require('path');
+
+
+// Local Modules
+const errors   = require('./errors');
+const logger   = require('./logger');
+
+
+// Constants
+const CACHE_MODES = ['use', 'bypass', 'refresh'];
+const DEFAULT_DIR = path.join(os.homedir(), '.cache', 'dockerizeme');
+const DEFAULT_TTL = {
+    graph: 7 * 24 * 60 * 60,
+    index: 24 * 60 * 60
+};
+
+
+// Shared caches, keyed by directory and mode
+const caches = new Map();
+
+
+/**
+ * Cache class. Entries are JSON files grouped by namespace under a cache directory,
+ * and are also kept in memory so repeated lookups within a process are free.
+ *
+ * @property {String} dir     Cache directory.
+ * @property {String} mode    One of `use` (read and write), `bypass` (memory only, the disk is neither read nor written)
+ *                            or `refresh` (write only).
+ * @property {Object} ttl     Time to live in seconds, keyed by namespace.
+ * @property {Map}    memory  In memory entries, keyed by namespace and hashed key.
+ * @property {Map}    pending Lookups being computed, keyed like memory entries.
+ */
+class Cache {
+
+    /**
+     * Construct a new cache.
+     *
+     * @param {Object}        options      Options object.
+     * @param {String}        options.dir  Cache directory.
+     * @param {String}        options.mode Cache mode.
+     * @param {Number|Object} options.ttl  Time to live in seconds, for all namespaces or keyed by namespace.
+     */
+    constructor(options = {}) {
+
+        // Validate options
+        if (options.mode && !_.includes(CACHE_MODES, options.mode)) {
+            throw new errors.InvalidOptionError(
+                `Invalid cache mode: '${options.mode}'. Must be one of {${CACHE_MODES.join(', ')}}.`,
+                { option: 'cacheMode', value: options.mode }
+            );
+        }
+
+        this.dir = path.resolve(options.dir || DEFAULT_DIR);
+        this.mode = options.mode || 'use';
+        this.ttl = _.isNumber(options.ttl) ? _.mapValues(DEFAULT_TTL, () => options.ttl) : _.defaults({}, options.ttl, DEFAULT_TTL);
+        this.memory = new Map();
+        this.pending = new Map();
+
+    }
+
+    /**
+     * Get a shared cache for dockerize options.
+     *
+     * @param   {Object} options           Options object.
+     * @param   {String} options.cacheDir  Cache directory.
+     * @param   {String} options.cacheMode Cache mode.
+     * @param   {Number} options.cacheTtl  Time to live in seconds for all namespaces.
+     * @returns {Cache}                    Shared cache.
+     */
+    static fromOptions(options = {}) {
+
+        let key = JSON.stringify([options.cacheDir || DEFAULT_DIR, options.cacheMode || 'use', options.cacheTtl]);
+        if (!caches.has(key)) {
+            caches.set(key, new Cache({ dir: options.cacheDir, mode: options.cacheMode, ttl: options.cacheTtl }));
+        }
+        return caches.get(key);
+
+    }
+
+    /**
+     * Hash a key.
+     *
+     * @param   {*}      key Any JSON serializable key.
+     * @returns {String}     Hex digest.
+     */
+    hash(key) {
+
+        return crypto.createHash('sha1').update(JSON.stringify(key)).digest('hex');
+
+    }
+
+    /**
+     * Get the file used to store an entry.
+     *
+     * @param   {String} namespace Cache namespace.
+     * @param   {String} hash      Hashed key.
+     * @returns {String}           Entry path.
+     */
+    getEntryPath(namespace, hash) {
+
+        return path.join(this.dir, namespace, hash.slice(0, 2), `${hash}.json`);
+
+    }
+
+    /**
+     * Read an entry. Resolves to undefined on a miss or an expired entry.
+     *
+     * @param   {String}       namespace Cache namespace.
+     * @param   {*}            key       Entry key.
+     * @returns {Promise.<*>}            Cached value.
+     */
+    async get(namespace, key) {
+
+        // Never read when refreshing
+        if (this.mode === 'refresh') return;
+
+        // Check memory
+        let hash = this.hash(key);
+        let id = `${namespace}/${hash}`;
+        if (this.memory.has(id)) return this.memory.get(id);
+
+        // Only read the disk when using the cache
+        if (this.mode !== 'use') return;
+
+        // Check disk
+        let entry;
+        try {
+            let contents = await Bluebird.fromCallback(cb => fs.readFile(this.getEntryPath(namespace, hash), 'utf8', cb));
+            entry = JSON.parse(contents);
+        }
+        catch (err) {
+            return;
+        }
+
+        // Check expiry
+        let ttl = _.get(this.ttl, namespace, 0);
+        if (Date.now() - entry.created > ttl * 1000) {
+            logger.debug('Cache entry expired:', namespace, key);
+            return;
+        }
+
+        this.memory.set(id, entry.value);
+        return entry.value;
+
+    }
+
+    /**
+     * Write an entry.
+     *
+     * @param   {String}        namespace Cache namespace.
+     * @param   {*}             key       Entry key.
+     * @param   {*}             value     JSON serializable value. Null is a valid value.
+     * @returns {Promise.<*>}             Value.
+     */
+    async set(namespace, key, value) {
+
+        // Write to memory
+        let hash = this.hash(key);
+        this.memory.set(`${namespace}/${hash}`, value);
+
+        // Never write to disk when bypassing
+        if (this.mode === 'bypass') return value;
+
+        // Write to disk. Rename so concurrent readers never see a partial file.
+        // Failures are logged but never fail a lookup.
+        let filename = this.getEntryPath(namespace, hash);
+        let tmp = `${filename}.${process.pid}.tmp`;
+        try {
+            await Bluebird.fromCallback(cb => fs.mkdir(path.dirname(filename), { recursive: true }, cb));
+            await Bluebird.fromCallback(cb => fs.writeFile(tmp, JSON.stringify({ key, created: Date.now(), value }), cb));
+            await Bluebird.fromCallback(cb => fs.rename(tmp, filename, cb));
+        }
+        catch (err) {
+            logger.warn('Unable to write cache entry:', filename, err.message);
+        }
+
+        return value;
+
+    }
+
+    /**
+     * Look up an entry, computing and storing it on a miss. Concurrent lookups of the
+     * same entry share one computation.
+     *
+     * @param   {String}      namespace Cache namespace.
+     * @param   {*}           key       Entry key.
+     * @param   {Function}    fn        Async function computing the value.
+     * @returns {Promise.<*>}           Cached or computed value.
+     */
+    async wrap(namespace, key, fn) {
+
+        let id = `${namespace}/${this.hash(key)}`;
+        if (!this.pending.has(id)) {
+            this.pending.set(id, Bluebird.resolve(this.get(namespace, key))
+                .then(async value => _.isUndefined(value) ? this.set(namespace, key, await fn()) : value)
+                .finally(() => this.pending.delete(id)));
+        }
+        return this.pending.get(id);
+
+    }
+
+    /**
+     * Remove all entries, in memory and on disk.
+     *
+     * @returns {Promise}
+     */
+    async clear() {
+
+        logger.info('Clearing cache:', this.dir);
+        this.memory.clear();
+        await Bluebird.fromCallback(cb => fs.rm(this.dir, { recursive: true, force: true }, cb));
+
+    }
+
+}
+
+
+// Export
+module.exports = Cache;
@@ -0,0 +1,219 @@
+/**
+ * Layered configuration of connection settings and defaults. Each layer overrides the previous one:
+ *
+ *     1. Defaults.
+ *     2. The config file, `~/.config/dockerizeme/config.yml` unless `DOCKERIZEME_CONFIG` is set.
+ *     3. `DOCKERIZEME_*` environment variables, e.g. `DOCKERIZEME_GRAPH_USER` for `graphUser`.
+ *     4. Options, e.g. CLI flags.
+ *
+ * The config file uses the option names, in camelCase or kebab-case:
+ *
+ *     graph: bolt://neo4j.example.com:7687
+ *     graph-user: neo4j
+ *     graph-encrypted: true
+ *     package-index: https://pypi.org/pypi
+ *
+ * @module config
+ */
+
+
+// Core/NPM Modules
+const _      = require('lodash');
+const fs     = require('fs');
+const os     = require('os');
+const path   = require('path');
+const yaml   = require('js-yaml');
+
+
+// Local Modules
+const errors = require('./errors');
+
+
+// Constants
+const ENV_PREFIX = 'DOCKERIZEME_';
+const LOG_LEVELS = ['error', 'warn', 'info', 'verbose', 'debug', 'silly'];
+const TYPES      = {
+    language: 'string',
+    logLevel: 'string',
+    graph: 'string',
+    graphType: 'string',
+    graphUser: 'string',
+    graphPassword: 'string',
+    graphDatabase: 'string',
+    graphEncrypted: 'boolean',
+    graphConnectionTimeout: 'number',
+    graphQueryTimeout: 'number',
+    packageIndex: 'string',
+    packageIndexType: 'string',
+    pipIndexUrl: 'string',
+    npmRegistry: 'string',
+    requestConcurrency: 'number',
+    requestTimeout: 'number',
+    retries: 'number',
+    retryDelay: 'number'
+};
+const DEFAULTS   = {
+    language: 'python',
+    logLevel: 'error',
+    graph: 'bolt://localhost:7687',
+    packageIndex: 'https://pypi.python.org/pypi',
+    npmRegistry: 'https://registry.npmjs.org',
+    requestConcurrency: 8,
+    requestTimeout: 30000,
+    retries: 2,
+    retryDelay: 500
+};
+
+
+/**
+ * Get the path of the config file.
+ *
+ * @param   {Object} env Environment variables. Defaults to the process environment.
+ * @returns {String}     Config file path.
+ */
+function getConfigFile(env = process.env) {
+
+    if (env[ENV_PREFIX + 'CONFIG']) return path.resolve(env[ENV_PREFIX + 'CONFIG']);
+    let base = env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
+    return path.join(base, 'dockerizeme', 'config.yml');
+
+}
+
+
+/**
+ * Convert a setting to its type, or throw if it can't be.
+ *
+ * @param   {String}             key    Setting name.
+ * @param   {*}                  value  Setting value, possibly a string read from the environment.
+ * @param   {String}             source Where the value was read, used in errors.
+ * @returns {*}                         Converted value.
+ * @throws  {InvalidOptionError}        If the value is not of the setting's type.
+ */
+function convert(key, value, source) {
+
+    let invalid = type => new errors.InvalidOptionError(
+        `Invalid value for ${key} in ${source}: '${value}'. Must be ${type}.`,
+        { option: key, value, source }
+    );
+
+    switch (TYPES[key]) {
+        case 'boolean':
+            if (_.isBoolean(value)) return value;
+            if (/^(true|yes|on|1)$/i.test(value)) return true;
+            if (/^(false|no|off|0)$/i.test(value)) return false;
+            throw invalid('a boolean');
+        case 'number':
+            if (!(_.isFinite(Number(value)) && Number(value) >= 0 && value !== '')) throw invalid('a non-negative number');
+            return Number(value);
+        default:
+            if (!(_.isString(value) || _.isNumber(value))) throw invalid('a string');
+            return String(value);
+    }
+
+}
+
+
+/**
+ * Read settings from a config file.
+ *
+ * @param   {String}             filename Config file.
+ * @param   {Boolean}            required Throw if the file doesn't exist, rather than reading no settings.
+ * @returns {Object}                      Settings.
+ * @throws  {InvalidOptionError}          If the file can't be read or is invalid.
+ */
+function readFile(filename, required = false) {
+
+    let invalid = message => new errors.InvalidOptionError(
+        `Invalid config file ${filename}: ${message}`, { option: 'config', value: filename }
+    );
+
+    let data;
+    try {
+        data = yaml.safeLoad(fs.readFileSync(filename, 'utf8')) || {};
+    }
+    catch (err) {
+        if (err.code === 'ENOENT' && !required) return {};
+        throw invalid(err.message);
+    }
+    if (!_.isPlainObject(data)) throw invalid('Must be a mapping.');
+
+    data = _.mapKeys(data, (v, k) => _.camelCase(k));
+    let unknown = _.difference(_.keys(data), _.keys(TYPES));
+    if (unknown.length) throw invalid(`Unknown keys {${unknown.join(', ')}}. Must be some of {${_.keys(TYPES).join(', ')}}.`);
+    return _.mapValues(_.omitBy(data, _.isNil), (v, k) => convert(k, v, filename));
+
+}
+
+
+/**
+ * Read settings from `DOCKERIZEME_*` environment variables.
+ *
+ * @param   {Object} env Environment variables. Defaults to the process environment.
+ * @returns {Object}     Settings.
+ */
+function readEnv(env = process.env) {
+
+    let settings = {};
+    for (let key of _.keys(TYPES)) {
+        let name = ENV_PREFIX + _.snakeCase(key).toUpperCase();
+        if (!_.isUndefined(env[name]) && env[name] !== '') settings[key] = convert(key, env[name], name);
+    }
+    return settings;
+
+}
+
+
+/**
+ * Load the configuration, layering defaults, the config file, environment variables and options.
+ *
+ * @param   {Object}             options        Options overriding the configuration. Undefined options are ignored.
+ * @param   {String}             options.config Config file. Defaults to `DOCKERIZEME_CONFIG`, or `~/.config/dockerizeme/config.yml`.
+ * @param   {Object}             env            Environment variables. Defaults to the process environment.
+ * @returns {Object}                            Settings, with the config `file` read.
+ * @throws  {InvalidOptionError}                If a setting is invalid.
+ */
+function load(options = {}, env = process.env) {
+
+    let file = options.config ? path.resolve(options.config) : getConfigFile(env);
+    let settings = _.assign(
+        {},
+        DEFAULTS,
+        readFile(file, !!(options.config || env[ENV_PREFIX + 'CONFIG'])),
+        readEnv(env),
+        _.omitBy(_.pick(options, _.keys(TYPES)), _.isUndefined)
+    );
+
+    if (!_.includes(LOG_LEVELS, settings.logLevel)) {
+        throw new errors.InvalidOptionError(
+            `Invalid value for logLevel: '${settings.logLevel}'. Must be one of {${LOG_LEVELS.join(', ')}}.`,
+            { option: 'logLevel', value: settings.logLevel }
+        );
+    }
+    return _.assign({ file }, settings);
+
+}
+
+
+/**
+ * Fill in options from the configuration. Options that are set take precedence.
+ *
+ * @param   {Object} options Options.
+ * @param   {Object} env     Environment variables. Defaults to the process environment.
+ * @returns {Object}         New options object.
+ */
+function resolve(options = {}, env = process.env) {
+
+    return _.assign({}, options, _.omit(load(options, env), 'file'));
+
+}
+
+
+// Export
+module.exports = {
+    DEFAULTS,
+    getConfigFile,
+    readFile,
+    readEnv,
+    load,
+    resolve
+};
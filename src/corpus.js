@@ -0,0 +1,46 @@
+/**
+ * @module corpus
+ */
+
+
+// Core/NPM Modules
+const fs   = require('fs');
+const path = require('path');
+const _    = require('lodash');
+
+
+// Local Modules
+const errors = require('./errors');
+
+
+/**
+ * Find the snippets in a corpus directory, such as `hard-gists/`. Each subdirectory is
+ * one snippet. The package to dockerize is the `snippet.*` file in the directory if there
+ * is one, otherwise the directory itself. Hidden directories are skipped.
+ *
+ * @param   {String}         dir Corpus directory.
+ * @returns {Array.<Object>}     Snippets with an `id`, its `dir` and the `pkg` to dockerize, in a stable order.
+ */
+function findSnippets(dir) {
+
+    if (!dir || !fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) {
+        throw new errors.InvalidOptionError(`Invalid corpus directory: '${dir}'.`, { option: 'dir', value: dir });
+    }
+    dir = path.resolve(dir);
+
+    let names = _.filter(fs.readdirSync(dir).sort(), name =>
+        name[0] !== '.' && fs.statSync(path.join(dir, name)).isDirectory()
+    );
+
+    return _.map(names, (name) => {
+        let snippet = _.find(fs.readdirSync(path.join(dir, name)).sort(), f => /^snippet\./.test(f));
+        return { id: name, dir: path.join(dir, name), pkg: path.join(dir, name, snippet || '') };
+    });
+
+}
+
+
+// Export
+module.exports = {
+    findSnippets
+};
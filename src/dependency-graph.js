@@ -0,0 +1,142 @@
+/**
+ * @module dependency-graph
+ */
+
+
+// Core/NPM Modules
+const _ = require('lodash');
+
+
+/**
+ * Dependency graph of the packages explored during inference. Each edge goes from a
+ * package to one of its dependencies, so dependencies must be installed first. Nodes
+ * and edges keep their insertion order, which makes the install order deterministic.
+ *
+ * @property {Map} nodes Node values keyed by id.
+ * @property {Map} edges Sets of dependency ids keyed by node id.
+ */
+class DependencyGraph {
+
+    /**
+     * Create an empty dependency graph.
+     */
+    constructor() {
+        this.nodes = new Map();
+        this.edges = new Map();
+    }
+
+    /**
+     * Add a node, or update its value if it exists.
+     *
+     * @param   {String} id    Node id.
+     * @param   {*}      value Node value.
+     * @returns {String}       Node id.
+     */
+    addNode(id, value) {
+        this.nodes.set(id, value);
+        if (!this.edges.has(id)) this.edges.set(id, new Set());
+        return id;
+    }
+
+    /**
+     * Add an edge from a package to one of its dependencies. Edges to a dependency
+     * that is never added as a node, e.g. because it was filtered out, are ignored.
+     *
+     * @param {String} from Id of the depending package.
+     * @param {String} to   Id of the dependency.
+     */
+    addEdge(from, to) {
+        if (!this.edges.has(from)) this.edges.set(from, new Set());
+        this.edges.get(from).add(to);
+    }
+
+    /**
+     * Get the dependencies of a node that are in the graph.
+     *
+     * @param   {String}         id Node id.
+     * @returns {Array.<String>}    Dependency ids.
+     */
+    getDependencies(id) {
+        return _.filter([...(this.edges.get(id) || [])], dep => this.nodes.has(dep));
+    }
+
+    /**
+     * Get the strongly connected components of the graph using Tarjan's algorithm.
+     * Components are returned dependencies first, i.e. in a topological order of the
+     * graph where each cycle is collapsed into one component. Within a component, ids
+     * are in insertion order.
+     *
+     * @returns {Array.<Array.<String>>} Node ids of each component.
+     */
+    components() {
+
+        let index = new Map();
+        let lowlink = new Map();
+        let stack = [];
+        let onStack = new Set();
+        let components = [];
+        let order = _.fromPairs(_.map([...this.nodes.keys()], (id, i) => [id, i]));
+
+        let connect = (id) => {
+
+            index.set(id, index.size);
+            lowlink.set(id, index.get(id));
+            stack.push(id);
+            onStack.add(id);
+
+            for (let dep of this.getDependencies(id)) {
+                if (!index.has(dep)) {
+                    connect(dep);
+                    lowlink.set(id, Math.min(lowlink.get(id), lowlink.get(dep)));
+                }
+                else if (onStack.has(dep)) {
+                    lowlink.set(id, Math.min(lowlink.get(id), index.get(dep)));
+                }
+            }
+
+            // Root of a component, pop it off the stack
+            if (lowlink.get(id) === index.get(id)) {
+                let component = [];
+                let member;
+                do {
+                    member = stack.pop();
+                    onStack.delete(member);
+                    component.push(member);
+                } while (member !== id);
+                components.push(_.sortBy(component, m => order[m]));
+            }
+
+        };
+
+        for (let id of this.nodes.keys()) {
+            if (!index.has(id)) connect(id);
+        }
+        return components;
+
+    }
+
+    /**
+     * Get the components that form a cycle: several packages depending on each other,
+     * or a package depending on itself.
+     *
+     * @returns {Array.<Array.<String>>} Node ids of each cycle, dependencies first.
+     */
+    cycles() {
+        return _.filter(this.components(), c => c.length > 1 || _.includes(this.getDependencies(c[0]), c[0]));
+    }
+
+    /**
+     * Get the node ids in install order, dependencies first. The packages of a cycle
+     * are adjacent.
+     *
+     * @returns {Array.<String>} Node ids.
+     */
+    order() {
+        return _.flatten(this.components());
+    }
+
+}
+
+
+// Export
+module.exports = DependencyGraph;
@@ -0,0 +1,156 @@
+/**
+ * Error classes, one per failure mode. Each error carries structured `details`, a stable
+ * `code` and the `exitCode` of the CLI.
+ *
+ *     Exit code  Class                     Code
+ *     1          DockerizeError            DOCKERIZE_FAILED
+ *     2          InvalidOptionError        INVALID_OPTION
+ *     3          UnsupportedLanguageError  UNSUPPORTED_LANGUAGE
+ *     3          UnsupportedSystemError    UNSUPPORTED_SYSTEM
+ *     4          ParseError                PARSE_FAILED
+ *     5          GraphError                GRAPH_UNAVAILABLE
+ *     6          PackageIndexError         PACKAGE_INDEX_UNAVAILABLE
+ *
+ * Errors that may not happen again, e.g. timeouts, are `transient` and are retried by the scheduler.
+ *
+ * @module errors
+ */
+
+
+// Core/NPM Modules
+const _ = require('lodash');
+
+
+// Constants
+const TRANSIENT_NETWORK_CAUSES = ['ETIMEDOUT', 'ESOCKETTIMEDOUT', 'ECONNRESET', 'EPIPE', 'EAI_AGAIN'];
+const TRANSIENT_GRAPH_CAUSES   = ['TIMEOUT', 'ServiceUnavailable', 'SessionExpired'];
+
+
+/**
+ * Base class of dockerization errors. Other failures are reported with this class's code.
+ *
+ * @property {String} name    Class name.
+ * @property {Object} details Structured details of the failure.
+ */
+class DockerizeError extends Error {
+
+    /**
+     * Construct a new error.
+     *
+     * @param {String} message Error message.
+     * @param {Object} details Structured details of the failure.
+     */
+    constructor(message, details = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.details = details;
+    }
+
+    /**
+     * Stable error code.
+     *
+     * @returns {String} Error code.
+     */
+    get code() { return 'DOCKERIZE_FAILED'; }
+
+    /**
+     * Exit code of the CLI.
+     *
+     * @returns {Number} Exit code.
+     */
+    get exitCode() { return 1; }
+
+    /**
+     * Whether the failure may not happen again, so that retrying may succeed.
+     *
+     * @returns {Boolean} True iff the failure is transient.
+     */
+    get transient() { return false; }
+
+    /**
+     * Convert to a JSON serializable object.
+     *
+     * @returns {Object} Object with `name`, `code`, `message` and `details` keys.
+     */
+    toJSON() {
+        return { name: this.name, code: this.code, message: this.message, details: this.details };
+    }
+
+}
+
+
+/**
+ * An option or argument is invalid. Details are the `option` and its `value`, when known.
+ */
+class InvalidOptionError extends DockerizeError {
+    get code() { return 'INVALID_OPTION'; }
+    get exitCode() { return 2; }
+}
+
+
+/**
+ * No strategy exists for a language. Details are the `language`.
+ */
+class UnsupportedLanguageError extends DockerizeError {
+    get code() { return 'UNSUPPORTED_LANGUAGE'; }
+    get exitCode() { return 3; }
+}
+
+
+/**
+ * No strategy exists for a package system. Details are the `system`.
+ */
+class UnsupportedSystemError extends DockerizeError {
+    get code() { return 'UNSUPPORTED_SYSTEM'; }
+    get exitCode() { return 3; }
+}
+
+
+/**
+ * A package could not be parsed, e.g. because the parser failed or no interpreter was found.
+ * Details are the `pkg` and the parser's `stderr`, when known.
+ */
+class ParseError extends DockerizeError {
+    get code() { return 'PARSE_FAILED'; }
+    get exitCode() { return 4; }
+}
+
+
+/**
+ * The knowledge graph could not be loaded or queried. Details are the `graph` location and its `type`,
+ * and the error `cause`, when known. Timeouts, lost connections and Neo4j transient errors are transient.
+ */
+class GraphError extends DockerizeError {
+    get code() { return 'GRAPH_UNAVAILABLE'; }
+    get exitCode() { return 5; }
+    get transient() {
+        let cause = String(this.details.cause);
+        return _.includes(TRANSIENT_GRAPH_CAUSES, cause) || _.startsWith(cause, 'Neo.TransientError.');
+    }
+}
+
+
+/**
+ * A package index or registry could not be read. Details are the `index` location, the `package`
+ * and the HTTP `statusCode` or error `cause`, when known.
+ */
+class PackageIndexError extends DockerizeError {
+    get code() { return 'PACKAGE_INDEX_UNAVAILABLE'; }
+    get exitCode() { return 6; }
+    get transient() {
+        let status = this.details.statusCode;
+        return status === 429 || status >= 500 || _.includes(TRANSIENT_NETWORK_CAUSES, this.details.cause);
+    }
+}
+
+
+// Export
+module.exports = {
+    DockerizeError,
+    InvalidOptionError,
+    UnsupportedLanguageError,
+    UnsupportedSystemError,
+    ParseError,
+    GraphError,
+    PackageIndexError
+};
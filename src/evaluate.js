@@ -0,0 +1,381 @@
+/**
+ * @module evaluate
+ */
+
+
+// Core/NPM Modules
+const Bluebird        = require('bluebird');
+const fs              = require('fs');
+const path            = require('path');
+const _               = require('lodash');
+
+
+// Local Modules
+const Cache           = require('./cache');
+const corpus          = require('./corpus');
+const StrategyFactory = require('./strategy-factory');
+const config          = require('./config');
+const errors          = require('./errors');
+const logger          = require('./logger');
+
+
+// Constants
+const EXPECTED            = 'expected.json';
+const DEFAULT_CONCURRENCY = 4;
+const KINDS               = ['direct', 'transitive', 'all'];
+const METRICS             = ['precision', 'recall', 'f1'];
+const CONFIG_OPTIONS      = [
+    'language', 'only', 'include', 'exclude', 'allCandidates', 'maxDepth', 'maxPackages', 'minConfidence', 'minLift',
+    'liftSigma', 'maxAssocPerPackage', 'pythonVersion', 'graph', 'graphType', 'packageIndex', 'packageIndexType'
+];
+
+
+// Factory
+const factory = new StrategyFactory();
+
+
+/**
+ * Evaluate the accuracy of dependency inference against the expected dependencies of each
+ * snippet in a corpus, such as `hard-gists/`.
+ *
+ * Each subdirectory of `dir` with an expected dependency file is one snippet, see
+ * corpus.findSnippets. The expected dependency file is a JSON object with `direct` and
+ * `transitive` lists of packages, given as `name` or `system:name`. Names are normalized
+ * by their package systems before comparing.
+ *
+ * Precision, recall and F1 are reported per snippet and aggregated over the corpus, for
+ * the direct dependencies, the transitive dependencies and `all` of them. The micro average
+ * sums the counts of all snippets, the macro average is the mean of the snippet scores.
+ * Snippets that fail are reported, but not aggregated. Declared dependencies and versions
+ * are not evaluated.
+ *
+ * To compare two runs or configurations, write the result of one with `output` and pass it
+ * as `compare` to the other. The result then has a `comparison` of both summaries side by
+ * side, with the differences and the snippets whose scores changed.
+ *
+ * @param   {Object}           options             Evaluation options. Other options are passed to each inference.
+ * @param   {String}           options.dir         Corpus directory.
+ * @param   {String}           options.expected    Expected dependency file name in each snippet directory.
+ *                                                 Defaults to `expected.json`.
+ * @param   {Number}           options.concurrency Number of snippets evaluated at once. Defaults to 4.
+ * @param   {String}           options.output      Path to write the result to, as JSON.
+ * @param   {String}           options.compare     Path to the result of a previous evaluation to compare with.
+ * @returns {Promise.<Object>}                     Result with the `config`, a `summary`, one item per snippet
+ *                                                 and, when comparing, a `comparison`.
+ */
+module.exports = async function(options = {}) {
+
+    // Validate options
+    let concurrency = _.isNil(options.concurrency) ? DEFAULT_CONCURRENCY : options.concurrency;
+    if (!(_.isInteger(concurrency) && concurrency > 0)) {
+        throw new errors.InvalidOptionError(
+            `Invalid value for concurrency: '${options.concurrency}'. Must be a positive integer.`,
+            { option: 'concurrency', value: options.concurrency }
+        );
+    }
+    let baseline = options.compare ? await readResult(options.compare) : null;
+
+    // Find snippets with expected dependencies
+    let dir = path.resolve(options.dir);
+    let expectedFile = options.expected || EXPECTED;
+    let snippets = _.filter(corpus.findSnippets(dir), s => fs.existsSync(path.join(s.dir, expectedFile)));
+    if (_.isEmpty(snippets)) {
+        throw new errors.InvalidOptionError(`No snippets in ${dir} have a ${expectedFile} file.`, { option: 'dir', value: dir });
+    }
+    logger.info(`Evaluating ${snippets.length} snippets in ${dir}.`);
+
+    // Clear cache once, rather than per snippet
+    if (options.clearCache) {
+        await Cache.fromOptions(options).clear();
+    }
+
+    // Infer with a shared graph store
+    let started = Date.now();
+    let strategy = await factory.getLanguageStrategy(options.language || config.DEFAULTS.language);
+    let store = await strategy.getSharedGraphStore(options);
+    let inferOptions = _.assign(_.omit(options, ['dir', 'expected', 'concurrency', 'output', 'compare', 'clearCache']), {
+        pinVersions: false,
+        declared: false,
+        graphStore: store
+    });
+    let items;
+
+    try {
+
+        items = await Bluebird.map(snippets, async (snippet) => {
+
+            let start = Date.now();
+            let item = { id: snippet.id, package: path.relative(dir, snippet.pkg) || '.' };
+
+            try {
+
+                let expected = await readExpected(strategy, path.join(snippet.dir, expectedFile));
+                let metadata = await strategy.inferDependencies(snippet.pkg, inferOptions);
+                let inferred = {
+                    direct: await getPackageIds(strategy, metadata.directDependencies.items),
+                    transitive: await getPackageIds(strategy, metadata.transitiveDependencies.items)
+                };
+                inferred.all = _.union(inferred.direct, inferred.transitive);
+
+                item.status = 'success';
+                for (let kind of KINDS) {
+                    item[kind] = score(expected[kind], inferred[kind]);
+                }
+
+            }
+            catch (err) {
+                logger.warn(`Unable to evaluate ${snippet.id}:`, err.message);
+                _.assign(item, { status: 'error', error: err.message });
+            }
+
+            item.duration = Date.now() - start;
+            return item;
+
+        }, { concurrency });
+
+    }
+    finally {
+        if (store) await store.close();
+    }
+
+    // Summarize
+    let scored = _.filter(items, ['status', 'success']);
+    let result = {
+        config: _.pick(options, CONFIG_OPTIONS),
+        summary: _.assign({
+            dir,
+            total: items.length,
+            success: scored.length,
+            error: items.length - scored.length,
+            duration: Date.now() - started
+        }, _.fromPairs(_.map(KINDS, kind => [kind, aggregate(_.map(scored, kind))]))),
+        items
+    };
+    if (baseline) {
+        result.comparison = compare(baseline, result);
+    }
+
+    // Write result
+    if (options.output) {
+        let output = path.resolve(options.output);
+        await Bluebird.fromCallback(cb => fs.writeFile(output, JSON.stringify(result, null, 4), cb));
+        logger.info(`Wrote evaluation to ${output}.`);
+    }
+
+    return result;
+
+};
+
+
+/**
+ * Format the summary of an evaluation as a text table, with one row per dependency kind and
+ * average. When the evaluation has a comparison, the baseline, current and difference of each
+ * metric are shown side by side.
+ *
+ * @param   {Object} result Evaluation result.
+ * @returns {String}        Table text.
+ */
+module.exports.formatTable = function(result) {
+
+    let fixed = v => _.isNil(v) ? '-' : v.toFixed(3);
+    let signed = v => _.isNil(v) ? '-' : (v > 0 ? '+' : '') + v.toFixed(3);
+    let comparison = result.comparison;
+
+    // Header
+    let header = ['', ''];
+    for (let metric of METRICS) {
+        header = header.concat(comparison ? [`${metric} (baseline)`, metric, 'delta'] : [metric]);
+    }
+
+    // Rows
+    let rows = [];
+    for (let kind of KINDS) {
+        for (let average of ['micro', 'macro']) {
+            let row = [kind, average];
+            for (let metric of METRICS) {
+                let current = _.get(result.summary, [kind, average, metric]);
+                row = row.concat(comparison ? [
+                    fixed(_.get(comparison.baseline, [kind, average, metric])),
+                    fixed(current),
+                    signed(_.get(comparison.delta, [kind, average, metric]))
+                ] : [fixed(current)]);
+            }
+            rows.push(row);
+        }
+    }
+
+    // Align columns
+    let table = [header].concat(rows);
+    let widths = _.map(header, (h, i) => _.max(_.map(table, row => row[i].length)));
+    let lines = _.map(table, row => _.trimEnd(_.map(row, (cell, i) => _.padEnd(cell, widths[i])).join('  ')));
+
+    // Changed snippets
+    if (comparison && !_.isEmpty(comparison.items)) {
+        lines.push('', 'Changed snippets (all f1):');
+        for (let item of comparison.items) {
+            lines.push(`  ${item.id}: ${fixed(item.all.baseline)} -> ${fixed(item.all.current)}`);
+        }
+    }
+
+    let counts = `${result.summary.success} of ${result.summary.total} snippets evaluated`;
+    return [counts, ''].concat(lines).join('\n');
+
+};
+
+
+/**
+ * Read the expected dependencies of a snippet.
+ *
+ * @param   {LanguageStrategy} strategy Language strategy, used to parse and normalize packages.
+ * @param   {String}           filename Expected dependency file.
+ * @returns {Promise.<Object>}          Package identifiers keyed by kind.
+ */
+async function readExpected(strategy, filename) {
+
+    let contents = await Bluebird.fromCallback(cb => fs.readFile(filename, 'utf8', cb));
+    let expected = JSON.parse(contents);
+    if (!_.isPlainObject(expected)) {
+        throw new errors.InvalidOptionError(
+            `Invalid expected dependency file: '${filename}'. Must be an object with direct and transitive lists.`,
+            { option: 'expected', value: filename }
+        );
+    }
+
+    let ids = {};
+    for (let kind of ['direct', 'transitive']) {
+        let specs = _.castArray(expected[kind] || []);
+        ids[kind] = await getPackageIds(strategy, _.map(specs, spec => strategy.parsePackageSpec(spec)));
+    }
+    ids.all = _.union(ids.direct, ids.transitive);
+    return ids;
+
+}
+
+
+/**
+ * Read the result of a previous evaluation.
+ *
+ * @param   {String}           filename Result path.
+ * @returns {Promise.<Object>}          Evaluation result.
+ */
+async function readResult(filename) {
+
+    if (!fs.existsSync(filename)) {
+        throw new errors.InvalidOptionError(`Invalid evaluation to compare with: '${filename}'.`, { option: 'compare', value: filename });
+    }
+    let contents = await Bluebird.fromCallback(cb => fs.readFile(filename, 'utf8', cb));
+    return JSON.parse(contents);
+
+}
+
+
+/**
+ * Get the unique identifiers of packages.
+ *
+ * @param   {LanguageStrategy}         strategy Language strategy.
+ * @param   {Array.<Object>}           packages Packages with `name` and `system` keys.
+ * @returns {Promise.<Array.<String>>}          Package identifiers, see LanguageStrategy#getPackageId.
+ */
+async function getPackageIds(strategy, packages) {
+    return _.uniq(await Bluebird.mapSeries(packages, p => strategy.getPackageId(p)));
+}
+
+
+/**
+ * Score inferred packages against expected packages. With nothing inferred,
+ * precision is 1, and with nothing expected, recall is 1.
+ *
+ * @param   {Array.<String>} expected Expected package identifiers.
+ * @param   {Array.<String>} inferred Inferred package identifiers.
+ * @returns {Object}                  Counts, metrics and the `missing` and `extra` packages.
+ */
+function score(expected, inferred) {
+
+    let tp = _.intersection(inferred, expected).length;
+    let missing = _.difference(expected, inferred);
+    let extra = _.difference(inferred, expected);
+    return _.assign(metrics(tp, extra.length, missing.length), { missing, extra });
+
+}
+
+
+/**
+ * Compute precision, recall and F1 from counts.
+ *
+ * @param   {Number} tp True positives.
+ * @param   {Number} fp False positives.
+ * @param   {Number} fn False negatives.
+ * @returns {Object}    Counts and metrics.
+ */
+function metrics(tp, fp, fn) {
+
+    let precision = tp + fp ? tp / (tp + fp) : 1;
+    let recall = tp + fn ? tp / (tp + fn) : 1;
+    let f1 = precision + recall ? 2 * precision * recall / (precision + recall) : 0;
+    return { tp, fp, fn, precision, recall, f1 };
+
+}
+
+
+/**
+ * Aggregate snippet scores.
+ *
+ * @param   {Array.<Object>} scores Snippet scores.
+ * @returns {Object}                The `micro` and `macro` averages.
+ */
+function aggregate(scores) {
+
+    let sum = key => _.sumBy(scores, key);
+    let mean = key => _.isEmpty(scores) ? null : _.meanBy(scores, key);
+    return {
+        micro: metrics(sum('tp'), sum('fp'), sum('fn')),
+        macro: _.fromPairs(_.map(METRICS, m => [m, mean(m)]))
+    };
+
+}
+
+
+/**
+ * Compare an evaluation with a baseline evaluation.
+ *
+ * @param   {Object} baseline Baseline evaluation result.
+ * @param   {Object} current  Current evaluation result.
+ * @returns {Object}          Both `config`s and summaries, their `delta` and the `items` whose scores changed.
+ */
+function compare(baseline, current) {
+
+    // Summary differences
+    let delta = {};
+    for (let kind of KINDS) {
+        for (let average of ['micro', 'macro']) {
+            for (let metric of METRICS) {
+                let a = _.get(baseline.summary, [kind, average, metric]);
+                let b = _.get(current.summary, [kind, average, metric]);
+                _.set(delta, [kind, average, metric], _.isNil(a) || _.isNil(b) ? null : b - a);
+            }
+        }
+    }
+
+    // Snippets whose scores changed
+    let baselineItems = _.keyBy(baseline.items, 'id');
+    let items = [];
+    for (let item of current.items) {
+        let previous = baselineItems[item.id];
+        let changes = _.fromPairs(_.map(KINDS, kind => [kind, {
+            baseline: _.get(previous, [kind, 'f1'], null),
+            current: _.get(item, [kind, 'f1'], null)
+        }]));
+        if (_.some(changes, c => c.baseline !== c.current)) {
+            items.push(_.assign({ id: item.id }, changes));
+        }
+    }
+
+    return {
+        config: { baseline: baseline.config, current: current.config },
+        baseline: _.pick(baseline.summary, KINDS),
+        current: _.pick(current.summary, KINDS),
+        delta,
+        items
+    };
+
+}
@@ -0,0 +1,122 @@
+/**
+ * @module graph-store
+ */
+
+
+// Constants
+const NOT_IMPLEMENTED = 'not implemented';
+
+
+/**
+ * Graph store class. A graph store answers the knowledge graph queries used
+ * during dependency inference. The graph contains `package`, `version`,
+ * `resource`, `symbol` and `association` nodes related by `version`, `resource`,
+ * `resource_dependency`, `symbol` and `association` relationships. Symbols are
+ * the fully qualified names a version exports, e.g. `yaml.safe_load`. They are
+ * optional, and only used to rank candidates.
+ *
+ * Lookups resolve to lists of package properties, each with at least
+ * `name` and `system` keys.
+ *
+ * @property {Object} options Store options.
+ */
+class GraphStore {
+
+    /**
+     * Construct a new graph store.
+     *
+     * @param {Object} options       Store options.
+     * @param {String} options.graph Graph location.
+     */
+    constructor(options = {}) {
+        this.options = options;
+    }
+
+    /**
+     * Perform async initialization, as needed.
+     * Returns self for chaining.
+     *
+     * @returns {Promise.<GraphStore>}
+     */
+    async initialize() { return this; }
+
+    /**
+     * Store type.
+     *
+     * @returns {String} Store type.
+     */
+    get type() { throw new Error(NOT_IMPLEMENTED); }
+
+    /**
+     * Graph location, e.g. a database URI or file path.
+     *
+     * @returns {String} Graph location.
+     */
+    get location() { return this.options.graph; }
+
+    /**
+     * Whether lookups are worth caching. Stores that answer from memory don't need it.
+     *
+     * @returns {Boolean} True iff lookups should be cached.
+     */
+    get cacheable() { return true; }
+
+    /**
+     * Look up packages in a system that provide a resource. A package matches if any of
+     * its versions has a resource that is a prefix of `name`, or if its name is `name`.
+     * Each package has a `via` key describing the match: `type` is `resource` or `name`,
+     * and `resources` lists the matching resources.
+     *
+     * @param   {String}                   name   Resource name.
+     * @param   {String}                   system Package management system.
+     * @returns {Promise.<Array.<Object>>}        Matching packages, once per type of match.
+     */
+    async lookupResourcePackages(name, system) { throw new Error(NOT_IMPLEMENTED); }
+
+    /**
+     * Look up the dependencies of a package. Dependencies are packages providing resources that any
+     * version of the package depends on (`deps`), and packages associated with it (`assoc`).
+     * Each package has a `via` key describing the edge: `type` is `resource_dependency`, with
+     * the `resources` depended on, or `association`, with the properties of the association.
+     *
+     * @param   {Object}                   pkg                        Package with `name` and `system` keys.
+     * @param   {Object}                   options                    Options object.
+     * @param   {'assoc'|'deps'}           options.only               Only use association rules or dependency rules. Both used if not specified.
+     * @param   {Number}                   options.minConfidence      Minimum confidence of association rules.
+     * @param   {Number}                   options.minLift            Minimum lift of association rules.
+     * @param   {Number}                   options.liftSigma          Minimum standard deviations of lift above the mean lift of the package's rules.
+     * @param   {Number}                   options.maxAssocPerPackage Maximum number of associations to follow, by descending lift.
+     * @returns {Promise.<Array.<Object>>}                            Dependency packages, once per edge.
+     */
+    async lookupPackageDependencies(pkg, options = {}) { throw new Error(NOT_IMPLEMENTED); }
+
+    /**
+     * Count the packages that depend on a package, i.e. whose versions depend on a resource
+     * of any of its versions. Used as a measure of the package's popularity.
+     *
+     * @param   {Object}           pkg Package with `name` and `system` keys.
+     * @returns {Promise.<Number>}     Number of dependent packages.
+     */
+    async countPackageDependents(pkg) { throw new Error(NOT_IMPLEMENTED); }
+
+    /**
+     * Look up which of the given symbols any version of a package exports.
+     *
+     * @param   {Object}                   pkg   Package with `name` and `system` keys.
+     * @param   {Array.<String>}           names Fully qualified symbol names, e.g. `PIL.Image.open`.
+     * @returns {Promise.<Array.<String>>}       Names of the exported symbols.
+     */
+    async lookupPackageSymbols(pkg, names) { throw new Error(NOT_IMPLEMENTED); }
+
+    /**
+     * Release any resources held by the store.
+     *
+     * @returns {Promise}
+     */
+    async close() {}
+
+}
+
+
+// Export
+module.exports = GraphStore;
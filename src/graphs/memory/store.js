@@ -0,0 +1,441 @@
+/**
+ * @module graphs/memory/store
+ */
+
+
+// Core/NPM Modules
+const _          = require('lodash');
+const Bluebird   = require('bluebird');
+const fs         = require('fs');
+const path       = require('path');
+
+
+// Import base class
+const GraphStore = require('../../graph-store');
+const errors     = require('../../errors');
+const logger     = require('../../logger');
+
+
+// Loaded graphs, keyed by path and modification time
+const graphs = new Map();
+
+
+/**
+ * Graph store that loads the knowledge graph from a file into memory. Lookups give the
+ * same results as the Neo4j store for the same data, so inference can run without a database.
+ *
+ * The file holds the graph as node and relationship elements, in the format written by
+ * `apoc.export.json.all`:
+ *
+ *     {"type": "node", "id": "1", "labels": ["package"], "properties": {"name": "dashtable", "system": "pip"}}
+ *     {"type": "relationship", "label": "version", "start": {"id": "1"}, "end": {"id": "2"}, "properties": {}}
+ *
+ * Elements may be given one per line (NDJSON), as a JSON array, or as a JSON object
+ * with `nodes` and `relationships` arrays.
+ *
+ * @property {Graph} graph Loaded graph.
+ */
+class MemoryGraphStore extends GraphStore {
+
+    /**
+     * Load the graph file. Files are only parsed once per process unless modified.
+     *
+     * @returns {Promise.<MemoryGraphStore>}
+     * @throws  {GraphError}                 If the file can't be read or parsed.
+     */
+    async initialize() {
+
+        let filename = path.resolve(this.location);
+        try {
+
+            let stats = await Bluebird.fromCallback(cb => fs.stat(filename, cb));
+            let key = `${filename},${stats.mtime.getTime()}`;
+
+            if (!graphs.has(key)) {
+                logger.info('Loading graph from file:', filename);
+                let contents = await Bluebird.fromCallback(cb => fs.readFile(filename, 'utf8', cb));
+                graphs.set(key, new Graph(parseElements(contents)));
+            }
+            this.graph = graphs.get(key);
+
+        }
+        catch (err) {
+            throw new errors.GraphError(`Unable to load graph ${filename}: ${err.message}`, {
+                graph: this.location, type: this.type, cause: err.code
+            });
+        }
+
+        return this;
+
+    }
+
+    /**
+     * Store type.
+     *
+     * @returns {String} Store type.
+     */
+    get type() { return 'memory'; }
+
+    /**
+     * Lookups are answered from memory, so there is nothing to gain by caching them.
+     *
+     * @returns {Boolean} False.
+     */
+    get cacheable() { return false; }
+
+    /**
+     * Look up packages in a system that provide a resource.
+     *
+     * @param   {String}                   name   Resource name.
+     * @param   {String}                   system Package management system.
+     * @returns {Promise.<Array.<Object>>}        Matching packages, once per type of match.
+     */
+    async lookupResourcePackages(name, system) {
+
+        let graph = this.graph;
+        let matches = new Map();
+
+        // Packages with a resource that prefixes the name
+        for (let i = 1; i <= name.length; i++) {
+            for (let r of graph.getResources(name.slice(0, i))) {
+                for (let v of graph.getIncoming(r, 'resource', 'version')) {
+                    for (let p of graph.getIncoming(v, 'version', 'package')) {
+                        if (graph.nodes.get(p).properties.system !== system) continue;
+                        pushTo(matches, p, graph.nodes.get(r).properties.name);
+                    }
+                }
+            }
+        }
+        let results = _.map([...matches], ([p, resources]) => graph.toPackage(p, { type: 'resource', resources: _.uniq(resources) }));
+
+        // Packages with an exact name match
+        for (let p of _.uniq(graph.getPackages(name, system))) {
+            results.push(graph.toPackage(p, { type: 'name', resources: [] }));
+        }
+
+        return results;
+
+    }
+
+    /**
+     * Look up the dependencies of a package.
+     *
+     * @param   {Object}                   pkg                        Package with `name` and `system` keys.
+     * @param   {Object}                   options                    Options object.
+     * @param   {'assoc'|'deps'}           options.only               Only use association rules or dependency rules. Both used if not specified.
+     * @param   {Number}                   options.minConfidence      Minimum confidence of association rules.
+     * @param   {Number}                   options.minLift            Minimum lift of association rules.
+     * @param   {Number}                   options.liftSigma          Minimum standard deviations of lift above the mean lift of the package's rules.
+     * @param   {Number}                   options.maxAssocPerPackage Maximum number of associations to follow, by descending lift.
+     * @returns {Promise.<Array.<Object>>}                            Dependency packages, once per edge.
+     */
+    async lookupPackageDependencies(pkg, options = {}) {
+
+        let graph = this.graph;
+        let dependencies = new Map();
+        let associations = [];
+
+        for (let n of graph.getPackages(pkg.name, pkg.system)) {
+
+            // Packages providing resources that any version depends on
+            if (options.only !== 'assoc') {
+                for (let v of graph.getOutgoing(n, 'version', 'version')) {
+                    for (let r of graph.getOutgoing(v, 'resource_dependency', 'resource')) {
+                        for (let rv of graph.getIncoming(r, 'resource', 'version')) {
+                            for (let d of graph.getIncoming(rv, 'version', 'package')) {
+                                pushTo(dependencies, d, graph.nodes.get(r).properties.name);
+                            }
+                        }
+                    }
+                }
+            }
+
+            // Associated packages
+            if (options.only !== 'deps') {
+                for (let e of graph.getOutgoing(n, 'association', 'association')) {
+                    for (let d of _.uniq(graph.getOutgoing(e, 'association', 'package'))) {
+                        associations.push({ d, properties: graph.nodes.get(e).properties });
+                    }
+                }
+            }
+
+        }
+
+        return _.concat(
+            _.map([...dependencies], ([d, resources]) => graph.toPackage(d, { type: 'resource_dependency', resources: _.uniq(resources) })),
+            _.map(filterAssociations(associations, options), a => graph.toPackage(a.d, _.assign({}, a.properties, { type: 'association' })))
+        );
+
+    }
+
+    /**
+     * Count the packages that depend on a package.
+     *
+     * @param   {Object}           pkg Package with `name` and `system` keys.
+     * @returns {Promise.<Number>}     Number of dependent packages.
+     */
+    async countPackageDependents(pkg) {
+
+        let graph = this.graph;
+        let packages = graph.getPackages(pkg.name, pkg.system);
+        let dependents = new Set();
+
+        for (let n of packages) {
+            for (let v of graph.getOutgoing(n, 'version', 'version')) {
+                for (let r of graph.getOutgoing(v, 'resource', 'resource')) {
+                    for (let dv of graph.getIncoming(r, 'resource_dependency', 'version')) {
+                        for (let d of graph.getIncoming(dv, 'version', 'package')) {
+                            if (!_.includes(packages, d)) dependents.add(d);
+                        }
+                    }
+                }
+            }
+        }
+        return dependents.size;
+
+    }
+
+    /**
+     * Look up which of the given symbols any version of a package exports.
+     *
+     * @param   {Object}                   pkg   Package with `name` and `system` keys.
+     * @param   {Array.<String>}           names Fully qualified symbol names.
+     * @returns {Promise.<Array.<String>>}       Names of the exported symbols.
+     */
+    async lookupPackageSymbols(pkg, names) {
+
+        let graph = this.graph;
+        let symbols = new Set();
+
+        for (let n of graph.getPackages(pkg.name, pkg.system)) {
+            for (let v of graph.getOutgoing(n, 'version', 'version')) {
+                for (let s of graph.getOutgoing(v, 'symbol', 'symbol')) {
+                    symbols.add(graph.nodes.get(s).properties.name);
+                }
+            }
+        }
+        return _.filter(_.uniq(names), name => symbols.has(name));
+
+    }
+
+}
+
+
+/**
+ * Indexed in-memory property graph.
+ *
+ * @property {Map} nodes     Nodes keyed by id.
+ * @property {Map} outgoing  Outgoing relationships keyed by node id, then label.
+ * @property {Map} incoming  Incoming relationships keyed by node id, then label.
+ * @property {Map} resources Resource node ids keyed by resource name.
+ * @property {Map} packages  Package node ids keyed by name and system.
+ */
+class Graph {
+
+    /**
+     * Build a graph from node and relationship elements.
+     *
+     * @param {Array.<Object>} elements Graph elements.
+     */
+    constructor(elements) {
+
+        this.nodes = new Map();
+        this.outgoing = new Map();
+        this.incoming = new Map();
+        this.resources = new Map();
+        this.packages = new Map();
+
+        // Nodes first, so relationships can be validated
+        for (let element of _.filter(elements, ['type', 'node'])) {
+
+            let id = String(element.id);
+            let node = { id, labels: element.labels || [], properties: element.properties || {} };
+            this.nodes.set(id, node);
+
+            if (_.includes(node.labels, 'resource')) {
+                pushTo(this.resources, node.properties.name, id);
+            }
+            if (_.includes(node.labels, 'package')) {
+                pushTo(this.packages, `${node.properties.name},${node.properties.system}`, id);
+            }
+
+        }
+
+        for (let element of _.filter(elements, ['type', 'relationship'])) {
+
+            let start = String(_.get(element, 'start.id'));
+            let end = String(_.get(element, 'end.id'));
+            if (!this.nodes.has(start) || !this.nodes.has(end)) {
+                throw new Error(`Relationship ${element.id} references a missing node.`);
+            }
+
+            pushTo(getOrCreate(this.outgoing, start), element.label, end);
+            pushTo(getOrCreate(this.incoming, end), element.label, start);
+
+        }
+
+    }
+
+    /**
+     * Get resource nodes by name.
+     *
+     * @param   {String}         name Resource name.
+     * @returns {Array.<String>}      Node ids.
+     */
+    getResources(name) {
+        return this.resources.get(name) || [];
+    }
+
+    /**
+     * Get package nodes by name and system.
+     *
+     * @param   {String}         name   Package name.
+     * @param   {String}         system Package management system.
+     * @returns {Array.<String>}        Node ids.
+     */
+    getPackages(name, system) {
+        return this.packages.get(`${name},${system}`) || [];
+    }
+
+    /**
+     * Follow outgoing relationships to nodes with a label.
+     *
+     * @param   {String}         id           Start node id.
+     * @param   {String}         relationship Relationship label.
+     * @param   {String}         label        Node label.
+     * @returns {Array.<String>}              End node ids.
+     */
+    getOutgoing(id, relationship, label) {
+        let relationships = this.outgoing.get(id);
+        return this.filterLabel(relationships && relationships.get(relationship), label);
+    }
+
+    /**
+     * Follow incoming relationships to nodes with a label.
+     *
+     * @param   {String}         id           End node id.
+     * @param   {String}         relationship Relationship label.
+     * @param   {String}         label        Node label.
+     * @returns {Array.<String>}              Start node ids.
+     */
+    getIncoming(id, relationship, label) {
+        let relationships = this.incoming.get(id);
+        return this.filterLabel(relationships && relationships.get(relationship), label);
+    }
+
+    /**
+     * Filter node ids to nodes with a label.
+     *
+     * @param   {Array.<String>} ids   Node ids.
+     * @param   {String}         label Node label.
+     * @returns {Array.<String>}       Filtered node ids.
+     */
+    filterLabel(ids, label) {
+        return _.filter(ids, id => _.includes(this.nodes.get(id).labels, label));
+    }
+
+    /**
+     * Get the properties of a package node, describing how it was reached.
+     *
+     * @param   {String} id  Node id.
+     * @param   {Object} via Description of the match or edge.
+     * @returns {Object}     Package properties with a `via` key.
+     */
+    toPackage(id, via) {
+        return _.assign(_.clone(this.nodes.get(id).properties), { via });
+    }
+
+}
+
+
+/**
+ * Filter association rules by confidence and lift, as the Neo4j store does. The lift threshold
+ * in standard deviations uses the mean and sample standard deviation of all rules given.
+ *
+ * @param   {Array.<Object>} associations Rules with association `properties`.
+ * @param   {Object}         options      Thresholds, see MemoryGraphStore#lookupPackageDependencies.
+ * @returns {Array.<Object>}              Rules passing the thresholds, by descending lift and confidence.
+ */
+function filterAssociations(associations, options = {}) {
+
+    let lifts = _.map(associations, 'properties.lift');
+    let mean = _.mean(lifts);
+    let std = lifts.length > 1
+        ? Math.sqrt(_.sumBy(lifts, l => Math.pow(l - mean, 2)) / (lifts.length - 1))
+        : 0;
+
+    let results = _.filter(associations, ({ properties: { confidence, lift } }) =>
+        (_.isNil(options.minConfidence) || confidence >= options.minConfidence) &&
+        (_.isNil(options.minLift) || lift >= options.minLift) &&
+        (_.isNil(options.liftSigma) || lift >= mean + options.liftSigma * std)
+    );
+    results = _.orderBy(results, ['properties.lift', 'properties.confidence'], ['desc', 'desc']);
+
+    return _.isNil(options.maxAssocPerPackage) ? results : _.take(results, options.maxAssocPerPackage);
+
+}
+
+
+/**
+ * Parse graph elements from JSON or NDJSON.
+ *
+ * @param   {String}         contents File contents.
+ * @returns {Array.<Object>}          Graph elements.
+ */
+function parseElements(contents) {
+
+    // A single JSON document
+    let data;
+    try {
+        data = JSON.parse(contents);
+    }
+    catch (err) {
+        // One element per line
+        return _.map(
+            _.filter(contents.split(/\r?\n/), line => _.trim(line)),
+            line => JSON.parse(line)
+        );
+    }
+
+    if (_.isArray(data)) {
+        return data;
+    }
+    if (data.type) {
+        return [data];
+    }
+    return _.concat(
+        _.map(data.nodes, n => _.defaults({ type: 'node' }, n)),
+        _.map(data.relationships, r => _.defaults({ type: 'relationship' }, r))
+    );
+
+}
+
+
+/**
+ * Get a nested map, creating it if needed.
+ *
+ * @param   {Map} map Parent map.
+ * @param   {*}   key Key.
+ * @returns {Map}     Nested map.
+ */
+function getOrCreate(map, key) {
+    if (!map.has(key)) map.set(key, new Map());
+    return map.get(key);
+}
+
+
+/**
+ * Push a value to a list in a map, creating the list if needed.
+ *
+ * @param {Map} map   Map of lists.
+ * @param {*}   key   Key.
+ * @param {*}   value Value.
+ */
+function pushTo(map, key, value) {
+    if (!map.has(key)) map.set(key, []);
+    map.get(key).push(value);
+}
+
+
+// Export
+module.exports = MemoryGraphStore;
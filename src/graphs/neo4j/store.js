@@ -0,0 +1,288 @@
+/**
+ * @module graphs/neo4j/store
+ */
+
+
+// Core/NPM Modules
+const _          = require('lodash');
+const Bluebird   = require('bluebird');
+const neo4j      = require('neo4j-driver').v1;
+
+
+// Local Modules
+const errors     = require('../../errors');
+
+
+// Import base class
+const GraphStore = require('../../graph-store');
+
+
+// Neo4j Query templates
+const RESOURCE_LOOKUP = `
+MATCH (r :resource)<-[:resource]-(:version)<-[:version]-(p :package {system: $system})
+WHERE $name STARTS WITH r.name
+RETURN p, 'resource' AS match, collect(DISTINCT r.name) AS resources
+UNION
+MATCH (p :package {name: $name, system: $system})
+RETURN p, 'name' AS match, [] AS resources
+`;
+const RESOURCE_DEP_LOOKUP = `
+MATCH (n :package {name: $name, system: $system})-[:version]->(:version)-[:resource_dependency]->(r :resource)<-[:resource]-(:version)<-[:version]-(d :package)
+RETURN d, 'resource_dependency' AS type, collect(DISTINCT r.name) AS resources, null AS e
+`;
+const DEPENDENTS_COUNT = `
+MATCH (p :package {name: $name, system: $system})-[:version]->(:version)-[:resource]->(:resource)<-[:resource_dependency]-(:version)<-[:version]-(d :package)
+WHERE d <> p
+RETURN count(DISTINCT d) AS dependents
+`;
+const SYMBOL_LOOKUP = `
+MATCH (p :package {name: $name, system: $system})-[:version]->(:version)-[:symbol]->(s :symbol)
+WHERE s.name IN $names
+RETURN collect(DISTINCT s.name) AS symbols
+`;
+const ASSOCIATION_DEP_LOOKUP = `
+MATCH (n :package {name: $name, system: $system})-[:association]->(e :association)-[:association]->(d :package)
+WITH collect({e: e, d: d}) AS rules, avg(e.lift) AS avg_lift, stDev(e.lift) AS lift_std
+UNWIND rules AS rule
+WITH rule.e AS e, rule.d AS d, avg_lift, lift_std
+WHERE ($minConfidence IS NULL OR e.confidence >= $minConfidence)
+  AND ($minLift IS NULL OR e.lift >= $minLift)
+  AND ($liftSigma IS NULL OR e.lift >= avg_lift + ($liftSigma * lift_std))
+WITH DISTINCT d, e
+ORDER BY e.lift DESC, e.confidence DESC
+`;
+const ASSOCIATION_DEP_RETURN = `
+RETURN d, 'association' AS type, [] AS resources, e
+`;
+
+
+/**
+ * Graph store backed by a Neo4j database. Connection settings are read from the store options:
+ *
+ *     graphUser, graphPassword - Basic authentication. No authentication unless a user is given.
+ *     graphDatabase            - Database queried, with a `USE` clause. Requires Neo4j 4 or later.
+ *     graphEncrypted           - Encrypt the connection. Defaults to the driver's default.
+ *     graphConnectionTimeout   - Connection timeout in milliseconds.
+ *     graphQueryTimeout        - Query timeout in milliseconds. Queries are not limited by default.
+ *
+ * Sessions are pooled: a session is reused by later queries once its query succeeds, and closed
+ * if its query fails. The pool never holds more sessions than queries ran at once.
+ *
+ * @property {Driver}          driver   Neo4j driver.
+ * @property {Array.<Session>} sessions Idle sessions.
+ */
+class Neo4jGraphStore extends GraphStore {
+
+    /**
+     * Construct a Neo4j driver for connecting to the database.
+     * The driver connects lazily, on the first query.
+     *
+     * @returns {Promise.<Neo4jGraphStore>}
+     * @throws  {GraphError}                If the driver rejects the settings, e.g. a `bolt+s://` URI,
+     *                                      which needs `bolt://` and `graphEncrypted` instead.
+     */
+    async initialize() {
+
+        let options = this.options;
+        try {
+            let auth = options.graphUser ? neo4j.auth.basic(options.graphUser, options.graphPassword || '') : undefined;
+            this.driver = neo4j.driver(options.graph, auth, _.omitBy({
+                encrypted: _.isNil(options.graphEncrypted) ? undefined : (options.graphEncrypted ? 'ENCRYPTION_ON' : 'ENCRYPTION_OFF'),
+                connectionTimeout: options.graphConnectionTimeout
+            }, _.isUndefined));
+        }
+        catch (err) {
+            throw new errors.GraphError(`Unable to connect to graph ${this.location}: ${err.message}`, {
+                graph: this.location, type: this.type, cause: err.code
+            });
+        }
+        this.sessions = [];
+        return this;
+
+    }
+
+    /**
+     * Store type.
+     *
+     * @returns {String} Store type.
+     */
+    get type() { return 'neo4j'; }
+
+    /**
+     * Graph location, the database URI followed by the database name when one is selected.
+     *
+     * @returns {String} Graph location.
+     */
+    get location() {
+        return this.options.graphDatabase ? `${this.options.graph}/${this.options.graphDatabase}` : this.options.graph;
+    }
+
+    /**
+     * Look up packages in a system that provide a resource.
+     *
+     * @param   {String}                   name   Resource name.
+     * @param   {String}                   system Package management system.
+     * @returns {Promise.<Array.<Object>>}        Matching packages, once per type of match.
+     */
+    async lookupResourcePackages(name, system) {
+
+        // Search the database, looking for any package resources with a substring match
+        // and any packages with an exact name match. Union and return distinct packages.
+        let results = await this.run(RESOURCE_LOOKUP, { name, system });
+        return _.map(results.records, record => _.assign(toProperties(record.get('p')), {
+            via: { type: record.get('match'), resources: record.get('resources') }
+        }));
+
+    }
+
+    /**
+     * Look up the dependencies of a package.
+     *
+     * @param   {Object}                   pkg                        Package with `name` and `system` keys.
+     * @param   {Object}                   options                    Options object.
+     * @param   {'assoc'|'deps'}           options.only               Only use association rules or dependency rules. Both used if not specified.
+     * @param   {Number}                   options.minConfidence      Minimum confidence of association rules.
+     * @param   {Number}                   options.minLift            Minimum lift of association rules.
+     * @param   {Number}                   options.liftSigma          Minimum standard deviations of lift above the mean lift of the package's rules.
+     * @param   {Number}                   options.maxAssocPerPackage Maximum number of associations to follow, by descending lift.
+     * @returns {Promise.<Array.<Object>>}                            Dependency packages, once per edge.
+     */
+    async lookupPackageDependencies(pkg, options = {}) {
+
+        // Limit associations
+        let associationQuery = `
+            ${ASSOCIATION_DEP_LOOKUP}
+            ${_.isNil(options.maxAssocPerPackage) ? '' : 'LIMIT $maxAssocPerPackage'}
+            ${ASSOCIATION_DEP_RETURN}
+        `;
+
+        // Build query. Override default depending on options.
+        let query = `
+            ${RESOURCE_DEP_LOOKUP}
+            UNION
+            ${associationQuery}
+        `;
+        if (options.only === 'deps') {
+            query = RESOURCE_DEP_LOOKUP;
+        }
+        if (options.only === 'assoc') {
+            query = associationQuery;
+        }
+
+        // Run query
+        let results = await this.run(query, {
+            name: pkg.name,
+            system: pkg.system,
+            minConfidence: _.isNil(options.minConfidence) ? null : options.minConfidence,
+            minLift: _.isNil(options.minLift) ? null : options.minLift,
+            liftSigma: _.isNil(options.liftSigma) ? null : options.liftSigma,
+            maxAssocPerPackage: _.isNil(options.maxAssocPerPackage) ? null : neo4j.int(options.maxAssocPerPackage)
+        });
+        return _.map(results.records, record => _.assign(toProperties(record.get('d')), {
+            via: record.get('type') === 'association'
+                ? _.assign(toProperties(record.get('e')), { type: 'association' })
+                : { type: record.get('type'), resources: record.get('resources') }
+        }));
+
+    }
+
+    /**
+     * Count the packages that depend on a package.
+     *
+     * @param   {Object}           pkg Package with `name` and `system` keys.
+     * @returns {Promise.<Number>}     Number of dependent packages.
+     */
+    async countPackageDependents(pkg) {
+
+        let results = await this.run(DEPENDENTS_COUNT, { name: pkg.name, system: pkg.system });
+        let count = results.records.length ? results.records[0].get('dependents') : 0;
+        return neo4j.isInt(count) ? count.toNumber() : count;
+
+    }
+
+    /**
+     * Look up which of the given symbols any version of a package exports.
+     *
+     * @param   {Object}                   pkg   Package with `name` and `system` keys.
+     * @param   {Array.<String>}           names Fully qualified symbol names.
+     * @returns {Promise.<Array.<String>>}       Names of the exported symbols.
+     */
+    async lookupPackageSymbols(pkg, names) {
+
+        let results = await this.run(SYMBOL_LOOKUP, { name: pkg.name, system: pkg.system, names });
+        return results.records.length ? results.records[0].get('symbols') : [];
+
+    }
+
+    /**
+     * Take an idle session from the pool, or open one. The session goes back to the
+     * pool when the returned disposer is disposed, unless its query failed.
+     *
+     * @returns {Disposer} Bluebird disposer of the session.
+     */
+    acquireSession() {
+
+        let session = this.sessions.pop() || this.driver.session();
+        return Bluebird.resolve(session).disposer((session, inspection) => {
+            if (inspection.isFulfilled()) this.sessions.push(session);
+            else session.close();
+        });
+
+    }
+
+    /**
+     * Run a query in a pooled session, so that a driver shared by many lookups
+     * neither opens a session per query nor runs out of connections.
+     *
+     * @param   {String}           query  Cypher query.
+     * @param   {Object}           params Query parameters.
+     * @returns {Promise.<Object>}        Query result.
+     * @throws  {GraphError}              If the database can't be reached or the query fails.
+     */
+    async run(query, params) {
+
+        let database = this.options.graphDatabase;
+        let timeout = this.options.graphQueryTimeout;
+        try {
+            return await Bluebird.using(this.acquireSession(), (session) => {
+                let result = Bluebird.resolve(session.run(database ? `USE \`${database}\`\n${query}` : query, params));
+                return timeout ? result.timeout(timeout, `Query took longer than ${timeout} ms`) : result;
+            });
+        }
+        catch (err) {
+            throw new errors.GraphError(`Unable to query graph ${this.location}: ${err.message}`, {
+                graph: this.location, type: this.type, cause: err instanceof Bluebird.TimeoutError ? 'TIMEOUT' : err.code
+            });
+        }
+
+    }
+
+    /**
+     * Close the pooled sessions and the driver.
+     *
+     * @returns {Promise}
+     */
+    async close() {
+        for (let session of this.sessions || []) session.close();
+        this.sessions = [];
+        if (this.driver) this.driver.close();
+    }
+
+}
+
+
+/**
+ * Convert a Neo4j node into plain, JSON serializable properties.
+ *
+ * @param   {Node}   node Neo4j node.
+ * @returns {Object}      Node properties.
+ */
+function toProperties(node) {
+
+    return _.mapValues(node.properties, v => neo4j.isInt(v) ? v.toNumber() : v);
+
+}
+
+
+// Export
+module.exports = Neo4jGraphStore;
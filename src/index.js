@@ -10,7 +10,10 @@ const _               = require('lodash');
 
 
 // Local Modules
+const Cache           = require('./cache');
 const StrategyFactory = require('./strategy-factory');
+const config          = require('./config');
+const errors          = require('./errors');
 const logger          = require('./logger');
 
 
@@ -21,26 +24,71 @@ const factory = new StrategyFactory();
 /**
  * Dockerize a code snippet using a language pack.
  *
- * @param   {Object}                                     options              Dockerize options
- * @param   {String}                                     options.pkg          Package name.
- * @param   {Object}                                     options.language     Language used to build dockerfile.
- * @param   {Object}                                     options.cmd          Command to run at startup.
- * @param   {String}                                     options.cmd.command  Run command.
- * @param   {Array.<String>}                             options.cmd.args     Command arguments.
- * @param   {'dockerfile'|'install-commands'|'metadata'} options.format       Return format.
- * @param   {String}                                     options.only         Only use specific rules for generating dependencies.
- * @returns {String}                                                          Dockerfile contents
+ * @param   {Object}                                                            options                        Dockerize options
+ * @param   {String|Array.<String>}                                             options.pkg                    Path to the package, or paths of several files.
+ * @param   {String}                                                            options.main                   Entry point when dockerizing several files. Defaults to the first file.
+ * @param   {String|Boolean}                                                    options.overrides              Overrides file. Defaults to the `.dockerizeme.yml` of the package, `false` to ignore it.
+ * @param   {String}                                                            options.context                Docker build context directory that COPY sources are relative to. Defaults to cwd.
+ * @param   {String}                                                            options.packageRoot            Directory that files the package refers to, e.g. requirements includes, must be in.
+ * @param   {Object}                                                            options.language               Language used to build dockerfile.
+ * @param   {Object}                                                            options.cmd                    Command to run at startup.
+ * @param   {String}                                                            options.cmd.command            Run command.
+ * @param   {Array.<String>}                                                    options.cmd.args               Command arguments.
+ * @param   {'dockerfile'|'install-commands'|'metadata'|'mismatches'|'explain'} options.format                 Return format.
+ * @param   {String}                                                            options.only                   Only use specific rules for generating dependencies.
+ * @param   {Number}                                                            options.minConfidence          Minimum confidence of association rules.
+ * @param   {Number}                                                            options.minLift                Minimum lift of association rules.
+ * @param   {Number}                                                            options.liftSigma              Minimum standard deviations of lift above the mean lift of a package's rules.
+ * @param   {Number}                                                            options.maxAssocPerPackage     Maximum number of association rules followed per package.
+ * @param   {String|Array.<String>}                                             options.include                Packages to install even if not inferred, as `name` or `system:name`.
+ * @param   {String|Array.<String>}                                             options.exclude                Packages to never install, as `name` or `system:name`.
+ * @param   {Boolean}                                                           options.allCandidates          Install every package matching an import, rather than the best ranked one.
+ * @param   {Number}                                                            options.maxDepth               Maximum depth of transitive dependencies.
+ * @param   {Number}                                                            options.maxPackages            Maximum number of packages to install.
+ * @param   {String}                                                            options.pythonVersion          Python version to use instead of detecting it.
+ * @param   {Boolean}                                                           options.declared               Merge dependencies declared by the package. Defaults to true.
+ * @param   {Boolean}                                                           options.pinVersions            Pin package versions compatible with the selected runtime. Defaults to true.
+ * @param   {Boolean}                                                           options.combineLayers          Install consecutive packages of each system in one RUN layer. Defaults to true.
+ * @param   {String|Date}                                                       options.asOf                   Only pin versions released on or before this date.
+ * @param   {String}                                                            options.graph                  Knowledge graph Neo4j URI or JSON/NDJSON file.
+ * @param   {'neo4j'|'memory'}                                                  options.graphType              Knowledge graph type.
+ * @param   {String}                                                            options.graphUser              Neo4j user.
+ * @param   {String}                                                            options.graphPassword          Neo4j password.
+ * @param   {String}                                                            options.graphDatabase          Neo4j database. Defaults to the default database.
+ * @param   {Boolean}                                                           options.graphEncrypted         Encrypt the Neo4j connection.
+ * @param   {Number}                                                            options.graphConnectionTimeout Neo4j connection timeout in milliseconds.
+ * @param   {Number}                                                            options.graphQueryTimeout      Neo4j query timeout in milliseconds.
+ * @param   {Boolean}                                                           options.requireGraph           Fail if the graph is unavailable, instead of resolving imports by name only.
+ * @param   {String}                                                            options.packageIndex           Package index URL or path.
+ * @param   {String}                                                            options.packageIndexType       Package index type (json, simple or directory).
+ * @param   {String}                                                            options.pipIndexUrl            Index URL written into pip install commands.
+ * @param   {String}                                                            options.npmRegistry            NPM registry URL.
+ * @param   {Number}                                                            options.requestConcurrency     Maximum number of graph and package index calls running at once.
+ * @param   {Number}                                                            options.requestTimeout         Package index and registry request timeout in milliseconds.
+ * @param   {Number}                                                            options.retries                Maximum number of retries of a call failing with a transient error.
+ * @param   {Number}                                                            options.retryDelay             Delay before the first retry in milliseconds, doubled for each retry.
+ * @param   {'use'|'bypass'|'refresh'}                                          options.cacheMode              Lookup cache mode. Defaults to use.
+ * @param   {String}                                                            options.cacheDir               Lookup cache directory.
+ * @param   {Number}                                                            options.cacheTtl               Lookup cache time to live in seconds.
+ * @param   {Boolean}                                                           options.clearCache             Clear the lookup cache before dockerizing.
+ * @param   {String}                                                            options.config                 Config file. Defaults to `~/.config/dockerizeme/config.yml`, see the config module.
+ * @returns {String}                                                                                           Dockerfile contents
  */
 module.exports = async function(options = {}) {
 
-    // Set default language
-    options.language = options.language || 'python';
+    // Fill in settings from the config file and environment
+    options = config.resolve(options);
 
     // Get language strategy
-    let strategy = await factory.getLanguageStrategy(options.language || 'python');
+    let strategy = await factory.getLanguageStrategy(options.language);
+
+    // Clear cache if requested
+    if (options.clearCache) {
+        await Cache.fromOptions(options).clear();
+    }
 
     // Generate dockerfile
-    logger.info('Dockerizing with', options);
+    logger.info('Dockerizing with', _.omit(options, 'graphPassword'));
     let data = await strategy.getDockerfileData(options);
 
     // Return the correct output based on format
@@ -49,8 +97,20 @@ module.exports = async function(options = {}) {
             return data;
         case 'install-commands':
             return data.installCommands;
+        case 'mismatches':
+            return _.get(data, 'declaredDependencies.mismatches', { declaredOnly: [], inferredOnly: [] });
+        case 'explain':
+            return data.explanation;
         default:
             return data.dockerfile;
     }
 
 };
+
+
+// Error classes, for telling failures apart
+module.exports.errors = errors;
+
+
+// Layered configuration, for reading the settings dockerizing uses
+module.exports.config = config;
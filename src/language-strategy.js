@@ -5,50 +5,31 @@
 
 // Core/NPM Modules
 const Bluebird        = require('bluebird');
+const fs              = require('fs');
 const path            = require('path');
 const _               = require('lodash');
 const child_process   = require('child_process');
-const neo4j           = require('neo4j-driver').v1;
 const generator       = require('dockerfile-generator');
 
 
 // Local Modules
+const Cache           = require('./cache');
+const DependencyGraph = require('./dependency-graph');
+const Provenance      = require('./provenance');
+const Scheduler       = require('./scheduler');
 const StrategyFactory = require('./strategy-factory');
+const config          = require('./config');
+const errors          = require('./errors');
 const logger          = require('./logger');
+const overrides       = require('./overrides');
+const ranking         = require('./ranking');
 
 
 // Constants
 const NOT_IMPLEMENTED = 'not implemented';
-
-
-// Neo4j Query templates
-const RESOURCE_LOOKUP = `
-MATCH (r :resource)<-[:resource]-(:version)<-[:version]-(p :package {system: {system}})
-WHERE {name} STARTS WITH r.name
-RETURN DISTINCT p
-UNION
-MATCH (p :package {name: {name}, system: {system}})
-RETURN DISTINCT p
-`;
-const RESOURCE_DEP_LOOKUP = `
-MATCH (n :package {name: {name}, system: {system}})-[:version]->(:version)-[:resource_dependency]->(:resource)<-[:resource]-(:version)<-[:version]-(d :package)
-RETURN DISTINCT d
-`;
-const ASSOCIATION_DEP_LOOKUP = `
- MATCH (n :package {name: {name}, system: {system}})-[:association]->(e :association)-[:association]->(d :package)
- RETURN DISTINCT d
-`;
-// const ASSOCIATION_DEP_LOOKUP = `
-// MATCH (n :package {name: {name}, system: {system}})-[:association]->(e :association)-[:association]->(d :package)
-// WITH n, collect((e)-->(d)) AS associations_collection, avg(e.lift) AS avg_lift, stDev(e.lift) AS lift_std
-// UNWIND associations_collection AS associations
-// UNWIND associations AS association
-// WITH n, avg_lift, lift_std, nodes(association) AS association_nodes
-// WITH n, avg_lift, lift_std, association_nodes[0] AS e, association_nodes[1] AS d
-// WHERE e.confidence >= 0.8 AND e.lift >= avg_lift + (3 * lift_std)
-// WITH n, head(collect(e)) AS e, d
-// RETURN DISTINCT d
-// `;
+const DEFAULT_GRAPH   = config.DEFAULTS.graph;
+const GRAPH_TYPES     = ['neo4j', 'memory'];
+const ASSOC_OPTIONS   = ['minConfidence', 'minLift', 'liftSigma', 'maxAssocPerPackage'];
 
 
 /**
@@ -104,6 +85,13 @@ class LanguageStrategy {
      */
     get imageVersion() { throw new Error(NOT_IMPLEMENTED); }
 
+    /**
+     * File extension of the language's source files, used to name snippets.
+     *
+     * @returns {String} File extension, including the dot.
+     */
+    get extension() { throw new Error(NOT_IMPLEMENTED); }
+
     /**
      * Name for the language's default package management system.
      *
@@ -112,38 +100,96 @@ class LanguageStrategy {
     get system() { throw new Error(NOT_IMPLEMENTED); }
 
     /**
-     * Construct a Neo4j driver for connecting to the database.
+     * Construct and initialize the graph store used for dependency lookups. The store type is
+     * inferred from the location when not given: `bolt://` and `neo4j://` URIs are Neo4j
+     * databases and anything else is a file loaded into memory.
+     *
+     * @param   {Object}               options           Options object.
+     * @param   {String}               options.graph     Graph database URI or file. Defaults to the local Neo4j database.
+     * @param   {'neo4j'|'memory'}     options.graphType Graph store type.
+     * @returns {Promise.<GraphStore>}                   Initialized graph store.
+     */
+    async getGraphStore(options = {}) {
+
+        let graph = options.graph || DEFAULT_GRAPH;
+        let type = options.graphType || (/^(bolt|neo4j)(\+\w+)?:\/\//.test(graph) ? 'neo4j' : 'memory');
+        if (!_.includes(GRAPH_TYPES, type)) {
+            throw new errors.InvalidOptionError(
+                `Invalid graph type: '${type}'. Must be one of {${GRAPH_TYPES.join(', ')}}.`,
+                { option: 'graphType', value: type }
+            );
+        }
+
+        let Store = require(`./graphs/${type}/store`);
+        return await (new Store(_.defaults({ graph }, options))).initialize();
+
+    }
+
+    /**
+     * Open a graph store to share between inferences. Unless the graph is required, resolves to null
+     * when the graph is unavailable, and each inference then runs in degraded mode.
+     *
+     * @param   {Object}                    options              Options object, see LanguageStrategy#getGraphStore.
+     * @param   {Boolean}                   options.requireGraph Fail if the graph is unavailable.
+     * @returns {Promise.<GraphStore|null>}                      Initialized graph store, or null.
      */
-    getNeo4jDriver() {
-        return neo4j.driver('bolt://localhost:7687');
+    async getSharedGraphStore(options = {}) {
+
+        try {
+            return await this.getGraphStore(options);
+        }
+        catch (err) {
+            if (options.requireGraph || !(err instanceof errors.GraphError)) throw err;
+            logger.error(`Degraded mode, the graph is unavailable: ${err.message}`);
+            return null;
+        }
+
     }
 
     /**
      * Generate data for building a dockerfile.
      *
-     * @param   {Object}           options             Options object.
-     * @param   {String}           options.pkg         Path to a code package that will be dockerized.
-     * @param   {String}           options.cmd         Docker command object.
-     * @param   {String}           options.cmd.command Run command.
-     * @param   {String}           options.cmd.args    Command args.
-     * @param   {String}           options.only        Only use specific rules for generating dependencies.
-     * @returns {Promise.<Object>}                     Metadata containing generated dockerfile.
+     * @param   {Object}                options                  Options object.
+     * @param   {String|Array.<String>} options.pkg              Path to a code package that will be dockerized, or paths of several files.
+     * @param   {String}                options.main             Entry point when dockerizing several files. Defaults to the first file.
+     * @param   {String}                options.cmd              Docker command object.
+     * @param   {String}                options.cmd.command      Run command.
+     * @param   {String}                options.cmd.args         Command args.
+     * @param   {String}                options.only             Only use specific rules for generating dependencies.
+     * @param   {String}                options.graph            Graph database URI or file.
+     * @param   {String}                options.graphType        Graph store type. Inferred from the graph location if not given.
+     * @param   {String}                options.packageIndex     Package index URL or path used by the language's package system.
+     * @param   {String}                options.packageIndexType Package index type. Inferred from the location if not given.
+     * @param   {String}                options.pipIndexUrl      Index URL written into pip install commands.
+     * @param   {String}                options.context          Docker build context directory that COPY sources are relative to. Defaults to cwd.
+     * @param   {String|Boolean}        options.overrides        Overrides file. Defaults to the `.dockerizeme.yml` of the package, `false` to ignore it.
+     * @returns {Promise.<Object>}                               Metadata containing generated dockerfile.
      */
     async getDockerfileData(options = {}) {
 
-        // Resolve path to package
-        options.pkg = path.resolve(options.pkg);
+        // Resolve path to package, or the paths of its files with the entry point first
+        options.pkg = _.isArray(options.pkg) ? this.resolveFiles(options.pkg, options.main) : path.resolve(options.pkg);
+        let files = _.castArray(options.pkg);
+
+        // Perform inference with the package's overrides and get resulting object
+        let packageOverrides = await this.readOverrides(options.pkg, options.overrides);
+        let metadata = await this.inferDependencies(options.pkg, _.assign({}, options, { overrides: packageOverrides }));
 
-        // Perform inference and get resulting object
-        let metadata = await this.inferDependencies(options.pkg, { only: options.only });
+        // Overridden image and command. A command given as an option takes precedence.
+        let image = _.get(packageOverrides, 'image') || _.get(metadata, 'runtime.image') || {};
+        let cmd = options.cmd || _.get(packageOverrides, 'cmd');
+        if (_.get(packageOverrides, 'image')) metadata.overrides.applied.push(_.assign({ type: 'image' }, image));
+        if (!options.cmd && _.get(packageOverrides, 'cmd')) metadata.overrides.applied.push(_.assign({ type: 'cmd' }, cmd));
 
         // Generate dockerfile data object.
         let dockerfileData = _.omitBy({
-            imagename: this.imageName,
-            imageversion: this.imageVersion,
-            cmd: options.cmd || this.getDefaultDockerCommand(options.pkg),
-            run: await this.getRunInstallDependencies(metadata.dependencies),
-            copy: [ await this.getDefaultCopyCommand(options.pkg) ]
+            imagename: image.name || this.imageName,
+            imageversion: image.version || this.imageVersion,
+            cmd: cmd || this.getDefaultDockerCommand(files[0]),
+            run: await this.getRunInstallDependencies(metadata.dependencies, _.assign({}, options, {
+                cycles: _.map(_.get(metadata, 'cycles.items'), 'installed')
+            })),
+            copy: await Bluebird.mapSeries(files, f => this.getDefaultCopyCommand(f, options))
         }, _.isUndefined);
 
         // Generate dockerfile text from data object
@@ -167,19 +213,117 @@ class LanguageStrategy {
 
     }
 
+    /**
+     * Read the overrides file of a package. Packages are parsed with LanguageStrategy#parsePackageSpec.
+     *
+     * @param   {String|Array.<String>}      pkg      Path to package, or paths of files.
+     * @param   {String|Boolean}             filename Overrides file. Defaults to the `.dockerizeme.yml` of the package, `false` to ignore it.
+     * @returns {Promise.<Object|undefined>}          Overrides with the `file` read, `mappings` from resources to packages, `versions`,
+     *                                                `packages` and `ignore` lists, and the `image` and `cmd`, if any.
+     * @throws  {InvalidOptionError}                  If the overrides file can't be read or is invalid.
+     */
+    async readOverrides(pkg, filename) {
+
+        if (filename === false) return;
+        filename = filename ? path.resolve(filename) : await overrides.findOverrides(pkg);
+        if (!filename) return;
+
+        let contents = await Bluebird.fromCallback(cb => fs.readFile(filename, 'utf8', cb)).catch((err) => {
+            throw new errors.InvalidOptionError(`Unable to read overrides file ${filename}: ${err.message}`, { option: 'overrides', value: filename });
+        });
+        let data = overrides.parseOverrides(contents, filename);
+        logger.info('Read overrides from', filename);
+
+        return _.omitBy({
+            file: filename,
+            mappings: _.mapValues(data.mappings || {}, spec => this.parsePackageSpec(spec)),
+            versions: _.map(data.versions, (version, spec) => _.assign(this.parsePackageSpec(spec), { version })),
+            packages: _.map(data.packages, spec => this.parsePackageSpec(spec)),
+            ignore: data.ignore || [],
+            image: data.image,
+            cmd: data.cmd
+        }, _.isUndefined);
+
+    }
+
+    /**
+     * Resolve the paths of a package given as several files, moving the entry point first. Each file
+     * is copied to the root of the image, so their names must be unique.
+     *
+     * @param   {Array.<String>} files Paths of files.
+     * @param   {String}         main  Path of the entry point. Defaults to the first file.
+     * @returns {Array.<String>}       Absolute paths, starting with the entry point.
+     */
+    resolveFiles(files, main) {
+
+        files = _.uniq(_.map(files, f => path.resolve(f)));
+        if (_.isEmpty(files)) {
+            throw new errors.InvalidOptionError('No files to dockerize.', { option: 'pkg', value: files });
+        }
+        for (let f of files) {
+            if (!fs.existsSync(f) || !fs.statSync(f).isFile()) {
+                throw new errors.InvalidOptionError(`Invalid file: '${f}'. Several packages must all be files.`, { option: 'pkg', value: f });
+            }
+        }
+        let duplicate = _.find(_.groupBy(files, f => path.basename(f)), g => g.length > 1);
+        if (duplicate) {
+            throw new errors.InvalidOptionError(
+                `Files have the same name and would be copied to the same path: ${duplicate.join(', ')}.`,
+                { option: 'pkg', value: duplicate }
+            );
+        }
+
+        main = main ? path.resolve(main) : files[0];
+        if (!_.includes(files, main)) {
+            throw new errors.InvalidOptionError(`Invalid entry point: '${main}'. Must be one of the files.`, { option: 'main', value: main });
+        }
+        return [main].concat(_.without(files, main));
+
+    }
+
     /**
      * Parse package dependencies.
      *
-     * @param   {String}           pkg Path to package to parse.
-     * @returns {Promise.<Object>}     JSON dependency object.
+     * @param   {String|Array.<String>} pkg Path to package to parse, or paths of files.
+     * @returns {Promise.<Object>}          JSON dependency object.
      */
     async parsePackageDependencies(pkg) {
 
         // Parse file and get dependencies
-        let stdout = await Bluebird.fromCallback(cb => child_process.execFile(
-            this.dependencyParser, [path.resolve(pkg)], cb
+        return this.execParser(this.dependencyParser, _.map(_.castArray(pkg), p => path.resolve(p)), pkg);
+
+    }
+
+    /**
+     * Run a dependency parser and read the JSON it writes to stdout.
+     *
+     * @param   {String}                file Parser executable.
+     * @param   {Array.<String>}        args Parser arguments.
+     * @param   {String|Array.<String>} pkg  Package being parsed, reported when parsing fails.
+     * @returns {Promise.<Object>}           JSON dependency object.
+     * @throws  {ParseError}                 If the parser can't be run, fails or writes invalid JSON.
+     */
+    async execParser(file, args, pkg) {
+
+        let stdout = await new Bluebird((resolve, reject) => child_process.execFile(
+            file, args, { maxBuffer: 64 * 1024 * 1024 }, (err, stdout, stderr) => {
+                if (!err) return resolve(stdout);
+                let lines = _.compact(_.map(_.split(stderr, '\n'), _.trim));
+                let reason = err.code === 'ENOENT'
+                    ? `${file} is not installed`
+                    : _.findLast(lines, l => /^\w*(Error|Exception)\b/.test(l)) || _.last(lines) || err.message;
+                reject(new errors.ParseError(`Unable to parse ${_.castArray(pkg).join(', ')}: ${reason}`, {
+                    pkg, parser: file, cause: err.code, stderr: _.trim(stderr)
+                }));
+            }
         ));
-        return JSON.parse(stdout);
+
+        try {
+            return JSON.parse(stdout);
+        }
+        catch (err) {
+            throw new errors.ParseError(`Unable to parse ${_.castArray(pkg).join(', ')}: invalid parser output.`, { pkg, parser: file });
+        }
 
     }
 
@@ -187,68 +331,274 @@ class LanguageStrategy {
      * Perform dependency inference.
      *
      * Returns a metadata object containing information about the inference procedure and a final list of inferred packages.
+     * The `provenance` graph records each inference step, and `explanation` describes why each package was included.
+     * If the graph is unavailable, `degraded` is set with a `degradedReason`, unless `requireGraph` is set.
      *
-     * @param   {String}           pkg          Path to code package or snippet.
-     * @param   {Object}           options      Options object.
-     * @param   {'assoc'|'deps'}   options.only Only use association rules or dependency rules. Both used if not specified.
-     * @returns {Promise.<Object>}              Metadata object.
+     * @param   {String|Array.<String>} pkg                        Path to code package or snippet, or paths of files.
+     * @param   {Object}                options                    Options object.
+     * @param   {'assoc'|'deps'}        options.only               Only use association rules or dependency rules. Both used if not specified.
+     * @param   {Number}                options.minConfidence      Minimum confidence of association rules.
+     * @param   {Number}                options.minLift            Minimum lift of association rules.
+     * @param   {Number}                options.liftSigma          Minimum standard deviations of lift above the mean lift of a package's rules.
+     * @param   {Number}                options.maxAssocPerPackage Maximum number of associations followed per package, by descending lift.
+     * @param   {Array.<String>}        options.include            Packages to install even if not inferred, as `name` or `system:name`.
+     * @param   {Array.<String>}        options.exclude            Packages to never install, as `name` or `system:name`. Their dependencies are not followed.
+     * @param   {Number}                options.maxDepth           Maximum depth of transitive dependencies. Direct dependencies are at depth 0.
+     * @param   {Number}                options.maxPackages        Maximum number of packages. Direct and included packages are kept, transitive ones fill the rest.
+     * @param   {String}                options.graph              Graph database URI or file.
+     * @param   {String}                options.graphType          Graph store type.
+     * @param   {GraphStore}            options.graphStore         Open graph store to use instead of opening one. It is not closed.
+     * @param   {Boolean}               options.requireGraph       Fail if the graph is unavailable, instead of resolving imports by name only.
+     * @param   {String}                options.packageIndex       Package index URL or path.
+     * @param   {String}                options.packageIndexType   Package index type.
+     * @param   {Object}                options.parseResult        Previously parsed package dependencies. Parsed from `pkg` if not given.
+     * @param   {Object}                options.runtime            Runtime selected for the package, used to resolve versions.
+     * @param   {Boolean}               options.declared           Merge dependencies declared by the package. Defaults to true.
+     * @param   {Boolean}               options.pinVersions        Resolve and pin package versions. Defaults to true.
+     * @param   {String|Date}           options.asOf               Only pin versions released on or before this date.
+     * @param   {Object}                options.overrides          Overrides read by LanguageStrategy#readOverrides.
+     * @param   {Boolean}               options.allCandidates      Install every package matching a resource, rather than the best ranked one.
+     * @param   {Scheduler}             options.scheduler          Scheduler of the graph and package index calls. Created from the options if not given.
+     * @param   {Number}                options.requestConcurrency Maximum number of graph and package index calls running at once.
+     * @param   {Number}                options.retries            Maximum number of retries of a call failing with a transient error.
+     * @param   {Number}                options.retryDelay         Delay before the first retry in milliseconds, doubled for each retry.
+     * @param   {Number}                options.requestTimeout     Timeout of package index requests in milliseconds.
+     * @returns {Promise.<Object>}                                 Metadata object.
      */
     async inferDependencies(pkg, options = {}) {
 
         // Validate options
         if (options.only && !(options.only === 'assoc' || options.only === 'deps')) {
-            throw new Error(`Invalid value for only: '${options.only}.' Must be one of {assoc, deps}.`);
+            throw new errors.InvalidOptionError(
+                `Invalid value for only: '${options.only}'. Must be one of {assoc, deps}.`,
+                { option: 'only', value: options.only }
+            );
+        }
+        if (options.asOf && _.isNaN(new Date(options.asOf).getTime())) {
+            throw new errors.InvalidOptionError(`Invalid value for asOf: '${options.asOf}'. Must be a date.`, { option: 'asOf', value: options.asOf });
+        }
+        for (let name of ASSOC_OPTIONS) {
+            if (!_.isNil(options[name]) && !_.isFinite(options[name])) {
+                throw new errors.InvalidOptionError(
+                    `Invalid value for ${name}: '${options[name]}'. Must be a number.`,
+                    { option: name, value: options[name] }
+                );
+            }
+        }
+        for (let name of ['maxAssocPerPackage', 'maxDepth', 'maxPackages']) {
+            if (!_.isNil(options[name]) && !(_.isInteger(options[name]) && options[name] >= 0)) {
+                throw new errors.InvalidOptionError(
+                    `Invalid value for ${name}: '${options[name]}'. Must be a non-negative integer.`,
+                    { option: name, value: options[name] }
+                );
+            }
         }
 
-        // Get Neo4j Driver
-        let driver = this.getNeo4jDriver();
+        // Calls to the graph and package indexes are throttled and retried by one scheduler
+        let scheduler = Scheduler.fromOptions(options);
+        options = _.assign({}, options, { scheduler });
+
+        let include = _.map(_.compact(_.castArray(options.include || [])), spec => this.parsePackageSpec(spec));
+        let exclude = _.map(_.compact(_.castArray(options.exclude || [])), spec => this.parsePackageSpec(spec));
+        let excludedIds = new Set(await Bluebird.mapSeries(exclude, p => this.getPackageId(p)));
+        for (let p of include) {
+            if (excludedIds.has(await this.getPackageId(p))) {
+                throw new errors.InvalidOptionError(
+                    `Package ${p.system}:${p.name} cannot be both included and excluded.`,
+                    { option: 'include', value: `${p.system}:${p.name}` }
+                );
+            }
+        }
 
         // Result object for inference data
         let inferenceData = {
+            degraded: false,
             importedResources: { count: 0, items: [] },
+            localImports: { count: 0, items: [] },
             directDependencies: { count: 0, nameResolutions: 0, items: [] },
-            transitiveDependencies: { count: 0, items: [] }
+            transitiveDependencies: { count: 0, items: [] },
+            associationFilter: _.omitBy(_.pick(options, ASSOC_OPTIONS), _.isNil),
+            dependencyFilter: _.assign(_.omitBy({
+                include: _.isEmpty(include) ? undefined : _.map(include, p => `${p.system}:${p.name}`),
+                exclude: _.isEmpty(exclude) ? undefined : _.map(exclude, p => `${p.system}:${p.name}`),
+                maxDepth: options.maxDepth,
+                maxPackages: options.maxPackages
+            }, _.isNil), { items: [] })
+        };
+
+        // Record an override applied from the overrides file, once
+        let packageOverrides = options.overrides;
+        if (packageOverrides) inferenceData.overrides = { file: packageOverrides.file, applied: [] };
+        let applyOverride = (item) => {
+            if (!_.some(inferenceData.overrides.applied, item)) {
+                logger.info(`Applied ${item.type} override from ${packageOverrides.file}:`, _.omit(item, 'type'));
+                inferenceData.overrides.applied.push(item);
+            }
+        };
+
+        // Resolve a package of the overrides file, installing it as given if its package system can't find it
+        let givenIds = new Set();
+        let resolveOverride = async (p) => {
+            let system = await this.factory.getSystemStrategy(p.system);
+            let match = await system.searchForExactPackageMatch(p.name, options);
+            if (match) return match;
+            logger.warn(`Package ${p.name} of ${packageOverrides.file} was not found by the ${p.system} package system. Installing it as given.`);
+            givenIds.add(await this.getPackageId(p));
+            return _.pick(p, ['name', 'system']);
         };
 
-        // Open a context using the Neo4j driver and start performing dependency resolution
-        await Bluebird.using(Bluebird.resolve(driver).disposer(driver.close), async (driver) => {
+        // Record a package removed or added by a dependency rule, once
+        let filterPackage = (pkg, rule, action) => {
+            let item = { name: pkg.name, system: pkg.system, rule, action };
+            if (!_.some(inferenceData.dependencyFilter.items, item)) {
+                logger.info(`Package ${pkg.name} ${action} by ${rule}.`);
+                inferenceData.dependencyFilter.items.push(item);
+            }
+        };
+
+        // Unless the graph is required, continue without it when it is unavailable. Imports are then
+        // only resolved by name through the package system, and no transitive dependencies are found.
+        let degrade = (err) => {
+            if (options.requireGraph || !(err instanceof errors.GraphError)) throw err;
+            if (!inferenceData.degraded) {
+                logger.error(`Degraded mode, the graph is unavailable and imports are only resolved by name: ${err.message}`);
+                _.assign(inferenceData, { degraded: true, degradedReason: err.message });
+            }
+            return [];
+        };
+        let lookup = (fn) => inferenceData.degraded ? [] : Bluebird.try(fn).catch(degrade);
+
+        // Get graph store. A store given by the caller is shared, so it is left open.
+        let store = options.graphStore || await this.getGraphStore(options).catch((err) => {
+            degrade(err);
+            return null;
+        });
+
+        // Graph of inference steps
+        let provenance = new Provenance();
+
+        // Open a context using the graph store and start performing dependency resolution
+        await Bluebird.using(Bluebird.resolve(store).disposer(s => options.graphStore || !s || s.close()), async (store) => {
 
             // Parse package for resources that it depends on
-            let data = await this.parsePackageDependencies(pkg);
+            let data = options.parseResult || await this.parsePackageDependencies(pkg);
             inferenceData.packageParseResult = data;
 
+            // Record the files importing each resource
+            _.forEach(data, (v, filename) => {
+                let file = provenance.addNode(Provenance.fileId(filename), { type: 'file', name: filename });
+                for (let d of v.imports) {
+                    let resource = provenance.addNode(Provenance.resourceId(d), { type: 'resource', name: d });
+                    provenance.addEdge(file, resource, 'import', { lines: _.get(v, ['import_lines', d]) });
+                }
+            });
+
             // Create list of dependencies
             let deps = _.union(..._.map(data, v => v.imports));
             inferenceData.importedResources.items = deps;
             inferenceData.importedResources.count = deps.length;
             logger.info('Package imports the following resources', deps);
 
+            // Imports of modules inside the package are never resolved
+            let localImports = _.union(..._.map(data, v => v.local_imports || []));
+            inferenceData.localImports.items = localImports;
+            inferenceData.localImports.count = localImports.length;
+            if (localImports.length) logger.info('Package imports the following local modules', localImports);
+
+            // Imports ignored by the overrides file are never resolved
+            for (let d of _.filter(deps, d => overrides.matchResource(_.get(packageOverrides, 'ignore'), d))) {
+                applyOverride({ type: 'ignore', resource: d });
+                deps = _.without(deps, d);
+            }
+
             // Define a list to store packages corresponding to resources that are imported
             let importPackages = [];
 
+            // Search the database, looking for any package resources with a substring match
+            // and any packages with an exact name match. Union and return distinct packages.
+            // Imports mapped by the overrides file are not looked up.
+            let mappings = _.keys(_.get(packageOverrides, 'mappings'));
+            let lookups = _.zipObject(deps, await Bluebird.map(deps, d => overrides.matchResource(mappings, d)
+                ? []
+                : lookup(() => this.lookupResourcePackages(store, d, options)), { concurrency: scheduler.concurrency }));
+
+            // Rank the candidates of each resource, keeping only the best one unless all are wanted
+            let calls = _.union(..._.map(data, v => v.calls || []));
+            let rankings = await lookup(() => this.rankResourcePackages(store, _.omitBy(lookups, _.isEmpty), calls, options));
+            for (let item of rankings) {
+                for (let c of item.candidates) c.selected = options.allCandidates || c.rank === 1;
+                if (item.candidates.length > 1) {
+                    logger.info(`Ranked candidates for resource ${item.resource}:`, _.map(item.candidates, c => `${c.name} (${c.score})`));
+                }
+            }
+            inferenceData.candidates = {
+                ambiguous: _.filter(rankings, item => item.candidates.length > 1).length,
+                items: rankings
+            };
+
+            // Resources are mapped concurrently, so packages are put back in import order afterwards,
+            // by the position of the first import and graph match resolving to each
+            let positions = new Map();
+            let position = (pkg, i, j) => {
+                let key = `${pkg.name},${pkg.system}`;
+                let previous = positions.get(key);
+                if (!previous || i < previous[0] || (i === previous[0] && j < previous[1])) positions.set(key, [i, j]);
+            };
+
             // Start mapping each known resource to a package
-            await Bluebird.all(_.map(deps, async (d) => {
+            await Bluebird.map(deps, async (d, i) => {
 
                 // Query parameters
                 let params = {name: d, system: this.system};
 
-                // Search the database, looking for any package resources with a substring match
-                // and any packages with an exact name match. Union and return distinct packages.
-                let results = await driver.session().run(RESOURCE_LOOKUP, params);
-                if (!results.records.length) logger.info('Could not perform a reverse package lookup for resource:', d);
+                // Imports mapped by the overrides file are not looked up in the graph
+                let mapping = overrides.matchResource(_.keys(_.get(packageOverrides, 'mappings')), d);
+                if (mapping) {
+                    let match = await resolveOverride(packageOverrides.mappings[mapping]);
+                    provenance.addEdge(Provenance.resourceId(d), await this.addPackageNode(provenance, match), 'mapping', {
+                        mapping,
+                        file: packageOverrides.file
+                    });
+                    applyOverride(_.assign({ type: 'mapping', resource: d }, match));
+                    if (!_.some(importPackages, match)) importPackages.push(match);
+                    position(match, i, 0);
+                    return;
+                }
+
+                // Keep the packages of the selected candidates
+                let candidates = _.get(_.find(rankings, ['resource', d]), 'candidates', []);
+                let selected = _.filter(candidates, 'selected');
+                let results = _.filter(lookups[d], p => _.some(selected, _.pick(p, ['name', 'system'])));
+                if (!results.length) logger.info('Could not perform a reverse package lookup for resource:', d);
 
                 // Push discovered packages to the package queue
-                await Bluebird.all(_.map(results.records, async (record) => {
+                let resolved = false;
+                await Bluebird.all(_.map(results, async (p, j) => {
 
-                    // Get package properties
-                    let p = record.get('p').properties;
+                    // Log package properties
                     logger.info(`Reverse lookup for ${d} matched package:`, p);
 
                     // Get package management system strategy
                     let system = await this.factory.getSystemStrategy(p.system);
 
+                    // Record the graph match
+                    let candidate = _.find(candidates, _.pick(p, ['name', 'system']));
+                    let graphPackage = await this.addPackageNode(provenance, p);
+                    provenance.addEdge(Provenance.resourceId(d), graphPackage, 'resource_match', {
+                        match: _.get(p, 'via.type'),
+                        resources: _.get(p, 'via.resources'),
+                        symbols: _.isEmpty(candidate.matchedSymbols) ? undefined : candidate.matchedSymbols,
+                        rank: candidates.length > 1 ? candidate.rank : undefined,
+                        score: candidates.length > 1 ? candidate.score : undefined
+                    });
+
                     // Search for a record match and save
-                    let match = await system.searchForExactPackageMatch(p.name);
+                    let match = await system.searchForExactPackageMatch(p.name, options);
+                    if (match) {
+                        provenance.addEdge(graphPackage, await this.addPackageNode(provenance, match), 'name_resolution');
+                        position(match, i, j);
+                        resolved = true;
+                    }
                     if (match && !_.some(importPackages, match)) {
                         logger.info(`Package ${p.name} resolved by package system as:`, match);
                         inferenceData.directDependencies.nameResolutions++;
@@ -262,14 +612,21 @@ class LanguageStrategy {
 
                 // If the package queue does not contain a package with an exact name match,
                 // this might just be because of an incomplete database. Defer to the system
-                // of record. If found, push to the package queue.
-                if (!_.some(importPackages, params)) {
+                // of record. If found, push to the package queue. When other candidates were
+                // ranked lower and the best one was found, the resource is already resolved.
+                let ranked = selected.length < candidates.length;
+                if (!_.some(importPackages, params) && ranked && resolved) {
+                    logger.info('Resource resolved by its best candidate:', d);
+                }
+                else if (!_.some(importPackages, params)) {
                     logger.info('No exact match in database for resource:', d);
                     let system = await this.factory.getSystemStrategy(this.system);
-                    let record = await system.searchForExactPackageMatch(d);
+                    let record = await system.searchForExactPackageMatch(d, options);
                     if (record) {
                         logger.info(`Package ${d} resolved by package system as:`, record);
-                        importPackages.push(record);
+                        provenance.addEdge(Provenance.resourceId(d), await this.addPackageNode(provenance, record), 'system_match');
+                        if (!_.some(importPackages, record)) importPackages.push(record);
+                        position(record, i, results.length);
                     }
                     else logger.info('No exact match found for resource:', d);
                 }
@@ -279,7 +636,8 @@ class LanguageStrategy {
                     inferenceData.directDependencies.nameResolutions--;
                 }
 
-            }));
+            }, { concurrency: scheduler.concurrency });
+            importPackages = _.sortBy(importPackages, _.times(2, k => p => positions.get(`${p.name},${p.system}`)[k]));
 
             logger.info(
                 'Imported resources were mapped back to these packages:',
@@ -288,16 +646,42 @@ class LanguageStrategy {
             inferenceData.directDependencies.items = _.clone(importPackages); // Modified later, so clone now
             inferenceData.directDependencies.count = importPackages.length;
 
+            // Add included packages as roots
+            for (let p of include) {
+                let system = await this.factory.getSystemStrategy(p.system);
+                let match = await system.searchForExactPackageMatch(p.name, options);
+                if (!match) {
+                    logger.warn(`Included package ${p.name} was not found by the ${p.system} package system.`);
+                }
+                else if (!_.some(importPackages, match)) {
+                    let option = provenance.addNode('option:include', { type: 'option', name: 'include' });
+                    provenance.addEdge(option, await this.addPackageNode(provenance, match), 'included');
+                    filterPackage(match, 'include', 'added');
+                    importPackages.push(match);
+                }
+            }
+
+            // Add packages of the overrides file as roots
+            for (let p of _.get(packageOverrides, 'packages', [])) {
+                let match = await resolveOverride(p);
+                let file = provenance.addNode(Provenance.fileId(packageOverrides.file), { type: 'file', name: packageOverrides.file });
+                provenance.addEdge(file, await this.addPackageNode(provenance, match), 'override');
+                applyOverride(_.assign({ type: 'package' }, match));
+                if (!_.some(importPackages, match)) importPackages.push(match);
+            }
 
-            // Set of encountered packages during traversal
-            let encounteredPackages = new Set();
+            // Roots are always at depth 0 and kept by the package limit
+            let rootIds = new Set(await Bluebird.mapSeries(importPackages, p => this.getPackageId(p)));
+            let transitiveLimit = _.isNil(options.maxPackages) ? Infinity : options.maxPackages - rootIds.size;
+            let transitiveExplored = 0;
 
-            // List of package dependencies encountered in order.
-            let dependencies = [];
+            // Explored packages, with the package each one resolves to and
+            // edges to its dependencies
+            let graph = new DependencyGraph();
 
-            // Perform DFS to resolve packages and dependencies.
-            // This is a reverse topological order if the graph
-            // structure is acyclic.
+            // Perform DFS from each root to explore packages and their
+            // dependencies. The install order is a topological sort of the
+            // resulting graph, see below.
             let root;
             while (root = importPackages.shift()) {
 
@@ -305,95 +689,453 @@ class LanguageStrategy {
                 logger.info('Starting DFS rooted from:', root);
 
                 // Perform DFS rooted from this node
-                await (async function dfs(node) {
+                await (async function dfs(node, depth) {
 
                     // Get node id
                     let system = await this.factory.getSystemStrategy(node.system);
                     let nodeId = `${system.normalizePackageName(node.name)},${node.system}`;
 
                     // If node has already been encountered, do nothing
-                    if (encounteredPackages.has(nodeId)) return;
+                    if (graph.nodes.has(nodeId)) return;
 
-                    // Set package as encountered
-                    logger.info('Exploring node:', node);
-                    encounteredPackages.add(nodeId);
-
-                    // Build query. Override default depending on options.
-                    let query = `
-                        ${RESOURCE_DEP_LOOKUP}
-                        UNION
-                        ${ASSOCIATION_DEP_LOOKUP}
-                    `;
-                    if (options.only === 'deps') {
-                        query = RESOURCE_DEP_LOOKUP;
+                    // Apply dependency rules. Excluded packages are not followed.
+                    if (excludedIds.has(nodeId)) {
+                        return filterPackage(node, 'exclude', 'removed');
                     }
-                    if (options.only === 'assoc') {
-                        query = ASSOCIATION_DEP_LOOKUP;
+                    if (!rootIds.has(nodeId)) {
+                        if (depth > options.maxDepth) return filterPackage(node, 'maxDepth', 'removed');
+                        if (transitiveExplored >= transitiveLimit) return filterPackage(node, 'maxPackages', 'removed');
+                        transitiveExplored++;
                     }
 
-                    // Run query
-                    let results = await driver.session().run(query, node);
-
-                    // Parse results and recurse
-                    for (let record of results.records) {
+                    // Set package as encountered
+                    logger.info('Exploring node:', node);
+                    graph.addNode(nodeId, { node });
 
-                        let dep = record.get('d');
-                        let name = dep.properties.name;
-                        let system = dep.properties.system;
+                    // Look up dependencies
+                    let results = await lookup(() => this.lookupPackageDependencies(store, node, options));
 
-                        if (!encounteredPackages.has(`${name},${system}`)) {
-                            await dfs.bind(this)({name, system});
+                    // Parse results and recurse
+                    for (let dep of results) {
+
+                        // Record the edge to the dependency
+                        provenance.addEdge(
+                            await this.addPackageNode(provenance, node),
+                            await this.addPackageNode(provenance, dep),
+                            _.get(dep, 'via.type'),
+                            _.omit(dep.via, 'type')
+                        );
+
+                        let depId = await this.getPackageId(dep);
+                        graph.addEdge(nodeId, depId);
+                        if (!graph.nodes.has(depId)) {
+                            await dfs.bind(this)(_.pick(dep, ['name', 'system']), rootIds.has(depId) ? 0 : depth + 1);
                         }
 
                     }
 
-                    // Normalize and add to dependencies
-                    let match = await system.searchForExactPackageMatch(node.name);
+                    // Normalize with the package system
+                    let match = await system.searchForExactPackageMatch(node.name, options);
+                    if (!match && givenIds.has(nodeId)) match = node;
                     if (match) {
                         logger.info(`Package ${node.name} resolved by package system as:`, match);
-                        dependencies.push(match);
-                        if (!_.isEqual(root, match)) {
-                            inferenceData.transitiveDependencies.count++;
-                            inferenceData.transitiveDependencies.items.push(match);
-                        }
+                        provenance.addEdge(
+                            await this.addPackageNode(provenance, node),
+                            await this.addPackageNode(provenance, match),
+                            'name_resolution'
+                        );
                     }
+                    graph.addNode(nodeId, { node, match });
+
+                }).bind(this)(root, 0);
 
-                }).bind(this)(root);
+            }
 
+            // Install dependencies first. Packages that depend on each other
+            // form a cycle with no such order, and are installed together.
+            // Several packages may resolve to the same one, installed once.
+            let resolve = ids => _.uniqBy(_.compact(_.map(ids, id => graph.nodes.get(id).match)), p => `${p.name},${p.system}`);
+            let dependencies = resolve(graph.order());
+
+            // Report cycles
+            inferenceData.cycles = { count: 0, items: [] };
+            for (let cycle of graph.cycles()) {
+                let packages = _.map(cycle, id => graph.nodes.get(id).node);
+                logger.warn('Packages depend on each other and are installed together:', _.map(packages, p => `${p.system}:${p.name}`));
+                inferenceData.cycles.count++;
+                inferenceData.cycles.items.push({ packages, installed: resolve(cycle) });
             }
 
+            // Transitive dependencies are those not resolved from an import
+            let direct = new Set(_.map(resolve([...rootIds].filter(id => graph.nodes.has(id))), p => `${p.name},${p.system}`));
+            inferenceData.transitiveDependencies.items = _.reject(dependencies, p => direct.has(`${p.name},${p.system}`));
+            inferenceData.transitiveDependencies.count = inferenceData.transitiveDependencies.items.length;
+
             logger.info('Resolved dependency ordering:', _.map(dependencies, d => `(${d.name}, ${d.system})`));
             inferenceData.dependencies = dependencies;
 
+            // Merge declared dependencies, if the package declares any
+            let declared = options.declared !== false ? await this.parseDeclaredDependencies(pkg, options) : [];
+            if (!_.isEmpty(declared)) {
+                let merged = await this.mergeDeclaredDependencies(declared, dependencies, inferenceData.directDependencies.items, options);
+                inferenceData.declaredDependencies = merged.report;
+                inferenceData.dependencies = dependencies = await Bluebird.filter(merged.dependencies, async (d) => {
+                    if (!excludedIds.has(await this.getPackageId(d))) return true;
+                    filterPackage(d, 'exclude', 'removed');
+                    return false;
+                });
+
+                // Record the files declaring each package
+                for (let item of merged.report.items) {
+                    let file = provenance.addNode(Provenance.fileId(item.source), { type: 'file', name: item.source });
+                    provenance.addEdge(file, await this.addPackageNode(provenance, item), 'declared', { specifier: item.specifier });
+                }
+            }
+
+            // Pin versions
+            if (options.pinVersions !== false) {
+                inferenceData.versionResolution = await this.resolveVersions(dependencies, options);
+                inferenceData.dependencies = _.map(dependencies, d => _.omitBy(_.assign({}, d, {
+                    version: _.get(_.find(inferenceData.versionResolution.items, _.pick(d, ['name', 'system'])), 'version')
+                }), _.isUndefined));
+            }
+
+            // Versions pinned by the overrides file take precedence
+            if (!_.isEmpty(_.get(packageOverrides, 'versions'))) {
+                let versions = new Map(await Bluebird.mapSeries(packageOverrides.versions, async v => [await this.getPackageId(v), v.version]));
+                inferenceData.dependencies = await Bluebird.mapSeries(inferenceData.dependencies, async (d) => {
+                    let version = versions.get(await this.getPackageId(d));
+                    if (_.isUndefined(version)) return d;
+                    applyOverride({ type: 'version', name: d.name, system: d.system, version });
+                    let item = _.find(_.get(inferenceData, 'versionResolution.items'), _.pick(d, ['name', 'system']));
+                    if (item) _.assign(item, { version, reason: `Pinned by ${packageOverrides.file}.` });
+                    return _.assign({}, d, { version });
+                });
+            }
+
+            // Explain the final dependencies
+            let ids = await Bluebird.mapSeries(inferenceData.dependencies, async (d) => {
+                let id = await this.addPackageNode(provenance, d);
+                _.assign(provenance.nodes.get(id), _.pick(d, ['name', 'version']));
+                return id;
+            });
+            inferenceData.provenance = provenance.toJSON();
+            inferenceData.explanation = provenance.explain(ids);
+
         });
 
+        // Report the calls made
+        inferenceData.scheduling = scheduler.summary();
+
         // Return inference data
         return inferenceData;
 
     }
 
     /**
-     * Return docker run commands needed to install a list of packages.
+     * Parse a package given as `name` or `system:name`. The system defaults to the language's system.
+     *
+     * @param   {String} spec Package specification, e.g. `requests` or `apt:libxml2-dev`.
+     * @returns {Object}      Package with `name` and `system` keys.
+     */
+    parsePackageSpec(spec) {
+
+        let match = /^(\w+):(.+)$/.exec(_.trim(spec));
+        return match ? { name: match[2], system: match[1] } : { name: _.trim(spec), system: this.system };
+
+    }
+
+    /**
+     * Add a package node to a provenance graph, identified by its normalized name.
+     *
+     * @param   {Provenance}       provenance Provenance graph.
+     * @param   {Object}           pkg        Package with `name` and `system` keys.
+     * @returns {Promise.<String>}            Node id.
+     */
+    async addPackageNode(provenance, pkg) {
+
+        let id = Provenance.packageId(await this.getPackageId(pkg));
+        return provenance.addNode(id, { type: 'package', name: pkg.name, system: pkg.system });
+
+    }
+
+    /**
+     * Look up packages that provide a resource. Results are cached by graph, system and resource name.
      *
-     * @param   {Array.<Object>}  packages List of packages.
-     * @returns {Promise.<Array>}          List of generated run commands to install dependencies.
+     * @param   {GraphStore}               store   Graph store.
+     * @param   {String}                   name    Resource name.
+     * @param   {Object}                   options Options object, used to select the cache and scheduler.
+     * @returns {Promise.<Array.<Object>>}         Matching package properties.
      */
-    async getRunInstallDependencies(packages) {
+    async lookupResourcePackages(store, name, options = {}) {
+
+        if (!store.cacheable) return store.lookupResourcePackages(name, this.system);
+
+        let key = ['resource-packages', store.location, this.system, name];
+        return Cache.fromOptions(options).wrap('graph', key, () => Scheduler.fromOptions(options).run('graph', () => store.lookupResourcePackages(name, this.system)));
+
+    }
+
+    /**
+     * Look up the dependencies of a package. Results are cached by graph, system, package name,
+     * rules used and association thresholds.
+     *
+     * @param   {GraphStore}               store   Graph store.
+     * @param   {Object}                   node    Package with `name` and `system` keys.
+     * @param   {Object}                   options Options object, with `only` and association thresholds passed to the store.
+     * @returns {Promise.<Array.<Object>>}         Dependency package properties.
+     */
+    async lookupPackageDependencies(store, node, options = {}) {
+
+        let lookupOptions = _.omitBy(_.pick(options, _.concat(['only'], ASSOC_OPTIONS)), _.isNil);
+        if (!store.cacheable) return store.lookupPackageDependencies(node, lookupOptions);
+
+        let thresholds = _.map(ASSOC_OPTIONS, name => _.isNil(options[name]) ? '' : options[name]);
+        let key = _.concat(['package-dependencies', store.location, node.system, node.name, options.only || 'all'], thresholds);
+        return Cache.fromOptions(options).wrap('graph', key, () => Scheduler.fromOptions(options).run('graph', () => store.lookupPackageDependencies(node, lookupOptions)));
+
+    }
+
+    /**
+     * Count the packages that depend on a package. Results are cached by graph, system and package name.
+     *
+     * @param   {GraphStore}       store   Graph store.
+     * @param   {Object}           node    Package with `name` and `system` keys.
+     * @param   {Object}           options Options object, used to select the cache and scheduler.
+     * @returns {Promise.<Number>}         Number of dependent packages.
+     */
+    async countPackageDependents(store, node, options = {}) {
+
+        if (!store.cacheable) return store.countPackageDependents(node);
+
+        let key = ['package-dependents', store.location, node.system, node.name];
+        return Cache.fromOptions(options).wrap('graph', key, () => Scheduler.fromOptions(options).run('graph', () => store.countPackageDependents(node)));
+
+    }
+
+    /**
+     * Look up which of the given symbols a package exports. Results are cached by graph, system,
+     * package name and symbols.
+     *
+     * @param   {GraphStore}               store   Graph store.
+     * @param   {Object}                   node    Package with `name` and `system` keys.
+     * @param   {Array.<String>}           names   Fully qualified symbol names.
+     * @param   {Object}                   options Options object, used to select the cache and scheduler.
+     * @returns {Promise.<Array.<String>>}         Names of the exported symbols.
+     */
+    async lookupPackageSymbols(store, node, names, options = {}) {
+
+        names = _.sortBy(_.uniq(names));
+        if (!store.cacheable) return store.lookupPackageSymbols(node, names);
+
+        let key = ['package-symbols', store.location, node.system, node.name, names];
+        return Cache.fromOptions(options).wrap('graph', key, () => Scheduler.fromOptions(options).run('graph', () => store.lookupPackageSymbols(node, names)));
+
+    }
+
+    /**
+     * Rank the candidate packages of each imported resource, see the ranking module. Symbols are
+     * scored against the parsed calls made through the resource, and co-occurrence against the
+     * candidates of the other resources, following the dependency rules in `options`. A lone
+     * candidate is only checked for the called symbols it exports, and gets rank 1. Graph calls
+     * are bounded by the scheduler.
+     *
+     * @param   {GraphStore}               store   Graph store.
+     * @param   {Object}                   lookups Matching package properties keyed by resource, see LanguageStrategy#lookupResourcePackages.
+     * @param   {Array.<String>}           calls   Calls traced back to their library by the parser.
+     * @param   {Object}                   options Options object, see LanguageStrategy#lookupPackageDependencies.
+     * @returns {Promise.<Array.<Object>>}         One item per resource, with the `resource`, the `calls` made through it
+     *                                             and its ranked `candidates`, each with the `matchedSymbols` it exports.
+     */
+    async rankResourcePackages(store, lookups, calls, options = {}) {
+
+        let candidates = _.mapValues(lookups, results => ranking.groupCandidates(results));
+        return await Bluebird.map(_.keys(candidates), async (resource) => {
+
+            let resourceCalls = ranking.resourceCalls(calls, resource);
+            let names = _.flatMap(resourceCalls, c => ranking.callSymbols(c, resource));
+            let symbols = async (c) => {
+                let exported = _.isEmpty(names) ? [] : await this.lookupPackageSymbols(store, c, names, options);
+                return { symbols: _.round(ranking.scoreSymbols(exported, resourceCalls, resource), 4), matchedSymbols: exported };
+            };
+
+            // Nothing to rank, but keep the symbol evidence
+            if (candidates[resource].length === 1) {
+                let candidate = candidates[resource][0];
+                return { resource, calls: resourceCalls, candidates: [_.assign({}, candidate, await symbols(candidate), { rank: 1 })] };
+            }
 
-        // Map resolved packages to run commands
-        return await Bluebird.all(_.map(packages, async (pkg) => {
+            let others = _.values(_.omit(candidates, resource));
+            let dependents = await Bluebird.map(candidates[resource], c => this.countPackageDependents(store, c, options));
+            let popularity = ranking.scorePopularity(dependents);
+            let scored = await Bluebird.map(candidates[resource], async (c, i) => {
+                let neighbors = await this.lookupPackageDependencies(store, c, options);
+                return _.assign({}, c, {
+                    match: _.round(ranking.scoreMatch(c, resource), 4),
+                    cooccurrence: _.round(ranking.scoreCooccurrence(neighbors, others), 4),
+                    popularity: _.round(popularity[i], 4),
+                    dependents: dependents[i]
+                }, await symbols(c));
+            });
+            return { resource, calls: resourceCalls, candidates: ranking.rank(scored) };
+
+        });
+
+    }
+
+    /**
+     * Parse dependencies declared by a package, e.g. in a manifest next to the code.
+     * Default is to declare nothing.
+     *
+     * @param   {String}                   pkg     Path to code package or snippet.
+     * @param   {Object}                   options Options object.
+     * @returns {Promise.<Array.<Object>>}         Requirements with `name`, `specifier` and `source` keys.
+     */
+    async parseDeclaredDependencies(pkg, options = {}) { return []; }
+
+    /**
+     * Merge declared dependencies into inferred dependencies. Declared packages are resolved
+     * by the language's package system. Packages that were also inferred keep their place in
+     * the install order and gain the declared specifier; the rest are installed afterwards.
+     * Each package lists its `sources`: `inferred` and/or the files declaring it.
+     *
+     * @param   {Array.<Object>}   declared     Declared requirements.
+     * @param   {Array.<Object>}   dependencies Inferred dependencies, in install order.
+     * @param   {Array.<Object>}   direct       Inferred direct dependencies.
+     * @param   {Object}           options      Options passed to the package system.
+     * @returns {Promise.<Object>}              Merged `dependencies` and a `report` for the metadata.
+     */
+    async mergeDeclaredDependencies(declared, dependencies, direct, options = {}) {
+
+        let system = await this.factory.getSystemStrategy(this.system);
+        let merged = _.map(dependencies, d => _.assign({}, d, { sources: ['inferred'] }));
+        let ids = await Bluebird.mapSeries(merged, d => this.getPackageId(d));
+        let report = { files: _.uniq(_.map(declared, 'source')), items: [], unresolved: [] };
+
+        for (let requirement of declared) {
+
+            // Resolve the declared name
+            let match = await system.searchForExactPackageMatch(requirement.name, options);
+            if (!match) {
+                logger.warn(`Declared dependency ${requirement.name} in ${requirement.source} was not found by the package system.`);
+                report.unresolved.push(requirement);
+                continue;
+            }
+            report.items.push(_.assign({}, match, _.pick(requirement, ['specifier', 'source'])));
+
+            // Add to merged dependencies
+            let id = await this.getPackageId(match);
+            let i = ids.indexOf(id);
+            if (i < 0) {
+                merged.push(_.assign({}, match, { sources: [] }));
+                ids.push(id);
+                i = merged.length - 1;
+            }
+            merged[i].sources = _.union(merged[i].sources, [requirement.source]);
+            if (requirement.specifier) {
+                merged[i].specifier = _.uniq(_.compact(_.concat(
+                    _.split(merged[i].specifier, ','),
+                    _.split(requirement.specifier, ',')
+                ))).join(',');
+            }
+
+        }
+
+        // Report packages that were only declared, or only inferred to be imported
+        let declaredIds = await Bluebird.mapSeries(report.items, d => this.getPackageId(d));
+        let directIds = await Bluebird.mapSeries(direct, d => this.getPackageId(d));
+        report.mismatches = {
+            declaredOnly: _.reject(merged, d => _.includes(d.sources, 'inferred')),
+            inferredOnly: _.filter(direct, (d, i) => !_.includes(declaredIds, directIds[i]))
+        };
+
+        return { dependencies: merged, report };
+
+    }
+
+    /**
+     * Get an identifier for a package, normalizing its name with its package system.
+     *
+     * @param   {Object}           pkg Package with `name` and `system` keys.
+     * @returns {Promise.<String>}     Package identifier.
+     */
+    async getPackageId(pkg) {
+
+        let system = await this.factory.getSystemStrategy(pkg.system);
+        return `${system.normalizePackageName(pkg.name)},${pkg.system}`;
+
+    }
+
+    /**
+     * Resolve the version of each package with its package system.
+     *
+     * @param   {Array.<Object>}   packages List of packages.
+     * @param   {Object}           options  Options passed to each package system.
+     * @returns {Promise.<Object>}          Resolution metadata, with one item per package.
+     */
+    async resolveVersions(packages, options = {}) {
+
+        let items = await Bluebird.mapSeries(packages, async (pkg) => {
             let system = await this.factory.getSystemStrategy(pkg.system);
-            return system.getInstallRunCommand(pkg);
-        }));
+            let resolution = await system.resolveVersion(pkg, options);
+            logger.info(`Resolved version of ${pkg.name} as ${resolution.version || 'unpinned'}:`, resolution.reason);
+            return _.omitBy(_.assign(_.pick(pkg, ['name', 'system', 'specifier']), resolution), _.isUndefined);
+        });
+
+        return _.omitBy({
+            runtime: _.get(options, 'runtime.version'),
+            asOf: options.asOf ? new Date(options.asOf).toISOString() : undefined,
+            items
+        }, _.isUndefined);
+
+    }
+
+    /**
+     * Return docker run commands needed to install a list of packages.
+     * Consecutive packages of the same system are installed by a single
+     * command, keeping the dependency order between systems. Packages of
+     * a cycle are always installed together, as none can go first.
+     *
+     * @param   {Array.<Object>}         packages              List of packages.
+     * @param   {Object}                 options               Options passed to each package system.
+     * @param   {Boolean}                options.combineLayers Install consecutive packages of a system in one layer. Defaults to true.
+     * @param   {Array.<Array.<Object>>} options.cycles        Packages of each dependency cycle, adjacent in the list.
+     * @returns {Promise.<Array>}                              List of generated run commands to install dependencies.
+     */
+    async getRunInstallDependencies(packages, options = {}) {
+
+        // Cycle of each package
+        let cycles = new Map();
+        _.forEach(options.cycles, (cycle, i) => {
+            for (let pkg of cycle) cycles.set(`${pkg.name},${pkg.system}`, i);
+        });
+
+        // Group consecutive packages by system, or only those of a cycle
+        let groups = [];
+        for (let pkg of packages || []) {
+            let group = _.last(groups);
+            let cycle = cycles.get(`${pkg.name},${pkg.system}`);
+            let combine = options.combineLayers !== false || (!_.isUndefined(cycle) && group && group.cycle === cycle);
+            if (combine && group && group.system === pkg.system) group.packages.push(pkg);
+            else groups.push({ system: pkg.system, cycle, packages: [pkg] });
+        }
+
+        // One command per group
+        return await Bluebird.mapSeries(groups, async (group) => {
+            let system = await this.factory.getSystemStrategy(group.system);
+            return system.getInstallRunCommands(group.packages, options);
+        });
 
     }
 
     /**
      * Get the default docker command for copying pkg into the Dockerfile.
      *
-     * @param {String} pkg Path to package.
+     * @param {String} pkg             Path to package.
+     * @param {Object} options         Options object.
+     * @param {String} options.context Docker build context directory. Defaults to cwd.
      */
-    getDefaultCopyCommand(pkg) { throw new Error(NOT_IMPLEMENTED); }
+    getDefaultCopyCommand(pkg, options = {}) { throw new Error(NOT_IMPLEMENTED); }
 
     /**
      * Get the default docker command CMD.
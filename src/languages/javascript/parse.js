@@ -0,0 +1,258 @@
+#!/usr/bin/env node
+
+/**
+ * Parse javascript files for module specifiers.
+ *
+ * Finds `require()` calls, dynamic `import()` calls, and `import`/`export ... from`
+ * declarations with string literal specifiers. Comments are stripped and string
+ * literals are masked first, so that commented out code and strings are ignored.
+ *
+ * Usage: node parse.js <file or directory>
+ *
+ * Prints a JSON object keyed by file, where each value contains
+ *
+ *     imports       - Packages imported by the file. Node core modules are ignored, and
+ *                     deep and scoped specifiers are mapped to package names.
+ *     local_imports - Relative and absolute path specifiers.
+ *     import_lines  - Lines importing each package or path specifier.
+ *     calls         - Always empty, calls are not traced.
+ *     error         - Only present if the file could not be read.
+ *
+ * @module languages/javascript/parse
+ */
+
+
+// Core/NPM Modules
+const fs     = require('fs');
+const path   = require('path');
+const Module = require('module');
+
+
+// Constants
+const EXTENSIONS          = ['.js', '.mjs', '.cjs', '.jsx'];
+const IGNORED_DIRECTORIES = ['node_modules', 'bower_components'];
+const SPECIFIER_PATTERNS  = [
+    /\brequire\s*\(\s*(['"`])(\d+)\1\s*\)/g,
+    /\bimport\s*\(\s*(['"`])(\d+)\1\s*\)/g,
+    /\bimport\s+(['"])(\d+)\1/g,
+    /\b(?:import|export)\s+[^'";]*?\bfrom\s*(['"])(\d+)\1/g
+];
+const CORE_MODULES        = new Set(Module.builtinModules || Object.keys(process.binding('natives')));
+
+
+/**
+ * Remove comments from source code, and replace the contents of string and template
+ * literals with their index in a list of literals. Line breaks are kept, so that
+ * lines in the masked code match lines in the source.
+ *
+ * @param   {String} source Source code.
+ * @returns {Object}        Masked `code`, and the `strings` it refers to.
+ */
+function tokenize(source) {
+
+    let result = '';
+    let strings = [];
+    let i = 0;
+
+    while (i < source.length) {
+
+        let c = source[i];
+        let next = source[i + 1];
+
+        // Line comment
+        if (c === '/' && next === '/') {
+            while (i < source.length && source[i] !== '\n') i++;
+        }
+        // Block comment
+        else if (c === '/' && next === '*') {
+            let end = source.indexOf('*/', i + 2);
+            end = end < 0 ? source.length : end + 2;
+            result += ' ' + lineBreaks(source.slice(i, end));
+            i = end;
+        }
+        // String or template literal
+        else if (c === '\'' || c === '"' || c === '`') {
+            let start = ++i;
+            while (i < source.length && source[i] !== c && (c === '`' || source[i] !== '\n')) {
+                i += source[i] === '\\' ? 2 : 1;
+            }
+            result += `${c}${strings.length}${c}`;
+            strings.push(source.slice(start, i++));
+            result += lineBreaks(strings[strings.length - 1]);
+        }
+        else {
+            result += c;
+            i++;
+        }
+
+    }
+
+    return { code: result, strings };
+
+}
+
+
+/**
+ * Get the line breaks in a string.
+ *
+ * @param   {String} text Text.
+ * @returns {String}      Line breaks of the text.
+ */
+function lineBreaks(text) {
+    return text.replace(/[^\n]/g, '');
+}
+
+
+/**
+ * Get the line number of an index in a string.
+ *
+ * @param   {String} text  Text.
+ * @param   {Number} index Index in the text.
+ * @returns {Number}       Line number, starting at 1.
+ */
+function lineNumber(text, index) {
+    return lineBreaks(text.slice(0, index)).length + 1;
+}
+
+
+/**
+ * Map a module specifier to a package name.
+ *
+ * @param   {String}      specifier Module specifier, e.g. `lodash/fp` or `@babel/core/lib/index`.
+ * @returns {String|null}           Package name, or null for core modules.
+ */
+function getPackageName(specifier) {
+
+    if (/^node:/.test(specifier)) return null;
+
+    let parts = specifier.split('/');
+    let name = specifier[0] === '@' ? parts.slice(0, 2).join('/') : parts[0];
+    return CORE_MODULES.has(name) ? null : name;
+
+}
+
+
+/**
+ * Parse module specifiers from a snippet of javascript.
+ *
+ * @param   {String} source Source code.
+ * @returns {Object}        Parse result with `imports`, `local_imports`, `import_lines` and `calls`.
+ */
+function parseSource(source) {
+
+    let imports = new Set();
+    let localImports = new Set();
+    let importLines = {};
+    let { code, strings } = tokenize(source.replace(/^#!.*/, ''));
+
+    for (let pattern of SPECIFIER_PATTERNS) {
+
+        let match;
+        pattern.lastIndex = 0;
+        while ((match = pattern.exec(code))) {
+
+            let specifier = strings[match[2]].trim();
+            let name = null;
+            if (!specifier || /\$\{/.test(specifier)) {
+                continue;
+            }
+            else if (/^(\.|\/)/.test(specifier)) {
+                name = specifier;
+                localImports.add(name);
+            }
+            else if (!/^[a-z][a-z0-9+.-]*:/i.test(specifier) || /^node:/.test(specifier)) {
+                name = getPackageName(specifier);
+                if (name) imports.add(name);
+            }
+
+            // Record the line of the specifier
+            if (name) {
+                let line = lineNumber(code, match.index + match[0].length);
+                importLines[name] = [...new Set((importLines[name] || []).concat(line))].sort((a, b) => a - b);
+            }
+
+        }
+
+    }
+
+    return { imports: [...imports], local_imports: [...localImports], import_lines: importLines, calls: [] };
+
+}
+
+
+/**
+ * Load and parse a file.
+ *
+ * @param   {String} filename Path to file.
+ * @returns {Object}          Parse result.
+ */
+function parseFile(filename) {
+
+    try {
+        return parseSource(fs.readFileSync(filename, 'utf8'));
+    }
+    catch (err) {
+        return { imports: [], local_imports: [], import_lines: {}, calls: [], error: { type: err.code || err.name, message: err.message } };
+    }
+
+}
+
+
+/**
+ * Recursively find javascript files in a directory, skipping hidden and dependency directories.
+ *
+ * @param   {String}         dir Directory to search.
+ * @returns {Array.<String>}     Absolute paths of javascript files.
+ */
+function findFiles(dir) {
+
+    let filenames = [];
+    for (let name of fs.readdirSync(dir).sort()) {
+
+        let filename = path.join(dir, name);
+        let stats = fs.statSync(filename);
+        if (stats.isDirectory() && name[0] !== '.' && IGNORED_DIRECTORIES.indexOf(name) < 0) {
+            filenames.push(...findFiles(filename));
+        }
+        else if (stats.isFile() && EXTENSIONS.indexOf(path.extname(name)) >= 0) {
+            filenames.push(filename);
+        }
+
+    }
+    return filenames;
+
+}
+
+
+// Parse
+if (require.main === module) {
+
+    if (process.argv.length < 3) {
+        throw new Error('Usage: node parse.js <filename> [<filename> ...]');
+    }
+
+    let data = {};
+    for (let pathname of process.argv.slice(2).map(p => path.resolve(p))) {
+        if (fs.existsSync(pathname) && fs.statSync(pathname).isDirectory()) {
+            for (let filename of findFiles(pathname)) {
+                data[filename] = parseFile(filename);
+            }
+        }
+        else if (fs.existsSync(pathname)) {
+            data[pathname] = parseFile(pathname);
+        }
+        else {
+            throw new Error(`${pathname} is not a directory or file.`);
+        }
+    }
+
+    console.log(JSON.stringify(data));
+
+}
+
+
+// Export
+module.exports = {
+    parseSource,
+    getPackageName
+};
@@ -0,0 +1,106 @@
+/**
+ * @module languages/javascript/strategy
+ */
+
+
+// Core/NPM Modules
+const path             = require('path');
+const _                = require('lodash');
+
+
+// Local Modules
+const LanguageStrategy = require('../../language-strategy');
+
+
+/**
+ * Javascript strategy class
+ */
+class JavascriptStrategy extends LanguageStrategy {
+
+    /**
+     * Language name.
+     *
+     * @returns {String} Language name.
+     */
+    get language() { return 'javascript'; }
+
+    /**
+     * Path to executable dependency parser.
+     *
+     * @returns {String} Dependency parser path.
+     */
+    get dependencyParser() { return path.resolve(__dirname, 'parse.js'); }
+
+    /**
+     * Docker image name.
+     *
+     * @returns {String} Docker image name.
+     */
+    get imageName() { return 'node'; }
+
+    /**
+     * Docker image version.
+     *
+     * @returns {String} Docker image version.
+     */
+    get imageVersion() { return '22'; }
+
+    /**
+     * File extension of the language's source files.
+     *
+     * @returns {String} File extension.
+     */
+    get extension() { return '.js'; }
+
+    /**
+     * Name for the language's default package management system.
+     *
+     * @returns {String} Package management system.
+     */
+    get system() { return 'npm'; }
+
+    /**
+     * Parse package dependencies with the running node executable.
+     *
+     * @param   {String|Array.<String>} pkg Path to package to parse, or paths of files.
+     * @returns {Promise.<Object>}          JSON dependency object.
+     */
+    async parsePackageDependencies(pkg) {
+
+        return this.execParser(process.execPath, [this.dependencyParser, ..._.map(_.castArray(pkg), p => path.resolve(p))], pkg);
+
+    }
+
+    /**
+     * Get the default docker command for copying pkg into the Dockerfile.
+     *
+     * @param {String} pkg             Path to package.
+     * @param {Object} options         Options object.
+     * @param {String} options.context Docker build context directory. Defaults to cwd.
+     */
+    getDefaultCopyCommand(pkg, options = {}) {
+
+        return {
+            src: path.normalize(path.relative(path.resolve(options.context || '.'), pkg)),
+            dst: `/${path.basename(pkg)}`
+        };
+
+    }
+
+    /**
+     * Get the default docker command CMD.
+     *
+     * @param {String} pkg Path to package.
+     */
+    getDefaultDockerCommand(pkg) {
+
+        // Assumes an index.js or package.json main if pkg is a directory.
+        return { command: 'node', args: [ `/${path.basename(pkg)}` ] };
+
+    }
+
+}
+
+
+// Export
+module.exports = JavascriptStrategy;
@@ -0,0 +1,84 @@
+#!/usr/bin/env python
+
+"""Parse dependencies declared by setup.py.
+
+Reads `install_requires` from the `setup()` call without running setup.py.
+Only literal lists are understood, either passed directly or through a
+variable assigned once at module level.
+"""
+
+
+# Imports
+import ast
+import json
+import os
+import sys
+
+
+def get_install_requires(tree):
+    """Get install_requires from a parsed setup.py.
+
+    Parameters
+    ----------
+    tree : Module
+        Parsed setup.py.
+
+    Returns
+    -------
+    list
+        Requirement strings.
+    """
+
+    # Module level assignments, for install_requires=requirements
+    assignments = {}
+    for node in tree.body:
+        if isinstance(node, ast.Assign) and len(node.targets) == 1 and isinstance(node.targets[0], ast.Name):
+            assignments[node.targets[0].id] = node.value
+
+    # Find setup calls
+    for node in ast.walk(tree):
+        if not isinstance(node, ast.Call):
+            continue
+        func = node.func
+        name = func.id if isinstance(func, ast.Name) else getattr(func, 'attr', None)
+        if name != 'setup':
+            continue
+
+        for keyword in node.keywords:
+            if keyword.arg != 'install_requires':
+                continue
+            value = keyword.value
+            if isinstance(value, ast.Name):
+                value = assignments.get(value.id)
+            try:
+                return [str(r) for r in ast.literal_eval(value)]
+            except (ValueError, TypeError, SyntaxError):
+                return []
+
+    return []
+
+
+def main():
+    """Main function.
+
+    Usage
+    -----
+    python declared.py <setup.py>
+    """
+
+    if len(sys.argv) != 2:
+        raise Exception('Usage: python declared.py <setup.py>')
+
+    with open(os.path.abspath(sys.argv[1]), 'rb') as input_file:
+        try:
+            tree = ast.parse(input_file.read())
+        except (SyntaxError, ValueError) as e:
+            print(json.dumps({'install_requires': [], 'error': str(e)}))
+            return
+
+    print(json.dumps({'install_requires': get_install_requires(tree)}))
+
+
+# If name is main, run main func
+if __name__ == '__main__':
+    main()
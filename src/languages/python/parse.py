@@ -1,7 +1,11 @@
-#!/usr/bin/env python2
+#!/usr/bin/env python
 
 """Parse python scripts.
 
+Runs under both python 2 and python 3, parsing snippets with the grammar of
+the running interpreter. Syntax errors are reported per file so callers can
+tell which grammar a snippet was written for.
+
 See https://greentreesnakes.readthedocs.io/en/latest/ for wonderful
 documentation on python ast parsing.
 """
@@ -18,6 +22,7 @@ from visitor import ParserVisitor
 
 # Constants
 BASE_PATH = os.path.dirname(os.path.abspath(__file__))
+IGNORED_DIRECTORIES = set(['__pycache__', 'node_modules', 'site-packages'])
 
 
 def parse_method_call_tokens(snippet):
@@ -35,14 +40,18 @@ def parse_method_call_tokens(snippet):
     dict
         JSON serializable dictionary containing the following keys
 
-        imports - All imports made by the parsed snippet
-        calls   - All method calls made by the parsed snippet, traced back to its
-                  associated library if possible.
+        imports       - All imports made by the parsed snippet
+        local_imports - Relative imports made by the parsed snippet
+        import_lines  - Lines of the import statements of each import
+        calls         - All method calls made by the parsed snippet, traced back to its
+                        associated library if possible.
+        error         - Only present if the snippet could not be parsed. Contains the
+                        error type, message, line and offset.
     """
 
     try:
         # Parse snippet into an abstract syntax tree
-        tree = ast.parse(str(snippet))
+        tree = ast.parse(snippet)
 
         # Parse the ast
         visitor = ParserVisitor()
@@ -50,72 +59,152 @@ def parse_method_call_tokens(snippet):
 
         # Get imports and calls
         imports = list(visitor.import_libraries)
+        local_imports = list(visitor.relative_imports)
+        import_lines = dict((k, sorted(v)) for k, v in visitor.import_lines.items())
         calls = list(visitor.calls)
-    except SyntaxError:
-        imports = []
-        calls = []
+    except (SyntaxError, ValueError) as e:
+        return {
+            'imports': [],
+            'local_imports': [],
+            'import_lines': {},
+            'calls': [],
+            'error': {
+                'type': type(e).__name__,
+                'message': getattr(e, 'msg', None) or str(e),
+                'line': getattr(e, 'lineno', None),
+                'offset': getattr(e, 'offset', None)
+            }
+        }
 
     # Return
-    return {'imports': imports, 'calls': calls}
+    return {'imports': imports, 'local_imports': local_imports, 'import_lines': import_lines, 'calls': calls}
+
+
+def is_local_module(name, directories):
+    """Determine if an import refers to a module in the package itself.
+
+    Parameters
+    ----------
+    name : string
+        Imported module name.
+    directories : list
+        Directories to search, in order.
+
+    Returns
+    -------
+    bool
+        True iff the top level module is a python file or a directory
+        containing python files in one of the directories.
+    """
+
+    top = name.split('.')[0]
+    for directory in directories:
+        if os.path.isfile(os.path.join(directory, top + '.py')):
+            return True
+        module_path = os.path.join(directory, top)
+        if os.path.isdir(module_path) and any(f.endswith('.py') for f in os.listdir(module_path)):
+            return True
+    return False
+
+
+def find_python_files(pathname):
+    """Recursively find python files in a directory.
 
+    Hidden directories, caches and virtual environments are skipped.
 
-def parse_file(filename):
+    Parameters
+    ----------
+    pathname : string
+        Directory to search.
+
+    Returns
+    -------
+    list
+        Absolute paths of python files, in a stable order.
+    """
+
+    filenames = []
+    for dirpath, dirnames, files in os.walk(pathname):
+        dirnames[:] = sorted(
+            d for d in dirnames
+            if not d.startswith('.') and d not in IGNORED_DIRECTORIES and
+            not os.path.exists(os.path.join(dirpath, d, 'pyvenv.cfg'))
+        )
+        filenames.extend(os.path.join(dirpath, f) for f in sorted(files) if os.path.splitext(f)[1] == '.py')
+    return filenames
+
+
+def parse_file(filename, root=None):
     """Load and parse a file.
 
     Parameters
     ----------
     filename : string
         Filename or path relative to parse.py.
+    root : string
+        Root directory of the package. Imports of modules in the root
+        directory or in the directory of the file are local imports.
+        Defaults to the directory of the file.
 
     Returns
     -------
     dict
         JSON serializable dictionary containing the following keys
 
-        imports - All imports made by the parsed snippet
-        calls   - All method calls made by the parsed snippet, traced back to its
-                  associated library if possible.
+        imports       - All imports of modules outside the package
+        local_imports - All imports of modules inside the package
+        import_lines  - Lines of the import statements of each import
+        calls         - All method calls made by the parsed snippet, traced back to its
+                        associated library if possible.
+        error         - Only present if the snippet could not be parsed.
     """
 
-    # Tokenize
-    with open(os.path.abspath(filename), 'r') as input_file:
-        return parse_method_call_tokens(input_file.read())
+    # Tokenize. Read bytes so that the parser honors encoding declarations.
+    filename = os.path.abspath(filename)
+    with open(filename, 'rb') as input_file:
+        result = parse_method_call_tokens(input_file.read())
+
+    # Separate local imports
+    directories = [os.path.dirname(filename), root or os.path.dirname(filename)]
+    local = [i for i in result['imports'] if is_local_module(i, directories)]
+    result['imports'] = [i for i in result['imports'] if i not in local]
+    result['local_imports'] = sorted(set(result['local_imports']) | set(local))
+    return result
 
 
 def main():
     """Main function.
 
     This function parses command line arguments for parameters.
-    If no file is provided, it will parse example.py.
+    Each argument is a directory or file, and all of them are parsed.
 
     Usage
     -----
-    python parse.py <filename>
+    python parse.py <filename> [<filename> ...]
     """
 
     # Get command line arguments
     opts, args = getopt.getopt(sys.argv[1:], '', [])
-
-    # Generate absolute path name
     if not args:
-        raise Exception('Usage: python parse.py <filename>')
-    pathname = os.path.abspath(args[0])
+        raise Exception('Usage: python parse.py <filename> [<filename> ...]')
 
     # Import data
     data = {}
 
-    # If pathname is a directory, iterate over all top level python files
-    if os.path.isdir(pathname):
-        for filename in os.listdir(pathname):
-            filename = os.path.join(pathname, filename)
-            fname, fext = os.path.splitext(filename)
-            if os.path.isfile(filename) and fext == '.py':
-                data[filename] = parse_file(filename)
-    # If pathname is a file, attempt to parse it
-    elif os.path.isfile(pathname):
-        data[pathname] = parse_file(pathname)
-    else:
-        print("{} is not a directory or file.".format(pathname))
+    for arg in args:
+
+        # Generate absolute path name
+        pathname = os.path.abspath(arg)
+
+        # If pathname is a directory, iterate over all python files in the tree
+        if os.path.isdir(pathname):
+            for filename in find_python_files(pathname):
+                data[filename] = parse_file(filename, pathname)
+        # If pathname is a file, attempt to parse it
+        elif os.path.isfile(pathname):
+            data[pathname] = parse_file(pathname)
+        else:
+            print("{} is not a directory or file.".format(pathname))
 
     # Print to stdout
     print(json.dumps(data))
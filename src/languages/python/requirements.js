@@ -0,0 +1,209 @@
+/**
+ * Parsers for files that declare python dependencies.
+ *
+ * Each parser returns a list of requirements with `name`, `specifier` and `source` keys.
+ * The specifier is a PEP 440 specifier set, e.g. `>=2.0,<3`, and is empty if any version
+ * will do.
+ *
+ * @module languages/python/requirements
+ */
+
+
+// Core/NPM Modules
+const _        = require('lodash');
+const Bluebird = require('bluebird');
+const fs       = require('fs');
+const path     = require('path');
+const yaml     = require('js-yaml');
+
+
+// Local Modules
+const errors   = require('../../errors');
+
+
+// Constants
+const REQUIREMENT_PATTERN = /^([A-Za-z0-9][A-Za-z0-9._-]*)\s*(\[[^\]]*\])?\s*\(?([^;()]*)\)?\s*(?:;.*)?$/;
+const SPECIFIER_PATTERN   = /^((~=|===|==|!=|<=|>=|<|>)[^,]+(,|$))*$/;
+const CONDA_PATTERN       = /^([A-Za-z0-9][A-Za-z0-9._-]*)\s*(?:(==|>=|<=|>|<|!=|=|\s)\s*([^\s=]+))?(?:[=\s]\S+)?$/;
+const CONDA_IGNORED       = ['python', 'pip'];
+
+
+/**
+ * Parse a PEP 508 requirement, e.g. `requests[security]>=2.0; python_version < "3"`.
+ * Environment markers are dropped. Options, editable installs and URLs are not named
+ * requirements.
+ *
+ * @param   {String}      line   Requirement.
+ * @param   {String}      source Name of the file declaring the requirement.
+ * @returns {Object|null}        Requirement, or null if the line is not a named requirement.
+ */
+function parseRequirement(line, source) {
+
+    // Skip options, editable installs and URLs
+    line = _.trim(line);
+    if (/^-/.test(line) || /:\/\//.test(line)) return null;
+
+    let match = REQUIREMENT_PATTERN.exec(line);
+    let specifier = match ? match[3].replace(/\s+/g, '') : '';
+    if (!match || !SPECIFIER_PATTERN.test(specifier)) return null;
+
+    return { name: match[1], specifier, source };
+
+}
+
+
+/**
+ * Parse a requirements file. Included requirements files (`-r`) are followed.
+ *
+ * @param   {String}                   filename        Path to requirements file.
+ * @param   {Object}                   options         Options object.
+ * @param   {String}                   options.source  Name reported as the source. Defaults to the base name of the file.
+ * @param   {String}                   options.root    Directory that included files must be in. Any file may be included if not given.
+ * @param   {Set.<String>}             options.visited Files already parsed, to stop include cycles.
+ * @returns {Promise.<Array.<Object>>}                 Requirements.
+ * @throws  {ParseError}                               If the file, or a file it includes, can't be read or is outside the root.
+ */
+async function parseRequirementsFile(filename, options = {}) {
+
+    filename = path.resolve(filename);
+    let source = options.source || path.basename(filename);
+    let visited = options.visited || new Set();
+    if (visited.has(filename)) return [];
+    visited.add(filename);
+
+    let contents;
+    try {
+        contents = await Bluebird.fromCallback(cb => fs.readFile(filename, 'utf8', cb));
+    }
+    catch (err) {
+        throw new errors.ParseError(`Unable to read requirements file ${filename}: ${err.message}`, {
+            pkg: filename, cause: err.code
+        });
+    }
+    let requirements = [];
+
+    // Join continued lines and strip comments
+    let lines = contents.replace(/\\\r?\n/g, ' ').split(/\r?\n/);
+    for (let line of _.map(lines, l => _.trim(l.replace(/(^|\s)#.*$/, '')))) {
+
+        if (!line) continue;
+
+        // Follow includes
+        let include = /^(?:-r|--requirement)[\s=]+(\S+)$/.exec(line);
+        if (include) {
+            let included = path.resolve(path.dirname(filename), include[1]);
+            let relative = options.root && path.relative(path.resolve(options.root), included);
+            if (options.root && (!relative || relative.startsWith('..') || path.isAbsolute(relative))) {
+                throw new errors.ParseError(`Unable to read requirements file ${filename}: ${include[1]} is outside the package.`, {
+                    pkg: filename, include: include[1]
+                });
+            }
+            requirements.push(...await parseRequirementsFile(included, _.assign({}, options, { source: undefined, visited })));
+            continue;
+        }
+
+        let requirement = parseRequirement(line, source);
+        if (requirement) requirements.push(requirement);
+
+    }
+
+    return requirements;
+
+}
+
+
+/**
+ * Parse the `[packages]` table of a Pipfile. Versions may be strings (`"*"`, `">=1.0"`)
+ * or inline tables with a `version` key. Packages installed from git, paths or URLs
+ * are kept without a specifier.
+ *
+ * @param   {String}         contents Pipfile contents.
+ * @param   {String}         source   Name reported as the source.
+ * @returns {Array.<Object>}          Requirements.
+ */
+function parsePipfile(contents, source = 'Pipfile') {
+
+    let requirements = [];
+    let table = null;
+
+    for (let line of _.map(contents.split(/\r?\n/), l => _.trim(l.replace(/(^|\s)#.*$/, '')))) {
+
+        if (!line) continue;
+
+        // Table headers
+        let header = /^\[\s*([^\]]+?)\s*\]$/.exec(line);
+        if (header) {
+            table = header[1];
+            continue;
+        }
+        if (table !== 'packages') continue;
+
+        // Key value pairs
+        let entry = /^"?([A-Za-z0-9][A-Za-z0-9._-]*)"?\s*=\s*(.+)$/.exec(line);
+        if (!entry) continue;
+
+        let value = entry[2];
+        let version = /^"([^"]*)"$/.exec(value) || /version\s*=\s*"([^"]*)"/.exec(value);
+        let specifier = version && version[1] !== '*' ? version[1].replace(/\s+/g, '') : '';
+        requirements.push({ name: entry[1], specifier, source });
+
+    }
+
+    return requirements;
+
+}
+
+
+/**
+ * Parse the dependencies of a conda environment file. Conda packages are matched by name,
+ * and the pip section is parsed as requirements. The python interpreter and pip itself
+ * are skipped.
+ *
+ * @param   {String}         contents Environment file contents.
+ * @param   {String}         source   Name reported as the source.
+ * @returns {Array.<Object>}          Requirements.
+ */
+function parseEnvironment(contents, source = 'environment.yml') {
+
+    let environment = yaml.safeLoad(contents) || {};
+    let requirements = [];
+
+    for (let dependency of _.get(environment, 'dependencies', [])) {
+
+        // Pip section
+        if (_.isPlainObject(dependency)) {
+            for (let line of _.get(dependency, 'pip', [])) {
+                let requirement = parseRequirement(line, source);
+                if (requirement) requirements.push(requirement);
+            }
+            continue;
+        }
+
+        // Conda package, e.g. numpy=1.15, numpy>=1.15 or numpy 1.15.0 py36_0. Strip any channel.
+        let match = CONDA_PATTERN.exec(_.trim(String(dependency)).replace(/^[^:]+::/, ''));
+        if (!match || _.includes(CONDA_IGNORED, match[1].toLowerCase())) continue;
+
+        let [operator, version] = [match[2], match[3]];
+        let specifier = '';
+        if (version && (operator === '=' || /^\s$/.test(operator))) {
+            specifier = /\*$/.test(version) ? `==${version}` : `==${version}.*`;
+        }
+        else if (version) {
+            specifier = `${operator}${version}`;
+        }
+        requirements.push({ name: match[1], specifier, source });
+
+    }
+
+    return requirements;
+
+}
+
+
+// Export
+module.exports = {
+    parseRequirement,
+    parseRequirementsFile,
+    parsePipfile,
+    parseEnvironment
+};
@@ -4,12 +4,29 @@
 
 
 // Core/NPM Modules
+const Bluebird         = require('bluebird');
+const child_process    = require('child_process');
+const fs               = require('fs');
 const path             = require('path');
 const _                = require('lodash');
 
 
 // Local Modules
 const LanguageStrategy = require('../../language-strategy');
+const errors           = require('../../errors');
+const logger           = require('../../logger');
+const requirements     = require('./requirements');
+
+
+// Constants
+const INTERPRETERS = {
+    '2': 'python2',
+    '3': 'python3'
+};
+const IMAGE_VERSIONS = {
+    '2': '2.7.13',
+    '3': '3.9'
+};
 
 
 /**
@@ -45,6 +62,13 @@ class PythonStrategy extends LanguageStrategy {
      */
     get imageVersion() { return '2.7.13'; }
 
+    /**
+     * File extension of the language's source files.
+     *
+     * @returns {String} File extension.
+     */
+    get extension() { return '.py'; }
+
     /**
      * Name for the language's default package management system.
      *
@@ -53,41 +77,238 @@ class PythonStrategy extends LanguageStrategy {
     get system() { return 'pip'; }
 
     /**
-     * Override LanguageStrategy#getRunInstallDependencies to
-     * detect if `apt-get update` should to be run.
+     * Override LanguageStrategy#inferDependencies to select a python
+     * version before parsing. The selection is reported as `runtime`.
+     *
+     * @param   {String|Array.<String>} pkg                   Path to code package or snippet, or paths of files.
+     * @param   {Object}                options               Options object.
+     * @param   {String}                options.pythonVersion Python version to use instead of detecting it, e.g. `3` or `3.6`.
+     * @returns {Promise.<Object>}                            Metadata object.
+     */
+    async inferDependencies(pkg, options = {}) {
+
+        // Select python version, keeping the parse result of its grammar
+        let runtime = await this.selectRuntime(pkg, options);
+        let selection = _.omit(runtime, 'parseResult');
+        let metadata = await super.inferDependencies(pkg, _.assign({}, options, {
+            parseResult: runtime.parseResult,
+            runtime: selection
+        }));
+
+        // Report selection
+        metadata.runtime = selection;
+        return metadata;
+
+    }
+
+    /**
+     * Select the python version used to run a package. Unless a version is given, the
+     * package is parsed with both the python 2 and python 3 grammars, and the version
+     * whose grammar parses the package with the fewest syntax errors is selected.
+     * Python 3 is preferred when both parse the package equally well.
      *
-     * @param   {String}          pkg          Path to code package or snippet.
-     * @param   {Object}          options      Options object.
-     * @param   {'assoc'|'deps'}  options.only Only use association rules or dependency rules. Both used if not specified.
-     * @returns {Promise.<Array>}              List of generated run commands to install dependencies.
+     * @param   {String|Array.<String>} pkg                   Path to code package or snippet, or paths of files.
+     * @param   {Object}                options               Options object.
+     * @param   {String}                options.pythonVersion Python version to use instead of detecting it.
+     * @returns {Promise.<Object>}                            Selected `version`, `image`, `reason`, `syntaxErrors` and `parseResult`.
      */
-    async getRunInstallDependencies(pkg, options) {
+    async selectRuntime(pkg, options = {}) {
 
-        // Get deps
-        let run = await super.getRunInstallDependencies(pkg, options);
+        // Use requested version
+        if (options.pythonVersion) {
+
+            let version = String(options.pythonVersion);
+            if (!/^[23](\.\d+){0,2}$/.test(version)) {
+                throw new errors.InvalidOptionError(
+                    `Invalid python version: '${version}'. Must be 2 or 3, optionally followed by a minor and patch version.`,
+                    { option: 'pythonVersion', value: options.pythonVersion }
+                );
+            }
+
+            let major = version[0];
+            let parseResult = await this.parsePackageDependencies(pkg, INTERPRETERS[major]);
+            return this.getRuntime(version, `Python ${version} was requested.`, { [major]: getSyntaxErrors(parseResult) }, parseResult);
 
-        // Add apt-get update
-        if (_.some(run, ['command', 'apt-get'])) {
-            run = _.concat(
-                [{ command: 'apt-get', args: ['update'] }],
-                run
-            )
         }
 
-        // Return
-        return run
+        // Parse with both grammars. An interpreter that can't be launched or fails to run,
+        // e.g. a pyenv shim without a matching version, can't be selected.
+        let results = {};
+        let failures = {};
+        for (let major of _.keys(INTERPRETERS)) {
+            try {
+                results[major] = await this.parsePackageDependencies(pkg, INTERPRETERS[major]);
+            }
+            catch (err) {
+                if (!(err instanceof errors.ParseError)) throw err;
+                logger.warn(`Unable to detect python ${major} code, ${INTERPRETERS[major]} is not available: ${err.message}`);
+                failures[INTERPRETERS[major]] = err.message;
+            }
+        }
+        if (_.isEmpty(results)) {
+            throw new errors.ParseError(
+                `No working python interpreter found. Install one of {${_.values(INTERPRETERS).join(', ')}}.`,
+                { pkg, interpreters: _.values(INTERPRETERS), failures }
+            );
+        }
+        if (!results['2']) {
+            logger.warn(
+                `Parsing as python 3 only, since ${INTERPRETERS['2']} is not available. Imports of python 2 standard ` +
+                'library modules, e.g. urllib2, are treated as third party imports.'
+            );
+        }
+
+        // Count syntax errors for each grammar
+        let syntaxErrors = _.mapValues(results, getSyntaxErrors);
+        let counts = _.mapValues(syntaxErrors, e => _.size(e));
+        let [py2, py3] = [counts['2'], counts['3']];
+
+        // Select version and explain why
+        let major, reason;
+        if (_.isUndefined(py2) || _.isUndefined(py3)) {
+            major = _.isUndefined(py2) ? '3' : '2';
+            reason = `Only python ${major} is available to parse the package.`;
+        }
+        else if (py2 === 0 && py3 === 0) {
+            major = '3';
+            reason = 'Package parses as both python 2 and python 3. Defaulting to python 3.';
+        }
+        else if (py2 === 0 || py3 === 0) {
+            major = py2 === 0 ? '2' : '3';
+            let other = major === '2' ? '3' : '2';
+            reason = `Package parses as python ${major}, but ${counts[other]} file(s) have python ${other} syntax errors.`;
+        }
+        else {
+            major = py2 < py3 ? '2' : '3';
+            reason = `Package does not parse as either version. Python ${major} has the fewest syntax errors (python 2: ${py2}, python 3: ${py3}).`;
+        }
+
+        // Warn about files that will be ignored
+        _.forEach(syntaxErrors[major], (error, filename) => {
+            logger.warn(`Unable to parse ${filename} as python ${major}, its imports will be ignored:`, error);
+        });
+
+        logger.info(`Selected python ${major}:`, reason);
+        return this.getRuntime(major, reason, syntaxErrors, results[major]);
+
+    }
+
+    /**
+     * Build a runtime selection.
+     *
+     * @param   {String} version      Python version, either a major version or a full version.
+     * @param   {String} reason       Reason the version was selected.
+     * @param   {Object} syntaxErrors Syntax errors by file, keyed by major version.
+     * @param   {Object} parseResult  Parse result for the selected version.
+     * @returns {Object}              Runtime selection.
+     */
+    getRuntime(version, reason, syntaxErrors, parseResult) {
+
+        // Use the default image for major versions
+        let imageVersion = version.length > 1 ? version : IMAGE_VERSIONS[version];
+
+        return {
+            language: this.language,
+            version: imageVersion,
+            image: { name: this.imageName, version: imageVersion },
+            reason,
+            syntaxErrors,
+            parseResult
+        };
+
+    }
+
+    /**
+     * Parse package dependencies with a python interpreter.
+     *
+     * @param   {String|Array.<String>} pkg         Path to package to parse, or paths of files.
+     * @param   {String}                interpreter Python interpreter executable. Defaults to python.
+     * @returns {Promise.<Object>}                  JSON dependency object.
+     */
+    async parsePackageDependencies(pkg, interpreter = 'python') {
+
+        return this.execParser(interpreter, [this.dependencyParser, ..._.map(_.castArray(pkg), p => path.resolve(p))], pkg);
+
+    }
+
+    /**
+     * Parse dependencies declared in the package directory by `requirements.txt`, `setup.py`
+     * (`install_requires`), `Pipfile` (`[packages]`) and `environment.yml`. If the package is
+     * a single file, or several files, the directory of the (first) file is used. A file
+     * that can't be read is skipped with a warning.
+     *
+     * @param   {String|Array.<String>}    pkg                 Path to code package or snippet, or paths of files.
+     * @param   {Object}                   options             Options object.
+     * @param   {Object}                   options.runtime     Selected runtime, used to pick the interpreter that reads setup.py.
+     * @param   {String}                   options.packageRoot Directory that included requirements files must be in.
+     * @returns {Promise.<Array.<Object>>}                     Requirements with `name`, `specifier` and `source` keys.
+     */
+    async parseDeclaredDependencies(pkg, options = {}) {
+
+        let entry = _.head(_.castArray(pkg));
+        let stats = await Bluebird.fromCallback(cb => fs.stat(entry, cb));
+        let dir = stats.isDirectory() ? entry : path.dirname(entry);
+        let declared = [];
+
+        // Find a file in the package directory
+        let find = async (...names) => {
+            for (let name of names) {
+                let filename = path.join(dir, name);
+                let found = await Bluebird.fromCallback(cb => fs.stat(filename, cb)).then(s => s.isFile(), () => false);
+                if (found) return filename;
+            }
+        };
+
+        // Parse a file, skipping it if it can't be read
+        let parse = async (filename, fn) => {
+            try {
+                declared.push(...await fn());
+            }
+            catch (err) {
+                logger.warn(`Unable to read declared dependencies from ${filename}, skipping it: ${err.message}`);
+            }
+        };
+
+        let filename;
+        if (filename = await find('requirements.txt')) {
+            await parse(filename, () => requirements.parseRequirementsFile(filename, { root: options.packageRoot }));
+        }
+        if (filename = await find('setup.py')) {
+            let major = _.get(options, 'runtime.version', '3')[0];
+            await parse(filename, async () => {
+                let result = await this.execParser(INTERPRETERS[major], [path.resolve(__dirname, 'declared.py'), filename], filename);
+                if (result.error) throw new errors.ParseError(`Unable to parse ${filename}: ${result.error}`, { pkg: filename });
+                return _.compact(_.map(result.install_requires, line => requirements.parseRequirement(line, 'setup.py')));
+            });
+        }
+        if (filename = await find('Pipfile')) {
+            await parse(filename, async () => requirements.parsePipfile(
+                await Bluebird.fromCallback(cb => fs.readFile(filename, 'utf8', cb))
+            ));
+        }
+        if (filename = await find('environment.yml', 'environment.yaml')) {
+            await parse(filename, async () => requirements.parseEnvironment(
+                await Bluebird.fromCallback(cb => fs.readFile(filename, 'utf8', cb)),
+                path.basename(filename)
+            ));
+        }
+
+        logger.info('Package declares the following dependencies:', declared);
+        return declared;
 
     }
 
     /**
      * Get the default docker command for copying pkg into the Dockerfile.
      *
-     * @param {String} pkg Path to package.
+     * @param {String} pkg             Path to package.
+     * @param {Object} options         Options object.
+     * @param {String} options.context Docker build context directory. Defaults to cwd.
      */
-    getDefaultCopyCommand(pkg) {
+    getDefaultCopyCommand(pkg, options = {}) {
 
         return {
-            src: path.normalize(path.relative(path.resolve(), pkg)),
+            src: path.normalize(path.relative(path.resolve(options.context || '.'), pkg)),
             dst: `/${path.basename(pkg)}`
         };
 
@@ -108,5 +329,18 @@ class PythonStrategy extends LanguageStrategy {
 }
 
 
+/**
+ * Get syntax errors from a parse result.
+ *
+ * @param   {Object} parseResult Parse result keyed by file.
+ * @returns {Object}             Errors keyed by file.
+ */
+function getSyntaxErrors(parseResult) {
+
+    return _.mapValues(_.pickBy(parseResult, 'error'), 'error');
+
+}
+
+
 // Export
 module.exports = PythonStrategy;
\ No newline at end of file
@@ -3,9 +3,13 @@
 
 # Imports
 import ast
-import imp
 import sys
 
+if sys.version_info[0] >= 3:
+    from importlib.util import find_spec
+else:
+    import imp
+
 
 # Up the recursion limit
 sys.setrecursionlimit(10000)
@@ -20,6 +24,8 @@ class ParserVisitor(ast.NodeVisitor):
         # Encoutered calls
         self.import_names = set()
         self.import_libraries = set()
+        self.relative_imports = set()
+        self.import_lines = {}
         self.prefixes = {}
         self.aliases = {}
         self.calls = set()
@@ -42,6 +48,24 @@ class ParserVisitor(ast.NodeVisitor):
         if name is None:
             raise Exception('Name cannot be none')
 
+        # Only the top level module decides where a module comes from.
+        name = name.split('.')[0]
+
+        # Python 3 knows its own standard library, or can locate modules without importing them.
+        if sys.version_info[0] >= 3:
+            if name in getattr(sys, 'stdlib_module_names', ()) or name in sys.builtin_module_names:
+                return True
+            try:
+                spec = find_spec(name)
+            except (ImportError, ValueError):
+                return False
+            if spec is None:
+                return False
+            origin = spec.origin or ''
+            if origin in ('built-in', 'frozen'):
+                return True
+            return bool(origin) and 'site-packages' not in origin and 'dist-packages' not in origin
+
         # Attempt to use python import tools to discover facts about the module.
         # If we get an import error, it was definitely not part of the standard library, so return false.
         # If we do find the module, check to make sure it's not not a builtin or part of python extras or site-packages.
@@ -66,6 +90,7 @@ class ParserVisitor(ast.NodeVisitor):
 
             if alias.name and not self.is_standard_library(alias.name):
                 self.import_libraries.add(alias.name)
+                self.add_import_line(alias.name, node)
 
         # Call generic visit to visit all child nodes
         self.generic_visit(node)
@@ -76,6 +101,7 @@ class ParserVisitor(ast.NodeVisitor):
         Tracks asnames as encountered aliases.
         Tracks modules as encountered prefixes.
         Adds either the asname or name as an import name.
+        Relative imports are tracked separately, as they never refer to a library.
         """
         for alias in node.names:
             if alias.asname is not None:
@@ -84,13 +110,29 @@ class ParserVisitor(ast.NodeVisitor):
             else:
                 self.import_names.add(alias.name)
 
-            if node.module and not self.is_standard_library(node.module):
+            if getattr(node, 'level', 0):
+                self.relative_imports.add('.' * node.level + (node.module or alias.name))
+                self.add_import_line('.' * node.level + (node.module or alias.name), node)
+            elif node.module and not self.is_standard_library(node.module):
                 self.import_libraries.add(node.module)
+                self.add_import_line(node.module, node)
                 self.prefixes[alias.name] = node.module
 
         # Call generic visit to visit all child nodes
         self.generic_visit(node)
 
+    def add_import_line(self, name, node):
+        """Record the line of an import statement.
+
+        Parameters
+        ----------
+        name : string
+            Imported module name.
+        node : Import or ImportFrom
+            AST import node.
+        """
+        self.import_lines.setdefault(name, set()).add(node.lineno)
+
     def visit_Assign(self, node):
         """Visit Assign statements.
 
@@ -0,0 +1,366 @@
+#!/usr/bin/env node
+
+/**
+ * Parse shell scripts for invoked commands.
+ *
+ * Commands are the first word of each simple command, including commands run in
+ * pipelines, lists, subshells and command substitutions. Builtins, keywords,
+ * functions defined by the script, variables and relative paths are skipped, and
+ * absolute paths are reduced to their base name. Here-document bodies and comments
+ * are ignored.
+ *
+ * Usage: node parse.js <file or directory>
+ *
+ * Prints a JSON object keyed by file, where each value contains
+ *
+ *     imports       - Commands invoked by the script.
+ *     local_imports - Scripts invoked by relative path.
+ *     import_lines  - Lines mentioning each command, outside comments and here-documents.
+ *     calls         - Always empty.
+ *     error         - Only present if the file could not be read.
+ *
+ * @module languages/shell/parse
+ */
+
+
+// Core/NPM Modules
+const fs   = require('fs');
+const path = require('path');
+
+
+// Constants
+const EXTENSIONS     = ['.sh', '.bash'];
+const SHEBANG        = /^#!\s*(\S*\/)?(env\s+)?(ba|da|k|z)?sh\b/;
+const BUILTINS       = new Set([
+    ':', '.', 'alias', 'bg', 'bind', 'break', 'builtin', 'caller', 'cd', 'command', 'compgen', 'complete',
+    'compopt', 'continue', 'declare', 'dirs', 'disown', 'echo', 'enable', 'eval', 'exec', 'exit', 'export',
+    'false', 'fc', 'fg', 'getopts', 'hash', 'help', 'history', 'jobs', 'kill', 'let', 'local', 'logout',
+    'mapfile', 'popd', 'printf', 'pushd', 'pwd', 'read', 'readarray', 'readonly', 'return', 'set', 'shift',
+    'shopt', 'source', 'suspend', 'test', '[', '[[', ']]', 'times', 'trap', 'true', 'type', 'typeset',
+    'ulimit', 'umask', 'unalias', 'unset', 'wait'
+]);
+const PREFIXES       = new Set(['if', 'then', 'else', 'elif', 'do', 'while', 'until', '!', 'time', 'exec', 'command', 'builtin', 'nohup', 'nice', 'env', 'xargs', 'timeout', 'stdbuf']);
+const SKIPPED        = new Set(['for', 'case', 'select', 'function', 'fi', 'done', 'esac', 'in', '{', '}', 'coproc']);
+const COMMAND_NAME   = /^[A-Za-z0-9_][\w.+-]*$/;
+const ABSOLUTE_PATH  = /^\/[\w./+-]+$/;
+const RELATIVE_PATH  = /^\.{1,2}\/[\w./+-]+$/;
+
+
+/**
+ * Extract command substitutions, replacing each with a placeholder word.
+ * Arithmetic expansions are dropped.
+ *
+ * @param   {String}         text          Script text.
+ * @param   {Array.<String>} substitutions Extracted substitutions, appended to.
+ * @returns {String}                       Text without substitutions.
+ */
+function extractSubstitutions(text, substitutions) {
+
+    let result = '';
+    let i = 0;
+
+    while (i < text.length) {
+
+        // $( ... ), with nesting
+        if (text[i] === '$' && text[i + 1] === '(') {
+            let depth = 0;
+            let j = i + 1;
+            for (; j < text.length; j++) {
+                if (text[j] === '(') depth++;
+                else if (text[j] === ')' && --depth === 0) break;
+            }
+            let inner = text.slice(i + 2, j);
+            if (inner[0] !== '(') substitutions.push(inner);
+            result += ' _ ';
+            i = j + 1;
+        }
+        // ` ... `
+        else if (text[i] === '`') {
+            let j = text.indexOf('`', i + 1);
+            if (j < 0) j = text.length;
+            substitutions.push(text.slice(i + 1, j));
+            result += ' _ ';
+            i = j + 1;
+        }
+        else {
+            result += text[i++];
+        }
+
+    }
+
+    return result;
+
+}
+
+
+/**
+ * Mask quoted strings and strip comments.
+ *
+ * @param   {String} text Script text without substitutions.
+ * @returns {String}      Text with each quoted string replaced by `_`.
+ */
+function maskQuotes(text) {
+
+    let result = '';
+    let i = 0;
+
+    while (i < text.length) {
+
+        let c = text[i];
+        if (c === '\\') {
+            result += '_';
+            i += 2;
+        }
+        else if (c === '\'' || c === '"') {
+            let j = i + 1;
+            while (j < text.length && text[j] !== c) j += (c === '"' && text[j] === '\\') ? 2 : 1;
+            result += '_';
+            i = j + 1;
+        }
+        else if (c === '#' && (i === 0 || /[\s;&|(]/.test(text[i - 1]))) {
+            while (i < text.length && text[i] !== '\n') i++;
+        }
+        else {
+            result += c;
+            i++;
+        }
+
+    }
+
+    return result;
+
+}
+
+
+/**
+ * Blank here-document bodies, keeping their lines.
+ *
+ * @param   {String} text Script text.
+ * @returns {String}      Text without here-document bodies.
+ */
+function stripHereDocuments(text) {
+
+    let lines = text.split(/\r?\n/);
+    let result = [];
+    let delimiter = null;
+
+    for (let line of lines) {
+
+        if (delimiter !== null) {
+            if (line.replace(/^\t+/, '') === delimiter) delimiter = null;
+            result.push('');
+            continue;
+        }
+
+        result.push(line);
+        let match = /<<-?\s*(['"]?)([\w.-]+)\1/.exec(line.replace(/<<</g, ''));
+        if (match) delimiter = match[2];
+
+    }
+
+    return result.join('\n');
+
+}
+
+
+/**
+ * Find the lines mentioning a word as a command, outside of comments.
+ *
+ * @param   {Array.<String>} lines Script lines.
+ * @param   {String}         word  Command word.
+ * @returns {Array.<Number>}       Line numbers, starting at 1.
+ */
+function findLines(lines, word) {
+
+    let escaped = word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    let pattern = new RegExp(`(^|[\\s;&|(\`!/])${escaped}(?=$|[\\s;&|)\`])`);
+    let numbers = [];
+    lines.forEach((line, i) => {
+        if (pattern.test(line.replace(/(^|\s)#.*$/, ''))) numbers.push(i + 1);
+    });
+    return numbers;
+
+}
+
+
+/**
+ * Parse commands from a snippet of shell script.
+ *
+ * @param   {String} source Script source.
+ * @returns {Object}        Parse result with `imports`, `local_imports`, `import_lines` and `calls`.
+ */
+function parseSource(source) {
+
+    let commands = new Set();
+    let localCommands = new Set();
+    let functions = new Set();
+
+    // Join continued lines and remove here-documents
+    let texts = [stripHereDocuments(source.replace(/\\\r?\n/g, ' '))];
+    let simpleCommands = [];
+
+    // Split every text, including substitutions, into simple commands
+    while (texts.length) {
+        let text = maskQuotes(extractSubstitutions(texts.shift(), texts));
+        for (let command of text.split(/&&|\|\||[;&|\n(){}]/)) {
+            let words = command.trim().split(/\s+/).filter(w => w);
+            if (words.length) simpleCommands.push(words);
+        }
+    }
+
+    // Find function definitions, e.g. `name() {` or `function name`
+    for (let words of simpleCommands) {
+        if (words[0] === 'function' && words[1]) functions.add(words[1]);
+    }
+    for (let match of source.match(/^\s*(?:function\s+)?[\w.-]+\s*\(\s*\)/gm) || []) {
+        functions.add(match.replace(/^\s*(function\s+)?/, '').replace(/\s*\(\s*\)$/, ''));
+    }
+
+    for (let words of simpleCommands) {
+
+        let i = 0;
+        while (i < words.length) {
+
+            let word = words[i];
+
+            // Skip assignments, redirections and options of prefix commands
+            if (/^[A-Za-z_]\w*(\[[^\]]*\])?\+?=/.test(word) || /^-/.test(word) || /^\d+$/.test(word)) {
+                i++;
+            }
+            else if (/^\d*[<>]/.test(word)) {
+                i += /^\d*[<>]+&?$/.test(word) ? 2 : 1;
+            }
+            // Keywords and commands that run the next word as a command
+            else if (PREFIXES.has(word) || word === 'sudo') {
+                if (word === 'sudo') commands.add(word);
+                i++;
+            }
+            else {
+                break;
+            }
+
+        }
+
+        let word = words[i];
+        if (!word || SKIPPED.has(word) || BUILTINS.has(word) || functions.has(word)) continue;
+
+        if (RELATIVE_PATH.test(word)) {
+            localCommands.add(word);
+        }
+        else if (ABSOLUTE_PATH.test(word)) {
+            commands.add(path.basename(word));
+        }
+        else if (COMMAND_NAME.test(word) && word !== '_' && !/^\d/.test(word)) {
+            commands.add(word);
+        }
+
+    }
+
+    // Find lines of commands
+    let lines = stripHereDocuments(source).split('\n');
+    let importLines = {};
+    for (let command of [...commands, ...localCommands]) {
+        importLines[command] = findLines(lines, command);
+    }
+
+    return { imports: [...commands], local_imports: [...localCommands], import_lines: importLines, calls: [] };
+
+}
+
+
+/**
+ * Load and parse a file.
+ *
+ * @param   {String} filename Path to file.
+ * @returns {Object}          Parse result.
+ */
+function parseFile(filename) {
+
+    try {
+        return parseSource(fs.readFileSync(filename, 'utf8'));
+    }
+    catch (err) {
+        return { imports: [], local_imports: [], import_lines: {}, calls: [], error: { type: err.code || err.name, message: err.message } };
+    }
+
+}
+
+
+/**
+ * Check if a file is a shell script, by extension or shebang.
+ *
+ * @param   {String}  filename Path to file.
+ * @returns {Boolean}          True iff the file is a shell script.
+ */
+function isShellScript(filename) {
+
+    if (EXTENSIONS.indexOf(path.extname(filename)) >= 0) return true;
+    if (path.extname(filename)) return false;
+
+    let fd = fs.openSync(filename, 'r');
+    let buffer = Buffer.alloc(128);
+    let length = fs.readSync(fd, buffer, 0, buffer.length, 0);
+    fs.closeSync(fd);
+    return SHEBANG.test(buffer.toString('utf8', 0, length));
+
+}
+
+
+/**
+ * Recursively find shell scripts in a directory, skipping hidden directories.
+ *
+ * @param   {String}         dir Directory to search.
+ * @returns {Array.<String>}     Absolute paths of shell scripts.
+ */
+function findFiles(dir) {
+
+    let filenames = [];
+    for (let name of fs.readdirSync(dir).sort()) {
+
+        let filename = path.join(dir, name);
+        let stats = fs.statSync(filename);
+        if (stats.isDirectory() && name[0] !== '.' && name !== 'node_modules') {
+            filenames.push(...findFiles(filename));
+        }
+        else if (stats.isFile() && isShellScript(filename)) {
+            filenames.push(filename);
+        }
+
+    }
+    return filenames;
+
+}
+
+
+// Parse
+if (require.main === module) {
+
+    if (process.argv.length < 3) {
+        throw new Error('Usage: node parse.js <filename> [<filename> ...]');
+    }
+
+    let data = {};
+    for (let pathname of process.argv.slice(2).map(p => path.resolve(p))) {
+        if (fs.existsSync(pathname) && fs.statSync(pathname).isDirectory()) {
+            for (let filename of findFiles(pathname)) {
+                data[filename] = parseFile(filename);
+            }
+        }
+        else if (fs.existsSync(pathname)) {
+            data[pathname] = parseFile(pathname);
+        }
+        else {
+            throw new Error(`${pathname} is not a directory or file.`);
+        }
+    }
+
+    console.log(JSON.stringify(data));
+
+}
+
+
+// Export
+module.exports = {
+    parseSource,
+    findFiles
+};
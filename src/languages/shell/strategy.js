@@ -0,0 +1,210 @@
+/**
+ * @module languages/shell/strategy
+ */
+
+
+// Core/NPM Modules
+const fs               = require('fs');
+const path             = require('path');
+const _                = require('lodash');
+
+
+// Local Modules
+const LanguageStrategy = require('../../language-strategy');
+const logger           = require('../../logger');
+const commands         = require('./commands.json');
+
+
+// Constants
+const ENTRYPOINTS = ['main.sh', 'run.sh', 'start.sh', 'entrypoint.sh'];
+
+
+/**
+ * Shell strategy class
+ */
+class ShellStrategy extends LanguageStrategy {
+
+    /**
+     * Language name.
+     *
+     * @returns {String} Language name.
+     */
+    get language() { return 'shell'; }
+
+    /**
+     * Path to executable dependency parser.
+     *
+     * @returns {String} Dependency parser path.
+     */
+    get dependencyParser() { return path.resolve(__dirname, 'parse.js'); }
+
+    /**
+     * Docker image name.
+     *
+     * @returns {String} Docker image name.
+     */
+    get imageName() { return 'debian'; }
+
+    /**
+     * Docker image version.
+     *
+     * @returns {String} Docker image version.
+     */
+    get imageVersion() { return 'bookworm-slim'; }
+
+    /**
+     * File extension of the language's source files.
+     *
+     * @returns {String} File extension.
+     */
+    get extension() { return '.sh'; }
+
+    /**
+     * Name for the language's default package management system.
+     *
+     * @returns {String} Package management system.
+     */
+    get system() { return 'apt'; }
+
+    /**
+     * Override LanguageStrategy#inferDependencies to map the commands a
+     * script invokes to the apt packages that provide them before resolution.
+     *
+     * @param   {String}           pkg     Path to package to infer dependencies for.
+     * @param   {Object}           options Options, see LanguageStrategy#inferDependencies.
+     * @returns {Promise.<Object>}         Inference metadata, with a `commands` summary.
+     */
+    async inferDependencies(pkg, options = {}) {
+
+        // Parse and map commands to packages
+        let data = options.parseResult || await this.parsePackageDependencies(pkg);
+        let mapping = this.mapCommands(data);
+
+        // Resolve packages
+        let metadata = await super.inferDependencies(pkg, _.assign({}, options, { parseResult: mapping.parseResult }));
+
+        // Report mapping
+        metadata.commands = _.omit(mapping, 'parseResult');
+        return metadata;
+
+    }
+
+    /**
+     * Map commands in a parse result to apt packages. Commands that are
+     * preinstalled in the base image are dropped, as are commands provided by
+     * no known package. Commands naming a script in the package are local.
+     *
+     * @param   {Object} data Parse result keyed by file, with commands as imports.
+     * @returns {Object}      Mapping with `items`, `preinstalled`, `unknown` and a `parseResult` of packages.
+     */
+    mapCommands(data) {
+
+        let scripts = new Set(_.map(_.keys(data), f => path.basename(f)));
+        let mapping = { items: [], preinstalled: [], unknown: [], parseResult: {} };
+
+        _.forEach(data, (result, filename) => {
+
+            let imports = [];
+            let localImports = _.clone(result.local_imports || []);
+            let importLines = _.pick(result.import_lines, localImports);
+
+            for (let command of result.imports) {
+
+                let pkg = this.getCommandPackage(command);
+                let lines = _.get(result, ['import_lines', command], []);
+                if (scripts.has(command)) {
+                    localImports.push(command);
+                    importLines[command] = lines;
+                }
+                else if (_.includes(commands.preinstalled, command)) {
+                    mapping.preinstalled = _.union(mapping.preinstalled, [command]);
+                }
+                else if (pkg) {
+                    if (!_.some(mapping.items, { command })) mapping.items.push({ command, package: pkg });
+                    imports = _.union(imports, [pkg]);
+                    importLines[pkg] = _.sortBy(_.union(importLines[pkg], lines));
+                }
+                else {
+                    logger.info('No package is known to provide command:', command);
+                    mapping.unknown = _.union(mapping.unknown, [command]);
+                }
+
+            }
+
+            mapping.parseResult[filename] = _.assign({}, result, {
+                imports,
+                local_imports: localImports,
+                import_lines: importLines
+            });
+
+        });
+
+        return mapping;
+
+    }
+
+    /**
+     * Get the apt package providing a command.
+     *
+     * @param   {String} command Command name.
+     * @returns {String}         Package name, or undefined if unknown.
+     */
+    getCommandPackage(command) {
+
+        return _.findKey(commands.packages, c => _.includes(c, command));
+
+    }
+
+    /**
+     * Parse package dependencies with the running node executable.
+     *
+     * @param   {String|Array.<String>} pkg Path to package to parse, or paths of files.
+     * @returns {Promise.<Object>}          JSON dependency object.
+     */
+    async parsePackageDependencies(pkg) {
+
+        return this.execParser(process.execPath, [this.dependencyParser, ..._.map(_.castArray(pkg), p => path.resolve(p))], pkg);
+
+    }
+
+    /**
+     * Get the default docker command for copying pkg into the Dockerfile.
+     *
+     * @param {String} pkg             Path to package.
+     * @param {Object} options         Options object.
+     * @param {String} options.context Docker build context directory. Defaults to cwd.
+     */
+    getDefaultCopyCommand(pkg, options = {}) {
+
+        return {
+            src: path.normalize(path.relative(path.resolve(options.context || '.'), pkg)),
+            dst: `/${path.basename(pkg)}`
+        };
+
+    }
+
+    /**
+     * Get the default docker command CMD.
+     *
+     * @param {String} pkg Path to package.
+     */
+    getDefaultDockerCommand(pkg) {
+
+        let script = `/${path.basename(pkg)}`;
+
+        // Pick an entrypoint script if pkg is a directory
+        if (fs.existsSync(pkg) && fs.statSync(pkg).isDirectory()) {
+            let names = fs.readdirSync(pkg).sort();
+            let name = _.find(ENTRYPOINTS, n => _.includes(names, n)) || _.find(names, n => path.extname(n) === '.sh');
+            if (name) script = path.posix.join(script, name);
+        }
+
+        return { command: 'bash', args: [ script ] };
+
+    }
+
+}
+
+
+// Export
+module.exports = ShellStrategy;
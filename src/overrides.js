@@ -0,0 +1,150 @@
+/**
+ * Per-project overrides, read from a `.dockerizeme.yml` file in the package directory:
+ *
+ *     mappings:          # Imports mapped to packages, before looking them up in the graph
+ *       cv2: opencv-python
+ *       yaml: pip:PyYAML
+ *     versions:          # Pinned package versions
+ *       requests: 2.22.0
+ *     packages:          # Extra packages to install
+ *       - apt:libgl1
+ *     ignore:            # Imports that are never resolved
+ *       - mylocalmodule
+ *     image: python:3.8  # Base image
+ *     cmd: [python, /app/main.py]
+ *
+ * Packages are given as `name` or `system:name`.
+ *
+ * @module overrides
+ */
+
+
+// Core/NPM Modules
+const _        = require('lodash');
+const Bluebird = require('bluebird');
+const fs       = require('fs');
+const path     = require('path');
+const yaml     = require('js-yaml');
+
+
+// Local Modules
+const errors   = require('./errors');
+
+
+// Constants
+const FILENAMES = ['.dockerizeme.yml', '.dockerizeme.yaml'];
+const KEYS      = ['mappings', 'versions', 'packages', 'ignore', 'image', 'cmd'];
+
+
+/**
+ * Find the overrides file of a package, in the package directory or the directory of its (first) file.
+ *
+ * @param   {String|Array.<String>}      pkg Path to package, or paths of files.
+ * @returns {Promise.<String|undefined>}     Overrides file, if any.
+ */
+async function findOverrides(pkg) {
+
+    let entry = path.resolve(_.head(_.castArray(pkg)));
+    let stats = await Bluebird.fromCallback(cb => fs.stat(entry, cb)).catch(() => null);
+    let dir = stats && stats.isDirectory() ? entry : path.dirname(entry);
+
+    for (let name of FILENAMES) {
+        let filename = path.join(dir, name);
+        let found = await Bluebird.fromCallback(cb => fs.stat(filename, cb)).then(s => s.isFile(), () => false);
+        if (found) return filename;
+    }
+
+}
+
+
+/**
+ * Parse and validate an overrides file.
+ *
+ * @param   {String} contents File contents.
+ * @param   {String} filename File name, used in errors.
+ * @returns {Object}          Overrides with `mappings` and `versions` objects, `packages` and `ignore`
+ *                            lists, an `image` with `name` and `version` keys and a `cmd` with `command`
+ *                            and `args` keys. Keys that are not set are omitted.
+ */
+function parseOverrides(contents, filename) {
+
+    let invalid = (message, key) => new errors.InvalidOptionError(
+        `Invalid overrides in ${filename}: ${message}`, { option: 'overrides', value: filename, key }
+    );
+
+    // Load, keeping scalars as strings so that versions like 2.0 are not read as numbers
+    let data;
+    try {
+        data = yaml.safeLoad(contents, { schema: yaml.FAILSAFE_SCHEMA, filename }) || {};
+    }
+    catch (err) {
+        throw invalid(err.message);
+    }
+    if (!_.isPlainObject(data)) throw invalid('Must be a mapping.');
+    let unknown = _.difference(_.keys(data), KEYS);
+    if (unknown.length) throw invalid(`Unknown keys {${unknown.join(', ')}}. Must be some of {${KEYS.join(', ')}}.`, unknown[0]);
+
+    // Mappings and versions map names to strings
+    let overrides = {};
+    for (let key of ['mappings', 'versions']) {
+        if (_.isNil(data[key])) continue;
+        if (!_.isPlainObject(data[key]) || !_.every(data[key], _.isString)) {
+            throw invalid(`${key} must map names to strings.`, key);
+        }
+        overrides[key] = data[key];
+    }
+
+    // Packages and ignored imports are lists of strings
+    for (let key of ['packages', 'ignore']) {
+        if (_.isNil(data[key])) continue;
+        let items = _.castArray(data[key]);
+        if (!_.every(items, _.isString)) throw invalid(`${key} must be a list of strings.`, key);
+        overrides[key] = items;
+    }
+
+    // Image is `name` or `name:version`
+    if (!_.isNil(data.image)) {
+        if (!_.isString(data.image) || !/^[^\s:]+(:[^\s:]+)?$/.test(data.image)) {
+            throw invalid('image must be a name, optionally followed by :version.', 'image');
+        }
+        let [name, version] = data.image.split(':');
+        overrides.image = { name, version: version || 'latest' };
+    }
+
+    // Command is a list of words, or a string split on whitespace
+    if (!_.isNil(data.cmd)) {
+        let words = _.isString(data.cmd) ? _.compact(data.cmd.split(/\s+/)) : data.cmd;
+        if (!_.isArray(words) || _.isEmpty(words) || !_.every(words, _.isString)) {
+            throw invalid('cmd must be a command string or a list of words.', 'cmd');
+        }
+        overrides.cmd = { command: words[0], args: words.slice(1) };
+    }
+
+    return overrides;
+
+}
+
+
+/**
+ * Find the longest name matching a resource, either exactly or as a parent module, e.g.
+ * `yaml` matches `yaml` and `yaml.constructor`, and `lodash` matches `lodash/fp`.
+ *
+ * @param   {Array.<String>}   names    Names to match.
+ * @param   {String}           resource Imported resource.
+ * @returns {String|undefined}          Matching name, if any.
+ */
+function matchResource(names, resource) {
+
+    let matches = _.filter(names, n => resource === n || _.startsWith(resource, n + '.') || _.startsWith(resource, n + '/'));
+    return _.maxBy(matches, 'length');
+
+}
+
+
+// Export
+module.exports = {
+    FILENAMES,
+    findOverrides,
+    parseOverrides,
+    matchResource
+};
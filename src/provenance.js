@@ -0,0 +1,189 @@
+/**
+ * @module provenance
+ */
+
+
+// Core/NPM Modules
+const _ = require('lodash');
+
+
+/**
+ * Provenance graph recording why each package was included. Nodes are files,
+ * imported resources and packages. Each edge records one inference step:
+ *
+ *     import              - A file imports a resource, at `lines`.
+ *     resource_match      - The graph matched a resource to a package, by `match`
+ *                           `resource` (a package resource prefixes the import,
+ *                           listed in `resources`) or `name` (exact package name).
+ *                           The called `symbols` the package exports and, among
+ *                           several candidates, the package's `rank` and `score`.
+ *     system_match        - The package system of record matched the resource name,
+ *                           because the graph had no exact name match.
+ *     name_resolution     - The package system resolved a graph package name to
+ *                           another name.
+ *     resource_dependency - A package depends on a resource of another package,
+ *                           listed in `resources`.
+ *     association         - An association rule links two packages.
+ *     declared            - A file declares a package, with `specifier`.
+ *     included            - The include option adds a package.
+ *     mapping             - The overrides `file` maps a resource to a package,
+ *                           by its `mapping` name.
+ *     override            - The overrides file adds a package.
+ *
+ * @property {Map}            nodes Nodes keyed by id.
+ * @property {Array.<Object>} edges Edges with `from`, `to` and `type` keys.
+ */
+class Provenance {
+
+    /**
+     * Create an empty provenance graph.
+     */
+    constructor() {
+        this.nodes = new Map();
+        this.edges = [];
+    }
+
+    /**
+     * Get the node id of a file.
+     *
+     * @param   {String} filename File path.
+     * @returns {String}          Node id.
+     */
+    static fileId(filename) { return `file:${filename}`; }
+
+    /**
+     * Get the node id of a resource.
+     *
+     * @param   {String} name Resource name.
+     * @returns {String}      Node id.
+     */
+    static resourceId(name) { return `resource:${name}`; }
+
+    /**
+     * Get the node id of a package.
+     *
+     * @param   {String} packageId Package identifier, see LanguageStrategy#getPackageId.
+     * @returns {String}           Node id.
+     */
+    static packageId(packageId) { return `package:${packageId}`; }
+
+    /**
+     * Add a node, unless it exists.
+     *
+     * @param   {String} id         Node id.
+     * @param   {Object} properties Node properties, e.g. `type` and `name`.
+     * @returns {String}            Node id.
+     */
+    addNode(id, properties) {
+        if (!this.nodes.has(id)) this.nodes.set(id, _.assign({ id }, properties));
+        return id;
+    }
+
+    /**
+     * Add an edge, unless an equal edge exists. Self loops are ignored.
+     *
+     * @param {String} from       Start node id.
+     * @param {String} to         End node id.
+     * @param {String} type       Edge type.
+     * @param {Object} properties Edge properties.
+     */
+    addEdge(from, to, type, properties = {}) {
+        let edge = _.assign({ from, to, type }, _.omitBy(properties, _.isUndefined));
+        if (from !== to && !_.some(this.edges, e => _.isEqual(e, edge))) this.edges.push(edge);
+    }
+
+    /**
+     * Get the edges ending at a node.
+     *
+     * @param   {String}         id Node id.
+     * @returns {Array.<Object>}    Incoming edges.
+     */
+    getIncoming(id) {
+        return _.filter(this.edges, ['to', id]);
+    }
+
+    /**
+     * Describe an edge from the point of view of its end node.
+     *
+     * @param   {Object} edge Edge.
+     * @returns {String}      Description.
+     */
+    describeEdge(edge) {
+
+        let from = this.nodes.get(edge.from) || { name: edge.from };
+        switch (edge.type) {
+            case 'import':
+                return `imported by ${from.name}${edge.lines && edge.lines.length ? `:${edge.lines.join(',')}` : ''}`;
+            case 'resource_match':
+                return (edge.match === 'name'
+                    ? `graph package matching resource ${from.name} by name`
+                    : `graph package providing ${_.join(edge.resources, ', ')}, matching resource ${from.name}`)
+                    + (_.isEmpty(edge.symbols) ? '' : `, exporting called ${_.join(edge.symbols, ', ')}`)
+                    + (_.isUndefined(edge.rank) ? '' : `, ranked ${edge.rank} with score ${edge.score}`);
+            case 'system_match':
+                return `package system match for resource ${from.name}`;
+            case 'name_resolution':
+                return `package system name for ${from.name}`;
+            case 'resource_dependency':
+                return `resource dependency of ${from.name}${_.isEmpty(edge.resources) ? '' : ` on ${_.join(edge.resources, ', ')}`}`;
+            case 'association':
+                return `association with ${from.name}${_.isUndefined(edge.confidence) ? '' : ` (confidence ${edge.confidence}, lift ${edge.lift})`}`;
+            case 'included':
+                return `included by the ${from.name} option`;
+            case 'mapping':
+                return `mapped from resource ${from.name} by ${edge.file}${edge.mapping === from.name ? '' : ` as ${edge.mapping}`}`;
+            case 'override':
+                return `added by ${from.name}`;
+            case 'declared':
+                return `declared by ${from.name}${edge.specifier ? ` as ${edge.specifier}` : ''}`;
+            default:
+                return `${edge.type} of ${from.name}`;
+        }
+
+    }
+
+    /**
+     * Explain why each package was included, following the edges back to the files
+     * of the package. Steps already explained for a package are not repeated.
+     *
+     * @param   {Array.<String>} ids Package node ids, in install order.
+     * @returns {String}             Explanation text.
+     */
+    explain(ids) {
+
+        let lines = [];
+        for (let id of ids) {
+
+            let node = this.nodes.get(id) || { name: id };
+            lines.push(`${node.name}${node.version ? `==${node.version}` : ''} (${node.system})`);
+
+            let visited = new Set([id]);
+            (function walk(to, depth) {
+                for (let edge of this.getIncoming(to)) {
+                    lines.push(`${_.repeat('  ', depth)}<- ${this.describeEdge(edge)}`);
+                    if (!visited.has(edge.from)) {
+                        visited.add(edge.from);
+                        walk.call(this, edge.from, depth + 1);
+                    }
+                }
+            }).call(this, id, 1);
+
+        }
+        return lines.join('\n');
+
+    }
+
+    /**
+     * Convert to a JSON serializable object.
+     *
+     * @returns {Object} Object with `nodes` and `edges` lists.
+     */
+    toJSON() {
+        return { nodes: [...this.nodes.values()], edges: this.edges };
+    }
+
+}
+
+
+// Export
+module.exports = Provenance;
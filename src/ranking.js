@@ -0,0 +1,201 @@
+/**
+ * Ranking of the packages the graph matches to an imported resource. A resource often has
+ * several candidates, e.g. every package with a `google` resource matches `import google`.
+ * Each candidate is scored from 0 to 1 as a weighted sum of:
+ *
+ *     match        - How well the candidate matches the resource. An exact package name or
+ *                    resource scores 1, and a resource prefixing the import scores its share
+ *                    of the import's length, halved unless it ends at a module boundary.
+ *     symbols      - Share of the calls made through the resource, e.g. `yaml.safe_load`
+ *                    through `yaml`, that call a symbol the candidate exports.
+ *     cooccurrence - Share of the package's other imports that have a candidate among the
+ *                    candidate's dependencies or associations.
+ *     popularity   - Number of packages depending on the candidate, on a log scale relative
+ *                    to the most depended on candidate.
+ *
+ * Symbols are read from the `symbol` nodes of the graph, which not every graph has. The
+ * symbols weight only applies when a candidate exports a called symbol; otherwise the other
+ * weights are scaled up to sum to 1, so graphs without symbols rank as before.
+ *
+ * @module ranking
+ */
+
+
+// Core/NPM Modules
+const _ = require('lodash');
+
+
+// Constants
+const WEIGHTS = { match: 0.4, symbols: 0.3, cooccurrence: 0.2, popularity: 0.1 };
+
+
+/**
+ * Group the graph matches of a resource by package. A package matched both by name and by
+ * resources is one candidate.
+ *
+ * @param   {Array.<Object>} results Package properties, each with a `via` key, see GraphStore#lookupResourcePackages.
+ * @returns {Array.<Object>}         Candidates with `name`, `system`, `nameMatch` and the matching `resources`.
+ */
+function groupCandidates(results) {
+
+    let groups = _.groupBy(results, p => `${p.name},${p.system}`);
+    return _.map(groups, matches => ({
+        name: matches[0].name,
+        system: matches[0].system,
+        nameMatch: _.some(matches, ['via.type', 'name']),
+        resources: _.uniq(_.flatMap(matches, m => _.get(m, 'via.resources') || []))
+    }));
+
+}
+
+
+/**
+ * Score how well a candidate matches a resource.
+ *
+ * @param   {Object} candidate Candidate, see groupCandidates.
+ * @param   {String} resource  Imported resource.
+ * @returns {Number}           Match score from 0 to 1.
+ */
+function scoreMatch(candidate, resource) {
+
+    if (candidate.nameMatch) return 1;
+    return _.max(_.map(candidate.resources, (r) => {
+        if (r === resource) return 1;
+        let boundary = _.includes(['.', '/'], resource[r.length]);
+        return (boundary ? 1 : 0.5) * r.length / resource.length;
+    })) || 0;
+
+}
+
+
+/**
+ * Get the calls made through a resource, e.g. `yaml.safe_load` through `yaml`.
+ *
+ * @param   {Array.<String>} calls    Calls traced back to their library by the parser.
+ * @param   {String}         resource Imported resource.
+ * @returns {Array.<String>}          Calls made through the resource.
+ */
+function resourceCalls(calls, resource) {
+
+    return _.filter(_.uniq(calls), c => _.startsWith(c, resource + '.'));
+
+}
+
+
+/**
+ * Get the symbols that a call may be calling, longest first. A call can go through the
+ * result of another call, e.g. `yaml.load.get` calls `get` on the result of `yaml.load`.
+ *
+ * @param   {String}         call     Call made through the resource.
+ * @param   {String}         resource Imported resource.
+ * @returns {Array.<String>}          Fully qualified symbol names, below the resource.
+ */
+function callSymbols(call, resource) {
+
+    let parts = call.slice(resource.length + 1).split('.');
+    return _.map(parts, (p, i) => `${resource}.${parts.slice(0, parts.length - i).join('.')}`);
+
+}
+
+
+/**
+ * Score how many of the calls made through a resource call a symbol the candidate exports.
+ *
+ * @param   {Array.<String>} exported Symbols the candidate exports.
+ * @param   {Array.<String>} calls    Calls made through the resource.
+ * @param   {String}         resource Imported resource.
+ * @returns {Number}                  Symbol score from 0 to 1.
+ */
+function scoreSymbols(exported, calls, resource) {
+
+    if (_.isEmpty(calls)) return 0;
+    let explained = _.filter(calls, c => _.some(callSymbols(c, resource), s => _.includes(exported, s)));
+    return explained.length / calls.length;
+
+}
+
+
+/**
+ * Score the popularity of candidates, relative to each other.
+ *
+ * @param   {Array.<Number>} dependents Number of packages depending on each candidate.
+ * @returns {Array.<Number>}            Popularity scores from 0 to 1.
+ */
+function scorePopularity(dependents) {
+
+    let max = Math.log1p(_.max(dependents) || 0);
+    return _.map(dependents, n => max ? Math.log1p(n) / max : 0);
+
+}
+
+
+/**
+ * Score how often a candidate goes together with the package's other imports.
+ *
+ * @param   {Array.<Object>}         neighbors Dependencies and associations of the candidate, with `name` and `system` keys.
+ * @param   {Array.<Array.<Object>>} others    Candidates of each other import.
+ * @returns {Number}                           Co-occurrence score from 0 to 1.
+ */
+function scoreCooccurrence(neighbors, others) {
+
+    if (_.isEmpty(others)) return 0;
+    let ids = new Set(_.map(neighbors, n => `${n.name},${n.system}`));
+    return _.filter(others, candidates => _.some(candidates, c => ids.has(`${c.name},${c.system}`))).length / others.length;
+
+}
+
+
+/**
+ * Get the weights of the scores of a resource's candidates. Symbols are only weighted when
+ * a candidate exports a called symbol, see the module description.
+ *
+ * @param   {Array.<Object>} candidates Candidates with `symbols` scores.
+ * @returns {Object}                    Weights keyed by score, summing to 1.
+ */
+function getWeights(candidates) {
+
+    if (_.some(candidates, c => c.symbols > 0)) return WEIGHTS;
+    let weights = _.omit(WEIGHTS, 'symbols');
+    let total = _.sum(_.values(weights));
+    return _.mapValues(weights, w => w / total);
+
+}
+
+
+/**
+ * Rank the candidates of a resource, best first. Ties are broken by preferring the candidate
+ * exporting more called symbols, then a name match, then the shorter and alphabetically first
+ * name.
+ *
+ * @param   {Array.<Object>} candidates Candidates with `match`, `symbols`, `cooccurrence` and `popularity` scores.
+ * @returns {Array.<Object>}            Candidates with their weighted `score` and `rank`, best first.
+ */
+function rank(candidates) {
+
+    let weights = getWeights(candidates);
+    let scored = _.map(candidates, c => _.assign({}, c, {
+        score: _.round(_.sumBy(_.keys(weights), k => weights[k] * (c[k] || 0)), 4)
+    }));
+    let ranked = _.orderBy(
+        scored,
+        ['score', c => c.symbols || 0, 'nameMatch', c => c.name.length, 'name'],
+        ['desc', 'desc', 'desc', 'asc', 'asc']
+    );
+    return _.map(ranked, (c, i) => _.assign(c, { rank: i + 1 }));
+
+}
+
+
+// Export
+module.exports = {
+    WEIGHTS,
+    groupCandidates,
+    scoreMatch,
+    resourceCalls,
+    callSymbols,
+    scoreSymbols,
+    scorePopularity,
+    scoreCooccurrence,
+    getWeights,
+    rank
+};
@@ -0,0 +1,169 @@
+/**
+ * @module scheduler
+ */
+
+
+// Core/NPM Modules
+const _        = require('lodash');
+const Bluebird = require('bluebird');
+
+
+// Local Modules
+const config   = require('./config');
+const errors   = require('./errors');
+const logger   = require('./logger');
+
+
+/**
+ * Scheduler of the calls made to the graph and package indexes while resolving dependencies.
+ * At most `requestConcurrency` calls run at once, and the others wait for a slot. Calls failing with
+ * a transient error, see DockerizeError#transient, are retried with exponential backoff: the
+ * nth retry waits `retryDelay * 2^(n - 1)` milliseconds.
+ *
+ * @property {Number}           concurrency Maximum number of calls running at once.
+ * @property {Number}           retries     Maximum number of retries of a call.
+ * @property {Number}           retryDelay  Delay before the first retry, in milliseconds.
+ * @property {Number}           active      Number of calls running.
+ * @property {Array.<Function>} queue       Callbacks of the calls waiting for a slot.
+ * @property {Map}              stats       Statistics keyed by kind of call.
+ */
+class Scheduler {
+
+    /**
+     * Construct a new scheduler.
+     *
+     * @param {Object} options                    Options object.
+     * @param {Number} options.requestConcurrency Maximum number of calls running at once.
+     * @param {Number} options.retries            Maximum number of retries of a call.
+     * @param {Number} options.retryDelay         Delay before the first retry, in milliseconds.
+     */
+    constructor(options = {}) {
+
+        let settings = _.defaults(_.omitBy(_.pick(options, ['requestConcurrency', 'retries', 'retryDelay']), _.isNil), config.DEFAULTS);
+        if (!(Number.isInteger(settings.requestConcurrency) && settings.requestConcurrency >= 1)) {
+            throw new errors.InvalidOptionError(
+                `Invalid value for requestConcurrency: '${settings.requestConcurrency}'. Must be a positive integer.`,
+                { option: 'requestConcurrency', value: settings.requestConcurrency }
+            );
+        }
+        if (!(Number.isInteger(settings.retries) && settings.retries >= 0)) {
+            throw new errors.InvalidOptionError(
+                `Invalid value for retries: '${settings.retries}'. Must be a non-negative integer.`,
+                { option: 'retries', value: settings.retries }
+            );
+        }
+
+        this.concurrency = settings.requestConcurrency;
+        this.retries = settings.retries;
+        this.retryDelay = settings.retryDelay;
+        this.active = 0;
+        this.queue = [];
+        this.stats = new Map();
+
+    }
+
+    /**
+     * Get the scheduler of dockerize options, or a new one if none is given.
+     *
+     * @param   {Object}    options           Options object, see Scheduler#constructor.
+     * @param   {Scheduler} options.scheduler Scheduler to use.
+     * @returns {Scheduler}                   Scheduler.
+     */
+    static fromOptions(options = {}) {
+        return options.scheduler || new Scheduler(options);
+    }
+
+    /**
+     * Wait for a slot, released when the returned disposer is disposed.
+     *
+     * @returns {Disposer} Bluebird disposer of the slot.
+     */
+    slot() {
+
+        let acquired = this.active < this.concurrency
+            ? Bluebird.resolve(this.active++)
+            : new Bluebird(resolve => this.queue.push(resolve));
+
+        // The slot is handed over to the next waiting call, if any
+        return acquired.disposer(() => {
+            let next = this.queue.shift();
+            if (next) next();
+            else this.active--;
+        });
+
+    }
+
+    /**
+     * Run a call once a slot is free, retrying it while it fails with a transient error.
+     *
+     * @param   {String}           kind Kind of call, e.g. `graph` or `index`, used in statistics.
+     * @param   {Function}         fn   Function making the call, resolving to its result.
+     * @returns {Promise.<*>}           Result of the call.
+     * @throws  {Error}                 The last error, if the call fails after all retries.
+     */
+    async run(kind, fn) {
+
+        if (!this.stats.has(kind)) this.stats.set(kind, { kind, calls: 0, retries: 0, failures: 0, time: 0, maxTime: 0, wait: 0 });
+        let stats = this.stats.get(kind);
+        stats.calls++;
+
+        for (let attempt = 1; ; attempt++) {
+
+            // Time the call, but not the wait for a slot
+            let queued = Date.now();
+            let started;
+            let record = () => {
+                let time = Date.now() - started;
+                stats.time += time;
+                stats.maxTime = Math.max(stats.maxTime, time);
+            };
+
+            try {
+                let result = await Bluebird.using(this.slot(), () => {
+                    started = Date.now();
+                    stats.wait += started - queued;
+                    return fn();
+                });
+                record();
+                return result;
+            }
+            catch (err) {
+                if (started) record();
+                if (!err.transient || attempt > this.retries) {
+                    stats.failures++;
+                    throw err;
+                }
+                let delay = this.retryDelay * Math.pow(2, attempt - 1);
+                logger.warn(`Retrying ${kind} call in ${delay} ms (retry ${attempt} of ${this.retries}): ${err.message}`);
+                stats.retries++;
+                await Bluebird.delay(delay);
+            }
+
+        }
+
+    }
+
+    /**
+     * Summarize the calls made, for reporting in metadata. Times are in milliseconds.
+     *
+     * @returns {Object} Summary with `concurrency`, `maxRetries`, the total number of `retries`
+     *                   and one item per kind of call with its `calls`, `retries`, `failures`,
+     *                   total `time` and `maxTime` of an attempt, and total `wait` for a slot.
+     */
+    summary() {
+
+        let items = _.map([...this.stats.values()], _.clone);
+        return {
+            concurrency: this.concurrency,
+            maxRetries: this.retries,
+            retries: _.sumBy(items, 'retries'),
+            items
+        };
+
+    }
+
+}
+
+
+// Export
+module.exports = Scheduler;
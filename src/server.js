@@ -0,0 +1,364 @@
+/**
+ * @module server
+ */
+
+
+// Core/NPM Modules
+const Bluebird        = require('bluebird');
+const child_process   = require('child_process');
+const fs              = require('fs');
+const http            = require('http');
+const path            = require('path');
+const url             = require('url');
+const _               = require('lodash');
+
+
+// Local Modules
+const Cache           = require('./cache');
+const StrategyFactory = require('./strategy-factory');
+const buildContext    = require('./build-context');
+const dockerize       = require('./index');
+const config          = require('./config');
+const errors          = require('./errors');
+const logger          = require('./logger');
+
+
+// Constants
+const DEFAULT_PORT     = 8080;
+const DEFAULT_HOST     = '127.0.0.1';
+const DEFAULT_MAX_BODY = 1024 * 1024;
+const DEFAULT_TIMEOUT  = 60 * 1000;
+const FORMATS          = ['dockerfile', 'install-commands', 'metadata', 'mismatches', 'explain'];
+const ERROR_STATUSES   = {
+    INVALID_OPTION: 400,
+    UNSUPPORTED_LANGUAGE: 400,
+    UNSUPPORTED_SYSTEM: 400,
+    PARSE_FAILED: 422,
+    GRAPH_UNAVAILABLE: 502,
+    PACKAGE_INDEX_UNAVAILABLE: 502
+};
+const ARCHIVE_TYPES    = [
+    'application/gzip', 'application/x-gzip', 'application/x-tar', 'application/x-gtar', 'application/x-compressed-tar'
+];
+
+
+// Factory
+const factory = new StrategyFactory();
+
+
+/**
+ * An error answered with an HTTP status code.
+ */
+class HttpError extends Error {
+
+    /**
+     * Construct a new error.
+     *
+     * @param {Number} status  HTTP status code.
+     * @param {String} message Error message.
+     */
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+
+}
+
+
+/**
+ * Start an HTTP server that dockerizes snippets.
+ *
+ *     GET  /health    - Answers `{ "status": "ok" }`.
+ *     POST /dockerize - Dockerizes the request body, answering a Dockerfile, install
+ *                       commands, an explanation or metadata, depending on `format`.
+ *
+ * The body of a dockerize request is either a snippet, sent as text, a gzipped or plain tar
+ * archive of a code package, or a JSON object with the snippet as `snippet`. The `language`,
+ * `format`, `only`, `cmd` and `arg` options are given as query parameters or JSON keys, and
+ * default to the server's options. Text answers are sent as `text/plain` and others as JSON.
+ * Errors are answered as JSON with an `error` message, and the `code` and `details` of typed
+ * errors. Invalid options are answered with status 400, packages that can't be parsed with 422
+ * and an unavailable graph or package index with 502.
+ *
+ * All requests share one graph store and the lookup cache. Request bodies larger than
+ * `maxBodySize` are refused, and requests taking longer than `timeout` are answered with
+ * a timeout error.
+ *
+ * @param   {Object}                options             Server options. Other options are passed to each dockerization.
+ * @param   {Number}                options.port        Port to listen on. Defaults to 8080.
+ * @param   {String}                options.host        Host to listen on. Defaults to 127.0.0.1.
+ * @param   {Number}                options.maxBodySize Maximum request body size in bytes. Defaults to 1 MiB.
+ * @param   {Number}                options.timeout     Maximum time to dockerize a request in milliseconds. Defaults to 60 seconds.
+ * @returns {Promise.<http.Server>}                     Listening server. Closing it closes the graph store.
+ */
+module.exports = async function(options = {}) {
+
+    // Validate options
+    let maxBodySize = _.isNil(options.maxBodySize) ? DEFAULT_MAX_BODY : options.maxBodySize;
+    if (!(_.isInteger(maxBodySize) && maxBodySize > 0)) {
+        throw new errors.InvalidOptionError(
+            `Invalid value for maxBodySize: '${options.maxBodySize}'. Must be a positive integer.`,
+            { option: 'maxBodySize', value: options.maxBodySize }
+        );
+    }
+    let timeout = _.isNil(options.timeout) ? DEFAULT_TIMEOUT : options.timeout;
+    if (!(_.isInteger(timeout) && timeout > 0)) {
+        throw new errors.InvalidOptionError(
+            `Invalid value for timeout: '${options.timeout}'. Must be a positive integer.`,
+            { option: 'timeout', value: options.timeout }
+        );
+    }
+
+    // Clear cache once, rather than per request
+    if (options.clearCache) {
+        await Cache.fromOptions(options).clear();
+    }
+
+    // Share a graph store between requests
+    let strategy = await factory.getLanguageStrategy(options.language || config.DEFAULTS.language);
+    let store = await strategy.getSharedGraphStore(options);
+    let dockerizeOptions = _.assign(
+        _.omit(options, ['port', 'host', 'maxBodySize', 'timeout', 'clearCache']),
+        { graphStore: store }
+    );
+
+    let server = http.createServer((req, res) => {
+        handle(req, dockerizeOptions, maxBodySize, timeout).then(
+            answer => send(res, 200, answer),
+            (err) => {
+                let status = err.status || ERROR_STATUSES[err.code] || 500;
+                if (status >= 500) logger.error(`Unable to answer ${req.method} ${req.url}:`, err.message);
+                send(res, status, err instanceof errors.DockerizeError
+                    ? { error: err.message, code: err.code, details: err.details }
+                    : { error: err.message });
+            }
+        );
+    });
+    server.on('close', () => store && store.close());
+
+    await Bluebird.fromCallback(cb => server.listen(options.port || DEFAULT_PORT, options.host || DEFAULT_HOST, cb));
+    logger.info('Listening on', server.address());
+    return server;
+
+};
+
+
+/**
+ * Answer a request.
+ *
+ * @param   {http.IncomingMessage} req         Request.
+ * @param   {Object}               options     Dockerize options shared by all requests.
+ * @param   {Number}               maxBodySize Maximum request body size in bytes.
+ * @param   {Number}               timeout     Maximum time to dockerize in milliseconds.
+ * @returns {Promise.<*>}                      Answer.
+ */
+async function handle(req, options, maxBodySize, timeout) {
+
+    let { pathname, query } = url.parse(req.url, true);
+    if (pathname === '/health' && req.method === 'GET') {
+        return { status: 'ok' };
+    }
+    if (pathname !== '/dockerize') {
+        throw new HttpError(404, `Not found: ${pathname}.`);
+    }
+    if (req.method !== 'POST') {
+        throw new HttpError(405, `Method not allowed: ${req.method}. Use POST.`);
+    }
+
+    // Read request
+    let type = _.trim(_.head(_.split(req.headers['content-type'] || 'text/plain', ';'))).toLowerCase();
+    let body = await readBody(req, maxBodySize);
+    let params = _.clone(query);
+    if (type === 'application/json') {
+        try {
+            params = _.assign(params, JSON.parse(body.toString('utf8')));
+        }
+        catch (err) {
+            throw new HttpError(400, `Invalid JSON body: ${err.message}`);
+        }
+    }
+    let requestOptions = await getRequestOptions(params, options);
+    let snippet;
+    if (!_.includes(ARCHIVE_TYPES, type)) {
+        snippet = type === 'application/json' ? params.snippet : body.toString('utf8');
+        if (!_.isString(snippet) || !_.trim(snippet)) {
+            throw new HttpError(400, 'Missing snippet.');
+        }
+    }
+
+    // Write the package to a temporary build context, removed once dockerized
+    let dir;
+    let dockerized;
+    try {
+
+        let pkg;
+        if (snippet) {
+            ({ dir, pkg } = await buildContext.writeSnippet(snippet, requestOptions.language));
+        }
+        else {
+            dir = await buildContext.create();
+            pkg = await extractArchive(body, dir);
+        }
+
+        // Uploaded files may only refer to files of the upload
+        let context = fs.statSync(pkg).isDirectory() ? pkg : dir;
+        dockerized = Bluebird.resolve(dockerize(_.assign({}, options, requestOptions, { pkg, context, packageRoot: context })));
+
+    }
+    finally {
+        // Keep files until dockerizing stops, even after a timeout
+        Bluebird.resolve(dockerized).reflect().then(() => dir && buildContext.remove(dir)).catch(
+            err => logger.warn(`Unable to remove ${dir}:`, err.message)
+        );
+    }
+
+    try {
+        return await dockerized.timeout(timeout);
+    }
+    catch (err) {
+        if (err instanceof Bluebird.TimeoutError) {
+            throw new HttpError(504, `Dockerizing took longer than ${timeout} ms.`);
+        }
+        throw err;
+    }
+
+}
+
+
+/**
+ * Get the dockerize options of a request, from query parameters or JSON keys.
+ *
+ * @param   {Object}                   params  Request parameters.
+ * @param   {Object}                   options Dockerize options shared by all requests, used as defaults.
+ * @returns {Promise.<Object>}                 Request options.
+ * @throws  {UnsupportedLanguageError}         If the language is not supported.
+ */
+async function getRequestOptions(params, options) {
+
+    // Check the language before it reaches any path
+    let language = params.language || options.language || config.DEFAULTS.language;
+    if (!_.includes(StrategyFactory.LANGUAGES, language)) {
+        throw new errors.UnsupportedLanguageError(
+            `Language '${language}' not supported. Must be one of {${StrategyFactory.LANGUAGES.join(', ')}}.`,
+            { language }
+        );
+    }
+    await factory.getLanguageStrategy(language);
+
+    let format = params.format || 'dockerfile';
+    if (!_.includes(FORMATS, format)) {
+        throw new HttpError(400, `Invalid format: '${format}'. Must be one of {${FORMATS.join(', ')}}.`);
+    }
+
+    let cmd;
+    if (params.cmd) {
+        cmd = { command: String(params.cmd), args: _.map(_.compact(_.castArray(params.arg)), String) };
+    }
+
+    return _.omitBy({ language, format, only: params.only, cmd }, _.isUndefined);
+
+}
+
+
+/**
+ * Read a request body, refusing bodies larger than the limit.
+ *
+ * @param   {http.IncomingMessage} req   Request.
+ * @param   {Number}               limit Maximum body size in bytes.
+ * @returns {Promise.<Buffer>}           Body.
+ */
+function readBody(req, limit) {
+
+    return new Bluebird((resolve, reject) => {
+
+        let tooLarge = () => new HttpError(413, `Request body is larger than ${limit} bytes.`);
+        if (parseInt(req.headers['content-length'], 10) > limit) {
+            req.resume();
+            return reject(tooLarge());
+        }
+
+        let chunks = [];
+        let size = 0;
+        req.on('data', (chunk) => {
+            size += chunk.length;
+            if (size > limit) {
+                req.removeAllListeners('data');
+                req.resume();
+                return reject(tooLarge());
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => resolve(Buffer.concat(chunks)));
+        req.on('error', reject);
+
+    });
+
+}
+
+
+/**
+ * Extract a gzipped or plain tar archive into a directory. An archive of a single
+ * directory is the package, otherwise the whole directory is. Archives holding
+ * anything but files and directories, e.g. symbolic links, are refused, so the
+ * package can't refer to files outside of it.
+ *
+ * @param   {Buffer}           archive Archive contents.
+ * @param   {String}           dir     Directory to extract into.
+ * @returns {Promise.<String>}         Package path.
+ * @throws  {HttpError}                If the archive is invalid or holds links.
+ */
+async function extractArchive(archive, dir) {
+
+    let filename = path.join(dir, '.archive');
+    let pkg = path.join(dir, 'package');
+    await Bluebird.fromCallback(cb => fs.writeFile(filename, archive, cb));
+    await Bluebird.fromCallback(cb => fs.mkdir(pkg, cb));
+
+    try {
+        await Bluebird.fromCallback(cb => child_process.execFile(
+            'tar', ['-xf', filename, '-C', pkg, '--no-same-owner', '--no-same-permissions'], cb
+        ));
+    }
+    catch (err) {
+        throw new HttpError(400, 'Invalid archive. Must be a tar or gzipped tar archive.');
+    }
+
+    // Refuse links and special files
+    let check = (parent) => {
+        for (let name of fs.readdirSync(parent)) {
+            let stats = fs.lstatSync(path.join(parent, name));
+            if (stats.isDirectory()) check(path.join(parent, name));
+            else if (!stats.isFile()) {
+                throw new HttpError(400, `Invalid archive. Must only hold files and directories: ${path.relative(pkg, path.join(parent, name))}.`);
+            }
+        }
+    };
+    check(pkg);
+
+    let entries = fs.readdirSync(pkg);
+    if (entries.length === 1 && fs.lstatSync(path.join(pkg, entries[0])).isDirectory()) {
+        return path.join(pkg, entries[0]);
+    }
+    return pkg;
+
+}
+
+
+/**
+ * Send an answer. Strings are sent as text, anything else as JSON.
+ *
+ * @param {http.ServerResponse} res    Response.
+ * @param {Number}              status HTTP status code.
+ * @param {*}                   answer Answer.
+ */
+function send(res, status, answer) {
+
+    let text = _.isString(answer);
+    let body = text ? answer : JSON.stringify(answer, null, 4);
+    res.writeHead(status, {
+        'Content-Type': text ? 'text/plain; charset=utf-8' : 'application/json; charset=utf-8',
+        'Content-Length': Buffer.byteLength(body)
+    });
+    res.end(body);
+
+}
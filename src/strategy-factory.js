@@ -3,8 +3,18 @@
  */
 
 
+// Core/NPM Modules
+const _         = require('lodash');
+
+
 // Local Modules
-const logger = require('./logger');
+const errors    = require('./errors');
+const logger    = require('./logger');
+
+
+// Constants
+const LANGUAGES = ['python', 'javascript', 'shell'];
+const SYSTEMS   = ['pip', 'npm', 'apt'];
 
 
 /**
@@ -21,13 +31,36 @@ class StrategyFactory {
     }
 
     /**
-     * Get a new language strategy.
+     * Supported languages.
+     *
+     * @returns {Array.<String>} Language names.
+     */
+    static get LANGUAGES() { return LANGUAGES; }
+
+    /**
+     * Supported package management systems.
+     *
+     * @returns {Array.<String>} System names.
+     */
+    static get SYSTEMS() { return SYSTEMS; }
+
+    /**
+     * Get a new language strategy. Only supported languages are loaded, the name is
+     * never used in a path otherwise.
      *
      * @param   {String}                     language Language of the strategy to return.
      * @returns {Promise.<LanguageStrategy>}          Strategy for given language.
+     * @throws  {UnsupportedLanguageError}            If the language is not supported.
      */
     async getLanguageStrategy(language) {
 
+        if (!_.includes(LANGUAGES, language)) {
+            throw new errors.UnsupportedLanguageError(
+                `Language '${language}' not supported. Must be one of {${LANGUAGES.join(', ')}}.`,
+                { language }
+            );
+        }
+
         try {
 
             // Load and init if not already available
@@ -43,20 +76,28 @@ class StrategyFactory {
         catch(err) {
 
             logger.error(`Unable to load strategy for language ${language}:`, err.message);
-            throw new Error(`Language '${language}' not supported.`);
+            throw new errors.UnsupportedLanguageError(`Language '${language}' not supported.`, { language });
 
         }
 
     }
 
     /**
-     * Get a new system strategy.
+     * Get a new system strategy. Only supported systems are loaded.
      *
      * @param   {String}                   system Language of the strategy to return.
      * @returns {Promise.<SystemStrategy>}        Strategy for given language.
+     * @throws  {UnsupportedSystemError}          If the system is not supported.
      */
     async getSystemStrategy(system) {
 
+        if (!_.includes(SYSTEMS, system)) {
+            throw new errors.UnsupportedSystemError(
+                `System '${system}' not supported. Must be one of {${SYSTEMS.join(', ')}}.`,
+                { system }
+            );
+        }
+
         try {
 
             // Load and init if not already available
@@ -72,7 +113,7 @@ class StrategyFactory {
         catch(err) {
 
             logger.error(`Unable to load strategy for system ${system}:`, err.message);
-            throw new Error(`System '${system}' not supported.`);
+            throw new errors.UnsupportedSystemError(`System '${system}' not supported.`, { system });
 
         }
 
@@ -5,6 +5,18 @@
 
 // Constants
 const NOT_IMPLEMENTED = 'not implemented';
+const SHELL           = '/bin/sh';
+
+
+/**
+ * Quote a word for the shell, if needed.
+ *
+ * @param   {String} word Word to quote.
+ * @returns {String}      Quoted word.
+ */
+function quote(word) {
+    return /^[\w@%+=:,./-]+$/.test(word) ? word : `'${word.replace(/'/g, `'\\''`)}'`;
+}
 
 
 /**
@@ -14,6 +26,15 @@ const NOT_IMPLEMENTED = 'not implemented';
  */
 class SystemStrategy {
 
+    /**
+     * Quote a word for the shell, if needed. Systems building their own shell
+     * commands should quote package names with this.
+     *
+     * @param   {String} word Word to quote.
+     * @returns {String}      Quoted word.
+     */
+    static quote(word) { return quote(word); }
+
     /**
      * Peform async initialization, as needed.
      * Returns self for chaining.
@@ -32,10 +53,32 @@ class SystemStrategy {
     /**
      * Get a system specific command for installing a package.
      *
-     * @param   {Object} pkg Package to install.
-     * @returns {Object}     Docker run command to install a package `name` at `version`.
+     * @param   {Object} pkg     Package to install.
+     * @param   {Object} options Options object.
+     * @returns {Object}         Docker run command to install a package `name` at `version`.
      */
-    getInstallRunCommand(pkg) { throw new Error(NOT_IMPLEMENTED); }
+    getInstallRunCommand(pkg, options = {}) { throw new Error(NOT_IMPLEMENTED); }
+
+    /**
+     * Get a system specific command for installing several packages in a
+     * single layer. Default is to chain the command of each package in a shell.
+     * Systems that install many packages at once should override this.
+     *
+     * @param   {Array.<Object>} packages Packages to install, in order.
+     * @param   {Object}         options  Options object.
+     * @returns {Object}                  Docker run command to install all packages.
+     */
+    getInstallRunCommands(packages, options = {}) {
+
+        if (packages.length === 1) return this.getInstallRunCommand(packages[0], options);
+
+        let commands = packages.map(pkg => {
+            let run = this.getInstallRunCommand(pkg, options);
+            return [run.command].concat(run.args).map(quote).join(' ');
+        });
+        return { command: SHELL, args: ['-c', commands.join(' && ')] };
+
+    }
 
     /**
      * Normalize a package name. Default is to do nothing. Some systems
@@ -52,9 +95,22 @@ class SystemStrategy {
      * the strategy system implementation. Some implementations
      * may perform a case insensitive match for correctness
      *
-     * @param {String} pkg Package name.
+     * @param {String} pkg     Package name.
+     * @param {Object} options Options object.
+     */
+    async searchForExactPackageMatch(pkg, options = {}) { throw new Error(NOT_IMPLEMENTED); }
+
+    /**
+     * Resolve the version of a package to install. Default is to leave
+     * the version unresolved, so the latest version is installed.
+     *
+     * @param   {Object}           pkg     Package object.
+     * @param   {Object}           options Options object.
+     * @returns {Promise.<Object>}         Resolution with `version`, if resolved, and `reason`.
      */
-    async searchForExactPackageMatch(pkg) { throw new Error(NOT_IMPLEMENTED); }
+    async resolveVersion(pkg, options = {}) {
+        return { reason: `Version resolution is not supported for ${pkg.system}.` };
+    }
 
 }
 
@@ -12,17 +12,44 @@ const SystemStrategy = require('../../system-strategy');
  */
 class APTStrategy extends SystemStrategy {
 
+    /**
+     * System name.
+     *
+     * @returns {String} System name.
+     */
+    get system() { return 'apt'; }
+
     /**
      * Get default run command.
      *
-     * @param   {Object} pkg Package object.
-     * @returns {Object}     Run command object.
+     * @param   {Object} pkg     Package object.
+     * @param   {Object} options Options object.
+     * @returns {Object}         Run command object.
+     */
+    getInstallRunCommand(pkg, options = {}) {
+
+        return this.getInstallRunCommands([pkg], options);
+
+    }
+
+    /**
+     * Get a run command installing packages in one layer. Package lists are
+     * updated in the same layer so they are never stale, and removed after
+     * installing to keep the image small.
+     *
+     * @param   {Array.<Object>} packages Package objects.
+     * @param   {Object}         options  Options object.
+     * @returns {Object}                  Run command object.
      */
-    getInstallRunCommand(pkg) {
+    getInstallRunCommands(packages, options = {}) {
 
+        let names = packages.map(pkg => SystemStrategy.quote(pkg.version ? `${pkg.name}=${pkg.version}` : pkg.name));
         return {
-            command: 'apt-get',
-            args: ['install', '-y', pkg.version ? `${pkg.name}=${pkg.version}` : pkg.name]
+            command: '/bin/sh',
+            args: [
+                '-c',
+                `apt-get update && apt-get install -y --no-install-recommends ${names.join(' ')} && rm -rf /var/lib/apt/lists/*`
+            ]
         };
 
     }
@@ -32,9 +59,10 @@ class APTStrategy extends SystemStrategy {
      * In the case of API, packages are validated before being
      * placed in the database, so just return the package name.
      *
-     * @param {String} pkg Package name.
+     * @param {String} pkg     Package name.
+     * @param {Object} options Options object.
      */
-    async searchForExactPackageMatch(pkg) {
+    async searchForExactPackageMatch(pkg, options = {}) {
 
         return { name: pkg, system: 'apt' }
 
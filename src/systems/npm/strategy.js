@@ -0,0 +1,171 @@
+/**
+ * @module systems/npm/strategy
+ */
+
+
+// Core/NPM Modules
+const _              = require('lodash');
+const Bluebird       = require('bluebird');
+const request        = require('request');
+
+
+// Import base class
+const SystemStrategy = require('../../system-strategy');
+const Cache          = require('../../cache');
+const Scheduler      = require('../../scheduler');
+const config         = require('../../config');
+const errors         = require('../../errors');
+const logger         = require('../../logger');
+
+
+// Constants
+const DEFAULT_REGISTRY = config.DEFAULTS.npmRegistry;
+
+
+/**
+ * NPM strategy implementation.
+ */
+class NPMStrategy extends SystemStrategy {
+
+    /**
+     * System name.
+     *
+     * @returns {String} System name.
+     */
+    get system() { return 'npm'; }
+
+    /**
+     * Get default run command. Packages are installed into `/node_modules`,
+     * where node resolves them from any file copied into the image.
+     *
+     * @param   {Object} pkg                 Package object.
+     * @param   {Object} options             Options object.
+     * @param   {String} options.npmRegistry NPM registry URL. Defaults to the public registry, which is never passed to npm.
+     * @returns {Object}                     Run command object.
+     */
+    getInstallRunCommand(pkg, options = {}) {
+
+        return this.getInstallRunCommands([pkg], options);
+
+    }
+
+    /**
+     * Get a run command installing packages in one layer.
+     *
+     * @param   {Array.<Object>} packages Package objects.
+     * @param   {Object}         options  Options object, see NPMStrategy#getInstallRunCommand.
+     * @returns {Object}                  Run command object.
+     */
+    getInstallRunCommands(packages, options = {}) {
+
+        return {
+            command: 'npm',
+            args: _.concat(
+                ['install', '--prefix', '/'],
+                options.npmRegistry && _.trimEnd(options.npmRegistry, '/') !== _.trimEnd(DEFAULT_REGISTRY, '/')
+                    ? ['--registry', options.npmRegistry]
+                    : [],
+                _.map(packages, pkg => pkg.version
+                    ? `${pkg.name}@${pkg.version}`
+                    : `${pkg.name}${pkg.specifier ? `@${pkg.specifier}` : ''}`)
+            )
+        };
+
+    }
+
+    /**
+     * Get package metadata from the registry. Documents are cached by registry and name,
+     * keeping only the metadata needed for resolution. Requests are run by the scheduler.
+     *
+     * @param   {String}                pkg                    Package name.
+     * @param   {Object}                options                Options object.
+     * @param   {String}                options.npmRegistry    NPM registry URL.
+     * @param   {Number}                options.requestTimeout Request timeout in milliseconds.
+     * @returns {Promise.<Object|null>}                        Package document, or null if not found.
+     */
+    async getPackument(pkg, options = {}) {
+
+        let registry = (options.npmRegistry || DEFAULT_REGISTRY).replace(/\/+$/, '');
+        let key = [this.system, registry, pkg];
+
+        return Cache.fromOptions(options).wrap('index', key, () => Scheduler.fromOptions(options).run('index', async () => {
+
+            // Scoped packages keep their @, but the separator must be escaped
+            let response;
+            try {
+                response = await Bluebird.fromCallback(cb => request(
+                    {
+                        url: `${registry}/${encodeURIComponent(pkg).replace(/^%40/, '@')}`,
+                        method: 'GET',
+                        json: true,
+                        timeout: options.requestTimeout
+                    },
+                    cb
+                ));
+            }
+            catch (err) {
+                throw new errors.PackageIndexError(`Unable to reach npm registry ${registry}: ${err.message}`, {
+                    index: registry, package: pkg, cause: err.code
+                });
+            }
+
+            // If not found, return null
+            // Otherwise return package metadata
+            if (response.statusCode === 404) {
+                return null;
+            }
+            else if (response.statusCode === 200) {
+                let record = response.body || {};
+                return {
+                    name: record.name,
+                    'dist-tags': record['dist-tags'],
+                    versions: _.mapValues(record.versions, v => _.pick(v, ['engines', 'deprecated'])),
+                    time: record.time
+                };
+            }
+            else {
+                throw new errors.PackageIndexError(
+                    `npm registry ${registry} answered ${response.statusCode} for ${pkg}: ${_.get(response.body, 'error', response.body)}`,
+                    { index: registry, package: pkg, statusCode: response.statusCode }
+                );
+            }
+
+        }));
+
+    }
+
+    /**
+     * Search for an exact package match in the registry.
+     *
+     * @param {String} pkg                 Package name.
+     * @param {Object} options             Options object.
+     * @param {String} options.npmRegistry NPM registry URL.
+     */
+    async searchForExactPackageMatch(pkg, options = {}) {
+
+        let record = await this.getPackument(pkg, options);
+
+        // If not found, return null
+        if (!record) {
+            return null;
+        }
+
+        // Return if any versions are found
+        if (!_.isEmpty(record.versions)) {
+            return {
+                name: record.name || pkg,
+                system: 'npm'
+            };
+        }
+        else {
+            logger.info('No versions found for', record.name || pkg);
+            return null;
+        }
+
+    }
+
+}
+
+
+// Export
+module.exports = NPMStrategy;
@@ -0,0 +1,92 @@
+/**
+ * @module systems/pip/indexes/directory
+ */
+
+
+// Core/NPM Modules
+const _            = require('lodash');
+const Bluebird     = require('bluebird');
+const fs           = require('fs');
+const path         = require('path');
+
+
+// Local Modules
+const errors       = require('../../../errors');
+
+
+// Import base class
+const PackageIndex = require('../package-index');
+
+
+/**
+ * Package index backed by a directory of PyPI JSON API documents. Each
+ * project is read from the first of `<name>.json`, `<name>/json` or
+ * `<name>` that exists, trying the project name as given and normalized.
+ * This matches both hand made dumps and the `web/json` tree written by
+ * bandersnatch.
+ */
+class DirectoryPackageIndex extends PackageIndex {
+
+    /**
+     * Construct a new directory index.
+     *
+     * @param {String} location Directory path or `file://` URL.
+     */
+    constructor(location) {
+        super(path.resolve(location.replace(/^file:\/\//, '')));
+    }
+
+    /**
+     * Index type.
+     *
+     * @returns {String} Index type.
+     */
+    get type() { return 'directory'; }
+
+    /**
+     * Get metadata for a project from disk.
+     *
+     * @param   {String}                pkg Project name.
+     * @returns {Promise.<Object|null>}     Project record.
+     */
+    async getProject(pkg) {
+
+        if (!fs.existsSync(this.location) || !fs.statSync(this.location).isDirectory()) {
+            throw new errors.PackageIndexError(`Package index ${this.location} is not a directory.`, {
+                index: this.location, package: pkg
+            });
+        }
+
+        // Candidate file names, in order of preference
+        let names = _.uniq([pkg, pkg.toLowerCase(), this.normalizeProjectName(pkg)]);
+        let candidates = _.flatMap(names, n => [`${n}.json`, path.join(n, 'json'), n]);
+
+        // Read the first file that exists
+        for (let candidate of candidates) {
+
+            let filename = path.join(this.location, candidate);
+            let stats = await Bluebird.fromCallback(cb => fs.stat(filename, cb)).catch(() => null);
+            if (stats && stats.isFile()) {
+                try {
+                    let contents = await Bluebird.fromCallback(cb => fs.readFile(filename, 'utf8', cb));
+                    return JSON.parse(contents);
+                }
+                catch (err) {
+                    throw new errors.PackageIndexError(`Unable to read ${filename} from package index ${this.location}: ${err.message}`, {
+                        index: this.location, package: pkg, cause: err.code
+                    });
+                }
+            }
+
+        }
+
+        // Not found
+        return null;
+
+    }
+
+}
+
+
+// Export
+module.exports = DirectoryPackageIndex;
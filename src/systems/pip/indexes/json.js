@@ -0,0 +1,96 @@
+/**
+ * @module systems/pip/indexes/json
+ */
+
+
+// Core/NPM Modules
+const Bluebird     = require('bluebird');
+const request      = require('request');
+
+
+// Local Modules
+const errors       = require('../../../errors');
+
+
+// Import base class
+const PackageIndex = require('../package-index');
+
+
+/**
+ * Package index backed by the PyPI JSON API, e.g. `https://pypi.org/pypi`
+ * or a private mirror exposing the same `/<project>/json` routes.
+ */
+class JSONPackageIndex extends PackageIndex {
+
+    /**
+     * Index type.
+     *
+     * @returns {String} Index type.
+     */
+    get type() { return 'json'; }
+
+    /**
+     * Pip cannot install from the JSON API, but warehouse style indexes
+     * serve PEP 503 pages under `/simple` next to `/pypi`.
+     *
+     * @returns {String|undefined} Pip index URL.
+     */
+    get pipIndexUrl() {
+
+        let base = this.location.replace(/\/+$/, '');
+        if (/\/pypi$/.test(base)) {
+            return base.replace(/\/pypi$/, '/simple');
+        }
+
+    }
+
+    /**
+     * Get metadata for a project from the JSON API.
+     *
+     * @param   {String}                pkg                    Project name.
+     * @param   {Object}                options                Options object.
+     * @param   {Number}                options.requestTimeout Request timeout in milliseconds.
+     * @returns {Promise.<Object|null>}                        Project record.
+     */
+    async getProject(pkg, options = {}) {
+
+        // Request project metadata
+        let response;
+        try {
+            response = await Bluebird.fromCallback(cb => request(
+                {
+                    url: encodeURI(`${this.location.replace(/\/+$/, '')}/${pkg}/json`),
+                    method: 'GET',
+                    json: true,
+                    timeout: options.requestTimeout
+                },
+                cb
+            ));
+        }
+        catch (err) {
+            throw new errors.PackageIndexError(`Unable to reach package index ${this.location}: ${err.message}`, {
+                index: this.location, package: pkg, cause: err.code
+            });
+        }
+
+        // If not found, return null
+        // Otherwise return project metadata
+        if (response.statusCode === 404) {
+            return null;
+        }
+        else if (response.statusCode === 200) {
+            return response.body || {};
+        }
+        else {
+            throw new errors.PackageIndexError(`Package index ${this.location} answered ${response.statusCode} for ${pkg}.`, {
+                index: this.location, package: pkg, statusCode: response.statusCode
+            });
+        }
+
+    }
+
+}
+
+
+// Export
+module.exports = JSONPackageIndex;
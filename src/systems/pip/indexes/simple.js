@@ -0,0 +1,166 @@
+/**
+ * @module systems/pip/indexes/simple
+ */
+
+
+// Core/NPM Modules
+const _            = require('lodash');
+const Bluebird     = require('bluebird');
+const request      = require('request');
+
+
+// Local Modules
+const errors       = require('../../../errors');
+
+
+// Import base class
+const PackageIndex = require('../package-index');
+
+
+// Constants
+const ANCHOR_PATTERN   = /<a\s([^>]*)>([^<]*)<\/a>/gi;
+const HREF_PATTERN     = /href\s*=\s*"([^"]*)"/i;
+const PYTHON_PATTERN   = /data-requires-python\s*=\s*"([^"]*)"/i;
+const ARCHIVE_PATTERN  = /\.(tar\.gz|tar\.bz2|tar\.xz|tgz|zip|whl|egg|exe|msi)$/i;
+
+
+/**
+ * Package index backed by a PEP 503 simple repository, e.g. a devpi
+ * server at `http://localhost:3141/root/pypi/+simple/`.
+ *
+ * Simple pages only list distribution files, so releases are reconstructed
+ * from file names.
+ */
+class SimplePackageIndex extends PackageIndex {
+
+    /**
+     * Index type.
+     *
+     * @returns {String} Index type.
+     */
+    get type() { return 'simple'; }
+
+    /**
+     * Pip can install directly from a simple repository.
+     *
+     * @returns {String} Pip index URL.
+     */
+    get pipIndexUrl() { return this.location; }
+
+    /**
+     * Get metadata for a project from its simple page.
+     *
+     * @param   {String}                pkg                    Project name.
+     * @param   {Object}                options                Options object.
+     * @param   {Number}                options.requestTimeout Request timeout in milliseconds.
+     * @returns {Promise.<Object|null>}                        Project record.
+     */
+    async getProject(pkg, options = {}) {
+
+        // Request project page
+        let name = this.normalizeProjectName(pkg);
+        let response;
+        try {
+            response = await Bluebird.fromCallback(cb => request(
+                {
+                    url: encodeURI(`${this.location.replace(/\/+$/, '')}/${name}/`),
+                    method: 'GET',
+                    timeout: options.requestTimeout
+                },
+                cb
+            ));
+        }
+        catch (err) {
+            throw new errors.PackageIndexError(`Unable to reach package index ${this.location}: ${err.message}`, {
+                index: this.location, package: pkg, cause: err.code
+            });
+        }
+
+        // If not found, return null
+        // Otherwise convert the page into a project record
+        if (response.statusCode === 404) {
+            return null;
+        }
+        else if (response.statusCode === 200) {
+            return {
+                info: { name },
+                releases: this.parseReleases(name, response.body)
+            };
+        }
+        else {
+            throw new errors.PackageIndexError(`Package index ${this.location} answered ${response.statusCode} for ${pkg}.`, {
+                index: this.location, package: pkg, statusCode: response.statusCode
+            });
+        }
+
+    }
+
+    /**
+     * Parse distribution links from a simple page and group them by version.
+     *
+     * @param   {String} name Normalized project name.
+     * @param   {String} html Simple page contents.
+     * @returns {Object}      Map of version to release files.
+     */
+    parseReleases(name, html) {
+
+        let releases = {};
+        let match;
+
+        ANCHOR_PATTERN.lastIndex = 0;
+        while ((match = ANCHOR_PATTERN.exec(html || ''))) {
+
+            // Get file name and version
+            let filename = _.trim(match[2]);
+            let version = this.parseVersion(name, filename);
+            if (!version) continue;
+
+            // Add file to release
+            let href = _.get(HREF_PATTERN.exec(match[1]), 1);
+            let requiresPython = _.get(PYTHON_PATTERN.exec(match[1]), 1);
+            releases[version] = releases[version] || [];
+            releases[version].push(_.omitBy({
+                filename,
+                url: href,
+                requires_python: requiresPython ? _.unescape(requiresPython) : undefined
+            }, _.isUndefined));
+
+        }
+
+        return releases;
+
+    }
+
+    /**
+     * Get the version of a distribution from its file name.
+     *
+     * @param   {String}           name     Normalized project name.
+     * @param   {String}           filename Distribution file name.
+     * @returns {String|undefined}          Version, if the file name could be parsed.
+     */
+    parseVersion(name, filename) {
+
+        if (!ARCHIVE_PATTERN.test(filename)) return;
+        let stem = filename.replace(ARCHIVE_PATTERN, '');
+
+        // Wheels and eggs separate fields with '-', and escape '-' in names with '_'
+        if (/\.(whl|egg)$/i.test(filename)) {
+            return stem.split('-')[1];
+        }
+
+        // Source distributions are `<name>-<version>`, where name may contain '-'
+        let prefix = _.find(
+            [stem.slice(0, name.length), stem.split('-')[0]],
+            p => this.normalizeProjectName(p) === name
+        );
+        if (prefix && stem.length > prefix.length + 1) {
+            return stem.slice(prefix.length + 1);
+        }
+
+    }
+
+}
+
+
+// Export
+module.exports = SimplePackageIndex;
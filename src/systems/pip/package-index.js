@@ -0,0 +1,69 @@
+/**
+ * @module systems/pip/package-index
+ */
+
+
+// Constants
+const NOT_IMPLEMENTED = 'not implemented';
+
+
+/**
+ * Package index class. A package index is the source of record used by
+ * the pip system strategy to look up project metadata. Implementations
+ * return project records shaped like the PyPI JSON API.
+ *
+ * @property {String} location Index URL or path.
+ */
+class PackageIndex {
+
+    /**
+     * Construct a new package index.
+     *
+     * @param {String} location Index URL or path.
+     */
+    constructor(location) {
+        this.location = location;
+    }
+
+    /**
+     * Index type.
+     *
+     * @returns {String} Index type.
+     */
+    get type() { throw new Error(NOT_IMPLEMENTED); }
+
+    /**
+     * URL that pip should use as `--index-url` when installing packages
+     * found in this index. Undefined if pip cannot reach the index directly.
+     *
+     * @returns {String|undefined} Pip index URL.
+     */
+    get pipIndexUrl() { return undefined; }
+
+    /**
+     * Normalize a project name as described by PEP 503.
+     *
+     * @param   {String} name Project name.
+     * @returns {String}      Normalized project name.
+     */
+    normalizeProjectName(name) {
+
+        return name.toLowerCase().replace(/[-_.]+/g, '-');
+
+    }
+
+    /**
+     * Get metadata for a project. Resolves to null if the project does not exist.
+     *
+     * @param   {String}                pkg                    Project name.
+     * @param   {Object}                options                Options object.
+     * @param   {Number}                options.requestTimeout Timeout of remote requests in milliseconds.
+     * @returns {Promise.<Object|null>}                        Project record with `info` and `releases` keys.
+     */
+    async getProject(pkg, options = {}) { throw new Error(NOT_IMPLEMENTED); }
+
+}
+
+
+// Export
+module.exports = PackageIndex;
@@ -0,0 +1,193 @@
+/**
+ * Minimal PEP 440 version parsing, ordering and specifier matching.
+ *
+ * See https://www.python.org/dev/peps/pep-0440/
+ *
+ * @module systems/pip/pep440
+ */
+
+
+// Core/NPM Modules
+const _ = require('lodash');
+
+
+// Constants
+const VERSION_PATTERN = new RegExp(
+    '^\\s*v?' +
+    '(?:(\\d+)!)?' +                                                        // epoch
+    '(\\d+(?:\\.\\d+)*)' +                                                  // release
+    '(?:[-_.]?(a|b|c|rc|alpha|beta|pre|preview)[-_.]?(\\d+)?)?' +           // pre-release
+    '(?:-(\\d+)|[-_.]?(post|rev|r)[-_.]?(\\d+)?)?' +                        // post-release
+    '(?:[-_.]?(dev)[-_.]?(\\d+)?)?' +                                       // dev release
+    '(?:\\+([a-z0-9]+(?:[-_.][a-z0-9]+)*))?' +                              // local version
+    '\\s*$',
+    'i'
+);
+const SPECIFIER_PATTERN = /^\s*(~=|===|==|!=|<=|>=|<|>)\s*([^\s]+)\s*$/;
+const PRE_RELEASE_RANKS = { a: 0, alpha: 0, b: 1, beta: 1, c: 2, rc: 2, pre: 2, preview: 2 };
+
+
+/**
+ * Parse a version.
+ *
+ * @param   {String}      version Version string.
+ * @returns {Object|null}         Parsed `epoch`, `release`, `pre`, `post`, `dev` and `local`, or null if invalid.
+ */
+function parse(version) {
+
+    let match = VERSION_PATTERN.exec(String(version));
+    if (!match) return null;
+
+    let post = match[5] || match[7] || (match[6] ? '0' : undefined);
+    return {
+        epoch: Number(match[1] || 0),
+        release: _.map(match[2].split('.'), Number),
+        pre: match[3] ? [PRE_RELEASE_RANKS[match[3].toLowerCase()], Number(match[4] || 0)] : null,
+        post: _.isUndefined(post) ? null : Number(post),
+        dev: match[8] ? Number(match[9] || 0) : null,
+        local: match[10] || null
+    };
+
+}
+
+
+/**
+ * Check if a version is a pre-release or development release.
+ *
+ * @param   {String}  version Version string.
+ * @returns {Boolean}         True iff the version is a pre-release.
+ */
+function isPrerelease(version) {
+
+    let parsed = parse(version);
+    return Boolean(parsed && (parsed.pre || parsed.dev !== null));
+
+}
+
+
+/**
+ * Compare two versions. Local versions are ignored.
+ *
+ * @param   {String|Object} a Version string or parsed version.
+ * @param   {String|Object} b Version string or parsed version.
+ * @returns {Number}          Negative if a < b, positive if a > b, and 0 if equal.
+ */
+function compare(a, b) {
+
+    let ka = sortKey(_.isString(a) ? parse(a) : a);
+    let kb = sortKey(_.isString(b) ? parse(b) : b);
+
+    for (let i = 0; i < Math.max(ka.length, kb.length); i++) {
+        let [x, y] = [_.defaultTo(ka[i], 0), _.defaultTo(kb[i], 0)];
+        if (x !== y) return x < y ? -1 : 1;
+    }
+    return 0;
+
+}
+
+
+/**
+ * Build a flat sort key for a parsed version, following the ordering used by pip.
+ *
+ * @param   {Object}         v Parsed version.
+ * @returns {Array.<Number>}   Sort key.
+ */
+function sortKey(v) {
+
+    // Strip trailing zeros, then pad the release to a fixed length
+    let release = _.dropRightWhile(v.release, n => n === 0);
+    release = _.concat(release, _.fill(Array(Math.max(0, 8 - release.length)), 0)).slice(0, 8);
+
+    // Dev releases without a pre or post release sort before pre-releases
+    let pre;
+    if (!v.pre && v.post === null && v.dev !== null) pre = [-Infinity, 0];
+    else if (!v.pre) pre = [Infinity, 0];
+    else pre = v.pre;
+
+    return _.concat(
+        [v.epoch],
+        release,
+        pre,
+        [v.post === null ? -Infinity : v.post],
+        [v.dev === null ? Infinity : v.dev]
+    );
+
+}
+
+
+/**
+ * Check if a version satisfies a comma separated specifier set, e.g. `>=2.7,!=3.0.*`.
+ * An empty specifier set is satisfied by any version.
+ *
+ * @param   {String}  version    Version string.
+ * @param   {String}  specifiers Specifier set.
+ * @returns {Boolean}            True iff every specifier is satisfied. False if the version is invalid.
+ */
+function satisfies(version, specifiers) {
+
+    let parsed = parse(version);
+    if (!parsed) return false;
+
+    return _.every(
+        _.filter(_.map(String(specifiers || '').split(','), _.trim)),
+        specifier => satisfiesSpecifier(version, parsed, specifier)
+    );
+
+}
+
+
+/**
+ * Check if a version satisfies a single specifier. Unparsable specifiers are ignored.
+ *
+ * @param   {String}  version   Version string.
+ * @param   {Object}  parsed    Parsed version.
+ * @param   {String}  specifier Specifier, e.g. `~=1.4`.
+ * @returns {Boolean}           True iff the specifier is satisfied.
+ */
+function satisfiesSpecifier(version, parsed, specifier) {
+
+    let match = SPECIFIER_PATTERN.exec(specifier);
+    if (!match) return true;
+    let [operator, target] = [match[1], match[2]];
+
+    // Arbitrary equality
+    if (operator === '===') return _.trim(version) === target;
+
+    // Prefix matching
+    if (/\.\*$/.test(target) && (operator === '==' || operator === '!=')) {
+        let prefix = parse(target.slice(0, -2));
+        let matches = Boolean(prefix) && parsed.epoch === prefix.epoch && _.every(
+            prefix.release,
+            (n, i) => _.defaultTo(parsed.release[i], 0) === n
+        );
+        return operator === '==' ? matches : !matches;
+    }
+
+    let other = parse(target);
+    if (!other) return true;
+    let order = compare(parsed, other);
+
+    switch (operator) {
+        case '==': return order === 0;
+        case '!=': return order !== 0;
+        case '<=': return order <= 0;
+        case '>=': return order >= 0;
+        case '<':  return order < 0;
+        case '>':  return order > 0;
+        case '~=': {
+            // Compatible release, e.g. ~=1.4.5 is >=1.4.5, ==1.4.*
+            let prefix = other.release.slice(0, Math.max(1, other.release.length - 1));
+            return order >= 0 && satisfiesSpecifier(version, parsed, `==${prefix.join('.')}.*`);
+        }
+    }
+
+}
+
+
+// Export
+module.exports = {
+    parse,
+    isPrerelease,
+    compare,
+    satisfies
+};
@@ -5,35 +5,179 @@
 
 // Core/NPM Modules
 const _              = require('lodash');
-const Bluebird       = require('bluebird');
-const request        = require('request');
+const url            = require('url');
 
 
 // Import base class
 const SystemStrategy = require('../../system-strategy');
+const Cache          = require('../../cache');
+const Scheduler      = require('../../scheduler');
+const config         = require('../../config');
+const errors         = require('../../errors');
 const logger         = require('../../logger');
+const pep440         = require('./pep440');
+
+
+// Constants
+const DEFAULT_PACKAGE_INDEX = config.DEFAULTS.packageIndex;
+const PACKAGE_INDEX_TYPES   = ['json', 'simple', 'directory'];
 
 
 /**
  * PIP strategy implementation.
+ *
+ * @property {Map.<String, PackageIndex>} indexes Package indexes, keyed by type and location.
  */
 class PIPStrategy extends SystemStrategy {
 
+    /**
+     * System name.
+     *
+     * @returns {String} System name.
+     */
+    get system() { return 'pip'; }
+
+    /**
+     * Construct a new pip strategy.
+     */
+    constructor() {
+        super();
+        this.indexes = new Map();
+    }
+
     /**
      * Get default run command.
      *
-     * @param   {Object} pkg Package object.
-     * @returns {Object}     Run command object.
+     * @param   {Object} pkg                  Package object.
+     * @param   {Object} options              Options object.
+     * @param   {String} options.packageIndex Package index URL or path.
+     * @param   {String} options.pipIndexUrl  Index URL passed to pip. Overrides the URL derived from the package index.
+     * @returns {Object}                      Run command object.
+     */
+    getInstallRunCommand(pkg, options = {}) {
+
+        return this.getInstallRunCommands([pkg], options);
+
+    }
+
+    /**
+     * Get a run command installing packages in one layer. The pip cache
+     * is disabled since it is never reused inside an image.
+     *
+     * @param   {Array.<Object>} packages Package objects.
+     * @param   {Object}         options  Options object, see PIPStrategy#getInstallRunCommand.
+     * @returns {Object}                  Run command object.
      */
-    getInstallRunCommand(pkg) {
+    getInstallRunCommands(packages, options = {}) {
 
         return {
             command: 'pip',
-            args: ['install', pkg.version ? `${pkg.name}==${pkg.version}` : pkg.name]
+            args: _.concat(
+                ['install', '--no-cache-dir'],
+                this.getIndexArgs(options),
+                _.map(packages, pkg => pkg.version ? `${pkg.name}==${pkg.version}` : `${pkg.name}${pkg.specifier || ''}`)
+            )
         };
 
     }
 
+    /**
+     * Get pip arguments selecting the configured index. Nothing is added
+     * when the default index is used, even if it is given explicitly, e.g.
+     * filled in from the configuration.
+     *
+     * @param   {Object}         options Options object.
+     * @returns {Array.<String>}         Pip arguments.
+     */
+    getIndexArgs(options = {}) {
+
+        // Get pip index url
+        let indexUrl = options.pipIndexUrl;
+        if (!indexUrl && options.packageIndex && _.trimEnd(options.packageIndex, '/') !== _.trimEnd(DEFAULT_PACKAGE_INDEX, '/')) {
+            indexUrl = this.getPackageIndex(options).pipIndexUrl;
+        }
+        if (!indexUrl) return [];
+
+        // Plain http indexes must be trusted explicitly
+        let args = ['--index-url', indexUrl];
+        let parsed = url.parse(indexUrl);
+        if (parsed.protocol === 'http:') {
+            args.push('--trusted-host', parsed.hostname);
+        }
+        return args;
+
+    }
+
+    /**
+     * Get the package index used to look up packages. The index type is
+     * inferred from the location when not given: local paths and `file://`
+     * URLs are directories, URLs ending in `/simple` or `/+simple` are
+     * PEP 503 repositories and anything else is a JSON API.
+     *
+     * @param   {Object}       options                  Options object.
+     * @param   {String}       options.packageIndex     Package index URL or path.
+     * @param   {String}       options.packageIndexType Package index type.
+     * @returns {PackageIndex}                          Package index.
+     */
+    getPackageIndex(options = {}) {
+
+        let location = options.packageIndex || DEFAULT_PACKAGE_INDEX;
+        let type = options.packageIndexType;
+
+        // Infer type from location
+        if (!type) {
+            if (!/^https?:\/\//.test(location)) type = 'directory';
+            else if (/\/\+?simple\/?$/.test(location)) type = 'simple';
+            else type = 'json';
+        }
+        if (!_.includes(PACKAGE_INDEX_TYPES, type)) {
+            throw new errors.InvalidOptionError(
+                `Invalid package index type: '${type}'. Must be one of {${PACKAGE_INDEX_TYPES.join(', ')}}.`,
+                { option: 'packageIndexType', value: type }
+            );
+        }
+
+        // Load and cache
+        let key = `${type},${location}`;
+        if (!this.indexes.has(key)) {
+            let Index = require(`./indexes/${type}`);
+            this.indexes.set(key, new Index(location));
+        }
+        return this.indexes.get(key);
+
+    }
+
+    /**
+     * Get project metadata from the package index. Records are cached by index and
+     * normalized name, keeping only the metadata needed for resolution. Requests are
+     * run by the scheduler, so they are throttled and retried on transient failures.
+     *
+     * @param   {String}                pkg     Package name.
+     * @param   {Object}                options Options object, used to select the index, cache and scheduler.
+     * @returns {Promise.<Object|null>}         Project record, or null if not found.
+     */
+    async getProject(pkg, options = {}) {
+
+        let index = this.getPackageIndex(options);
+        let key = [this.system, index.type, index.location, this.normalizePackageName(pkg)];
+
+        return Cache.fromOptions(options).wrap('index', key, async () => {
+
+            let record = await Scheduler.fromOptions(options).run('index', () => index.getProject(pkg, options));
+            if (!record) return null;
+
+            return {
+                info: _.pick(record.info, ['name', 'version', 'requires_python', 'classifiers']),
+                releases: _.mapValues(record.releases, files => _.map(
+                    files,
+                    f => _.pick(f, ['filename', 'packagetype', 'python_version', 'requires_python', 'upload_time', 'yanked'])
+                ))
+            };
+
+        });
+
+    }
+
     /**
      * Normalize a package name. PyPI treats package names as case
      * insensitive, and makes no distinction between _ and -.
@@ -48,58 +192,171 @@ class PIPStrategy extends SystemStrategy {
     }
 
     /**
-     * Search for an exact package match on PyPI.
+     * Search for an exact package match in the package index.
      *
-     * @param {String} pkg Package name.
+     * @param {String} pkg                      Package name.
+     * @param {Object} options                  Options object.
+     * @param {String} options.packageIndex     Package index URL or path. Defaults to PyPI.
+     * @param {String} options.packageIndexType Package index type.
      */
-    async searchForExactPackageMatch(pkg) {
-
-        // Search for exact match on PyPI
-        let response = await Bluebird.fromCallback(cb => request(
-            {
-                url: encodeURI(`https://pypi.python.org/pypi/${pkg}/json`),
-                method: 'GET',
-                json: true
-            },
-            cb
-        ));
+    async searchForExactPackageMatch(pkg, options = {}) {
+
+        // Search for exact match in the package index
+        let record = await this.getProject(pkg, options);
 
         // If not found, return null
-        // Otherwise return package metadata
-        if (response.statusCode === 404) {
+        if (!record) {
             return null;
         }
-        else if (response.statusCode === 200) {
-
-            // Get record
-            let record = _.get(response, 'body', {});
-
-            // Get releases
-            // TODO can filter to releases that support a particular python version
-            // may need PEP 440 https://www.python.org/dev/peps/pep-0440/
-            let releases = _.flattenDeep(_.values(_.get(record, 'releases', {})));
-
-            // Return if any releases are found
-            if (!_.isEmpty(releases)) {
-                return {
-                    name: _.get(record, 'info.name'),
-                    system: 'pip'
-                };
-            }
-            else {
-                logger.info('No releases found for', _.get(record, 'info.name'));
-                return null;
-            }
 
+        // Get releases
+        let releases = _.flattenDeep(_.values(_.get(record, 'releases', {})));
+
+        // Return if any releases are found
+        if (!_.isEmpty(releases)) {
+            return {
+                name: _.get(record, 'info.name', pkg),
+                system: 'pip'
+            };
         }
         else {
-            throw new Error(response.body);
+            logger.info('No releases found for', _.get(record, 'info.name'));
+            return null;
         }
 
     }
 
+    /**
+     * Resolve the newest version of a package that supports a python version, using the
+     * release metadata from the package index. Releases are compatible if any of their files
+     * is: their `requires_python` and python tags are checked, and classifiers are checked for
+     * the latest release. Pre-releases and yanked releases are never selected. If the package
+     * has a `specifier`, only versions satisfying it are considered.
+     *
+     * @param   {Object}           pkg             Package object.
+     * @param   {Object}           options         Options object.
+     * @param   {Object}           options.runtime Selected runtime. `runtime.version` is the python version.
+     * @param   {String|Date}      options.asOf    Only consider releases uploaded on or before this date.
+     * @returns {Promise.<Object>}                 Resolution with `version` (undefined if none is compatible) and `reason`.
+     */
+    async resolveVersion(pkg, options = {}) {
+
+        // Get release metadata
+        let record = await this.getProject(pkg.name, options);
+        if (!record) {
+            return { reason: 'Package not found in the package index.' };
+        }
+
+        let python = _.get(options, 'runtime.version');
+        let asOf = options.asOf ? new Date(options.asOf) : null;
+        let latest = _.get(record, 'info.version');
+
+        // Newest versions first
+        let versions = _.filter(
+            _.keys(record.releases),
+            v => pep440.parse(v) && !pep440.isPrerelease(v) && pep440.satisfies(v, pkg.specifier)
+        );
+        versions.sort((a, b) => pep440.compare(b, a));
+
+        for (let version of versions) {
+
+            // Skip releases without files, or with only yanked files
+            let files = _.reject(record.releases[version], 'yanked');
+            if (_.isEmpty(files)) continue;
+
+            // Skip releases uploaded after the cutoff. Releases without upload times can't be excluded.
+            if (asOf) {
+                let uploaded = _.min(_.map(_.filter(files, 'upload_time'), f => new Date(f.upload_time)));
+                if (uploaded && uploaded > asOf) continue;
+            }
+
+            // Skip releases that don't support the python version
+            if (python) {
+                let supported = _.some(files, f => isFileCompatible(f, python));
+                if (supported && version === latest) {
+                    supported = isClassifierCompatible(_.get(record, 'info.classifiers'), python);
+                }
+                if (!supported) continue;
+            }
+
+            return {
+                version,
+                reason: _.compact([
+                    'Newest release',
+                    pkg.specifier ? `matching ${pkg.specifier}` : null,
+                    python ? `supporting python ${python}` : null,
+                    asOf ? `uploaded on or before ${asOf.toISOString()}` : null
+                ]).join(' ') + '.'
+            };
+
+        }
+
+        return {
+            reason: _.compact([
+                'No stable release',
+                pkg.specifier ? `matching ${pkg.specifier}` : null,
+                python ? `supporting python ${python}` : null,
+                asOf ? `uploaded on or before ${asOf.toISOString()}` : null
+            ]).join(' ') + '.'
+        };
+
+    }
+
+}
+
+
+/**
+ * Check if a release file supports a python version, using its `requires_python`
+ * and the python tag from its file name.
+ *
+ * @param   {Object}  file    Release file metadata.
+ * @param   {String}  version Python version.
+ * @returns {Boolean}         True iff the file supports the python version.
+ */
+function isFileCompatible(file, version) {
+
+    // Pad to a full version, so that e.g. 3.9 satisfies >=3.9.0
+    let full = _.concat(version.split('.'), ['0', '0']).slice(0, 3).join('.');
+    if (file.requires_python && !pep440.satisfies(full, file.requires_python)) {
+        return false;
+    }
+
+    // Check python tags, e.g. py2.py3, cp36 or 2.7
+    let tag = file.python_version;
+    if (!tag || tag === 'source' || tag === 'any') return true;
+
+    let [major, minor] = version.split('.');
+    if (/^\d+(\.\d+)*$/.test(tag)) {
+        let [tagMajor, tagMinor] = tag.split('.');
+        return tagMajor === major && (!tagMinor || tagMinor === minor);
+    }
+    return _.some(tag.split('.'), t => {
+        let match = /^(py|cp|pp|ip|jy)(\d)(\d*)$/.exec(t);
+        if (!match || match[2] !== major) return false;
+        return match[1] !== 'cp' || !match[3] || match[3] === minor;
+    });
+
+}
+
+
+/**
+ * Check if trove classifiers support a python version. Classifiers that don't
+ * mention any python version don't rule anything out.
+ *
+ * @param   {Array.<String>} classifiers Trove classifiers.
+ * @param   {String}         version     Python version.
+ * @returns {Boolean}                    True iff the classifiers support the python version.
+ */
+function isClassifierCompatible(classifiers, version) {
+
+    let majors = _.uniq(_.compact(_.map(
+        classifiers,
+        c => _.get(/^Programming Language :: Python :: (\d)(\.\d+)?( :: Only)?$/.exec(c), 1)
+    )));
+    return _.isEmpty(majors) || _.includes(majors, version.split('.')[0]);
+
 }
 
 
 // Export
-module.exports = PIPStrategy;
\ No newline at end of file
+module.exports = PIPStrategy;
@@ -0,0 +1,86 @@
+/**
+ * Tests of batch dockerization of a corpus, run against a graph file and a directory package index.
+ *
+ * @module test/batch
+ */
+
+
+// Core/NPM Modules
+const assert           = require('assert');
+const fs               = require('fs');
+const path             = require('path');
+const { describe, it } = require('node:test');
+const _                = require('lodash');
+
+
+// Local Modules
+const batch            = require('../src/batch');
+const helpers          = require('./helpers');
+
+
+/**
+ * Write a corpus with one working snippet and one that cannot be read, a link to a
+ * missing file, along with the graph and package index to dockerize it with.
+ *
+ * @returns {Object} Batch options.
+ */
+function createCorpus() {
+
+    let dir = helpers.tmpdir();
+    helpers.writeFiles(dir, { 'corpus/good/snippet.py': 'import dashtable\n' });
+    fs.mkdirSync(path.join(dir, 'corpus', 'bad'));
+    fs.symlinkSync('missing.py', path.join(dir, 'corpus', 'bad', 'snippet.py'));
+    return {
+        dir: path.join(dir, 'corpus'),
+        outputDir: path.join(dir, 'out', 'nested'),
+        graph: helpers.writeGraph(dir, [{ name: 'dashtable', resources: ['dashtable'] }]),
+        packageIndex: helpers.writeIndex(path.join(dir, 'index'), { dashtable: ['1.4.5'] }),
+        cacheMode: 'bypass',
+        pythonVersion: '3',
+        concurrency: 1
+    };
+
+}
+
+
+describe('batch', () => {
+
+    it('writes a Dockerfile per snippet and a report into a new output directory', async () => {
+
+        let options = createCorpus();
+        let report = await batch(options);
+
+        assert.strictEqual(report.summary.total, 2);
+        assert.deepStrictEqual([report.summary.success, report.summary.error], [1, 1]);
+        assert.match(fs.readFileSync(path.join(options.outputDir, 'good', 'Dockerfile'), 'utf8'), /dashtable==1\.4\.5/);
+        assert.ok(!fs.existsSync(path.join(options.outputDir, 'bad', 'Dockerfile')));
+        assert.ok(fs.existsSync(path.join(options.outputDir, 'report.json')));
+
+    });
+
+    it('skips snippets that succeeded when resuming', async () => {
+
+        let options = createCorpus();
+        await batch(options);
+        let report = await batch(options);
+        assert.strictEqual(report.summary.processed, 1);
+        assert.strictEqual(report.items.length, 2);
+
+        report = await batch(_.assign({}, options, { resume: false }));
+        assert.strictEqual(report.summary.processed, 2);
+
+    });
+
+    it('writes a CSV report to a new directory', async () => {
+
+        let options = createCorpus();
+        let reportPath = path.join(options.outputDir, 'reports', 'batch.csv');
+        await batch(_.assign({}, options, { report: reportPath }));
+
+        let [header, ...rows] = fs.readFileSync(reportPath, 'utf8').trim().split('\n');
+        assert.match(header, /^id,package,status,/);
+        assert.deepStrictEqual(rows.map(r => r.split(',').slice(0, 3)), [['bad', 'bad/snippet.py', 'error'], ['good', 'good/snippet.py', 'success']]);
+
+    });
+
+});
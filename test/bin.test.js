@@ -0,0 +1,111 @@
+/**
+ * Tests of the command line interface, run against a graph file and a directory package index.
+ *
+ * @module test/bin
+ */
+
+
+// Core/NPM Modules
+const assert           = require('assert');
+const child_process    = require('child_process');
+const path             = require('path');
+const { describe, it } = require('node:test');
+const _                = require('lodash');
+
+
+// Local Modules
+const helpers          = require('./helpers');
+
+
+// Constants
+const BIN = path.join(__dirname, '..', 'src', 'bin.js');
+
+
+/**
+ * Run the command line interface with a graph and package index holding `dashtable`.
+ *
+ * @param   {Array.<String>} args  Arguments.
+ * @param   {String}         input Contents of stdin.
+ * @param   {Object}         paths Graph and package index paths replacing the defaults, relative to the
+ *                                 working directory, keyed by `graph` and `packageIndex`.
+ * @returns {Object}               Exit `status`, `stdout` and `stderr`.
+ */
+function run(args, input = '', paths = {}) {
+
+    let dir = helpers.tmpdir();
+    let graph = paths.graph || helpers.writeGraph(dir, [{ name: 'dashtable', resources: ['dashtable'] }]);
+    let packageIndex = paths.packageIndex || helpers.writeIndex(path.join(dir, 'index'), { dashtable: ['1.4.5'] });
+    helpers.writeFiles(dir, { 'snippet.py': 'import dashtable\n' });
+
+    return child_process.spawnSync(process.execPath, [
+        BIN, '--graph', graph, '--package-index', packageIndex, '--no-cache', '--python-version', '3'
+    ].concat(args), {
+        cwd: dir,
+        input,
+        encoding: 'utf8',
+        env: _.assign({}, process.env, { XDG_CONFIG_HOME: dir })
+    });
+
+}
+
+
+describe('bin', () => {
+
+    it('dockerizes a snippet read from stdin', () => {
+
+        let result = run(['-', '--format', 'install-commands'], 'import dashtable\n');
+        assert.strictEqual(result.status, 0, result.stderr);
+        assert.strictEqual(result.stdout.trim(), 'pip install --no-cache-dir dashtable==1.4.5');
+
+    });
+
+    it('leaves stdin alone when - is an option value', () => {
+
+        let result = run(['snippet.py', '--format', 'install-commands', '--arg=-'], 'import json\n');
+        assert.strictEqual(result.status, 0, result.stderr);
+        assert.strictEqual(result.stdout.trim(), 'pip install --no-cache-dir dashtable==1.4.5');
+
+    });
+
+    it('refuses stdin together with other files', () => {
+
+        let result = run(['snippet.py', '-']);
+        assert.strictEqual(result.status, 2);
+        assert.match(result.stderr, /Cannot read a snippet from stdin/);
+
+    });
+
+});
+
+
+describe('bin errors', () => {
+
+    it('exits with the code of the failure', () => {
+
+        let result = run(['snippet.py', '--max-depth', '-1']);
+        assert.strictEqual(result.status, 2);
+        assert.match(result.stderr, /Invalid value for maxDepth/);
+
+        result = run(['snippet.py', '--require-graph'], '', { graph: 'missing.ndjson' });
+        assert.strictEqual(result.status, 5);
+        assert.match(result.stderr, /Unable to load graph/);
+
+        result = run(['snippet.py'], '', { packageIndex: 'missing' });
+        assert.strictEqual(result.status, 6);
+        assert.match(result.stderr, /Package index .* is not a directory/);
+
+    });
+
+    it('prints errors as JSON with the metadata format', () => {
+
+        let result = run(['snippet.py', '--format', 'metadata', '--require-graph'], '', { graph: 'missing.ndjson' });
+        assert.strictEqual(result.status, 5);
+
+        let { error } = JSON.parse(result.stdout);
+        assert.strictEqual(error.name, 'GraphError');
+        assert.strictEqual(error.code, 'GRAPH_UNAVAILABLE');
+        assert.deepStrictEqual(_.pick(error.details, ['graph', 'type', 'cause']), { graph: 'missing.ndjson', type: 'memory', cause: 'ENOENT' });
+
+    });
+
+});
@@ -0,0 +1,46 @@
+/**
+ * Tests of temporary docker build contexts.
+ *
+ * @module test/build-context
+ */
+
+
+// Core/NPM Modules
+const assert           = require('assert');
+const fs               = require('fs');
+const path             = require('path');
+const { describe, it } = require('node:test');
+
+
+// Local Modules
+const buildContext     = require('../src/build-context');
+
+
+describe('build-context', () => {
+
+    it('writes a snippet with the extension of its language', async () => {
+
+        let { dir, pkg } = await buildContext.writeSnippet('import dashtable\n', 'python');
+        try {
+            assert.strictEqual(path.dirname(pkg), dir);
+            assert.strictEqual(path.basename(pkg), 'snippet.py');
+            assert.strictEqual(fs.readFileSync(pkg, 'utf8'), 'import dashtable\n');
+        }
+        finally {
+            await buildContext.remove(dir);
+        }
+
+    });
+
+    it('removes a build context with nested directories', async () => {
+
+        let dir = await buildContext.create();
+        fs.mkdirSync(path.join(dir, 'a', 'b'), { recursive: true });
+        fs.writeFileSync(path.join(dir, 'a', 'b', 'c.txt'), 'c');
+
+        await buildContext.remove(dir);
+        assert.ok(!fs.existsSync(dir));
+
+    });
+
+});
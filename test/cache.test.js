@@ -0,0 +1,105 @@
+/**
+ * Tests of the persistent lookup cache.
+ *
+ * @module test/cache
+ */
+
+
+// Core/NPM Modules
+const assert           = require('assert');
+const fs               = require('fs');
+const path             = require('path');
+const { describe, it } = require('node:test');
+const _                = require('lodash');
+
+
+// Local Modules
+const Cache            = require('../src/cache');
+const errors           = require('../src/errors');
+const helpers          = require('./helpers');
+
+
+describe('Cache', () => {
+
+    it('stores entries on disk and reads them back in another process', async () => {
+
+        let dir = path.join(helpers.tmpdir(), 'nested', 'cache');
+        await new Cache({ dir }).set('graph', ['pip', 'six'], { name: 'six' });
+
+        let cache = new Cache({ dir });
+        let filename = cache.getEntryPath('graph', cache.hash(['pip', 'six']));
+        assert.deepStrictEqual(JSON.parse(fs.readFileSync(filename, 'utf8')).value, { name: 'six' });
+        assert.deepStrictEqual(await cache.get('graph', ['pip', 'six']), { name: 'six' });
+        assert.strictEqual(await cache.get('graph', ['pip', 'other']), undefined);
+
+    });
+
+    it('keeps null values, and ignores expired entries', async () => {
+
+        let dir = helpers.tmpdir();
+        await new Cache({ dir }).set('index', 'missing', null);
+        assert.strictEqual(await new Cache({ dir }).get('index', 'missing'), null);
+        assert.strictEqual(await new Cache({ dir, ttl: -1 }).get('index', 'missing'), undefined);
+
+    });
+
+    it('neither reads nor writes the disk when bypassing', async () => {
+
+        let dir = helpers.tmpdir();
+        await new Cache({ dir }).set('graph', 'key', 1);
+
+        let cache = new Cache({ dir, mode: 'bypass' });
+        assert.strictEqual(await cache.get('graph', 'key'), undefined);
+        await cache.set('graph', 'other', 2);
+        assert.strictEqual(await cache.get('graph', 'other'), 2);
+        assert.strictEqual(await new Cache({ dir }).get('graph', 'other'), undefined);
+
+    });
+
+    it('recomputes and rewrites entries when refreshing', async () => {
+
+        let dir = helpers.tmpdir();
+        await new Cache({ dir }).set('graph', 'key', 1);
+
+        let cache = new Cache({ dir, mode: 'refresh' });
+        assert.strictEqual(await cache.wrap('graph', 'key', async () => 2), 2);
+        assert.strictEqual(await new Cache({ dir }).get('graph', 'key'), 2);
+
+    });
+
+    it('shares one computation between concurrent lookups', async () => {
+
+        let cache = new Cache({ dir: helpers.tmpdir(), mode: 'bypass' });
+        let calls = 0;
+        let fn = async () => ++calls;
+
+        let values = await Promise.all([cache.wrap('graph', 'key', fn), cache.wrap('graph', 'key', fn)]);
+        assert.deepStrictEqual(values, [1, 1]);
+        assert.strictEqual(await cache.wrap('graph', 'key', fn), 1);
+        assert.strictEqual(calls, 1);
+
+    });
+
+    it('clears entries in memory and on disk', async () => {
+
+        let dir = helpers.tmpdir();
+        let cache = new Cache({ dir });
+        await cache.set('graph', 'key', 1);
+        await cache.clear();
+
+        assert.ok(!fs.existsSync(dir));
+        assert.strictEqual(await cache.get('graph', 'key'), undefined);
+        await cache.clear();
+
+    });
+
+    it('shares caches between equal options and validates the mode', () => {
+
+        let options = { cacheDir: helpers.tmpdir(), cacheMode: 'bypass' };
+        assert.strictEqual(Cache.fromOptions(options), Cache.fromOptions(_.assign({}, options)));
+        assert.notStrictEqual(Cache.fromOptions(options), Cache.fromOptions(_.assign({}, options, { cacheMode: 'use' })));
+        assert.throws(() => new Cache({ mode: 'sometimes' }), errors.InvalidOptionError);
+
+    });
+
+});
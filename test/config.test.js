@@ -0,0 +1,75 @@
+/**
+ * Tests of the layered configuration.
+ *
+ * @module test/config
+ */
+
+
+// Core/NPM Modules
+const assert           = require('assert');
+const path             = require('path');
+const { describe, it } = require('node:test');
+
+
+// Local Modules
+const config           = require('../src/config');
+const errors           = require('../src/errors');
+const helpers          = require('./helpers');
+
+
+describe('config', () => {
+
+    it('reads the config file from XDG_CONFIG_HOME, or DOCKERIZEME_CONFIG', () => {
+
+        assert.strictEqual(config.getConfigFile({ XDG_CONFIG_HOME: '/etc/xdg' }), '/etc/xdg/dockerizeme/config.yml');
+        assert.strictEqual(config.getConfigFile({ DOCKERIZEME_CONFIG: '/srv/dz.yml' }), '/srv/dz.yml');
+
+    });
+
+    it('layers defaults, the config file, the environment and options', () => {
+
+        let dir = helpers.tmpdir();
+        helpers.writeFiles(dir, {
+            'dockerizeme/config.yml': 'graph: bolt://file:7687\ngraph-user: file-user\ngraph-password: file-secret\nretries: 5\n'
+        });
+        let env = { XDG_CONFIG_HOME: dir, DOCKERIZEME_GRAPH_USER: 'env-user', DOCKERIZEME_RETRIES: '3' };
+
+        let settings = config.load({ graphPassword: 'flag-secret', graphUser: undefined }, env);
+        assert.strictEqual(settings.file, path.join(dir, 'dockerizeme', 'config.yml'));
+        assert.strictEqual(settings.graph, 'bolt://file:7687');
+        assert.strictEqual(settings.graphUser, 'env-user');
+        assert.strictEqual(settings.graphPassword, 'flag-secret');
+        assert.strictEqual(settings.retries, 3);
+        assert.strictEqual(settings.language, config.DEFAULTS.language);
+
+    });
+
+    it('keeps options that are not settings when resolving', () => {
+
+        let options = config.resolve({ format: 'metadata', graph: 'graph.ndjson' }, { XDG_CONFIG_HOME: helpers.tmpdir() });
+        assert.strictEqual(options.format, 'metadata');
+        assert.strictEqual(options.graph, 'graph.ndjson');
+        assert.strictEqual(options.packageIndex, config.DEFAULTS.packageIndex);
+
+    });
+
+    it('converts environment variables to the type of their setting', () => {
+
+        let settings = config.readEnv({ DOCKERIZEME_GRAPH_ENCRYPTED: 'yes', DOCKERIZEME_REQUEST_TIMEOUT: '100', DOCKERIZEME_GRAPH: '' });
+        assert.deepStrictEqual(settings, { graphEncrypted: true, requestTimeout: 100 });
+        assert.throws(() => config.readEnv({ DOCKERIZEME_RETRIES: 'many' }), errors.InvalidOptionError);
+
+    });
+
+    it('rejects unknown keys, invalid values and a missing explicit config file', () => {
+
+        let dir = helpers.tmpdir();
+        helpers.writeFiles(dir, { 'unknown.yml': 'grahp: x\n', 'invalid.yml': 'graph-encrypted: maybe\n', 'list.yml': '- a\n' });
+        for (let name of ['unknown.yml', 'invalid.yml', 'list.yml', 'missing.yml']) {
+            assert.throws(() => config.load({ config: path.join(dir, name) }, {}), errors.InvalidOptionError, name);
+        }
+        assert.throws(() => config.load({ logLevel: 'loud' }, { XDG_CONFIG_HOME: dir }), /Invalid value for logLevel/);
+
+    });
+
+});
@@ -0,0 +1,105 @@
+/**
+ * Tests of the dependency graph giving the install order of packages.
+ *
+ * @module test/dependency-graph
+ */
+
+
+// Core/NPM Modules
+const assert           = require('assert');
+const path             = require('path');
+const { describe, it } = require('node:test');
+const _                = require('lodash');
+
+
+// Local Modules
+const DependencyGraph  = require('../src/dependency-graph');
+const PythonStrategy   = require('../src/languages/python/strategy');
+const helpers          = require('./helpers');
+
+
+/**
+ * Build a dependency graph.
+ *
+ * @param   {Array.<String>}         ids   Node ids, in insertion order.
+ * @param   {Array.<Array.<String>>} edges Edges from a node to one of its dependencies.
+ * @returns {DependencyGraph}              Dependency graph.
+ */
+function buildGraph(ids, edges) {
+
+    let graph = new DependencyGraph();
+    _.forEach(ids, id => graph.addNode(id, { id }));
+    _.forEach(edges, ([from, to]) => graph.addEdge(from, to));
+    return graph;
+
+}
+
+
+describe('DependencyGraph', () => {
+
+    it('orders dependencies before the packages depending on them', () => {
+
+        let graph = buildGraph(['app', 'flask', 'werkzeug', 'jinja2', 'markupsafe'], [
+            ['app', 'flask'], ['flask', 'werkzeug'], ['flask', 'jinja2'], ['jinja2', 'markupsafe'], ['werkzeug', 'markupsafe']
+        ]);
+        assert.deepStrictEqual(graph.order(), ['markupsafe', 'werkzeug', 'jinja2', 'flask', 'app']);
+        assert.deepStrictEqual(graph.cycles(), []);
+
+    });
+
+    it('keeps the insertion order of unrelated packages', () => {
+
+        assert.deepStrictEqual(buildGraph(['six', 'requests', 'attrs'], []).order(), ['six', 'requests', 'attrs']);
+
+    });
+
+    it('ignores edges to packages that are not in the graph', () => {
+
+        let graph = buildGraph(['requests'], [['requests', 'urllib3'], ['requests', 'requests']]);
+        graph.addEdge('chardet', 'requests');
+        assert.deepStrictEqual(graph.getDependencies('requests'), ['requests']);
+        assert.deepStrictEqual(graph.getDependencies('chardet'), ['requests']);
+        assert.deepStrictEqual(graph.order(), ['requests']);
+        assert.deepStrictEqual(graph.nodes.get('requests'), { id: 'requests' });
+
+    });
+
+    it('collapses cycles into adjacent packages in insertion order', () => {
+
+        let graph = buildGraph(['app', 'b', 'a', 'c', 'self'], [
+            ['app', 'a'], ['a', 'b'], ['b', 'c'], ['c', 'a'], ['app', 'self'], ['self', 'self']
+        ]);
+        assert.deepStrictEqual(graph.cycles(), [['b', 'a', 'c'], ['self']]);
+        assert.deepStrictEqual(graph.order(), ['b', 'a', 'c', 'self', 'app']);
+
+    });
+
+});
+
+
+describe('LanguageStrategy#inferDependencies install order', () => {
+
+    it('installs dependencies first and reports cycles', async () => {
+
+        let dir = helpers.tmpdir();
+        helpers.writeFiles(dir, { 'app/main.py': 'import sphinx\n' });
+        let packages = [
+            { name: 'sphinx', resources: ['sphinx'], dependencies: ['docutils', 'sphinxcontrib'] },
+            { name: 'docutils', resources: ['docutils'] },
+            { name: 'sphinxcontrib-serializinghtml', resources: ['sphinxcontrib'], dependencies: ['sphinx'] }
+        ];
+        let data = await new PythonStrategy().getDockerfileData({
+            pkg: path.join(dir, 'app'),
+            graph: helpers.writeGraph(dir, packages),
+            packageIndex: helpers.writeIndex(path.join(dir, 'index'), _.fromPairs(_.map(packages, p => [p.name, ['1.0']]))),
+            cacheMode: 'bypass',
+            pythonVersion: '3'
+        });
+
+        assert.deepStrictEqual(_.map(data.dependencies, 'name'), ['docutils', 'sphinx', 'sphinxcontrib-serializinghtml']);
+        assert.strictEqual(data.cycles.count, 1);
+        assert.deepStrictEqual(_.map(data.cycles.items[0].installed, 'name'), ['sphinx', 'sphinxcontrib-serializinghtml']);
+
+    });
+
+});
@@ -0,0 +1,82 @@
+/**
+ * Tests of the error classes.
+ *
+ * @module test/errors
+ */
+
+
+// Core/NPM Modules
+const assert           = require('assert');
+const { describe, it } = require('node:test');
+const _                = require('lodash');
+
+
+// Local Modules
+const StrategyFactory  = require('../src/strategy-factory');
+const errors           = require('../src/errors');
+
+
+describe('errors', () => {
+
+    it('gives each failure mode a code and exit code', () => {
+
+        let codes = _.map(_.omit(errors, 'DockerizeError'), ErrorClass => {
+            let err = new ErrorClass('message');
+            assert.ok(err instanceof errors.DockerizeError);
+            assert.ok(err instanceof Error);
+            return [err.name, err.code, err.exitCode];
+        });
+        assert.deepStrictEqual(codes, [
+            ['InvalidOptionError', 'INVALID_OPTION', 2],
+            ['UnsupportedLanguageError', 'UNSUPPORTED_LANGUAGE', 3],
+            ['UnsupportedSystemError', 'UNSUPPORTED_SYSTEM', 3],
+            ['ParseError', 'PARSE_FAILED', 4],
+            ['GraphError', 'GRAPH_UNAVAILABLE', 5],
+            ['PackageIndexError', 'PACKAGE_INDEX_UNAVAILABLE', 6]
+        ]);
+        assert.deepStrictEqual([new errors.DockerizeError('failed').code, new errors.DockerizeError('failed').exitCode], ['DOCKERIZE_FAILED', 1]);
+
+    });
+
+    it('serializes the name, code, message and details', () => {
+
+        let err = new errors.InvalidOptionError('Invalid value', { option: 'maxDepth', value: -1 });
+        assert.deepStrictEqual(JSON.parse(JSON.stringify({ error: err })), {
+            error: { name: 'InvalidOptionError', code: 'INVALID_OPTION', message: 'Invalid value', details: { option: 'maxDepth', value: -1 } }
+        });
+        assert.deepStrictEqual(new errors.ParseError('failed').details, {});
+
+    });
+
+    it('marks timeouts, lost connections and server errors as transient', () => {
+
+        let indexError = details => new errors.PackageIndexError('failed', details);
+        assert.ok(indexError({ statusCode: 503 }).transient);
+        assert.ok(indexError({ statusCode: 429 }).transient);
+        assert.ok(indexError({ cause: 'ECONNRESET' }).transient);
+        assert.ok(!indexError({ statusCode: 404 }).transient);
+        assert.ok(!indexError({ cause: 'ENOTFOUND' }).transient);
+
+        let graphError = details => new errors.GraphError('failed', details);
+        assert.ok(graphError({ cause: 'ServiceUnavailable' }).transient);
+        assert.ok(graphError({ cause: 'Neo.TransientError.Transaction.DeadlockDetected' }).transient);
+        assert.ok(!graphError({ cause: 'ENOENT' }).transient);
+        assert.ok(!graphError().transient);
+
+        assert.ok(!new errors.InvalidOptionError('failed').transient);
+
+    });
+
+    it('rejects unsupported languages and package systems', async () => {
+
+        let factory = new StrategyFactory();
+        await assert.rejects(factory.getLanguageStrategy('cobol'), err => {
+            assert.ok(err instanceof errors.UnsupportedLanguageError);
+            assert.deepStrictEqual(err.details, { language: 'cobol' });
+            return true;
+        });
+        await assert.rejects(factory.getSystemStrategy('cpan'), errors.UnsupportedSystemError);
+
+    });
+
+});
@@ -0,0 +1,120 @@
+/**
+ * Tests of the evaluation of dependency inference against a corpus with expected dependencies.
+ *
+ * @module test/evaluate
+ */
+
+
+// Core/NPM Modules
+const assert           = require('assert');
+const fs               = require('fs');
+const path             = require('path');
+const { describe, it } = require('node:test');
+const _                = require('lodash');
+
+
+// Local Modules
+const evaluate         = require('../src/evaluate');
+const errors           = require('../src/errors');
+const helpers          = require('./helpers');
+
+
+/**
+ * Write a corpus of three snippets, one inferred exactly, one missing a transitive dependency and
+ * one with an invalid expected dependency file, along with the graph and package index to infer with.
+ *
+ * @returns {Object} Evaluation options.
+ */
+function createCorpus() {
+
+    let dir = helpers.tmpdir();
+    helpers.writeFiles(dir, {
+        'corpus/exact/snippet.py': 'import dashtable\n',
+        'corpus/exact/expected.json': JSON.stringify({ direct: ['DashTable'] }),
+        'corpus/missing/snippet.py': 'import requests\n',
+        'corpus/missing/expected.json': JSON.stringify({ direct: 'requests', transitive: ['pip:six'] }),
+        'corpus/invalid/snippet.py': 'import requests\n',
+        'corpus/invalid/expected.json': JSON.stringify(['requests']),
+        'corpus/unexpected/snippet.py': 'import requests\n'
+    });
+    return {
+        dir: path.join(dir, 'corpus'),
+        graph: helpers.writeGraph(dir, [
+            { name: 'dashtable', resources: ['dashtable'] },
+            { name: 'requests', resources: ['requests'] },
+            { name: 'six', resources: ['six'] }
+        ]),
+        packageIndex: helpers.writeIndex(path.join(dir, 'index'), { dashtable: ['1.4.5'], requests: ['2.0'], six: ['1.0'] }),
+        cacheMode: 'bypass',
+        pythonVersion: '3'
+    };
+
+}
+
+
+describe('evaluate', () => {
+
+    it('scores each snippet with expected dependencies and aggregates the scores', async () => {
+
+        let result = await evaluate(createCorpus());
+        let items = _.keyBy(result.items, 'id');
+
+        assert.deepStrictEqual(_.sortBy(_.keys(items)), ['exact', 'invalid', 'missing']);
+        assert.deepStrictEqual(_.pick(result.summary, ['total', 'success', 'error']), { total: 3, success: 2, error: 1 });
+        assert.strictEqual(items.invalid.status, 'error');
+        assert.match(items.invalid.error, /Invalid expected dependency file/);
+
+        assert.deepStrictEqual(_.pick(items.exact.all, ['tp', 'fp', 'fn', 'f1']), { tp: 1, fp: 0, fn: 0, f1: 1 });
+        assert.deepStrictEqual(items.missing.transitive.missing, ['six,pip']);
+        assert.deepStrictEqual([items.missing.transitive.precision, items.missing.transitive.recall], [1, 0]);
+        assert.strictEqual(items.missing.direct.f1, 1);
+
+        assert.deepStrictEqual(_.pick(result.summary.all.micro, ['tp', 'fp', 'fn']), { tp: 2, fp: 0, fn: 1 });
+        assert.strictEqual(result.summary.all.micro.recall, 2 / 3);
+        assert.strictEqual(result.summary.all.macro.recall, 0.75);
+        assert.strictEqual(result.summary.transitive.macro.f1, 0.5);
+        assert.strictEqual(result.config.pythonVersion, '3');
+
+    });
+
+    it('compares with a previous evaluation written as output', async () => {
+
+        let options = createCorpus();
+        let output = path.join(path.dirname(options.dir), 'baseline.json');
+        await evaluate(_.assign({}, options, { output }));
+        fs.writeFileSync(path.join(options.dir, 'missing', 'expected.json'), JSON.stringify({ direct: ['requests'] }));
+
+        let result = await evaluate(_.assign({}, options, { compare: output }));
+        assert.deepStrictEqual(_.map(result.comparison.items, 'id'), ['missing']);
+        assert.deepStrictEqual(_.map(result.comparison.items[0].all, v => _.round(v, 3)), [0.667, 1]);
+        assert.strictEqual(_.round(result.comparison.delta.all.micro.recall, 10), _.round(1 - 2 / 3, 10));
+        assert.strictEqual(result.comparison.delta.direct.micro.f1, 0);
+
+        let table = evaluate.formatTable(result);
+        assert.match(table, /^2 of 3 snippets evaluated/);
+        assert.match(table, /f1 \(baseline\)\s+f1\s+delta/);
+        assert.match(table, /all\s+micro\s+1\.000\s+1\.000\s+0\.000\s+0\.667\s+1\.000\s+\+0\.333/);
+        assert.match(table, /missing: 0\.667 -> 1\.000/);
+
+    });
+
+    it('formats the summary without a comparison', async () => {
+
+        let table = evaluate.formatTable(await evaluate(createCorpus()));
+        let lines = table.split('\n');
+        assert.match(lines[2], /^\s+precision\s+recall\s+f1$/);
+        assert.strictEqual(lines.length, 3 + 6);
+        assert.match(table, /transitive\s+macro\s+1\.000\s+0\.500\s+0\.500/);
+
+    });
+
+    it('rejects invalid options', async () => {
+
+        let options = createCorpus();
+        await assert.rejects(evaluate(_.assign({}, options, { concurrency: 0 })), errors.InvalidOptionError);
+        await assert.rejects(evaluate(_.assign({}, options, { expected: 'none.json' })), /No snippets/);
+        await assert.rejects(evaluate(_.assign({}, options, { compare: path.join(options.dir, 'none.json') })), errors.InvalidOptionError);
+
+    });
+
+});
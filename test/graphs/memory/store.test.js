@@ -0,0 +1,133 @@
+/**
+ * Tests of the in-memory graph store.
+ *
+ * @module test/graphs/memory/store
+ */
+
+
+// Core/NPM Modules
+const assert           = require('assert');
+const fs               = require('fs');
+const path             = require('path');
+const { describe, it } = require('node:test');
+const _                = require('lodash');
+
+
+// Local Modules
+const MemoryGraphStore = require('../../../src/graphs/memory/store');
+const errors           = require('../../../src/errors');
+const helpers          = require('../../helpers');
+
+
+// Small graph: dashtable depends on the resources of beautifulsoup4 and requests
+const PACKAGES = [
+    { name: 'dashtable', resources: ['dashtable'], dependencies: ['bs4', 'requests'] },
+    { name: 'beautifulsoup4', resources: ['bs4'] },
+    { name: 'requests', resources: ['requests'], dependencies: ['urllib3'] },
+    { name: 'urllib3', resources: ['urllib3'] },
+    { name: 'lodash', system: 'npm', resources: ['lodash'] }
+];
+
+
+/**
+ * Load a graph into a store.
+ *
+ * @param   {Array.<Object>}            packages     Packages, see helpers.buildGraph.
+ * @param   {Array.<Object>}            associations Associations, see helpers.buildGraph.
+ * @returns {Promise.<MemoryGraphStore>}             Initialized store.
+ */
+function load(packages = PACKAGES, associations = []) {
+    return (new MemoryGraphStore({ graph: helpers.writeGraph(helpers.tmpdir(), packages, associations) })).initialize();
+}
+
+
+describe('MemoryGraphStore', () => {
+
+    it('matches packages by resource prefix and by name, within a system', async () => {
+
+        let store = await load();
+        assert.strictEqual(store.type, 'memory');
+        assert.strictEqual(store.cacheable, false);
+
+        let results = await store.lookupResourcePackages('requests.adapters', 'pip');
+        assert.deepStrictEqual(results, [{ name: 'requests', system: 'pip', via: { type: 'resource', resources: ['requests'] } }]);
+
+        results = await store.lookupResourcePackages('dashtable', 'pip');
+        assert.deepStrictEqual(_.map(results, 'via.type'), ['resource', 'name']);
+
+        assert.deepStrictEqual(await store.lookupResourcePackages('lodash', 'pip'), []);
+        assert.strictEqual((await store.lookupResourcePackages('lodash', 'npm')).length, 2);
+
+    });
+
+    it('looks up resource dependencies and counts dependents', async () => {
+
+        let store = await load();
+        let deps = await store.lookupPackageDependencies({ name: 'dashtable', system: 'pip' });
+        assert.deepStrictEqual(_.sortBy(_.map(deps, d => [d.name, d.via.type, d.via.resources]), 0), [
+            ['beautifulsoup4', 'resource_dependency', ['bs4']],
+            ['requests', 'resource_dependency', ['requests']]
+        ]);
+        assert.deepStrictEqual(await store.lookupPackageDependencies({ name: 'dashtable', system: 'pip' }, { only: 'assoc' }), []);
+
+        assert.strictEqual(await store.countPackageDependents({ name: 'requests', system: 'pip' }), 1);
+        assert.strictEqual(await store.countPackageDependents({ name: 'dashtable', system: 'pip' }), 0);
+
+    });
+
+    it('filters association rules by confidence, lift and lift above the mean, strongest first', async () => {
+
+        let store = await load([{ name: 'flask', resources: ['flask'] }, { name: 'jinja2' }, { name: 'werkzeug' }, { name: 'gunicorn' }], [
+            { from: 'flask', to: 'gunicorn', confidence: 0.3, lift: 1.2 },
+            { from: 'flask', to: 'werkzeug', confidence: 0.95, lift: 3 },
+            { from: 'flask', to: 'jinja2', confidence: 0.9, lift: 5 }
+        ]);
+        let lookup = async options => _.map(await store.lookupPackageDependencies({ name: 'flask', system: 'pip' }, options), 'name');
+
+        let deps = await store.lookupPackageDependencies({ name: 'flask', system: 'pip' });
+        assert.deepStrictEqual(deps[0], { name: 'jinja2', system: 'pip', via: { type: 'association', confidence: 0.9, lift: 5 } });
+        assert.deepStrictEqual(await lookup({}), ['jinja2', 'werkzeug', 'gunicorn']);
+        assert.deepStrictEqual(await lookup({ minConfidence: 0.5 }), ['jinja2', 'werkzeug']);
+        assert.deepStrictEqual(await lookup({ minLift: 3 }), ['jinja2', 'werkzeug']);
+        assert.deepStrictEqual(await lookup({ liftSigma: 0.5 }), ['jinja2']);
+        assert.deepStrictEqual(await lookup({ maxAssocPerPackage: 1, minConfidence: 0.95 }), ['werkzeug']);
+        assert.deepStrictEqual(await lookup({ maxAssocPerPackage: 0 }), []);
+        assert.deepStrictEqual(await lookup({ only: 'deps' }), []);
+
+    });
+
+    it('looks up the exported symbols among the given names', async () => {
+
+        let store = await load([{ name: 'pyyaml', resources: ['yaml'], symbols: ['yaml.load', 'yaml.dump'] }]);
+        let symbols = await store.lookupPackageSymbols({ name: 'pyyaml', system: 'pip' }, ['yaml.dump', 'yaml.safe_load', 'yaml.dump']);
+        assert.deepStrictEqual(symbols, ['yaml.dump']);
+
+    });
+
+    it('reads JSON arrays and objects of nodes and relationships, as well as NDJSON', async () => {
+
+        let elements = helpers.buildGraph(PACKAGES);
+        let dir = helpers.tmpdir();
+        fs.writeFileSync(path.join(dir, 'array.json'), JSON.stringify(elements));
+        fs.writeFileSync(path.join(dir, 'object.json'), JSON.stringify({
+            nodes: _.map(_.filter(elements, ['type', 'node']), e => _.omit(e, 'type')),
+            relationships: _.map(_.filter(elements, ['type', 'relationship']), e => _.omit(e, 'type'))
+        }));
+
+        for (let name of ['array.json', 'object.json']) {
+            let store = await (new MemoryGraphStore({ graph: path.join(dir, name) })).initialize();
+            assert.strictEqual((await store.lookupResourcePackages('bs4', 'pip'))[0].name, 'beautifulsoup4', name);
+        }
+
+    });
+
+    it('fails with a GraphError when the file is missing or invalid', async () => {
+
+        let dir = helpers.writeFiles(helpers.tmpdir(), { 'invalid.ndjson': '{"type": "node"\n' });
+        for (let name of ['missing.ndjson', 'invalid.ndjson']) {
+            await assert.rejects((new MemoryGraphStore({ graph: path.join(dir, name) })).initialize(), errors.GraphError, name);
+        }
+
+    });
+
+});
@@ -0,0 +1,119 @@
+/**
+ * Tests of the Neo4j graph store. Queries are checked against a stub driver, and run
+ * against a real database when DOCKERIZEME_TEST_GRAPH is set to its URI, with the
+ * database named by DOCKERIZEME_TEST_GRAPH_DATABASE (defaults to neo4j).
+ *
+ * @module test/graphs/neo4j/store
+ */
+
+
+// Core/NPM Modules
+const assert           = require('assert');
+const { describe, it } = require('node:test');
+
+
+// Local Modules
+const Neo4jGraphStore  = require('../../../src/graphs/neo4j/store');
+
+
+/**
+ * Create a store whose driver records the queries run instead of sending them.
+ *
+ * @param   {Object}                   options Store options.
+ * @returns {Promise.<Neo4jGraphStore>}        Store, with the recorded queries as `queries`.
+ */
+async function createStubbedStore(options) {
+
+    let store = await (new Neo4jGraphStore(options)).initialize();
+    store.driver.close();
+    store.queries = [];
+    store.driver = {
+        session: () => ({
+            run: (query, params) => {
+                store.queries.push({ query, params });
+                return Promise.resolve({ records: [] });
+            },
+            close: () => {}
+        }),
+        close: () => {}
+    };
+    return store;
+
+}
+
+
+/**
+ * Run every lookup of a store once, with all dependency options set.
+ *
+ * @param   {Neo4jGraphStore} store Graph store.
+ * @returns {Promise}
+ */
+async function runLookups(store) {
+
+    let pkg = { name: 'dashtable', system: 'pip' };
+    await store.lookupResourcePackages('dashtable', 'pip');
+    await store.lookupPackageDependencies(pkg, { minConfidence: 0.5, minLift: 1, liftSigma: 1, maxAssocPerPackage: 3 });
+    await store.countPackageDependents(pkg);
+    await store.lookupPackageSymbols(pkg, ['dashtable.html2data']);
+
+}
+
+
+describe('Neo4jGraphStore', () => {
+
+    it('selects the graph database with a USE clause', async () => {
+
+        let store = await createStubbedStore({ graph: 'bolt://localhost:7687', graphDatabase: 'dependencies' });
+        await runLookups(store);
+
+        assert.strictEqual(store.queries.length, 4);
+        for (let { query } of store.queries) {
+            assert.ok(query.startsWith('USE `dependencies`\n'), query);
+        }
+        assert.strictEqual(store.location, 'bolt://localhost:7687/dependencies');
+
+    });
+
+    it('passes every parameter with the $param syntax', async () => {
+
+        let store = await createStubbedStore({ graph: 'bolt://localhost:7687', graphDatabase: 'dependencies' });
+        await runLookups(store);
+
+        for (let { query, params } of store.queries) {
+            assert.doesNotMatch(query, /\{\w+\}/, 'Legacy {param} syntax is not supported by Neo4j 4');
+            for (let [, name] of query.matchAll(/\$(\w+)/g)) {
+                assert.ok(name in params, `Missing parameter ${name}`);
+            }
+        }
+
+    });
+
+    it('leaves the USE clause out without a graph database', async () => {
+
+        let store = await createStubbedStore({ graph: 'bolt://localhost:7687' });
+        await runLookups(store);
+
+        for (let { query } of store.queries) {
+            assert.doesNotMatch(query, /\bUSE\b/);
+        }
+
+    });
+
+    it('runs queries on a real database', { skip: !process.env.DOCKERIZEME_TEST_GRAPH }, async () => {
+
+        let store = await (new Neo4jGraphStore({
+            graph: process.env.DOCKERIZEME_TEST_GRAPH,
+            graphUser: process.env.DOCKERIZEME_TEST_GRAPH_USER,
+            graphPassword: process.env.DOCKERIZEME_TEST_GRAPH_PASSWORD,
+            graphDatabase: process.env.DOCKERIZEME_TEST_GRAPH_DATABASE || 'neo4j'
+        })).initialize();
+        try {
+            await runLookups(store);
+        }
+        finally {
+            await store.close();
+        }
+
+    });
+
+});
@@ -0,0 +1,168 @@
+/**
+ * Helpers shared by the tests.
+ *
+ * @module test/helpers
+ */
+
+
+// Core/NPM Modules
+const fs   = require('fs');
+const http = require('http');
+const os   = require('os');
+const path = require('path');
+const _    = require('lodash');
+
+
+// Temporary directories to remove on exit
+const tmpdirs = [];
+process.on('exit', () => tmpdirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+
+/**
+ * Create an empty temporary directory, removed when the process exits.
+ *
+ * @returns {String} Directory path.
+ */
+function tmpdir() {
+
+    let dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dockerizeme-test-'));
+    tmpdirs.push(dir);
+    return dir;
+
+}
+
+
+/**
+ * Write files into a directory, creating parent directories as needed.
+ *
+ * @param   {String} dir   Directory path.
+ * @param   {Object} files File contents keyed by relative path.
+ * @returns {String}       Directory path.
+ */
+function writeFiles(dir, files) {
+
+    _.forEach(files, (contents, name) => {
+        let filename = path.join(dir, name);
+        fs.mkdirSync(path.dirname(filename), { recursive: true });
+        fs.writeFileSync(filename, contents);
+    });
+    return dir;
+
+}
+
+
+/**
+ * Build the elements of a knowledge graph, in the format read by the memory graph store.
+ * Each package has one version, providing `resources`, depending on `dependencies` (resource
+ * names) and exporting `symbols`. Associations go from one package name to another.
+ *
+ * @param   {Array.<Object>} packages     Packages with `name`, and optional `system` (defaults to pip),
+ *                                        `version`, `resources`, `dependencies` and `symbols` keys.
+ * @param   {Array.<Object>} associations Associations with `from`, `to`, `confidence` and `lift` keys.
+ * @returns {Array.<Object>}              Graph elements.
+ */
+function buildGraph(packages, associations = []) {
+
+    let elements = [];
+    let ids = new Map();
+    let node = (label, properties, key) => {
+        if (key && ids.has(key)) return ids.get(key);
+        let id = String(elements.length + 1);
+        elements.push({ type: 'node', id, labels: [label], properties });
+        if (key) ids.set(key, id);
+        return id;
+    };
+    let edge = (label, start, end) => elements.push({ type: 'relationship', label, start: { id: start }, end: { id: end }, properties: {} });
+
+    for (let p of packages) {
+        let pkg = node('package', { name: p.name, system: p.system || 'pip' }, `package,${p.name}`);
+        let version = node('version', { version: p.version || '1.0' });
+        edge('version', pkg, version);
+        for (let r of p.resources || []) edge('resource', version, node('resource', { name: r }, `resource,${r}`));
+        for (let r of p.dependencies || []) edge('resource_dependency', version, node('resource', { name: r }, `resource,${r}`));
+        for (let s of p.symbols || []) edge('symbol', version, node('symbol', { name: s }, `symbol,${s}`));
+    }
+    for (let a of associations) {
+        let association = node('association', _.pick(a, ['confidence', 'lift']));
+        edge('association', ids.get(`package,${a.from}`), association);
+        edge('association', association, ids.get(`package,${a.to}`));
+    }
+    return elements;
+
+}
+
+
+/**
+ * Write a knowledge graph file, see buildGraph.
+ *
+ * @param   {String}         dir          Directory to write graph.ndjson into.
+ * @param   {Array.<Object>} packages     Packages, see buildGraph.
+ * @param   {Array.<Object>} associations Associations, see buildGraph.
+ * @returns {String}                      Graph file path.
+ */
+function writeGraph(dir, packages, associations = []) {
+
+    let filename = path.join(dir, 'graph.ndjson');
+    fs.writeFileSync(filename, _.map(buildGraph(packages, associations), JSON.stringify).join('\n') + '\n');
+    return filename;
+
+}
+
+
+/**
+ * Write a directory package index of PyPI JSON API documents.
+ *
+ * @param   {String} dir      Directory to write the index into.
+ * @param   {Object} projects Releases keyed by project name. Releases are either a list of versions,
+ *                            each with one source distribution, or release files keyed by version.
+ * @returns {String}          Index directory.
+ */
+function writeIndex(dir, projects) {
+
+    fs.mkdirSync(dir, { recursive: true });
+    _.forEach(projects, (releases, name) => {
+        if (_.isArray(releases)) {
+            releases = _.zipObject(releases, _.map(releases, v => [{ filename: `${name}-${v}.tar.gz`, packagetype: 'sdist' }]));
+        }
+        let info = { name, version: _.last(_.keys(releases)) };
+        fs.writeFileSync(path.join(dir, `${name}.json`), JSON.stringify({ info, releases }));
+    });
+    return dir;
+
+}
+
+
+/**
+ * Start an HTTP server on a free local port, answering every request with `routes[path]`,
+ * either a `[status, body]` pair or a body to answer with status 200. Unknown paths are 404s.
+ *
+ * @param   {Object}           routes Responses keyed by request path.
+ * @returns {Promise.<Object>}        Listening `server`, its base `url` and the `requests` paths received.
+ */
+function serveRoutes(routes) {
+
+    let requests = [];
+    let server = http.createServer((req, res) => {
+        requests.push(req.url);
+        let [status, body] = _.isArray(routes[req.url]) ? routes[req.url] : [routes[req.url] ? 200 : 404, routes[req.url]];
+        res.writeHead(status, { 'Content-Type': _.isString(body) ? 'text/html' : 'application/json' });
+        res.end(_.isString(body) ? body : JSON.stringify(body || {}));
+    });
+
+    return new Promise((resolve, reject) => {
+        server.listen(0, '127.0.0.1', () => resolve({ server, requests, url: `http://127.0.0.1:${server.address().port}` }));
+        server.on('error', reject);
+    });
+
+}
+
+
+// Export
+module.exports = {
+    tmpdir,
+    writeFiles,
+    buildGraph,
+    writeGraph,
+    writeIndex,
+    serveRoutes
+};
@@ -0,0 +1,327 @@
+/**
+ * Tests of the language strategy base class, run through the python strategy.
+ *
+ * @module test/language-strategy
+ */
+
+
+// Core/NPM Modules
+const assert           = require('assert');
+const path             = require('path');
+const { describe, it } = require('node:test');
+const _                = require('lodash');
+
+
+// Local Modules
+const PythonStrategy   = require('../src/languages/python/strategy');
+const errors           = require('../src/errors');
+const helpers          = require('./helpers');
+
+
+/**
+ * Dockerize a python package against a graph of packages, with a directory package index
+ * holding the version of each graph package.
+ *
+ * @param   {Object}           files        Package file contents keyed by relative path.
+ * @param   {Array.<Object>}   packages     Graph packages, see helpers.buildGraph.
+ * @param   {Object}           options      Dockerize options.
+ * @param   {Array.<Object>}   associations Graph associations, see helpers.buildGraph.
+ * @returns {Promise.<Object>}              Dockerfile data.
+ */
+async function getDockerfileData(files, packages, options = {}, associations = []) {
+
+    let dir = helpers.tmpdir();
+    helpers.writeFiles(path.join(dir, 'app'), files);
+    return new PythonStrategy().getDockerfileData(_.assign({
+        pkg: path.join(dir, 'app'),
+        graph: helpers.writeGraph(dir, packages, associations),
+        packageIndex: helpers.writeIndex(path.join(dir, 'index'), _.fromPairs(_.map(packages, p => [p.name, [p.version || '1.0']]))),
+        cacheMode: 'bypass',
+        pythonVersion: '3'
+    }, options));
+
+}
+
+
+describe('LanguageStrategy#getGraphStore', () => {
+
+    it('infers the store type from the location', async () => {
+
+        let strategy = new PythonStrategy();
+        let store = await strategy.getGraphStore({ graph: helpers.writeGraph(helpers.tmpdir(), []) });
+        assert.strictEqual(store.type, 'memory');
+
+        for (let graph of ['bolt://localhost:7687', 'neo4j://localhost:7687', 'bolt+routing://localhost:7687']) {
+            store = await strategy.getGraphStore({ graph });
+            assert.strictEqual(store.type, 'neo4j', graph);
+            await store.close();
+        }
+
+    });
+
+    it('rejects unknown store types', async () => {
+
+        await assert.rejects(new PythonStrategy().getGraphStore({ graph: 'graph.ndjson', graphType: 'sql' }), errors.InvalidOptionError);
+
+    });
+
+    it('fails with a GraphError for URI schemes the driver does not support', async () => {
+
+        for (let graph of ['bolt+s://localhost:7687', 'neo4j+s://localhost:7687']) {
+            await assert.rejects(new PythonStrategy().getGraphStore({ graph }), (err) => {
+                assert.ok(err instanceof errors.GraphError, graph);
+                assert.match(err.message, /Unknown scheme/);
+                return true;
+            });
+        }
+
+    });
+
+});
+
+
+describe('LanguageStrategy#inferDependencies', () => {
+
+    it('never looks up local modules in the graph', async () => {
+
+        let data = await getDockerfileData({ 'main.py': 'import utils\nimport requests\n', 'utils.py': 'x = 1\n' }, [
+            { name: 'utils', resources: ['utils'] },
+            { name: 'requests', resources: ['requests'] }
+        ]);
+
+        assert.deepStrictEqual(data.localImports, { count: 1, items: ['utils'] });
+        assert.deepStrictEqual(_.map(data.dependencies, 'name'), ['requests']);
+
+    });
+
+    it('explains why each package is installed', async () => {
+
+        let data = await getDockerfileData({ 'main.py': 'import dashtable\n' }, [
+            { name: 'dashtable', version: '1.4.5', resources: ['dashtable'], dependencies: ['bs4'] },
+            { name: 'beautifulsoup4', version: '4.6.0', resources: ['bs4'] }
+        ]);
+
+        let lines = data.explanation.split('\n');
+        assert.deepStrictEqual(lines.slice(0, 3), [
+            'beautifulsoup4==4.6.0 (pip)',
+            '  <- resource dependency of dashtable on bs4',
+            '    <- graph package providing dashtable, matching resource dashtable'
+        ]);
+        assert.match(lines[3], /^ {6}<- imported by \/.*\/app\/main\.py:1$/);
+        assert.ok(_.some(data.provenance.edges, { type: 'resource_dependency', from: 'package:dashtable,pip', to: 'package:beautifulsoup4,pip' }));
+
+    });
+
+});
+
+
+describe('LanguageStrategy#inferDependencies degraded mode', () => {
+
+    // requests is found by name in the package index, yaml is only provided by pyyaml in the graph
+    let files = { 'app.py': 'import requests\nimport yaml\n' };
+    let packages = [
+        { name: 'requests', resources: ['requests'], dependencies: ['six'] },
+        { name: 'six', resources: ['six'] },
+        { name: 'pyyaml', resources: ['yaml'] }
+    ];
+
+    let missing = path.join(helpers.tmpdir(), 'missing.ndjson');
+
+    it('resolves imports by name when the graph is unavailable', async () => {
+
+        let data = await getDockerfileData(files, packages);
+        assert.strictEqual(data.degraded, false);
+        assert.deepStrictEqual(_.sortBy(_.map(data.dependencies, 'name')), ['pyyaml', 'requests', 'six']);
+
+        data = await getDockerfileData(files, packages, { graph: missing });
+        assert.strictEqual(data.degraded, true);
+        assert.match(data.degradedReason, /^Unable to load graph .*missing\.ndjson: ENOENT/);
+        assert.deepStrictEqual(_.map(data.dependencies, 'name'), ['requests']);
+
+    });
+
+    it('degrades when a graph lookup fails', async () => {
+
+        let store = await new PythonStrategy().getGraphStore({ graph: helpers.writeGraph(helpers.tmpdir(), packages) });
+        store.lookupResourcePackages = () => Promise.reject(new errors.GraphError('Connection lost', { cause: 'ServiceUnavailable' }));
+
+        let data = await getDockerfileData(files, packages, { graphStore: store });
+        assert.strictEqual(data.degraded, true);
+        assert.strictEqual(data.degradedReason, 'Connection lost');
+        assert.deepStrictEqual(_.map(data.dependencies, 'name'), ['requests']);
+
+    });
+
+    it('fails when the graph is required', async () => {
+
+        await assert.rejects(getDockerfileData(files, packages, { graph: missing, requireGraph: true }), errors.GraphError);
+
+        let strategy = new PythonStrategy();
+        assert.strictEqual(await strategy.getSharedGraphStore({ graph: missing }), null);
+        await assert.rejects(strategy.getSharedGraphStore({ graph: missing, requireGraph: true }), errors.GraphError);
+        await assert.rejects(strategy.getSharedGraphStore({ graph: missing, graphType: 'sql' }), errors.InvalidOptionError);
+
+    });
+
+});
+
+
+describe('LanguageStrategy#inferDependencies association rules', () => {
+
+    let packages = [{ name: 'flask', resources: ['flask'] }, { name: 'jinja2' }, { name: 'gunicorn' }];
+    let associations = [
+        { from: 'flask', to: 'jinja2', confidence: 0.9, lift: 5 },
+        { from: 'flask', to: 'gunicorn', confidence: 0.3, lift: 1.2 }
+    ];
+    let getFlaskData = options => getDockerfileData({ 'app.py': 'import flask\n' }, packages, options, associations);
+
+    it('follows the association rules passing the filter, and reports the filter', async () => {
+
+        let data = await getFlaskData();
+        assert.deepStrictEqual(_.sortBy(_.map(data.dependencies, 'name')), ['flask', 'gunicorn', 'jinja2']);
+        assert.deepStrictEqual(data.associationFilter, {});
+
+        data = await getFlaskData({ minConfidence: 0.5, minLift: 2 });
+        assert.deepStrictEqual(_.sortBy(_.map(data.dependencies, 'name')), ['flask', 'jinja2']);
+        assert.deepStrictEqual(data.associationFilter, { minConfidence: 0.5, minLift: 2 });
+        assert.ok(_.some(data.provenance.edges, { type: 'association', to: 'package:jinja2,pip', confidence: 0.9, lift: 5 }));
+
+    });
+
+    it('rejects invalid thresholds', async () => {
+
+        for (let options of [{ minConfidence: 'high' }, { liftSigma: Infinity }, { maxAssocPerPackage: 1.5 }, { maxAssocPerPackage: -1 }, { only: 'all' }]) {
+            await assert.rejects(getFlaskData(options), errors.InvalidOptionError, JSON.stringify(options));
+        }
+
+    });
+
+});
+
+
+describe('LanguageStrategy#inferDependencies dependency rules', () => {
+
+    // app imports a, which depends on b, which depends on c, which depends on d
+    let packages = [
+        { name: 'a', resources: ['a'], dependencies: ['b'] },
+        { name: 'b', resources: ['b'], dependencies: ['c'] },
+        { name: 'c', resources: ['c'], dependencies: ['d'] },
+        { name: 'd', resources: ['d'] }
+    ];
+    let getChainData = options => getDockerfileData({ 'app.py': 'import a\n' }, packages, options);
+    let names = data => _.sortBy(_.map(data.dependencies, 'name'));
+
+    it('parses packages given as name or system:name', () => {
+
+        let strategy = new PythonStrategy();
+        assert.deepStrictEqual(strategy.parsePackageSpec(' requests '), { name: 'requests', system: 'pip' });
+        assert.deepStrictEqual(strategy.parsePackageSpec('apt:libxml2-dev'), { name: 'libxml2-dev', system: 'apt' });
+
+    });
+
+    it('limits the depth and number of transitive dependencies', async () => {
+
+        assert.deepStrictEqual(names(await getChainData()), ['a', 'b', 'c', 'd']);
+
+        let data = await getChainData({ maxDepth: 1 });
+        assert.deepStrictEqual(names(data), ['a', 'b']);
+        assert.deepStrictEqual(data.dependencyFilter.items, [{ name: 'c', system: 'pip', rule: 'maxDepth', action: 'removed' }]);
+        assert.deepStrictEqual(names(await getChainData({ maxDepth: 0 })), ['a']);
+
+        data = await getChainData({ maxPackages: 2 });
+        assert.deepStrictEqual(names(data), ['a', 'b']);
+        assert.deepStrictEqual(_.map(data.dependencyFilter.items, 'rule'), ['maxPackages']);
+        assert.strictEqual(data.dependencyFilter.maxPackages, 2);
+
+    });
+
+    it('excludes packages without following their dependencies, and includes others', async () => {
+
+        let data = await getChainData({ exclude: ['b'], include: ['d', 'apt:curl'] });
+        assert.deepStrictEqual(_.map(data.dependencies, d => `${d.system}:${d.name}`).sort(), ['apt:curl', 'pip:a', 'pip:d']);
+        assert.deepStrictEqual(data.dependencyFilter.include, ['pip:d', 'apt:curl']);
+        assert.deepStrictEqual(data.dependencyFilter.exclude, ['pip:b']);
+        assert.deepStrictEqual(_.map(data.dependencyFilter.items, i => `${i.rule}:${i.name}`), ['include:d', 'include:curl', 'exclude:b']);
+
+        await assert.rejects(getChainData({ exclude: ['b'], include: ['pip:b'] }), errors.InvalidOptionError);
+
+    });
+
+});
+
+
+describe('LanguageStrategy#mergeDeclaredDependencies', () => {
+
+    let packages = [
+        { name: 'dashtable', version: '1.4.5', resources: ['dashtable'], dependencies: ['bs4'] },
+        { name: 'beautifulsoup4', version: '4.6.0', resources: ['bs4'] },
+        { name: 'six', version: '1.16.0', resources: ['six'] }
+    ];
+
+    it('adds declared packages after inferred ones, with their specifiers and sources', async () => {
+
+        let data = await getDockerfileData({
+            'main.py': 'import dashtable\n',
+            'requirements.txt': 'dashtable>=1.0\nsix\nnothere\n'
+        }, packages);
+
+        assert.deepStrictEqual(_.map(data.dependencies, d => [d.name, d.version, d.sources, d.specifier]), [
+            ['beautifulsoup4', '4.6.0', ['inferred'], undefined],
+            ['dashtable', '1.4.5', ['inferred', 'requirements.txt'], '>=1.0'],
+            ['six', '1.16.0', ['requirements.txt'], undefined]
+        ]);
+        assert.deepStrictEqual(data.declaredDependencies.files, ['requirements.txt']);
+        assert.deepStrictEqual(_.map(data.declaredDependencies.unresolved, 'name'), ['nothere']);
+        assert.deepStrictEqual(_.map(data.declaredDependencies.mismatches.declaredOnly, 'name'), ['six']);
+        assert.deepStrictEqual(data.declaredDependencies.mismatches.inferredOnly, []);
+
+    });
+
+    it('reports imports that are not declared, and ignores declarations when asked', async () => {
+
+        let files = { 'main.py': 'import dashtable, six\n', 'Pipfile': '[packages]\ndashtable = "*"\n' };
+
+        let data = await getDockerfileData(files, packages);
+        assert.deepStrictEqual(_.map(data.declaredDependencies.mismatches.inferredOnly, 'name'), ['six']);
+
+        data = await getDockerfileData(files, packages, { declared: false });
+        assert.strictEqual(data.declaredDependencies, undefined);
+        assert.ok(!_.some(data.dependencies, d => _.includes(d.sources, 'Pipfile')));
+
+    });
+
+});
+
+
+describe('LanguageStrategy#getRunInstallDependencies', () => {
+
+    let packages = [
+        { name: 'libxml2-dev', system: 'apt' },
+        { name: 'lxml', system: 'pip' },
+        { name: 'six', system: 'pip' },
+        { name: 'curl', system: 'apt' }
+    ];
+
+    it('installs consecutive packages of a system in one layer, keeping the order between systems', async () => {
+
+        let runs = await new PythonStrategy().getRunInstallDependencies(packages);
+        assert.deepStrictEqual(_.map(runs, 'command'), ['/bin/sh', 'pip', '/bin/sh']);
+        assert.match(runs[0].args[1], /install -y --no-install-recommends libxml2-dev &&/);
+        assert.deepStrictEqual(runs[1].args, ['install', '--no-cache-dir', 'lxml', 'six']);
+        assert.match(runs[2].args[1], /install -y --no-install-recommends curl &&/);
+
+    });
+
+    it('installs one package per layer when asked, except for the packages of a cycle', async () => {
+
+        let strategy = new PythonStrategy();
+        let runs = await strategy.getRunInstallDependencies(packages, { combineLayers: false });
+        assert.strictEqual(runs.length, 4);
+
+        runs = await strategy.getRunInstallDependencies(packages, { combineLayers: false, cycles: [[packages[1], packages[2]]] });
+        assert.deepStrictEqual(_.map(runs, 'command'), ['/bin/sh', 'pip', '/bin/sh']);
+        assert.deepStrictEqual(runs[1].args, ['install', '--no-cache-dir', 'lxml', 'six']);
+
+    });
+
+});
@@ -0,0 +1,63 @@
+/**
+ * Tests of the javascript dependency parser.
+ *
+ * @module test/languages/javascript/parse
+ */
+
+
+// Core/NPM Modules
+const assert           = require('assert');
+const { describe, it } = require('node:test');
+
+
+// Local Modules
+const parse            = require('../../../src/languages/javascript/parse');
+
+
+describe('javascript parse', () => {
+
+    it('finds require calls, dynamic imports and import or export declarations', () => {
+
+        let result = parse.parseSource([
+            '#!/usr/bin/env node',
+            'const _ = require("lodash");',
+            'import yargs from \'yargs\';',
+            'import \'dotenv/config\';',
+            'export { default as chalk } from "chalk";',
+            'const lazy = await import(`left-pad`);',
+            'const util = require(\'./util\');'
+        ].join('\n'));
+
+        assert.deepStrictEqual(result.imports.sort(), ['chalk', 'dotenv', 'left-pad', 'lodash', 'yargs']);
+        assert.deepStrictEqual(result.local_imports, ['./util']);
+        assert.deepStrictEqual(result.import_lines, { lodash: [2], yargs: [3], dotenv: [4], chalk: [5], 'left-pad': [6], './util': [7] });
+        assert.deepStrictEqual(result.calls, []);
+
+    });
+
+    it('ignores comments, strings, core modules and computed specifiers', () => {
+
+        let result = parse.parseSource([
+            '// require("commented")',
+            '/* import x from "blocked"; */',
+            'const text = "require(\'quoted\')";',
+            'const fs = require("fs"), path = require("node:path");',
+            'const dynamic = require(`./plugins/${name}`);',
+            'const remote = require("https://example.com/module.js");'
+        ].join('\n'));
+
+        assert.deepStrictEqual(result.imports, []);
+        assert.deepStrictEqual(result.local_imports, []);
+
+    });
+
+    it('maps deep and scoped specifiers to package names', () => {
+
+        assert.strictEqual(parse.getPackageName('lodash/fp'), 'lodash');
+        assert.strictEqual(parse.getPackageName('@babel/core/lib/index'), '@babel/core');
+        assert.strictEqual(parse.getPackageName('child_process'), null);
+        assert.strictEqual(parse.getPackageName('node:test'), null);
+
+    });
+
+});
@@ -0,0 +1,73 @@
+/**
+ * Tests of the javascript language strategy, run against a graph file and a local npm registry.
+ *
+ * @module test/languages/javascript/strategy
+ */
+
+
+// Core/NPM Modules
+const assert             = require('assert');
+const path               = require('path');
+const { describe, it }   = require('node:test');
+const _                  = require('lodash');
+
+
+// Local Modules
+const JavascriptStrategy = require('../../../src/languages/javascript/strategy');
+const helpers            = require('../../helpers');
+
+
+describe('JavascriptStrategy', () => {
+
+    it('dockerizes a node package, installing the npm packages it requires', async () => {
+
+        let dir = helpers.tmpdir();
+        helpers.writeFiles(dir, {
+            'app/index.js': 'const _ = require("lodash");\nconst util = require("./util");\n',
+            'app/util.js': 'module.exports = require("fs");\n'
+        });
+        let registry = await helpers.serveRoutes({ '/lodash': { name: 'lodash', versions: { '4.17.21': {} } } });
+
+        try {
+            let data = await new JavascriptStrategy().getDockerfileData({
+                pkg: path.join(dir, 'app'),
+                context: dir,
+                graph: helpers.writeGraph(dir, [{ name: 'lodash', system: 'npm', resources: ['lodash'] }]),
+                npmRegistry: registry.url,
+                cacheMode: 'bypass'
+            });
+
+            assert.deepStrictEqual(data.dependencies, [{ name: 'lodash', system: 'npm' }]);
+            assert.deepStrictEqual(data.localImports, { count: 1, items: ['./util'] });
+            assert.deepStrictEqual(data.dockerfile.trim().split('\n'), [
+                'FROM node:22',
+                'COPY app /app',
+                `RUN ["npm","install","--prefix","/","--registry","${registry.url}","lodash"]`,
+                'CMD ["node","/app"]'
+            ]);
+        }
+        finally {
+            registry.server.close();
+        }
+
+    });
+
+    it('parses every javascript file of a package outside its dependencies', async () => {
+
+        let dir = helpers.writeFiles(helpers.tmpdir(), {
+            'index.mjs': 'import chalk from "chalk";\n',
+            'lib/cli.cjs': 'require("yargs");\n',
+            'node_modules/chalk/index.js': 'require("ansi-styles");\n',
+            '.cache/hidden.js': 'require("hidden");\n',
+            'README.md': 'require("docs")\n'
+        });
+
+        let result = await new JavascriptStrategy().parsePackageDependencies(dir);
+        assert.deepStrictEqual(_.mapValues(_.mapKeys(result, (v, f) => path.relative(dir, f)), 'imports'), {
+            'index.mjs': ['chalk'],
+            'lib/cli.cjs': ['yargs']
+        });
+
+    });
+
+});
@@ -0,0 +1,153 @@
+/**
+ * Tests of the parsers of declared python dependencies.
+ *
+ * @module test/languages/python/requirements
+ */
+
+
+// Core/NPM Modules
+const assert           = require('assert');
+const path             = require('path');
+const { describe, it } = require('node:test');
+const _                = require('lodash');
+
+
+// Local Modules
+const errors           = require('../../../src/errors');
+const requirements     = require('../../../src/languages/python/requirements');
+const helpers          = require('../../helpers');
+
+
+describe('requirements.parseRequirementsFile', () => {
+
+    it('only follows includes inside the root, when one is given', async () => {
+
+        let dir = helpers.writeFiles(helpers.tmpdir(), {
+            'outside.txt': 'six\n',
+            'pkg/requirements.txt': '-r base.txt\n',
+            'pkg/base.txt': 'requests\n',
+            'pkg/escape.txt': '-r ../outside.txt\n',
+            'pkg/absolute.txt': '-r /etc/hostname\n'
+        });
+        let root = path.join(dir, 'pkg');
+
+        let parsed = await requirements.parseRequirementsFile(path.join(root, 'requirements.txt'), { root });
+        assert.deepStrictEqual(_.map(parsed, 'name'), ['requests']);
+
+        for (let name of ['escape.txt', 'absolute.txt']) {
+            await assert.rejects(requirements.parseRequirementsFile(path.join(root, name), { root }), errors.ParseError, name);
+        }
+        parsed = await requirements.parseRequirementsFile(path.join(root, 'escape.txt'));
+        assert.deepStrictEqual(_.map(parsed, 'name'), ['six']);
+
+    });
+
+});
+
+
+describe('requirements.parseRequirement', () => {
+
+    it('keeps the name and specifier of named requirements', () => {
+
+        assert.deepStrictEqual(requirements.parseRequirement('requests[security] >= 2.0, <3 ; python_version < "3"', 'requirements.txt'),
+            { name: 'requests', specifier: '>=2.0,<3', source: 'requirements.txt' });
+        assert.deepStrictEqual(requirements.parseRequirement('zope.interface (>=4.0)', 'setup.py'),
+            { name: 'zope.interface', specifier: '>=4.0', source: 'setup.py' });
+        assert.deepStrictEqual(requirements.parseRequirement('six', 'setup.py'), { name: 'six', specifier: '', source: 'setup.py' });
+
+    });
+
+    it('skips options, editable installs, URLs and invalid specifiers', () => {
+
+        for (let line of ['--index-url https://example.com', '-e .', 'git+https://github.com/psf/requests.git', 'requests 2.0', '']) {
+            assert.strictEqual(requirements.parseRequirement(line, 'requirements.txt'), null, line);
+        }
+
+    });
+
+});
+
+
+describe('requirements.parseRequirementsFile', () => {
+
+    it('joins continued lines, strips comments and follows includes once', async () => {
+
+        let dir = helpers.writeFiles(helpers.tmpdir(), {
+            'requirements.txt': '# Web\nrequests>=2.0,\\\n  <3  # pinned\n-r base.txt\n--requirement=requirements.txt\n',
+            'base.txt': 'six\n-r requirements.txt\n'
+        });
+
+        let parsed = await requirements.parseRequirementsFile(path.join(dir, 'requirements.txt'));
+        assert.deepStrictEqual(parsed, [
+            { name: 'requests', specifier: '>=2.0,<3', source: 'requirements.txt' },
+            { name: 'six', specifier: '', source: 'base.txt' }
+        ]);
+        await assert.rejects(requirements.parseRequirementsFile(path.join(dir, 'missing.txt')), errors.ParseError);
+
+    });
+
+});
+
+
+describe('requirements.parsePipfile', () => {
+
+    it('reads the packages table, with string and inline table versions', () => {
+
+        let parsed = requirements.parsePipfile([
+            '[[source]]',
+            'url = "https://pypi.org/simple"',
+            '',
+            '[packages]',
+            'requests = "*"',
+            '"Flask" = ">= 1.0"',
+            'django = { version = "~=2.2", extras = ["bcrypt"] }',
+            'mylib = { git = "https://github.com/me/mylib.git" }  # from git',
+            '',
+            '[dev-packages]',
+            'pytest = "*"'
+        ].join('\n'));
+
+        assert.deepStrictEqual(parsed, [
+            { name: 'requests', specifier: '', source: 'Pipfile' },
+            { name: 'Flask', specifier: '>=1.0', source: 'Pipfile' },
+            { name: 'django', specifier: '~=2.2', source: 'Pipfile' },
+            { name: 'mylib', specifier: '', source: 'Pipfile' }
+        ]);
+
+    });
+
+});
+
+
+describe('requirements.parseEnvironment', () => {
+
+    it('reads conda packages and the pip section, skipping python and pip', () => {
+
+        let parsed = requirements.parseEnvironment([
+            'name: analysis',
+            'channels: [conda-forge]',
+            'dependencies:',
+            '  - python=3.6',
+            '  - pip',
+            '  - numpy=1.15',
+            '  - conda-forge::pandas>=0.23',
+            '  - scipy 1.1.0 py36_0',
+            '  - libgcc=7.2.*',
+            '  - pip:',
+            '    - requests==2.20',
+            '    - -e .'
+        ].join('\n'), 'environment.yaml');
+
+        assert.deepStrictEqual(_.map(parsed, p => [p.name, p.specifier]), [
+            ['numpy', '==1.15.*'],
+            ['pandas', '>=0.23'],
+            ['scipy', '==1.1.0.*'],
+            ['libgcc', '==7.2.*'],
+            ['requests', '==2.20']
+        ]);
+        assert.ok(_.every(parsed, ['source', 'environment.yaml']));
+        assert.deepStrictEqual(requirements.parseEnvironment(''), []);
+
+    });
+
+});
@@ -0,0 +1,144 @@
+/**
+ * Tests of the python language strategy.
+ *
+ * @module test/languages/python/strategy
+ */
+
+
+// Core/NPM Modules
+const assert           = require('assert');
+const path             = require('path');
+const { describe, it } = require('node:test');
+const _                = require('lodash');
+
+
+// Local Modules
+const PythonStrategy   = require('../../../src/languages/python/strategy');
+const errors           = require('../../../src/errors');
+const helpers          = require('../../helpers');
+
+
+// Constants
+const SYNTAX_ERROR = { type: 'SyntaxError', message: 'invalid syntax', line: 1, offset: 1 };
+
+
+/**
+ * Create a strategy whose parser answers with fixed results per interpreter, instead of
+ * running python. Interpreters without a result fail like a missing executable.
+ *
+ * @param   {Object}         results Parse results keyed by interpreter, e.g. `python2`.
+ * @returns {PythonStrategy}         Strategy.
+ */
+function createStubbedStrategy(results) {
+
+    let strategy = new PythonStrategy();
+    strategy.parsePackageDependencies = async (pkg, interpreter) => {
+        if (!results[interpreter]) throw new errors.ParseError(`spawn ${interpreter} ENOENT`, { pkg });
+        return results[interpreter];
+    };
+    return strategy;
+
+}
+
+
+describe('PythonStrategy', () => {
+
+    describe('#selectRuntime', () => {
+
+        let ok = { 'snippet.py': { imports: [] } };
+        let broken = { 'snippet.py': { imports: [], error: SYNTAX_ERROR } };
+
+        it('prefers python 3 when both grammars parse the package', async () => {
+
+            let runtime = await createStubbedStrategy({ python2: ok, python3: ok }).selectRuntime('snippet.py');
+            assert.strictEqual(runtime.version, '3.9');
+            assert.deepStrictEqual(runtime.image, { name: 'python', version: '3.9' });
+            assert.match(runtime.reason, /both python 2 and python 3/);
+
+        });
+
+        it('selects the only grammar that parses the package', async () => {
+
+            let runtime = await createStubbedStrategy({ python2: ok, python3: broken }).selectRuntime('snippet.py');
+            assert.strictEqual(runtime.version, '2.7.13');
+            assert.deepStrictEqual(runtime.syntaxErrors, { 2: {}, 3: { 'snippet.py': SYNTAX_ERROR } });
+
+            runtime = await createStubbedStrategy({ python2: broken, python3: ok }).selectRuntime('snippet.py');
+            assert.strictEqual(runtime.version, '3.9');
+
+        });
+
+        it('falls back to the interpreter that is available', async () => {
+
+            let runtime = await createStubbedStrategy({ python3: broken }).selectRuntime('snippet.py');
+            assert.strictEqual(runtime.version, '3.9');
+            assert.match(runtime.reason, /Only python 3 is available/);
+
+            await assert.rejects(createStubbedStrategy({}).selectRuntime('snippet.py'), (err) => {
+                assert.ok(err instanceof errors.ParseError);
+                assert.match(err.message, /No working python interpreter found/);
+                return true;
+            });
+
+        });
+
+        it('uses a requested version, with the default image for a major version', async () => {
+
+            let strategy = createStubbedStrategy({ python2: ok, python3: ok });
+            assert.strictEqual((await strategy.selectRuntime('snippet.py', { pythonVersion: 2 })).version, '2.7.13');
+            assert.strictEqual((await strategy.selectRuntime('snippet.py', { pythonVersion: '3.6' })).version, '3.6');
+            await assert.rejects(strategy.selectRuntime('snippet.py', { pythonVersion: '4' }), errors.InvalidOptionError);
+
+        });
+
+    });
+
+    it('reads the dependencies declared next to a package, skipping files it cannot read', async () => {
+
+        let dir = helpers.writeFiles(helpers.tmpdir(), {
+            'snippet.py': 'import requests\n',
+            'requirements.txt': 'requests>=2.0\n',
+            'setup.py': 'from setuptools import setup\nsetup(name="app", install_requires=["six>=1.10", "-e ."])\n',
+            'Pipfile': '[packages]\nflask = "*"\n',
+            'environment.yml': 'dependencies: [numpy>=1.15'
+        });
+
+        let declared = await new PythonStrategy().parseDeclaredDependencies(path.join(dir, 'snippet.py'), { runtime: { version: '3.9' } });
+        assert.deepStrictEqual(declared, [
+            { name: 'requests', specifier: '>=2.0', source: 'requirements.txt' },
+            { name: 'six', specifier: '>=1.10', source: 'setup.py' },
+            { name: 'flask', specifier: '', source: 'Pipfile' }
+        ]);
+
+    });
+
+    it('parses a package with the python 3 interpreter', async () => {
+
+        let dir = helpers.writeFiles(helpers.tmpdir(), { 'snippet.py': 'import os, requests\nprint(f"{os.sep}")\n' });
+        let runtime = await new PythonStrategy().selectRuntime(path.join(dir, 'snippet.py'), { pythonVersion: '3' });
+        assert.deepStrictEqual(_.map(runtime.parseResult, 'imports'), [['requests']]);
+        assert.deepStrictEqual(runtime.syntaxErrors, { 3: {} });
+
+    });
+
+    it('tells local modules and package-relative imports apart from third party imports', async () => {
+
+        let dir = helpers.writeFiles(helpers.tmpdir(), {
+            'main.py': 'import utils\nimport mypkg.core\nfrom mypkg import helpers\nimport requests\n',
+            'utils.py': 'x = 1\n',
+            'mypkg/__init__.py': '',
+            'mypkg/core.py': 'from . import helpers\nfrom .helpers import x\nimport yaml\n',
+            'mypkg/helpers.py': 'x = 1\n'
+        });
+
+        let result = await new PythonStrategy().parsePackageDependencies(dir, 'python3');
+        let main = result[path.join(dir, 'main.py')];
+        let core = result[path.join(dir, 'mypkg', 'core.py')];
+        assert.deepStrictEqual(main.imports, ['requests']);
+        assert.deepStrictEqual(main.local_imports.sort(), ['mypkg', 'mypkg.core', 'utils']);
+        assert.deepStrictEqual(core.imports, ['yaml']);
+        assert.deepStrictEqual(core.local_imports, ['.helpers']);
+
+    });
+
+});
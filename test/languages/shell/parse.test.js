@@ -0,0 +1,76 @@
+/**
+ * Tests of the shell script parser.
+ *
+ * @module test/languages/shell/parse
+ */
+
+
+// Core/NPM Modules
+const assert           = require('assert');
+const path             = require('path');
+const { describe, it } = require('node:test');
+
+
+// Local Modules
+const parse            = require('../../../src/languages/shell/parse');
+const helpers          = require('../../helpers');
+
+
+describe('shell parse', () => {
+
+    it('finds commands in pipelines, lists, substitutions and loops', () => {
+
+        let result = parse.parseSource([
+            '#!/bin/bash',
+            'set -e',
+            'out=$(curl -s https://example.com | jq .name)',
+            'FOO=bar git clone x && /usr/bin/make -j4',
+            'for f in *.txt; do sort "$f" | uniq; done',
+            'timeout 5 ffmpeg -i in.mp4 out.mp4'
+        ].join('\n'));
+
+        assert.deepStrictEqual(result.imports.sort(), ['curl', 'ffmpeg', 'git', 'jq', 'make', 'sort', 'uniq']);
+        assert.deepStrictEqual(result.import_lines.curl, [3]);
+        assert.deepStrictEqual(result.import_lines.make, [4]);
+        assert.deepStrictEqual(result.calls, []);
+
+    });
+
+    it('skips builtins, functions, variables, comments and here-documents', () => {
+
+        let result = parse.parseSource([
+            '# curl in a comment',
+            'greet() { echo hi; }',
+            'greet',
+            'cd /tmp && export X=1',
+            '$EDITOR file',
+            'cat <<EOF',
+            'convert is not a command here',
+            'EOF'
+        ].join('\n'));
+
+        assert.deepStrictEqual(result.imports, ['cat']);
+
+    });
+
+    it('reports scripts run by relative path as local', () => {
+
+        let result = parse.parseSource('./build.sh --fast\n../scripts/deploy.sh\n');
+        assert.deepStrictEqual(result.imports, []);
+        assert.deepStrictEqual(result.local_imports, ['./build.sh', '../scripts/deploy.sh']);
+
+    });
+
+    it('finds scripts by extension or shebang', () => {
+
+        let dir = helpers.writeFiles(helpers.tmpdir(), {
+            'run.sh': 'echo\n',
+            'tools/setup': '#!/usr/bin/env bash\necho\n',
+            'tools/notes.txt': 'echo\n',
+            'tools/script.py': '#!/usr/bin/env python\n'
+        });
+        assert.deepStrictEqual(parse.findFiles(dir).map(f => path.relative(dir, f)).sort(), ['run.sh', 'tools/setup']);
+
+    });
+
+});
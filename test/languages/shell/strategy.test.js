@@ -0,0 +1,68 @@
+/**
+ * Tests of the shell language strategy.
+ *
+ * @module test/languages/shell/strategy
+ */
+
+
+// Core/NPM Modules
+const assert           = require('assert');
+const path             = require('path');
+const { describe, it } = require('node:test');
+
+
+// Local Modules
+const ShellStrategy    = require('../../../src/languages/shell/strategy');
+const helpers          = require('../../helpers');
+
+
+describe('ShellStrategy', () => {
+
+    it('maps commands to the apt packages providing them', () => {
+
+        let mapping = new ShellStrategy().mapCommands({
+            '/app/run.sh': {
+                imports: ['bzcat', 'ls', 'tool.sh', 'frobnicate', 'bunzip2'],
+                local_imports: ['./helper.sh'],
+                import_lines: { bzcat: [1], bunzip2: [2], ls: [3], 'tool.sh': [4], './helper.sh': [5] },
+                calls: []
+            },
+            '/app/tool.sh': { imports: [], local_imports: [], import_lines: {}, calls: [] }
+        });
+
+        assert.deepStrictEqual(mapping.items, [{ command: 'bzcat', package: 'bzip2' }, { command: 'bunzip2', package: 'bzip2' }]);
+        assert.deepStrictEqual(mapping.preinstalled, ['ls']);
+        assert.deepStrictEqual(mapping.unknown, ['frobnicate']);
+        assert.deepStrictEqual(mapping.parseResult['/app/run.sh'].imports, ['bzip2']);
+        assert.deepStrictEqual(mapping.parseResult['/app/run.sh'].import_lines.bzip2, [1, 2]);
+        assert.deepStrictEqual(mapping.parseResult['/app/run.sh'].local_imports, ['./helper.sh', 'tool.sh']);
+
+    });
+
+    it('dockerizes a script directory, installing packages in one layer and running its entry point', async () => {
+
+        let dir = helpers.tmpdir();
+        helpers.writeFiles(dir, {
+            'app/run.sh': '#!/bin/bash\ncurl -s https://example.com | jq .\ngit status\n./helper.sh\nfrobnicate\n',
+            'app/helper.sh': 'ls\n'
+        });
+
+        let data = await new ShellStrategy().getDockerfileData({
+            pkg: path.join(dir, 'app'),
+            context: dir,
+            graph: helpers.writeGraph(dir, []),
+            cacheMode: 'bypass'
+        });
+
+        assert.deepStrictEqual(data.commands.unknown, ['frobnicate']);
+        assert.deepStrictEqual(data.localImports, { count: 1, items: ['./helper.sh'] });
+        assert.deepStrictEqual(data.dockerfile.trim().split('\n'), [
+            'FROM debian:bookworm-slim',
+            'COPY app /app',
+            'RUN ["/bin/sh","-c","apt-get update && apt-get install -y --no-install-recommends curl jq git && rm -rf /var/lib/apt/lists/*"]',
+            'CMD ["bash","/app/run.sh"]'
+        ]);
+
+    });
+
+});
@@ -0,0 +1,160 @@
+/**
+ * Tests of per-project overrides, read from .dockerizeme.yml files.
+ *
+ * @module test/overrides
+ */
+
+
+// Core/NPM Modules
+const assert           = require('assert');
+const path             = require('path');
+const { describe, it } = require('node:test');
+const _                = require('lodash');
+
+
+// Local Modules
+const PythonStrategy   = require('../src/languages/python/strategy');
+const errors           = require('../src/errors');
+const overrides        = require('../src/overrides');
+const helpers          = require('./helpers');
+
+
+// Constants
+const OVERRIDES = [
+    'mappings:',
+    '  cv2: opencv-python',
+    '  yaml: pip:PyYAML',
+    'versions:',
+    '  requests: 2.0',
+    'packages:',
+    '  - apt:libgl1',
+    'ignore: [mylocalmodule]',
+    'image: python:3.8',
+    'cmd: python /app/main.py --debug'
+].join('\n');
+
+
+describe('overrides', () => {
+
+    it('parses every key', () => {
+
+        assert.deepStrictEqual(overrides.parseOverrides(OVERRIDES, '.dockerizeme.yml'), {
+            mappings: { cv2: 'opencv-python', yaml: 'pip:PyYAML' },
+            versions: { requests: '2.0' },
+            packages: ['apt:libgl1'],
+            ignore: ['mylocalmodule'],
+            image: { name: 'python', version: '3.8' },
+            cmd: { command: 'python', args: ['/app/main.py', '--debug'] }
+        });
+        assert.deepStrictEqual(overrides.parseOverrides('', '.dockerizeme.yml'), {});
+        assert.deepStrictEqual(overrides.parseOverrides('ignore: six\nimage: python\ncmd: [node, 8]', '.dockerizeme.yml'), {
+            ignore: ['six'],
+            image: { name: 'python', version: 'latest' },
+            cmd: { command: 'node', args: ['8'] }
+        });
+
+    });
+
+    it('rejects invalid files with the key at fault', () => {
+
+        for (let [contents, key] of [
+            ['mappings: [cv2]', 'mappings'],
+            ['versions:\n  requests: [1, 2]', 'versions'],
+            ['packages:\n  - name: six', 'packages'],
+            ['image: python:3.8:slim', 'image'],
+            ['cmd: []', 'cmd'],
+            ['images: python', 'images'],
+            ['- python', undefined],
+            ['mappings: {', undefined]
+        ]) {
+            assert.throws(() => overrides.parseOverrides(contents, '.dockerizeme.yml'), (err) => {
+                assert.ok(err instanceof errors.InvalidOptionError, contents);
+                assert.match(err.message, /^Invalid overrides in \.dockerizeme\.yml: /);
+                assert.strictEqual(err.details.key, key, contents);
+                return true;
+            });
+        }
+
+    });
+
+    it('finds the file next to a package or its first file', async () => {
+
+        let dir = helpers.writeFiles(helpers.tmpdir(), { 'app/main.py': '', 'app/.dockerizeme.yaml': '', 'other/main.py': '' });
+        let filename = path.join(dir, 'app', '.dockerizeme.yaml');
+        assert.strictEqual(await overrides.findOverrides(path.join(dir, 'app')), filename);
+        assert.strictEqual(await overrides.findOverrides([path.join(dir, 'app', 'main.py'), path.join(dir, 'other', 'main.py')]), filename);
+        assert.strictEqual(await overrides.findOverrides(path.join(dir, 'other')), undefined);
+
+    });
+
+    it('matches resources by their longest parent module', () => {
+
+        assert.strictEqual(overrides.matchResource(['yaml', 'google', 'google.auth'], 'google.auth.transport'), 'google.auth');
+        assert.strictEqual(overrides.matchResource(['lodash'], 'lodash/fp'), 'lodash');
+        assert.strictEqual(overrides.matchResource(['yaml'], 'yamlx'), undefined);
+
+    });
+
+});
+
+
+describe('LanguageStrategy#getDockerfileData overrides', () => {
+
+    let packages = [
+        { name: 'requests', resources: ['requests'] },
+        { name: 'opencv-python', resources: ['opencv'] },
+        { name: 'pyyaml', resources: ['ruamel'] },
+        { name: 'mylocalmodule', resources: ['mylocalmodule'] }
+    ];
+
+    /**
+     * Dockerize a package with an overrides file, against a graph in which no import resolves
+     * to the package it is mapped to.
+     *
+     * @param   {Object}           options Dockerize options.
+     * @returns {Promise.<Object>}         Dockerfile data.
+     */
+    async function getDockerfileData(options = {}) {
+
+        let dir = helpers.tmpdir();
+        helpers.writeFiles(path.join(dir, 'app'), {
+            'main.py': 'import cv2\nimport yaml.constructor\nimport mylocalmodule\nimport requests\n',
+            '.dockerizeme.yml': OVERRIDES
+        });
+        return new PythonStrategy().getDockerfileData(_.assign({
+            pkg: path.join(dir, 'app'),
+            graph: helpers.writeGraph(dir, packages),
+            packageIndex: helpers.writeIndex(path.join(dir, 'index'), { requests: ['1.0', '2.0'], 'opencv-python': ['4.0'], pyyaml: ['5.1'], mylocalmodule: ['1.0'] }),
+            cacheMode: 'bypass',
+            pythonVersion: '3'
+        }, options));
+
+    }
+
+    it('applies mappings, versions, packages, ignored imports, image and command', async () => {
+
+        let data = await getDockerfileData();
+        assert.deepStrictEqual(_.sortBy(data.dependencies, 'name'), [
+            { name: 'libgl1', system: 'apt' },
+            { name: 'opencv-python', system: 'pip', version: '4.0' },
+            { name: 'pyyaml', system: 'pip', version: '5.1' },
+            { name: 'requests', system: 'pip', version: '2.0' }
+        ]);
+        assert.deepStrictEqual(_.map(data.overrides.applied, o => `${o.type}:${o.resource || o.name || o.command}`), [
+            'ignore:mylocalmodule', 'mapping:cv2', 'mapping:yaml.constructor', 'package:libgl1', 'version:requests', 'image:python', 'cmd:python'
+        ]);
+        assert.match(data.dockerfile, /^FROM python:3\.8$/m);
+        assert.match(data.dockerfile, /^CMD \["python","\/app\/main\.py","--debug"\]$/m);
+        assert.match(data.dockerfile, /requests==2\.0/);
+
+    });
+
+    it('ignores the file when overrides are disabled', async () => {
+
+        let data = await getDockerfileData({ overrides: false });
+        assert.strictEqual(data.overrides, undefined);
+        assert.deepStrictEqual(_.sortBy(_.map(data.dependencies, 'name')), ['mylocalmodule', 'requests']);
+
+    });
+
+});
@@ -0,0 +1,77 @@
+/**
+ * Tests of the provenance graph.
+ *
+ * @module test/provenance
+ */
+
+
+// Core/NPM Modules
+const assert           = require('assert');
+const { describe, it } = require('node:test');
+
+
+// Local Modules
+const Provenance       = require('../src/provenance');
+
+
+describe('Provenance', () => {
+
+    it('keeps one node per id and one edge per step, without self loops', () => {
+
+        let provenance = new Provenance();
+        let file = provenance.addNode(Provenance.fileId('main.py'), { type: 'file', name: 'main.py' });
+        provenance.addNode(file, { type: 'file', name: 'other.py' });
+        provenance.addEdge(file, Provenance.resourceId('yaml'), 'import', { lines: [1], unknown: undefined });
+        provenance.addEdge(file, Provenance.resourceId('yaml'), 'import', { lines: [1] });
+        provenance.addEdge(file, file, 'import');
+
+        assert.deepStrictEqual(provenance.toJSON(), {
+            nodes: [{ id: 'file:main.py', type: 'file', name: 'main.py' }],
+            edges: [{ from: 'file:main.py', to: 'resource:yaml', type: 'import', lines: [1] }]
+        });
+
+    });
+
+    it('describes each inference step', () => {
+
+        let provenance = new Provenance();
+        provenance.addNode('resource:yaml', { type: 'resource', name: 'yaml' });
+        let describe = (type, properties) => provenance.describeEdge({ from: 'resource:yaml', to: 'package:pyyaml,pip', type, ...properties });
+
+        assert.strictEqual(describe('import', { lines: [1, 4] }), 'imported by yaml:1,4');
+        assert.strictEqual(describe('resource_match', { match: 'name' }), 'graph package matching resource yaml by name');
+        assert.strictEqual(
+            describe('resource_match', { match: 'resource', resources: ['yaml'], symbols: ['yaml.safe_load'], rank: 1, score: 0.9 }),
+            'graph package providing yaml, matching resource yaml, exporting called yaml.safe_load, ranked 1 with score 0.9'
+        );
+        assert.strictEqual(describe('association', { confidence: 0.8, lift: 2 }), 'association with yaml (confidence 0.8, lift 2)');
+        assert.strictEqual(describe('mapping', { file: '.dockerizeme.yml', mapping: 'yaml' }), 'mapped from resource yaml by .dockerizeme.yml');
+        assert.strictEqual(describe('declared', { specifier: '>=5' }), 'declared by yaml as >=5');
+        assert.strictEqual(describe('unheard_of'), 'unheard_of of yaml');
+
+    });
+
+    it('explains packages back to their files, without repeating steps', () => {
+
+        let provenance = new Provenance();
+        provenance.addNode('file:main.py', { type: 'file', name: 'main.py' });
+        provenance.addNode('resource:dashtable', { type: 'resource', name: 'dashtable' });
+        provenance.addNode('package:dashtable,pip', { type: 'package', name: 'dashtable', system: 'pip', version: '1.4.5' });
+        provenance.addNode('package:beautifulsoup4,pip', { type: 'package', name: 'beautifulsoup4', system: 'pip' });
+        provenance.addEdge('file:main.py', 'resource:dashtable', 'import', { lines: [1] });
+        provenance.addEdge('resource:dashtable', 'package:dashtable,pip', 'resource_match', { match: 'resource', resources: ['dashtable'] });
+        provenance.addEdge('package:dashtable,pip', 'package:beautifulsoup4,pip', 'resource_dependency', { resources: ['bs4'] });
+
+        assert.strictEqual(provenance.explain(['package:beautifulsoup4,pip', 'package:dashtable,pip']), [
+            'beautifulsoup4 (pip)',
+            '  <- resource dependency of dashtable on bs4',
+            '    <- graph package providing dashtable, matching resource dashtable',
+            '      <- imported by main.py:1',
+            'dashtable==1.4.5 (pip)',
+            '  <- graph package providing dashtable, matching resource dashtable',
+            '    <- imported by main.py:1'
+        ].join('\n'));
+
+    });
+
+});
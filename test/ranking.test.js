@@ -0,0 +1,154 @@
+/**
+ * Tests of the ranking of ambiguous resource matches.
+ *
+ * @module test/ranking
+ */
+
+
+// Core/NPM Modules
+const assert           = require('assert');
+const { describe, it } = require('node:test');
+const _                = require('lodash');
+
+
+// Local Modules
+const MemoryGraphStore = require('../src/graphs/memory/store');
+const PythonStrategy   = require('../src/languages/python/strategy');
+const ranking          = require('../src/ranking');
+const helpers          = require('./helpers');
+
+
+describe('ranking', () => {
+
+    it('groups the matches of a package into one candidate', () => {
+
+        let candidates = ranking.groupCandidates([
+            { name: 'pyyaml', system: 'pip', via: { type: 'resource', resources: ['yaml'] } },
+            { name: 'pyyaml', system: 'pip', via: { type: 'name', resources: [] } }
+        ]);
+        assert.deepStrictEqual(candidates, [{ name: 'pyyaml', system: 'pip', nameMatch: true, resources: ['yaml'] }]);
+
+    });
+
+    it('scores exact matches above prefixes, and prefixes at a module boundary above others', () => {
+
+        assert.strictEqual(ranking.scoreMatch({ resources: ['google.auth'] }, 'google.auth'), 1);
+        assert.strictEqual(ranking.scoreMatch({ resources: ['google'] }, 'google.auth'), 6 / 11);
+        assert.strictEqual(ranking.scoreMatch({ resources: ['goo'] }, 'google.auth'), 0.5 * 3 / 11);
+        assert.strictEqual(ranking.scoreMatch({ nameMatch: true, resources: [] }, 'anything'), 1);
+
+    });
+
+    it('scores the calls explained by exported symbols', () => {
+
+        let calls = ranking.resourceCalls(['yaml.safe_load', 'yaml.dump', 'json.loads', 'yaml.safe_load'], 'yaml');
+        assert.deepStrictEqual(calls, ['yaml.safe_load', 'yaml.dump']);
+        assert.deepStrictEqual(ranking.callSymbols('yaml.load.get', 'yaml'), ['yaml.load.get', 'yaml.load']);
+        assert.strictEqual(ranking.scoreSymbols(['yaml.safe_load'], calls, 'yaml'), 0.5);
+        assert.strictEqual(ranking.scoreSymbols([], [], 'yaml'), 0);
+
+    });
+
+    it('scores popularity on a log scale relative to the most popular candidate', () => {
+
+        assert.deepStrictEqual(ranking.scorePopularity([0, 0]), [0, 0]);
+        let scores = ranking.scorePopularity([0, 3, 15]);
+        assert.strictEqual(scores[0], 0);
+        assert.strictEqual(scores[2], 1);
+        assert.strictEqual(scores[1], 0.5);
+
+    });
+
+    it('scores co-occurrence with the candidates of other imports', () => {
+
+        let others = [[{ name: 'requests', system: 'pip' }], [{ name: 'six', system: 'pip' }]];
+        assert.strictEqual(ranking.scoreCooccurrence([{ name: 'requests', system: 'pip' }], others), 0.5);
+        assert.strictEqual(ranking.scoreCooccurrence([], []), 0);
+
+    });
+
+    it('only weighs symbols when a candidate exports a called symbol', () => {
+
+        assert.strictEqual(ranking.getWeights([{ symbols: 0.5 }, { symbols: 0 }]), ranking.WEIGHTS);
+        let weights = ranking.getWeights([{ symbols: 0 }, { symbols: 0 }]);
+        assert.ok(!('symbols' in weights));
+        assert.strictEqual(_.round(_.sum(_.values(weights)), 10), 1);
+
+    });
+
+    it('lets the called symbol pick the winner of a tie', () => {
+
+        let tie = { match: 1, cooccurrence: 0, popularity: 0, nameMatch: false };
+        let ranked = ranking.rank([
+            _.assign({ name: 'aaa', symbols: 0 }, tie),
+            _.assign({ name: 'zzzz', symbols: 1 }, tie)
+        ]);
+        assert.deepStrictEqual(_.map(ranked, 'name'), ['zzzz', 'aaa']);
+        assert.deepStrictEqual(_.map(ranked, 'rank'), [1, 2]);
+        assert.ok(ranked[0].score > ranked[1].score);
+
+    });
+
+    it('breaks ties by symbols before name match and name', () => {
+
+        let ranked = ranking.rank([
+            { name: 'a', nameMatch: true, match: 0, symbols: 0, cooccurrence: 0, popularity: 0 },
+            { name: 'b', nameMatch: false, match: 0, symbols: 0, cooccurrence: 0, popularity: 0 }
+        ]);
+        assert.deepStrictEqual(_.map(ranked, 'name'), ['a', 'b']);
+
+    });
+
+});
+
+
+describe('LanguageStrategy#rankResourcePackages', () => {
+
+    /**
+     * Rank the candidates of a resource in a graph.
+     *
+     * @param   {Array.<Object>}           packages Graph packages, see helpers.buildGraph.
+     * @param   {Array.<String>}           calls    Parsed calls.
+     * @returns {Promise.<Array.<Object>>}          Rankings.
+     */
+    async function rankResource(packages, calls) {
+
+        let store = await (new MemoryGraphStore({ graph: helpers.writeGraph(helpers.tmpdir(), packages) })).initialize();
+        let strategy = new PythonStrategy();
+        let lookups = { yaml: await store.lookupResourcePackages('yaml', 'pip') };
+        return strategy.rankResourcePackages(store, lookups, calls, {});
+
+    }
+
+    it('picks the candidate exporting the called symbol when the rest ties', async () => {
+
+        let packages = [
+            { name: 'yaml-a', resources: ['yaml'], symbols: ['yaml.load'] },
+            { name: 'yaml-b', resources: ['yaml'], symbols: ['yaml.safe_load'] }
+        ];
+
+        let [item] = await rankResource(packages, ['yaml.safe_load']);
+        let [first, second] = item.candidates;
+        assert.strictEqual(first.name, 'yaml-b');
+        assert.deepStrictEqual(first.matchedSymbols, ['yaml.safe_load']);
+        assert.strictEqual(first.symbols, 1);
+        assert.strictEqual(second.symbols, 0);
+        assert.deepStrictEqual(_.map([first, second], c => [c.match, c.cooccurrence, c.popularity]), [[1, 0, 0], [1, 0, 0]]);
+
+        [item] = await rankResource(packages, ['yaml.load']);
+        assert.strictEqual(item.candidates[0].name, 'yaml-a');
+
+    });
+
+    it('records the symbol evidence of a lone candidate', async () => {
+
+        let [item] = await rankResource([{ name: 'pyyaml', resources: ['yaml'], symbols: ['yaml.safe_load'] }], ['yaml.safe_load']);
+        assert.strictEqual(item.candidates.length, 1);
+        assert.strictEqual(item.candidates[0].rank, 1);
+        assert.deepStrictEqual(item.candidates[0].matchedSymbols, ['yaml.safe_load']);
+        assert.strictEqual(item.candidates[0].symbols, 1);
+        assert.ok(!('score' in item.candidates[0]));
+
+    });
+
+});
@@ -0,0 +1,156 @@
+/**
+ * Tests of the scheduler of graph and package index calls.
+ *
+ * @module test/scheduler
+ */
+
+
+// Core/NPM Modules
+const assert           = require('assert');
+const Bluebird         = require('bluebird');
+const path             = require('path');
+const { describe, it } = require('node:test');
+const _                = require('lodash');
+
+
+// Local Modules
+const PythonStrategy   = require('../src/languages/python/strategy');
+const Scheduler        = require('../src/scheduler');
+const errors           = require('../src/errors');
+const helpers          = require('./helpers');
+
+
+/**
+ * Create a call failing with a package index error a number of times before succeeding.
+ *
+ * @param   {Number}   failures   Number of failures.
+ * @param   {Number}   statusCode HTTP status code of the failures.
+ * @returns {Function}            Call, with the times of its attempts as `attempts`.
+ */
+function createFlakyCall(failures, statusCode = 503) {
+
+    let call = () => {
+        call.attempts.push(Date.now());
+        if (call.attempts.length <= failures) {
+            return Promise.reject(new errors.PackageIndexError('Unavailable', { statusCode }));
+        }
+        return Promise.resolve('result');
+    };
+    call.attempts = [];
+    return call;
+
+}
+
+
+describe('Scheduler', () => {
+
+    it('runs at most requestConcurrency calls at once', async () => {
+
+        let scheduler = new Scheduler({ requestConcurrency: 2 });
+        let running = 0;
+        let maxRunning = 0;
+        let results = await Promise.all(_.times(6, i => scheduler.run('graph', async () => {
+            maxRunning = Math.max(maxRunning, ++running);
+            await Bluebird.delay(5);
+            running--;
+            return i;
+        })));
+
+        assert.deepStrictEqual(results, [0, 1, 2, 3, 4, 5]);
+        assert.strictEqual(maxRunning, 2);
+        assert.strictEqual(scheduler.active, 0);
+        assert.strictEqual(scheduler.queue.length, 0);
+
+    });
+
+    it('releases the slot of a failed call', async () => {
+
+        let scheduler = new Scheduler({ requestConcurrency: 1 });
+        await assert.rejects(scheduler.run('graph', () => Promise.reject(new Error('failed'))), /failed/);
+        assert.strictEqual(await scheduler.run('graph', () => 'next'), 'next');
+        assert.strictEqual(scheduler.active, 0);
+
+    });
+
+    it('retries transient failures with exponential backoff', async () => {
+
+        let scheduler = new Scheduler({ retries: 3, retryDelay: 20 });
+        let call = createFlakyCall(2);
+        assert.strictEqual(await scheduler.run('index', call), 'result');
+
+        assert.strictEqual(call.attempts.length, 3);
+        assert.ok(call.attempts[1] - call.attempts[0] >= 20 - 1);
+        assert.ok(call.attempts[2] - call.attempts[1] >= 40 - 1);
+
+    });
+
+    it('gives up after the last retry, and never retries other failures', async () => {
+
+        let scheduler = new Scheduler({ retries: 2, retryDelay: 1 });
+        let call = createFlakyCall(5);
+        await assert.rejects(scheduler.run('index', call), errors.PackageIndexError);
+        assert.strictEqual(call.attempts.length, 3);
+
+        call = createFlakyCall(5, 404);
+        await assert.rejects(scheduler.run('index', call), errors.PackageIndexError);
+        assert.strictEqual(call.attempts.length, 1);
+
+    });
+
+    it('summarizes the calls of each kind', async () => {
+
+        let scheduler = new Scheduler({ requestConcurrency: 3, retries: 1, retryDelay: 1 });
+        await scheduler.run('graph', () => 'result');
+        await scheduler.run('index', createFlakyCall(1));
+        await scheduler.run('index', createFlakyCall(2)).catch(_.noop);
+
+        let summary = scheduler.summary();
+        assert.deepStrictEqual(_.pick(summary, ['concurrency', 'maxRetries', 'retries']), { concurrency: 3, maxRetries: 1, retries: 2 });
+        assert.deepStrictEqual(_.map(summary.items, i => _.pick(i, ['kind', 'calls', 'retries', 'failures'])), [
+            { kind: 'graph', calls: 1, retries: 0, failures: 0 },
+            { kind: 'index', calls: 2, retries: 2, failures: 1 }
+        ]);
+
+    });
+
+    it('validates its options and is shared through the options', () => {
+
+        assert.throws(() => new Scheduler({ requestConcurrency: 0 }), errors.InvalidOptionError);
+        assert.throws(() => new Scheduler({ retries: 1.5 }), errors.InvalidOptionError);
+
+        let scheduler = new Scheduler();
+        assert.strictEqual(Scheduler.fromOptions({ scheduler }), scheduler);
+        assert.ok(Scheduler.fromOptions({}) instanceof Scheduler);
+
+    });
+
+});
+
+
+describe('LanguageStrategy#inferDependencies scheduling', () => {
+
+    it('retries failing package index requests before giving up', async () => {
+
+        let dir = helpers.tmpdir();
+        helpers.writeFiles(dir, { 'app/main.py': 'import six\n' });
+        let { server, url, requests } = await helpers.serveRoutes({ '/pypi/six/json': [503] });
+
+        try {
+            await assert.rejects(new PythonStrategy().getDockerfileData({
+                pkg: path.join(dir, 'app'),
+                graph: helpers.writeGraph(dir, [{ name: 'six', resources: ['six'] }]),
+                packageIndex: `${url}/pypi/`,
+                cacheMode: 'bypass',
+                pythonVersion: '3',
+                retries: 2,
+                retryDelay: 1
+            }), errors.PackageIndexError);
+            assert.deepStrictEqual(requests, _.times(3, _.constant('/pypi/six/json')));
+        }
+        finally {
+            server.close();
+        }
+
+    });
+
+});
@@ -0,0 +1,188 @@
+/**
+ * Tests of the HTTP service, run against a graph file and a directory package index.
+ *
+ * @module test/server
+ */
+
+
+// Core/NPM Modules
+const assert                          = require('assert');
+const child_process                   = require('child_process');
+const fs                              = require('fs');
+const http                            = require('http');
+const net                             = require('net');
+const path                            = require('path');
+const { describe, it, before, after } = require('node:test');
+
+
+// Local Modules
+const serve                           = require('../src/server');
+const helpers                         = require('./helpers');
+
+
+/**
+ * Get a free local port.
+ *
+ * @returns {Promise.<Number>} Port.
+ */
+function getFreePort() {
+    return new Promise((resolve, reject) => {
+        let probe = net.createServer().listen(0, '127.0.0.1', () => {
+            let port = probe.address().port;
+            probe.close(() => resolve(port));
+        }).on('error', reject);
+    });
+}
+
+
+/**
+ * Send a request to the server.
+ *
+ * @param   {Number}           port    Server port.
+ * @param   {String}           method  HTTP method.
+ * @param   {String}           url     Request path and query.
+ * @param   {Object}           headers Request headers.
+ * @param   {String|Buffer}    body    Request body.
+ * @returns {Promise.<Object>}         Response `status`, `type` and `body`, parsed if JSON.
+ */
+function request(port, method, url, headers = {}, body = null) {
+    return new Promise((resolve, reject) => {
+        let req = http.request({ host: '127.0.0.1', port, method, path: url, headers }, (res) => {
+            let chunks = [];
+            res.on('data', chunk => chunks.push(chunk));
+            res.on('end', () => {
+                let text = Buffer.concat(chunks).toString('utf8');
+                let type = res.headers['content-type'];
+                resolve({ status: res.statusCode, type, body: /json/.test(type) ? JSON.parse(text) : text });
+            });
+        });
+        req.on('error', reject);
+        req.end(body);
+    });
+}
+
+
+/**
+ * Create a gzipped tar archive of a directory's contents.
+ *
+ * @param   {String} dir Directory to archive.
+ * @returns {Buffer}     Archive contents.
+ */
+function archive(dir) {
+    return child_process.execFileSync('tar', ['-czf', '-', '-C', dir, '.']);
+}
+
+
+describe('server', () => {
+
+    let port;
+    let server;
+
+    before(async () => {
+        let dir = helpers.tmpdir();
+        port = await getFreePort();
+        server = await serve({
+            port,
+            graph: helpers.writeGraph(dir, [
+                { name: 'dashtable', resources: ['dashtable'], dependencies: ['bs4'] },
+                { name: 'beautifulsoup4', resources: ['bs4'] }
+            ]),
+            packageIndex: helpers.writeIndex(path.join(dir, 'index'), { dashtable: ['1.4.5'], beautifulsoup4: ['4.6.0'], six: ['1.16.0'] }),
+            cacheMode: 'bypass',
+            pythonVersion: '3'
+        });
+    });
+
+    after(() => server.close());
+
+    it('answers health checks', async () => {
+
+        let res = await request(port, 'GET', '/health');
+        assert.strictEqual(res.status, 200);
+        assert.deepStrictEqual(res.body, { status: 'ok' });
+
+    });
+
+    it('dockerizes a snippet sent as text', async () => {
+
+        let res = await request(port, 'POST', '/dockerize', { 'Content-Type': 'text/plain' }, 'import dashtable\n');
+        assert.strictEqual(res.status, 200);
+        assert.match(res.body, /^FROM python:/);
+        assert.match(res.body, /"beautifulsoup4==4\.6\.0","dashtable==1\.4\.5"/);
+
+    });
+
+    it('answers the requested format of a JSON request', async () => {
+
+        let res = await request(port, 'POST', '/dockerize?format=install-commands', { 'Content-Type': 'application/json' },
+            JSON.stringify({ snippet: 'import dashtable\n' }));
+        assert.strictEqual(res.status, 200);
+        assert.strictEqual(res.body, 'pip install --no-cache-dir beautifulsoup4==4.6.0 dashtable==1.4.5');
+
+    });
+
+    it('answers invalid requests with a 4xx status', async () => {
+
+        let res = await request(port, 'POST', '/dockerize?format=yaml', {}, 'import dashtable\n');
+        assert.strictEqual(res.status, 400);
+
+        res = await request(port, 'POST', '/dockerize', { 'Content-Type': 'application/json' }, '{');
+        assert.strictEqual(res.status, 400);
+
+        res = await request(port, 'GET', '/dockerize');
+        assert.strictEqual(res.status, 405);
+
+        res = await request(port, 'GET', '/nothing');
+        assert.strictEqual(res.status, 404);
+
+    });
+
+    it('refuses unsupported languages before building any path', async () => {
+
+        for (let language of ['../../../../tmp/x', 'toString', 'ruby']) {
+            let res = await request(port, 'POST', `/dockerize?language=${encodeURIComponent(language)}`, {}, 'puts 1\n');
+            assert.strictEqual(res.status, 400, language);
+            assert.strictEqual(res.body.code, 'UNSUPPORTED_LANGUAGE');
+        }
+
+    });
+
+    it('dockerizes a package archive, following requirements includes inside it', async () => {
+
+        let dir = helpers.writeFiles(helpers.tmpdir(), {
+            'app/main.py': 'import dashtable\n',
+            'app/requirements.txt': '-r requirements/base.txt\n',
+            'app/requirements/base.txt': 'six\n'
+        });
+        let res = await request(port, 'POST', '/dockerize?format=metadata', { 'Content-Type': 'application/gzip' }, archive(dir));
+        assert.strictEqual(res.status, 200);
+        assert.ok(res.body.dependencies.some(d => d.name === 'six'));
+
+    });
+
+    it('does not read requirements includes outside the archive', async () => {
+
+        for (let include of ['/etc/hostname', '../../../../etc/hostname']) {
+            let dir = helpers.writeFiles(helpers.tmpdir(), {
+                'app/main.py': 'import dashtable\n',
+                'app/requirements.txt': `-r ${include}\nsix\n`
+            });
+            let res = await request(port, 'POST', '/dockerize?format=metadata', { 'Content-Type': 'application/gzip' }, archive(dir));
+            assert.strictEqual(res.status, 200, include);
+            assert.ok(!res.body.dependencies.some(d => d.name === 'six'), include);
+            assert.strictEqual(res.body.declaredDependencies, undefined);
+        }
+
+    });
+
+    it('refuses archives holding symbolic links', async () => {
+
+        let dir = helpers.writeFiles(helpers.tmpdir(), { 'app/main.py': 'import dashtable\n' });
+        fs.symlinkSync('/etc/hostname', path.join(dir, 'app', 'requirements.txt'));
+        let res = await request(port, 'POST', '/dockerize', { 'Content-Type': 'application/gzip' }, archive(dir));
+        assert.strictEqual(res.status, 400);
+        assert.match(res.body.error, /Must only hold files and directories: app\/requirements\.txt/);
+
+    });
+
+});
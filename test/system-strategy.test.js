@@ -0,0 +1,63 @@
+/**
+ * Tests of the system strategy base class.
+ *
+ * @module test/system-strategy
+ */
+
+
+// Core/NPM Modules
+const assert           = require('assert');
+const { describe, it } = require('node:test');
+
+
+// Local Modules
+const SystemStrategy   = require('../src/system-strategy');
+
+
+/**
+ * System installing one package per command, relying on the default way of combining them.
+ */
+class GemStrategy extends SystemStrategy {
+
+    /**
+     * System name.
+     *
+     * @returns {String} System name.
+     */
+    get system() { return 'gem'; }
+
+    /**
+     * Get a command installing one gem.
+     *
+     * @param   {Object} pkg Package object.
+     * @returns {Object}     Run command object.
+     */
+    getInstallRunCommand(pkg) {
+        return { command: 'gem', args: ['install', pkg.name].concat(pkg.version ? ['-v', pkg.version] : []) };
+    }
+
+}
+
+
+describe('SystemStrategy', () => {
+
+    it('quotes words for the shell only when needed', () => {
+
+        assert.strictEqual(SystemStrategy.quote('requests==2.0'), 'requests==2.0');
+        assert.strictEqual(SystemStrategy.quote('six>=1.10'), '\'six>=1.10\'');
+        assert.strictEqual(SystemStrategy.quote('it\'s'), '\'it\'\\\'\'s\'');
+
+    });
+
+    it('chains the commands of several packages in one shell layer', () => {
+
+        let strategy = new GemStrategy();
+        assert.deepStrictEqual(strategy.getInstallRunCommands([{ name: 'rake' }]), { command: 'gem', args: ['install', 'rake'] });
+        assert.deepStrictEqual(strategy.getInstallRunCommands([{ name: 'rake' }, { name: 'rails', version: '>= 5' }]), {
+            command: '/bin/sh',
+            args: ['-c', 'gem install rake && gem install rails -v \'>= 5\'']
+        });
+
+    });
+
+});
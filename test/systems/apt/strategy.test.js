@@ -0,0 +1,31 @@
+/**
+ * Tests of the apt system strategy.
+ *
+ * @module test/systems/apt/strategy
+ */
+
+
+// Core/NPM Modules
+const assert           = require('assert');
+const { describe, it } = require('node:test');
+
+
+// Local Modules
+const APTStrategy      = require('../../../src/systems/apt/strategy');
+
+
+describe('APTStrategy', () => {
+
+    it('updates, installs and cleans up in one layer, quoting package names', () => {
+
+        let run = new APTStrategy().getInstallRunCommands([{ name: 'curl' }, { name: 'libssl-dev', version: '1.1.1*' }]);
+        assert.deepStrictEqual(run, {
+            command: '/bin/sh',
+            args: ['-c', 'apt-get update && apt-get install -y --no-install-recommends curl \'libssl-dev=1.1.1*\' && rm -rf /var/lib/apt/lists/*']
+        });
+        assert.deepStrictEqual(new APTStrategy().getInstallRunCommand({ name: 'git' }).args[1],
+            'apt-get update && apt-get install -y --no-install-recommends git && rm -rf /var/lib/apt/lists/*');
+
+    });
+
+});
@@ -0,0 +1,81 @@
+/**
+ * Tests of the npm system strategy.
+ *
+ * @module test/systems/npm/strategy
+ */
+
+
+// Core/NPM Modules
+const assert           = require('assert');
+const { describe, it } = require('node:test');
+
+
+// Local Modules
+const NPMStrategy      = require('../../../src/systems/npm/strategy');
+const config           = require('../../../src/config');
+const errors           = require('../../../src/errors');
+const helpers          = require('../../helpers');
+
+
+describe('NPMStrategy', () => {
+
+    it('installs packages with their version or specifier in one command', () => {
+
+        let run = new NPMStrategy().getInstallRunCommands([
+            { name: 'lodash', version: '4.17.21' },
+            { name: 'request', specifier: '^2.88.0' },
+            { name: 'yargs' }
+        ]);
+        assert.deepStrictEqual(run, {
+            command: 'npm',
+            args: ['install', '--prefix', '/', 'lodash@4.17.21', 'request@^2.88.0', 'yargs']
+        });
+
+    });
+
+    it('passes a configured registry, but not the default one', () => {
+
+        let strategy = new NPMStrategy();
+        let pkg = { name: 'lodash' };
+
+        let resolved = config.resolve({}, { XDG_CONFIG_HOME: '/nonexistent' });
+        assert.deepStrictEqual(strategy.getInstallRunCommand(pkg, resolved).args, ['install', '--prefix', '/', 'lodash']);
+        assert.deepStrictEqual(
+            strategy.getInstallRunCommand(pkg, { npmRegistry: `${config.DEFAULTS.npmRegistry}/` }).args,
+            ['install', '--prefix', '/', 'lodash']
+        );
+        assert.deepStrictEqual(
+            strategy.getInstallRunCommand(pkg, { npmRegistry: 'https://npm.example.com' }).args,
+            ['install', '--prefix', '/', '--registry', 'https://npm.example.com', 'lodash']
+        );
+
+    });
+
+    it('looks up packages in the registry, escaping scoped names', async () => {
+
+        let registry = await helpers.serveRoutes({
+            '/@babel%2Fcore': { name: '@babel/core', versions: { '7.0.0': { engines: { node: '>=6' }, main: 'index.js' } } },
+            '/unpublished': { name: 'unpublished', versions: {} },
+            '/broken': [500, { error: 'internal' }]
+        });
+        let strategy = new NPMStrategy();
+        let options = { npmRegistry: `${registry.url}/`, cacheMode: 'bypass' };
+
+        try {
+            assert.deepStrictEqual(await strategy.searchForExactPackageMatch('@babel/core', options), { name: '@babel/core', system: 'npm' });
+            assert.deepStrictEqual((await strategy.getPackument('@babel/core', options)).versions, { '7.0.0': { engines: { node: '>=6' } } });
+            assert.strictEqual(await strategy.searchForExactPackageMatch('unpublished', options), null);
+            assert.strictEqual(await strategy.searchForExactPackageMatch('missing', options), null);
+            await assert.rejects(strategy.searchForExactPackageMatch('broken', options), (err) => {
+                assert.ok(err instanceof errors.PackageIndexError);
+                assert.match(err.message, /answered 500 for broken: internal/);
+                return true;
+            });
+        }
+        finally {
+            registry.server.close();
+        }
+
+    });
+
+});
@@ -0,0 +1,52 @@
+/**
+ * Tests of the directory package index.
+ *
+ * @module test/systems/pip/indexes/directory
+ */
+
+
+// Core/NPM Modules
+const assert                = require('assert');
+const path                  = require('path');
+const { describe, it }      = require('node:test');
+
+
+// Local Modules
+const DirectoryPackageIndex = require('../../../../src/systems/pip/indexes/directory');
+const errors                = require('../../../../src/errors');
+const helpers               = require('../../../helpers');
+
+
+describe('DirectoryPackageIndex', () => {
+
+    it('reads hand made dumps and bandersnatch trees, by name as given or normalized', async () => {
+
+        let dir = helpers.writeFiles(helpers.tmpdir(), {
+            'Flask.json': JSON.stringify({ info: { name: 'Flask' } }),
+            'zope-interface/json': JSON.stringify({ info: { name: 'zope.interface' } })
+        });
+        let index = new DirectoryPackageIndex(`file://${dir}`);
+
+        assert.strictEqual(index.type, 'directory');
+        assert.strictEqual(index.location, dir);
+        assert.strictEqual(index.pipIndexUrl, undefined);
+        assert.deepStrictEqual(await index.getProject('Flask'), { info: { name: 'Flask' } });
+        assert.deepStrictEqual(await index.getProject('zope.interface'), { info: { name: 'zope.interface' } });
+        assert.strictEqual(await index.getProject('requests'), null);
+
+    });
+
+    it('fails with a package index error for a missing directory or an invalid document', async () => {
+
+        let dir = helpers.writeFiles(helpers.tmpdir(), { 'broken.json': '{' });
+
+        await assert.rejects(new DirectoryPackageIndex(path.join(dir, 'missing')).getProject('six'), errors.PackageIndexError);
+        await assert.rejects(new DirectoryPackageIndex(dir).getProject('broken'), (err) => {
+            assert.ok(err instanceof errors.PackageIndexError);
+            assert.strictEqual(err.details.package, 'broken');
+            return true;
+        });
+
+    });
+
+});
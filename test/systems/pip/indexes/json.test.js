@@ -0,0 +1,60 @@
+/**
+ * Tests of the PyPI JSON API package index, run against a local HTTP server.
+ *
+ * @module test/systems/pip/indexes/json
+ */
+
+
+// Core/NPM Modules
+const assert           = require('assert');
+const { describe, it } = require('node:test');
+
+
+// Local Modules
+const JSONPackageIndex = require('../../../../src/systems/pip/indexes/json');
+const errors           = require('../../../../src/errors');
+const helpers          = require('../../../helpers');
+
+
+describe('JSONPackageIndex', () => {
+
+    it('installs from the simple pages next to a warehouse style JSON API', () => {
+
+        assert.strictEqual(new JSONPackageIndex('https://pypi.org/pypi/').pipIndexUrl, 'https://pypi.org/simple');
+        assert.strictEqual(new JSONPackageIndex('https://mirror.example.com/api').pipIndexUrl, undefined);
+
+    });
+
+    it('reads projects, resolves missing ones to null and fails on other answers', async () => {
+
+        let { server, url, requests } = await helpers.serveRoutes({
+            '/pypi/six/json': { info: { name: 'six' }, releases: { '1.16.0': [] } },
+            '/pypi/broken/json': [500]
+        });
+        let index = new JSONPackageIndex(`${url}/pypi/`);
+
+        try {
+            assert.deepStrictEqual(await index.getProject('six'), { info: { name: 'six' }, releases: { '1.16.0': [] } });
+            assert.strictEqual(await index.getProject('missing'), null);
+            await assert.rejects(index.getProject('broken'), (err) => {
+                assert.ok(err instanceof errors.PackageIndexError);
+                assert.strictEqual(err.details.statusCode, 500);
+                return true;
+            });
+            assert.deepStrictEqual(requests, ['/pypi/six/json', '/pypi/missing/json', '/pypi/broken/json']);
+        }
+        finally {
+            server.close();
+        }
+
+    });
+
+    it('fails with a package index error when the index cannot be reached', async () => {
+
+        let { server, url } = await helpers.serveRoutes({});
+        server.close();
+        await assert.rejects(new JSONPackageIndex(url).getProject('six'), errors.PackageIndexError);
+
+    });
+
+});
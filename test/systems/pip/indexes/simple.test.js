@@ -0,0 +1,76 @@
+/**
+ * Tests of the PEP 503 simple repository package index, run against a local HTTP server.
+ *
+ * @module test/systems/pip/indexes/simple
+ */
+
+
+// Core/NPM Modules
+const assert             = require('assert');
+const { describe, it }   = require('node:test');
+
+
+// Local Modules
+const SimplePackageIndex = require('../../../../src/systems/pip/indexes/simple');
+const errors             = require('../../../../src/errors');
+const helpers            = require('../../../helpers');
+
+
+// Constants
+const PAGE = `<!DOCTYPE html>
+<html><body>
+<a href="../../packages/zope.interface-4.0.tar.gz#sha256=1">zope.interface-4.0.tar.gz</a>
+<a href="../../packages/zope.interface-5.0-py3-none-any.whl" data-requires-python="&gt;=3.5">zope.interface-5.0-py3-none-any.whl</a>
+<a href="../../packages/zope_interface-5.0.zip">zope_interface-5.0.zip</a>
+<a href="../../packages/README.txt">README.txt</a>
+</body></html>`;
+
+
+describe('SimplePackageIndex', () => {
+
+    it('gets versions from source distribution and wheel file names', () => {
+
+        let index = new SimplePackageIndex('http://localhost/simple/');
+        assert.strictEqual(index.parseVersion('python-dateutil', 'python-dateutil-2.8.1.tar.gz'), '2.8.1');
+        assert.strictEqual(index.parseVersion('python-dateutil', 'python_dateutil-2.8.1-py2.py3-none-any.whl'), '2.8.1');
+        assert.strictEqual(index.parseVersion('six', 'six-1.16.0.tar.gz.asc'), undefined);
+        assert.strictEqual(index.parseVersion('six', 'other-1.0.zip'), undefined);
+
+    });
+
+    it('groups the files of a page into releases', () => {
+
+        let releases = new SimplePackageIndex('http://localhost/simple/').parseReleases('zope-interface', PAGE);
+        assert.deepStrictEqual(releases, {
+            '4.0': [
+                { filename: 'zope.interface-4.0.tar.gz', url: '../../packages/zope.interface-4.0.tar.gz#sha256=1' }
+            ],
+            '5.0': [
+                { filename: 'zope.interface-5.0-py3-none-any.whl', url: '../../packages/zope.interface-5.0-py3-none-any.whl', requires_python: '>=3.5' },
+                { filename: 'zope_interface-5.0.zip', url: '../../packages/zope_interface-5.0.zip' }
+            ]
+        });
+
+    });
+
+    it('requests normalized project pages, and installs from the same repository', async () => {
+
+        let { server, url, requests } = await helpers.serveRoutes({ '/simple/zope-interface/': PAGE, '/simple/broken/': [503] });
+        let index = new SimplePackageIndex(`${url}/simple`);
+
+        try {
+            assert.strictEqual(index.pipIndexUrl, `${url}/simple`);
+            let project = await index.getProject('Zope.Interface');
+            assert.deepStrictEqual(project.info, { name: 'zope-interface' });
+            assert.deepStrictEqual(Object.keys(project.releases), ['4.0', '5.0']);
+            assert.strictEqual(await index.getProject('missing'), null);
+            await assert.rejects(index.getProject('broken'), errors.PackageIndexError);
+            assert.deepStrictEqual(requests, ['/simple/zope-interface/', '/simple/missing/', '/simple/broken/']);
+        }
+        finally {
+            server.close();
+        }
+
+    });
+
+});
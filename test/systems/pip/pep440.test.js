@@ -0,0 +1,67 @@
+/**
+ * Tests of PEP 440 version parsing, ordering and specifier matching.
+ *
+ * @module test/systems/pip/pep440
+ */
+
+
+// Core/NPM Modules
+const assert           = require('assert');
+const { describe, it } = require('node:test');
+
+
+// Local Modules
+const pep440           = require('../../../src/systems/pip/pep440');
+
+
+describe('pep440', () => {
+
+    it('parses and normalizes every part of a version', () => {
+
+        assert.deepStrictEqual(pep440.parse('1!2.0.1rc2.post3.dev4+ubuntu.1'), {
+            epoch: 1, release: [2, 0, 1], pre: [2, 2], post: 3, dev: 4, local: 'ubuntu.1'
+        });
+        assert.deepStrictEqual(pep440.parse('v1.0-1'), { epoch: 0, release: [1, 0], pre: null, post: 1, dev: null, local: null });
+        assert.deepStrictEqual(pep440.parse('1.0.Alpha').pre, [0, 0]);
+        assert.strictEqual(pep440.parse('1.0-foo'), null);
+        assert.strictEqual(pep440.parse(''), null);
+
+    });
+
+    it('recognizes pre-releases and development releases', () => {
+
+        assert.ok(pep440.isPrerelease('2.0b1'));
+        assert.ok(pep440.isPrerelease('2.0.dev3'));
+        assert.ok(!pep440.isPrerelease('2.0.post1'));
+        assert.ok(!pep440.isPrerelease('not a version'));
+
+    });
+
+    it('orders versions like pip', () => {
+
+        let versions = ['1.0.post1', '1.0', '1.0rc1', '1.0.dev1', '1.0a1', '1.0a1.dev1', '0.9', '1!0.1', '1.0.1'];
+        versions.sort(pep440.compare);
+        assert.deepStrictEqual(versions, ['0.9', '1.0.dev1', '1.0a1.dev1', '1.0a1', '1.0rc1', '1.0', '1.0.post1', '1.0.1', '1!0.1']);
+        assert.strictEqual(pep440.compare('1.0', '1.0.0'), 0);
+        assert.strictEqual(pep440.compare('1.0+local', '1.0'), 0);
+
+    });
+
+    it('matches specifier sets', () => {
+
+        assert.ok(pep440.satisfies('2.7.18', '>=2.7,!=3.0.*'));
+        assert.ok(!pep440.satisfies('3.0.1', '>=2.7,!=3.0.*'));
+        assert.ok(pep440.satisfies('1.4.9', '~=1.4.5'));
+        assert.ok(!pep440.satisfies('1.5.0', '~=1.4.5'));
+        assert.ok(pep440.satisfies('1.5', '~=1.4'));
+        assert.ok(!pep440.satisfies('2.0', '~=1.4'));
+        assert.ok(pep440.satisfies('1.0', '===1.0'));
+        assert.ok(!pep440.satisfies('1.0.0', '===1.0'));
+        assert.ok(pep440.satisfies('1.0', '<2,>1.0a1'));
+        assert.ok(pep440.satisfies('1.0', ''));
+        assert.ok(pep440.satisfies('1.0', '>=nonsense'));
+        assert.ok(!pep440.satisfies('nonsense', '>=1.0'));
+
+    });
+
+});
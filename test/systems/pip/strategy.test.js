@@ -0,0 +1,138 @@
+/**
+ * Tests of the pip system strategy.
+ *
+ * @module test/systems/pip/strategy
+ */
+
+
+// Core/NPM Modules
+const assert           = require('assert');
+const { describe, it } = require('node:test');
+const _                = require('lodash');
+
+
+// Local Modules
+const PIPStrategy      = require('../../../src/systems/pip/strategy');
+const config           = require('../../../src/config');
+const errors           = require('../../../src/errors');
+const helpers          = require('../../helpers');
+
+
+describe('PIPStrategy', () => {
+
+    it('installs pinned versions and specifiers without the pip cache', () => {
+
+        let run = new PIPStrategy().getInstallRunCommands([{ name: 'requests', version: '2.0' }, { name: 'six', specifier: '>=1.10' }, { name: 'bs4' }]);
+        assert.deepStrictEqual(run, { command: 'pip', args: ['install', '--no-cache-dir', 'requests==2.0', 'six>=1.10', 'bs4'] });
+
+    });
+
+    it('adds no index arguments for the default index, even when filled in from the configuration', () => {
+
+        let strategy = new PIPStrategy();
+        assert.deepStrictEqual(strategy.getIndexArgs({}), []);
+        assert.deepStrictEqual(strategy.getIndexArgs(config.resolve({}, { XDG_CONFIG_HOME: '/nonexistent' })), []);
+        assert.deepStrictEqual(strategy.getIndexArgs({ packageIndex: `${config.DEFAULTS.packageIndex}/` }), []);
+
+    });
+
+    it('selects a configured index, trusting plain http hosts', () => {
+
+        let strategy = new PIPStrategy();
+        assert.deepStrictEqual(
+            strategy.getIndexArgs({ packageIndex: 'https://mirror.example.com/simple' }),
+            ['--index-url', 'https://mirror.example.com/simple']
+        );
+        assert.deepStrictEqual(
+            strategy.getIndexArgs({ pipIndexUrl: 'http://mirror.local:3141/root/pypi/+simple/' }),
+            ['--index-url', 'http://mirror.local:3141/root/pypi/+simple/', '--trusted-host', 'mirror.local']
+        );
+        assert.deepStrictEqual(strategy.getIndexArgs({ packageIndex: '/srv/packages' }), []);
+
+    });
+
+    it('infers the package index type from its location', () => {
+
+        let strategy = new PIPStrategy();
+        assert.strictEqual(strategy.getPackageIndex({}).type, 'json');
+        assert.strictEqual(strategy.getPackageIndex({ packageIndex: '/srv/packages' }).type, 'directory');
+        assert.strictEqual(strategy.getPackageIndex({ packageIndex: 'file:///srv/packages' }).type, 'directory');
+        assert.strictEqual(strategy.getPackageIndex({ packageIndex: 'http://localhost:3141/root/pypi/+simple/' }).type, 'simple');
+        assert.strictEqual(strategy.getPackageIndex({ packageIndex: 'https://mirror.example.com/api', packageIndexType: 'simple' }).type, 'simple');
+        assert.strictEqual(strategy.getPackageIndex({ packageIndex: '/srv/packages' }), strategy.getPackageIndex({ packageIndex: '/srv/packages' }));
+        assert.throws(() => strategy.getPackageIndex({ packageIndexType: 'ftp' }), errors.InvalidOptionError);
+
+    });
+
+    it('finds exact package matches with releases in an offline index', async () => {
+
+        let packageIndex = helpers.writeIndex(helpers.tmpdir(), { dashtable: ['1.4.5'], empty: {} });
+        let strategy = new PIPStrategy();
+        let options = { packageIndex, cacheMode: 'bypass' };
+
+        assert.deepStrictEqual(await strategy.searchForExactPackageMatch('dashtable', options), { name: 'dashtable', system: 'pip' });
+        assert.strictEqual(await strategy.searchForExactPackageMatch('empty', options), null);
+        assert.strictEqual(await strategy.searchForExactPackageMatch('missing', options), null);
+
+    });
+
+    describe('#resolveVersion', () => {
+
+        let packageIndex = helpers.writeFiles(helpers.tmpdir(), {
+            'legacy.json': JSON.stringify({
+                info: { name: 'legacy', version: '3.0', classifiers: ['Programming Language :: Python :: 2 :: Only'] },
+                releases: {
+                    '1.0': [{ filename: 'legacy-1.0.tar.gz', upload_time: '2015-01-01T00:00:00' }],
+                    '2.0': [
+                        { filename: 'legacy-2.0-py2-none-any.whl', python_version: 'py2', upload_time: '2017-01-01T00:00:00' },
+                        { filename: 'legacy-2.0-cp36-cp36m-linux_x86_64.whl', python_version: 'cp36', upload_time: '2017-01-01T00:00:00' }
+                    ],
+                    '3.0': [{ filename: 'legacy-3.0.tar.gz', upload_time: '2019-01-01T00:00:00' }],
+                    '3.1': [{ filename: 'legacy-3.1.tar.gz', yanked: true }],
+                    '4.0b1': [{ filename: 'legacy-4.0b1.tar.gz' }],
+                    '4.0': []
+                }
+            }),
+            'modern.json': JSON.stringify({
+                info: { name: 'modern', version: '2.0' },
+                releases: {
+                    '1.0': [{ filename: 'modern-1.0.tar.gz' }],
+                    '2.0': [{ filename: 'modern-2.0.tar.gz', requires_python: '>=3.6' }]
+                }
+            })
+        });
+        let resolve = (pkg, options) => new PIPStrategy().resolveVersion(pkg, _.assign({ packageIndex, cacheMode: 'bypass' }, options));
+
+        it('pins the newest stable release with files', async () => {
+
+            let resolution = await resolve({ name: 'legacy' });
+            assert.strictEqual(resolution.version, '3.0');
+            assert.strictEqual(resolution.reason, 'Newest release.');
+
+        });
+
+        it('checks requires_python, python tags and the classifiers of the latest release', async () => {
+
+            assert.strictEqual((await resolve({ name: 'modern' }, { runtime: { version: '3.9' } })).version, '2.0');
+            assert.strictEqual((await resolve({ name: 'modern' }, { runtime: { version: '2.7.13' } })).version, '1.0');
+            assert.strictEqual((await resolve({ name: 'legacy' }, { runtime: { version: '2.7.13' } })).version, '3.0');
+            assert.strictEqual((await resolve({ name: 'legacy' }, { runtime: { version: '3.6' } })).version, '2.0');
+            assert.strictEqual((await resolve({ name: 'legacy' }, { runtime: { version: '3.9' } })).version, '1.0');
+
+        });
+
+        it('only considers releases matching the specifier and uploaded before the cutoff', async () => {
+
+            assert.strictEqual((await resolve({ name: 'legacy', specifier: '<3' })).version, '2.0');
+            assert.strictEqual((await resolve({ name: 'legacy' }, { asOf: '2016-01-01' })).version, '1.0');
+
+            let resolution = await resolve({ name: 'legacy', specifier: '>=5' }, { runtime: { version: '3.9' } });
+            assert.strictEqual(resolution.version, undefined);
+            assert.strictEqual(resolution.reason, 'No stable release matching >=5 supporting python 3.9.');
+            assert.deepStrictEqual(await resolve({ name: 'missing' }), { reason: 'Package not found in the package index.' });
+
+        });
+
+    });
+
+});